@@ -697,19 +697,34 @@ CREATE TRIGGER trigger_otp_verified
     FOR EACH ROW
     EXECUTE FUNCTION trigger_update_otp_stats();
 
--- Trigger to automatically clean up rate limits
-CREATE OR REPLACE FUNCTION cleanup_expired_rate_limits()
-RETURNS TRIGGER AS $$
+-- Function to clean expired rate limits (also called by the maintenance job)
+CREATE OR REPLACE FUNCTION clean_expired_rate_limits()
+RETURNS INTEGER AS $$
+DECLARE
+    blocks_count INTEGER;
+    old_count INTEGER;
 BEGIN
     -- Clean up expired rate limit blocks
     DELETE FROM otp_rate_limits
     WHERE blocked_until IS NOT NULL 
     AND blocked_until < NOW() - INTERVAL '1 hour';
     
+    GET DIAGNOSTICS blocks_count = ROW_COUNT;
+    
     -- Clean up old rate limit records (older than 24 hours)
     DELETE FROM otp_rate_limits
     WHERE window_start < NOW() - INTERVAL '24 hours';
     
+    GET DIAGNOSTICS old_count = ROW_COUNT;
+    RETURN blocks_count + old_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger to automatically clean up rate limits
+CREATE OR REPLACE FUNCTION cleanup_expired_rate_limits()
+RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM clean_expired_rate_limits();
     RETURN NULL;
 END;
 $$ LANGUAGE plpgsql;
@@ -944,3 +959,2626 @@ VALUES (NULL, NULL, 'schema_update', jsonb_build_object(
     'rate_limiting', true,
     'monitoring', true
 ), NOW());
+
+-- =============================================
+-- Product Reviews
+-- Verified-purchase reviews, one per user per product
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS product_reviews (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    rating INTEGER NOT NULL,
+    title VARCHAR(100),
+    review_text TEXT NOT NULL,
+    is_verified_purchase BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT product_reviews_rating_check CHECK (rating BETWEEN 1 AND 5),
+    CONSTRAINT product_reviews_text_check CHECK (LENGTH(TRIM(review_text)) BETWEEN 10 AND 2000)
+);
+
+ALTER TABLE product_reviews ADD COLUMN IF NOT EXISTS title VARCHAR(100);
+ALTER TABLE product_reviews ADD COLUMN IF NOT EXISTS is_verified_purchase BOOLEAN DEFAULT FALSE;
+ALTER TABLE product_reviews ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+-- One review per user per product
+CREATE UNIQUE INDEX IF NOT EXISTS idx_product_reviews_product_user
+ON product_reviews(product_id, user_id);
+
+CREATE INDEX IF NOT EXISTS idx_product_reviews_created_at ON product_reviews(created_at);
+
+-- Aggregates kept on products so rating sort/popularity sort use real data
+ALTER TABLE products ADD COLUMN IF NOT EXISTS rating DECIMAL(3,2) DEFAULT 0;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS review_count INTEGER DEFAULT 0;
+
+DROP TRIGGER IF EXISTS update_product_reviews_updated_at ON product_reviews;
+CREATE TRIGGER update_product_reviews_updated_at
+    BEFORE UPDATE ON product_reviews
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Reviews are read and written through the API (service role)
+ALTER TABLE product_reviews ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role can manage product reviews" ON product_reviews;
+CREATE POLICY "Service role can manage product reviews" ON product_reviews
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+-- =============================================
+-- Catalog Administration
+-- Admin-managed shelf layouts
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS shelf_layouts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    shelf_number INTEGER NOT NULL,
+    category_id UUID REFERENCES categories(id),
+    subcategory_id UUID REFERENCES categories(id),
+    label VARCHAR(100),
+    location_data JSONB,
+    compartments JSONB DEFAULT '["top", "middle", "bottom"]'::jsonb,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT shelf_layouts_number_check CHECK (shelf_number > 0)
+);
+
+ALTER TABLE shelf_layouts ADD COLUMN IF NOT EXISTS label VARCHAR(100);
+ALTER TABLE shelf_layouts ADD COLUMN IF NOT EXISTS location_data JSONB;
+ALTER TABLE shelf_layouts ADD COLUMN IF NOT EXISTS compartments JSONB DEFAULT '["top", "middle", "bottom"]'::jsonb;
+ALTER TABLE shelf_layouts ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+-- Only one active shelf per shelf number
+CREATE UNIQUE INDEX IF NOT EXISTS idx_shelf_layouts_active_number
+ON shelf_layouts(shelf_number) WHERE is_active = TRUE;
+
+-- SKUs identify products in admin tooling
+CREATE UNIQUE INDEX IF NOT EXISTS idx_products_sku ON products(sku);
+
+DROP TRIGGER IF EXISTS update_shelf_layouts_updated_at ON shelf_layouts;
+CREATE TRIGGER update_shelf_layouts_updated_at
+    BEFORE UPDATE ON shelf_layouts
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Layouts are managed through the API (service role)
+ALTER TABLE shelf_layouts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role can manage shelf layouts" ON shelf_layouts;
+CREATE POLICY "Service role can manage shelf layouts" ON shelf_layouts
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+-- =============================================
+-- Role-Based Access Control
+-- Roles are checked by the route guards in utils/auth.js
+-- =============================================
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) DEFAULT 'shopper';
+UPDATE users SET role = 'shopper' WHERE role IS NULL;
+ALTER TABLE users ALTER COLUMN role SET NOT NULL;
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users ADD CONSTRAINT users_role_check
+    CHECK (role IN ('shopper', 'cashier', 'store_manager', 'admin'));
+
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+
+-- =============================================
+-- Product Variants
+-- Size / color / finish / storage options with their own SKU, price and stock
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS product_variants (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    sku VARCHAR(64) NOT NULL,
+    size VARCHAR(50),
+    color VARCHAR(50),
+    finish VARCHAR(50),
+    storage_capacity VARCHAR(50),
+    price DECIMAL(10,2),
+    discount_price DECIMAL(10,2),
+    stock_quantity INTEGER NOT NULL DEFAULT 0,
+    variant_images JSONB DEFAULT '[]'::jsonb,
+    sort_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    -- A NULL price inherits the product price
+    CONSTRAINT product_variants_price_check CHECK (price IS NULL OR price > 0),
+    CONSTRAINT product_variants_discount_check CHECK (discount_price IS NULL OR (price IS NOT NULL AND discount_price < price)),
+    CONSTRAINT product_variants_stock_check CHECK (stock_quantity >= 0),
+    CONSTRAINT product_variants_options_check CHECK (
+        COALESCE(size, color, finish, storage_capacity) IS NOT NULL
+    )
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_product_variants_sku ON product_variants(sku);
+CREATE INDEX IF NOT EXISTS idx_product_variants_product_id ON product_variants(product_id);
+
+-- One active variant per option combination
+CREATE UNIQUE INDEX IF NOT EXISTS idx_product_variants_active_options
+ON product_variants(
+    product_id,
+    LOWER(COALESCE(size, '')),
+    LOWER(COALESCE(color, '')),
+    LOWER(COALESCE(finish, '')),
+    LOWER(COALESCE(storage_capacity, ''))
+) WHERE is_active = TRUE;
+
+-- Cart and order lines remember the chosen variant
+ALTER TABLE shopping_cart ADD COLUMN IF NOT EXISTS variant_id UUID REFERENCES product_variants(id);
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS variant_id UUID REFERENCES product_variants(id);
+
+-- Different variants of one product are separate cart lines
+ALTER TABLE shopping_cart DROP CONSTRAINT IF EXISTS shopping_cart_session_id_product_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_shopping_cart_session_product_variant
+ON shopping_cart(session_id, product_id, COALESCE(variant_id, '00000000-0000-0000-0000-000000000000'::uuid));
+
+CREATE INDEX IF NOT EXISTS idx_order_items_variant_id ON order_items(variant_id);
+
+DROP TRIGGER IF EXISTS update_product_variants_updated_at ON product_variants;
+CREATE TRIGGER update_product_variants_updated_at
+    BEFORE UPDATE ON product_variants
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Keep products.stock_quantity equal to the stock of its active variants so
+-- listings, facets and low-stock reports keep working for variant products
+CREATE OR REPLACE FUNCTION sync_product_stock_from_variants()
+RETURNS TRIGGER AS $$
+DECLARE
+    target_product_id UUID;
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        target_product_id := OLD.product_id;
+    ELSE
+        target_product_id := NEW.product_id;
+    END IF;
+
+    UPDATE products
+    SET stock_quantity = (
+        SELECT COALESCE(SUM(stock_quantity), 0)
+        FROM product_variants
+        WHERE product_id = target_product_id AND is_active = TRUE
+    )
+    WHERE id = target_product_id
+      AND EXISTS (SELECT 1 FROM product_variants WHERE product_id = target_product_id);
+
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS sync_product_stock_on_variant_change ON product_variants;
+CREATE TRIGGER sync_product_stock_on_variant_change
+    AFTER INSERT OR UPDATE OF stock_quantity, is_active OR DELETE ON product_variants
+    FOR EACH ROW
+    EXECUTE FUNCTION sync_product_stock_from_variants();
+
+-- Variants are read and managed through the API (service role)
+ALTER TABLE product_variants ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role can manage product variants" ON product_variants;
+CREATE POLICY "Service role can manage product variants" ON product_variants
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+-- =============================================
+-- Promotions
+-- Scheduled price rules evaluated on cart read and at checkout
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS promotions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(120) NOT NULL,
+    description TEXT,
+    promotion_type VARCHAR(20) NOT NULL,
+    -- Percentage (percentage, category_sale, buy_x_get_y) or amount (fixed_amount)
+    discount_value DECIMAL(10,2),
+    buy_quantity INTEGER,
+    get_quantity INTEGER,
+    bundle_price DECIMAL(10,2),
+    min_subtotal DECIMAL(10,2),
+    -- Empty scope means the whole cart (except for category sales)
+    product_ids UUID[] DEFAULT '{}',
+    category_ids UUID[] DEFAULT '{}',
+    priority INTEGER DEFAULT 0,
+    stackable BOOLEAN DEFAULT FALSE,
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    ends_at TIMESTAMP WITH TIME ZONE,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT promotions_type_check CHECK (
+        promotion_type IN ('percentage', 'fixed_amount', 'bogo', 'buy_x_get_y', 'category_sale', 'bundle')
+    ),
+    CONSTRAINT promotions_schedule_check CHECK (ends_at IS NULL OR ends_at > starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_promotions_schedule ON promotions(starts_at, ends_at) WHERE is_active = TRUE;
+
+-- Orders keep the promotions that priced them
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS applied_promotions JSONB DEFAULT '[]'::jsonb;
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10,2) DEFAULT 0;
+
+DROP TRIGGER IF EXISTS update_promotions_updated_at ON promotions;
+CREATE TRIGGER update_promotions_updated_at
+    BEFORE UPDATE ON promotions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Promotion rules are read and managed through the API (service role)
+ALTER TABLE promotions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role can manage promotions" ON promotions;
+CREATE POLICY "Service role can manage promotions" ON promotions
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+-- =============================================
+-- Coupons
+-- Promo codes applied to a shopping session and redeemed with the order
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS coupons (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    code VARCHAR(50) NOT NULL,
+    description TEXT,
+    discount_type VARCHAR(20) NOT NULL,
+    discount_value DECIMAL(10,2) NOT NULL,
+    max_discount_amount DECIMAL(10,2),
+    min_subtotal DECIMAL(10,2),
+    -- Empty means the whole cart qualifies
+    category_ids UUID[] DEFAULT '{}',
+    -- NULL limits are unlimited
+    usage_limit INTEGER,
+    per_user_limit INTEGER DEFAULT 1,
+    times_redeemed INTEGER NOT NULL DEFAULT 0,
+    is_single_use BOOLEAN DEFAULT FALSE,
+    batch_id UUID,
+    starts_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT coupons_discount_type_check CHECK (discount_type IN ('percentage', 'fixed_amount')),
+    CONSTRAINT coupons_discount_value_check CHECK (
+        discount_value > 0 AND (discount_type <> 'percentage' OR discount_value <= 100)
+    ),
+    CONSTRAINT coupons_usage_check CHECK (usage_limit IS NULL OR times_redeemed <= usage_limit)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_coupons_code ON coupons(code);
+CREATE INDEX IF NOT EXISTS idx_coupons_batch_id ON coupons(batch_id) WHERE batch_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS coupon_redemptions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    coupon_id UUID NOT NULL REFERENCES coupons(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    session_id UUID,
+    discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    redeemed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT coupon_redemptions_order_unique UNIQUE (coupon_id, order_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_coupon_user ON coupon_redemptions(coupon_id, user_id);
+
+ALTER TABLE shopping_sessions ADD COLUMN IF NOT EXISTS coupon_code VARCHAR(50);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS coupon_code VARCHAR(50);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS coupon_discount_amount DECIMAL(10,2) DEFAULT 0;
+
+DROP TRIGGER IF EXISTS update_coupons_updated_at ON coupons;
+CREATE TRIGGER update_coupons_updated_at
+    BEFORE UPDATE ON coupons
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Claim one use of a coupon for an order; returns FALSE when a limit is reached
+CREATE OR REPLACE FUNCTION redeem_coupon(
+    p_coupon_id UUID,
+    p_user_id UUID,
+    p_order_id UUID,
+    p_session_id UUID,
+    p_discount_amount DECIMAL
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+    coupon_row coupons%ROWTYPE;
+    user_redemptions INTEGER;
+BEGIN
+    -- Lock the coupon so concurrent checkouts cannot both take the last use
+    SELECT * INTO coupon_row FROM coupons WHERE id = p_coupon_id FOR UPDATE;
+
+    IF NOT FOUND OR NOT coupon_row.is_active THEN
+        RETURN FALSE;
+    END IF;
+
+    -- A coupon applied to the session earlier may have run out by checkout
+    IF NOT (NOW() >= COALESCE(coupon_row.starts_at, '-infinity') AND NOW() < COALESCE(coupon_row.expires_at, 'infinity')) THEN
+        RAISE EXCEPTION 'COUPON_EXPIRED';
+    END IF;
+
+    IF coupon_row.usage_limit IS NOT NULL AND coupon_row.times_redeemed >= coupon_row.usage_limit THEN
+        RETURN FALSE;
+    END IF;
+
+    IF coupon_row.per_user_limit IS NOT NULL THEN
+        SELECT COUNT(*) INTO user_redemptions
+        FROM coupon_redemptions
+        WHERE coupon_id = p_coupon_id AND user_id = p_user_id;
+
+        IF user_redemptions >= coupon_row.per_user_limit THEN
+            RETURN FALSE;
+        END IF;
+    END IF;
+
+    INSERT INTO coupon_redemptions (coupon_id, user_id, order_id, session_id, discount_amount)
+    VALUES (p_coupon_id, p_user_id, p_order_id, p_session_id, p_discount_amount);
+
+    UPDATE coupons SET times_redeemed = times_redeemed + 1 WHERE id = p_coupon_id;
+
+    RETURN TRUE;
+END;
+$$ language 'plpgsql';
+
+-- Give back the coupon use of a cancelled order
+CREATE OR REPLACE FUNCTION release_coupon_redemption(p_order_id UUID)
+RETURNS INTEGER AS $$
+DECLARE
+    released_count INTEGER := 0;
+    redemption RECORD;
+BEGIN
+    FOR redemption IN
+        DELETE FROM coupon_redemptions WHERE order_id = p_order_id RETURNING coupon_id
+    LOOP
+        UPDATE coupons
+        SET times_redeemed = GREATEST(times_redeemed - 1, 0)
+        WHERE id = redemption.coupon_id;
+        released_count := released_count + 1;
+    END LOOP;
+
+    RETURN released_count;
+END;
+$$ language 'plpgsql';
+
+-- Codes and redemptions are read and written by the API (service role) only
+ALTER TABLE coupons ENABLE ROW LEVEL SECURITY;
+ALTER TABLE coupon_redemptions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role can manage coupons" ON coupons;
+CREATE POLICY "Service role can manage coupons" ON coupons
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+DROP POLICY IF EXISTS "Service role can manage coupon redemptions" ON coupon_redemptions;
+CREATE POLICY "Service role can manage coupon redemptions" ON coupon_redemptions
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+REVOKE EXECUTE ON FUNCTION redeem_coupon(UUID, UUID, UUID, UUID, DECIMAL) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION release_coupon_redemption(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION redeem_coupon(UUID, UUID, UUID, UUID, DECIMAL) TO service_role;
+GRANT EXECUTE ON FUNCTION release_coupon_redemption(UUID) TO service_role;
+
+-- =============================================
+-- Stock Reservations
+-- Soft holds on stock for cart lines, released on removal, session end or expiry
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS stock_reservations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id UUID NOT NULL REFERENCES shopping_sessions(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    variant_id UUID REFERENCES product_variants(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    released_at TIMESTAMP WITH TIME ZONE,
+    order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT stock_reservations_quantity_check CHECK (quantity > 0),
+    CONSTRAINT stock_reservations_status_check CHECK (status IN ('active', 'released', 'expired', 'converted'))
+);
+
+-- One active hold per cart line
+CREATE UNIQUE INDEX IF NOT EXISTS idx_stock_reservations_active_line
+ON stock_reservations(session_id, product_id, COALESCE(variant_id, '00000000-0000-0000-0000-000000000000'::uuid))
+WHERE status = 'active';
+
+CREATE INDEX IF NOT EXISTS idx_stock_reservations_product_active
+ON stock_reservations(product_id, variant_id, expires_at)
+WHERE status = 'active';
+
+DROP TRIGGER IF EXISTS update_stock_reservations_updated_at ON stock_reservations;
+CREATE TRIGGER update_stock_reservations_updated_at
+    BEFORE UPDATE ON stock_reservations
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- On-hand minus unexpired holds; only products with holds need a row here to differ from stock_quantity
+CREATE OR REPLACE VIEW product_availability AS
+SELECT
+    p.id AS product_id,
+    p.stock_quantity,
+    COALESCE(r.reserved_quantity, 0) AS reserved_quantity,
+    GREATEST(p.stock_quantity - COALESCE(r.reserved_quantity, 0), 0) AS available_quantity
+FROM products p
+LEFT JOIN (
+    SELECT product_id, SUM(quantity)::INTEGER AS reserved_quantity
+    FROM stock_reservations
+    WHERE status = 'active' AND expires_at > NOW()
+    GROUP BY product_id
+) r ON r.product_id = p.id;
+
+CREATE OR REPLACE VIEW variant_availability AS
+SELECT
+    v.id AS variant_id,
+    v.product_id,
+    v.stock_quantity,
+    COALESCE(r.reserved_quantity, 0) AS reserved_quantity,
+    GREATEST(v.stock_quantity - COALESCE(r.reserved_quantity, 0), 0) AS available_quantity
+FROM product_variants v
+LEFT JOIN (
+    SELECT variant_id, SUM(quantity)::INTEGER AS reserved_quantity
+    FROM stock_reservations
+    WHERE status = 'active' AND expires_at > NOW() AND variant_id IS NOT NULL
+    GROUP BY variant_id
+) r ON r.variant_id = v.id;
+
+-- Hold p_quantity units for a cart line. Returns the units available to that line
+-- (on-hand minus other sessions' holds); the hold is only written when it fits.
+CREATE OR REPLACE FUNCTION reserve_stock(
+    p_session_id UUID,
+    p_product_id UUID,
+    p_variant_id UUID,
+    p_quantity INTEGER,
+    p_expires_at TIMESTAMP WITH TIME ZONE
+)
+RETURNS INTEGER AS $$
+DECLARE
+    on_hand INTEGER;
+    reserved_by_others INTEGER;
+    available INTEGER;
+BEGIN
+    -- Lock the stock row so concurrent carts cannot both claim the last unit
+    IF p_variant_id IS NULL THEN
+        SELECT stock_quantity INTO on_hand FROM products WHERE id = p_product_id FOR UPDATE;
+    ELSE
+        SELECT stock_quantity INTO on_hand
+        FROM product_variants
+        WHERE id = p_variant_id AND product_id = p_product_id
+        FOR UPDATE;
+    END IF;
+
+    IF NOT FOUND THEN
+        RETURN 0;
+    END IF;
+
+    SELECT COALESCE(SUM(quantity), 0) INTO reserved_by_others
+    FROM stock_reservations
+    WHERE product_id = p_product_id
+      AND variant_id IS NOT DISTINCT FROM p_variant_id
+      AND session_id <> p_session_id
+      AND status = 'active'
+      AND expires_at > NOW();
+
+    available := GREATEST(on_hand - reserved_by_others, 0);
+
+    IF p_quantity > available THEN
+        RETURN available;
+    END IF;
+
+    UPDATE stock_reservations
+    SET quantity = p_quantity, expires_at = p_expires_at
+    WHERE session_id = p_session_id
+      AND product_id = p_product_id
+      AND variant_id IS NOT DISTINCT FROM p_variant_id
+      AND status = 'active';
+
+    IF NOT FOUND THEN
+        INSERT INTO stock_reservations (session_id, product_id, variant_id, quantity, expires_at)
+        VALUES (p_session_id, p_product_id, p_variant_id, p_quantity, p_expires_at);
+    END IF;
+
+    RETURN available;
+END;
+$$ language 'plpgsql';
+
+-- Mark lapsed holds as expired (they already stopped counting at expires_at)
+CREATE OR REPLACE FUNCTION expire_stock_reservations()
+RETURNS INTEGER AS $$
+DECLARE
+    expired_count INTEGER;
+BEGIN
+    UPDATE stock_reservations
+    SET status = 'expired', released_at = expires_at
+    WHERE status = 'active' AND expires_at <= NOW();
+
+    GET DIAGNOSTICS expired_count = ROW_COUNT;
+    RETURN expired_count;
+END;
+$$ language 'plpgsql';
+
+-- Holds are placed and expired by the API (service role) only
+ALTER TABLE stock_reservations ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role can manage stock reservations" ON stock_reservations;
+CREATE POLICY "Service role can manage stock reservations" ON stock_reservations
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+REVOKE EXECUTE ON FUNCTION reserve_stock(UUID, UUID, UUID, INTEGER, TIMESTAMP WITH TIME ZONE) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION expire_stock_reservations() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION reserve_stock(UUID, UUID, UUID, INTEGER, TIMESTAMP WITH TIME ZONE) TO service_role;
+GRANT EXECUTE ON FUNCTION expire_stock_reservations() TO service_role;
+
+-- =============================================
+-- Atomic Checkout
+-- Order creation, stock decrement and cart clearing in one transaction
+-- =============================================
+
+-- none: stock never taken (orders placed before atomic checkout), committed: taken at checkout,
+-- restocked: given back after cancellation
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS stock_status VARCHAR(20) DEFAULT 'none';
+
+-- Turn a session's cart into a pending order. p_items maps cart line id to
+-- { quantity, discount_amount, tax_amount, tax_breakdown } as priced by the API; p_coupon is { coupon_id, discount_amount } or NULL.
+-- With p_group_id, every member's lines are first moved into this session (combine_group_carts) in the
+-- same transaction, so a failed checkout leaves each member's cart as it was. Lines of the same product
+-- merge, so p_items is then keyed by 'product_id:variant_id' (variant empty when none) instead.
+-- Returns { status: 'created', order, combined } or { status: 'stock_conflict', conflicts } without writing
+-- anything; a group checkout raises STOCK_CONFLICT with the conflicts as detail instead, to undo the move.
+DROP FUNCTION IF EXISTS checkout_session(UUID, UUID, JSONB, JSONB, JSONB);
+CREATE OR REPLACE FUNCTION checkout_session(
+    p_session_id UUID,
+    p_user_id UUID,
+    p_order JSONB,
+    p_items JSONB,
+    p_coupon JSONB DEFAULT NULL,
+    p_group_id UUID DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+    cart_line RECORD;
+    line_pricing JSONB;
+    combined JSONB;
+    on_hand INTEGER;
+    reserved_by_others INTEGER;
+    available INTEGER;
+    line_count INTEGER := 0;
+    conflicts JSONB := '[]'::jsonb;
+    new_order orders%ROWTYPE;
+BEGIN
+    -- Before the session lock: combine_group_carts locks every member session in a fixed order
+    IF p_group_id IS NOT NULL THEN
+        combined := combine_group_carts(p_group_id, p_session_id);
+    END IF;
+
+    PERFORM 1 FROM shopping_sessions WHERE id = p_session_id AND user_id = p_user_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'SESSION_NOT_FOUND';
+    END IF;
+
+    -- Lock stock rows in a fixed order so concurrent checkouts neither deadlock nor oversell
+    FOR cart_line IN
+        SELECT c.id, c.product_id, c.variant_id, c.quantity, p.name AS product_name
+        FROM shopping_cart c
+        JOIN products p ON p.id = c.product_id
+        WHERE c.session_id = p_session_id
+        ORDER BY c.product_id, c.variant_id NULLS FIRST
+        FOR UPDATE OF c
+    LOOP
+        line_count := line_count + 1;
+
+        line_pricing := p_items -> CASE
+            WHEN p_group_id IS NULL THEN cart_line.id::text
+            ELSE cart_line.product_id::text || ':' || COALESCE(cart_line.variant_id::text, '')
+        END;
+        IF line_pricing IS NULL OR (line_pricing ->> 'quantity')::INTEGER <> cart_line.quantity THEN
+            RAISE EXCEPTION 'CART_CHANGED';
+        END IF;
+
+        IF cart_line.variant_id IS NULL THEN
+            SELECT stock_quantity INTO on_hand
+            FROM products
+            WHERE id = cart_line.product_id AND is_active = TRUE
+            FOR UPDATE;
+        ELSE
+            SELECT stock_quantity INTO on_hand
+            FROM product_variants
+            WHERE id = cart_line.variant_id AND is_active = TRUE
+            FOR UPDATE;
+        END IF;
+
+        SELECT COALESCE(SUM(quantity), 0) INTO reserved_by_others
+        FROM stock_reservations
+        WHERE product_id = cart_line.product_id
+          AND variant_id IS NOT DISTINCT FROM cart_line.variant_id
+          AND session_id <> p_session_id
+          AND status = 'active'
+          AND expires_at > NOW();
+
+        available := GREATEST(COALESCE(on_hand, 0) - reserved_by_others, 0);
+
+        IF cart_line.quantity > available THEN
+            conflicts := conflicts || jsonb_build_array(jsonb_build_object(
+                'product_id', cart_line.product_id,
+                'variant_id', cart_line.variant_id,
+                'name', cart_line.product_name,
+                'variant', (SELECT to_jsonb(v) FROM product_variants v WHERE v.id = cart_line.variant_id),
+                'requested', cart_line.quantity,
+                'available', available
+            ));
+        END IF;
+    END LOOP;
+
+    IF line_count = 0 THEN
+        RAISE EXCEPTION 'CART_EMPTY';
+    END IF;
+
+    IF line_count <> (SELECT COUNT(*) FROM jsonb_object_keys(p_items)) THEN
+        RAISE EXCEPTION 'CART_CHANGED';
+    END IF;
+
+    IF jsonb_array_length(conflicts) > 0 THEN
+        IF p_group_id IS NOT NULL THEN
+            RAISE EXCEPTION 'STOCK_CONFLICT' USING DETAIL = conflicts::text;
+        END IF;
+        RETURN jsonb_build_object('status', 'stock_conflict', 'conflicts', conflicts);
+    END IF;
+
+    INSERT INTO orders (
+        user_id, session_id, order_number, payment_method, payment_status, status,
+        subtotal, tax_amount, discount_amount, total_amount,
+        applied_promotions, coupon_code, coupon_discount_amount, stock_status,
+        store_id, tax_breakdown, currency, exchange_rate
+    )
+    VALUES (
+        p_user_id,
+        p_session_id,
+        p_order ->> 'order_number',
+        p_order ->> 'payment_method',
+        'pending',
+        'pending',
+        (p_order ->> 'subtotal')::DECIMAL,
+        (p_order ->> 'tax_amount')::DECIMAL,
+        COALESCE((p_order ->> 'discount_amount')::DECIMAL, 0),
+        (p_order ->> 'total_amount')::DECIMAL,
+        COALESCE(p_order -> 'applied_promotions', '[]'::jsonb),
+        p_order ->> 'coupon_code',
+        COALESCE((p_order ->> 'coupon_discount_amount')::DECIMAL, 0),
+        'committed',
+        (p_order ->> 'store_id')::UUID,
+        COALESCE(p_order -> 'tax_breakdown', '[]'::jsonb),
+        COALESCE(p_order ->> 'currency', 'USD'),
+        COALESCE((p_order ->> 'exchange_rate')::DECIMAL, 1)
+    )
+    RETURNING * INTO new_order;
+
+    INSERT INTO order_items (order_id, product_id, variant_id, quantity, unit_price, discount_amount, tax_amount, tax_breakdown)
+    SELECT
+        new_order.id,
+        c.product_id,
+        c.variant_id,
+        c.quantity,
+        c.unit_price,
+        COALESCE((priced.pricing ->> 'discount_amount')::DECIMAL, 0),
+        COALESCE((priced.pricing ->> 'tax_amount')::DECIMAL, 0),
+        COALESCE(priced.pricing -> 'tax_breakdown', '[]'::jsonb)
+    FROM shopping_cart c
+    CROSS JOIN LATERAL (
+        SELECT p_items -> CASE
+            WHEN p_group_id IS NULL THEN c.id::text
+            ELSE c.product_id::text || ':' || COALESCE(c.variant_id::text, '')
+        END AS pricing
+    ) priced
+    WHERE c.session_id = p_session_id;
+
+    -- Variant stock rolls up to the product through sync_product_stock_from_variants
+    UPDATE product_variants v
+    SET stock_quantity = v.stock_quantity - c.quantity
+    FROM shopping_cart c
+    WHERE c.session_id = p_session_id AND c.variant_id = v.id;
+
+    UPDATE products p
+    SET stock_quantity = p.stock_quantity - c.quantity
+    FROM shopping_cart c
+    WHERE c.session_id = p_session_id AND c.variant_id IS NULL AND c.product_id = p.id;
+
+    IF p_coupon IS NOT NULL THEN
+        IF NOT redeem_coupon(
+            (p_coupon ->> 'coupon_id')::UUID,
+            p_user_id,
+            new_order.id,
+            p_session_id,
+            (p_coupon ->> 'discount_amount')::DECIMAL
+        ) THEN
+            RAISE EXCEPTION 'COUPON_LIMIT_REACHED';
+        END IF;
+
+        UPDATE shopping_sessions SET coupon_code = NULL WHERE id = p_session_id;
+    END IF;
+
+    -- The decrement replaces the cart's holds
+    UPDATE stock_reservations
+    SET status = 'converted', order_id = new_order.id, released_at = NOW()
+    WHERE session_id = p_session_id AND status = 'active';
+
+    DELETE FROM shopping_cart WHERE session_id = p_session_id;
+
+    RETURN jsonb_build_object('status', 'created', 'order', to_jsonb(new_order), 'combined', combined);
+END;
+$$ language 'plpgsql';
+
+-- Give back the stock a cancelled order took at checkout (once)
+CREATE OR REPLACE FUNCTION restock_order(p_order_id UUID)
+RETURNS BOOLEAN AS $$
+DECLARE
+    order_row orders%ROWTYPE;
+BEGIN
+    SELECT * INTO order_row FROM orders WHERE id = p_order_id FOR UPDATE;
+
+    IF NOT FOUND OR order_row.stock_status IS DISTINCT FROM 'committed' THEN
+        RETURN FALSE;
+    END IF;
+
+    UPDATE product_variants v
+    SET stock_quantity = v.stock_quantity + i.quantity
+    FROM order_items i
+    WHERE i.order_id = p_order_id AND i.variant_id = v.id;
+
+    UPDATE products p
+    SET stock_quantity = p.stock_quantity + i.quantity
+    FROM order_items i
+    WHERE i.order_id = p_order_id AND i.variant_id IS NULL AND i.product_id = p.id;
+
+    UPDATE orders SET stock_status = 'restocked' WHERE id = p_order_id;
+
+    RETURN TRUE;
+END;
+$$ language 'plpgsql';
+
+-- Checkout trusts p_user_id, so only the API (service role) may call these
+REVOKE EXECUTE ON FUNCTION checkout_session(UUID, UUID, JSONB, JSONB, JSONB, UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION restock_order(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION checkout_session(UUID, UUID, JSONB, JSONB, JSONB, UUID) TO service_role;
+GRANT EXECUTE ON FUNCTION restock_order(UUID) TO service_role;
+
+-- =============================================
+-- Stripe Webhooks
+-- Received events, so each one is applied once however often Stripe redelivers it
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS stripe_webhook_events (
+    id VARCHAR(255) PRIMARY KEY, -- Stripe event ID (evt_...)
+    type VARCHAR(100) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'processing',
+    payload JSONB NOT NULL,
+    livemode BOOLEAN DEFAULT FALSE,
+    order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+    error_message TEXT,
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    processed_at TIMESTAMP WITH TIME ZONE,
+
+    CONSTRAINT stripe_webhook_events_status_check CHECK (status IN ('processing', 'processed', 'failed', 'ignored'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_stripe_webhook_events_type ON stripe_webhook_events(type, received_at DESC);
+CREATE INDEX IF NOT EXISTS idx_stripe_webhook_events_order_id ON stripe_webhook_events(order_id);
+
+-- Webhook-reported states: failed attempts and open disputes
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_payment_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_payment_status_check
+    CHECK (payment_status IN ('pending', 'completed', 'failed', 'refunded', 'disputed'));
+
+-- Written by the webhook handler (service role) only
+ALTER TABLE stripe_webhook_events ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role can manage stripe webhook events" ON stripe_webhook_events;
+CREATE POLICY "Service role can manage stripe webhook events" ON stripe_webhook_events
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+-- =============================================
+-- Idempotency Keys
+-- Stored responses for retried payment and cart requests
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    idempotency_key VARCHAR(255) NOT NULL,
+    request_method VARCHAR(10) NOT NULL,
+    request_path TEXT NOT NULL,
+    request_hash VARCHAR(64) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'processing',
+    response_status INTEGER,
+    response_headers JSONB,
+    response_body TEXT,
+    locked_until TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+
+    CONSTRAINT idempotency_keys_user_key_unique UNIQUE (user_id, idempotency_key),
+    CONSTRAINT idempotency_keys_status_check CHECK (status IN ('processing', 'completed'))
+);
+
+-- Processing lease; a retry may take over a key whose lease ran out (the first attempt died)
+ALTER TABLE idempotency_keys ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
+
+-- Gift card issue responses are stored without their code; redact the ones stored before that
+UPDATE idempotency_keys
+SET response_body = jsonb_set(response_body::jsonb, '{data,code}', 'null'::jsonb)::text
+WHERE request_method = 'POST'
+  AND request_path ~ '/vr-wallet/gift-cards/?$'
+  AND status = 'completed'
+  AND response_body::jsonb #>> '{data,code}' IS NOT NULL;
+
+-- Delete keys past their replay window (run by the maintenance job). Returns the number deleted.
+CREATE OR REPLACE FUNCTION clean_expired_idempotency_keys()
+RETURNS INTEGER AS $$
+DECLARE
+    deleted_count INTEGER;
+BEGIN
+    DELETE FROM idempotency_keys WHERE expires_at < NOW();
+
+    GET DIAGNOSTICS deleted_count = ROW_COUNT;
+    RETURN deleted_count;
+END;
+$$ language 'plpgsql';
+
+-- Keys are claimed and stored by the API (service role) only
+ALTER TABLE idempotency_keys ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role can manage idempotency keys" ON idempotency_keys;
+CREATE POLICY "Service role can manage idempotency keys" ON idempotency_keys
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+REVOKE EXECUTE ON FUNCTION clean_expired_idempotency_keys() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION clean_expired_idempotency_keys() TO service_role;
+
+-- =============================================
+-- Refunds
+-- Ledger of partial and full refunds with the order lines they return
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS order_refunds (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    amount DECIMAL(10,2) NOT NULL,
+    reason TEXT,
+    method VARCHAR(20) NOT NULL, -- how the money goes back: stripe, cash, store_credit, or split across several
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    source VARCHAR(20) NOT NULL DEFAULT 'staff', -- staff, or stripe for refunds issued from the Stripe dashboard
+    stripe_refund_id VARCHAR(255),
+    processed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    error_message TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE,
+
+    CONSTRAINT order_refunds_amount_check CHECK (amount > 0),
+    CONSTRAINT order_refunds_status_check CHECK (status IN ('pending', 'completed', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_refunds_order_id ON order_refunds(order_id, created_at);
+
+CREATE TABLE IF NOT EXISTS order_refund_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    refund_id UUID NOT NULL REFERENCES order_refunds(id) ON DELETE CASCADE,
+    order_item_id UUID NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL,
+    amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    restock BOOLEAN DEFAULT TRUE,
+
+    CONSTRAINT order_refund_items_quantity_check CHECK (quantity > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_refund_items_refund_id ON order_refund_items(refund_id);
+CREATE INDEX IF NOT EXISTS idx_order_refund_items_order_item_id ON order_refund_items(order_item_id);
+
+-- Sum of completed refunds
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(10,2) DEFAULT 0;
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_payment_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_payment_status_check
+    CHECK (payment_status IN ('pending', 'completed', 'failed', 'partially_refunded', 'refunded', 'disputed'));
+
+-- Open a pending refund. p_items is [{ order_item_id, quantity, restock }]; each line is valued at its
+-- share of what the order was paid (promotions, coupon and tax included). p_amount overrides the
+-- item total and is required when no items are returned. Pending refunds count against the order
+-- total, so concurrent refunds cannot exceed it. The amount is spread over the order's tenders,
+-- card first, then store credit, then cash; refunds reported by Stripe only go to card tenders.
+-- The result carries the split in allocations: [{ payment_id, method, amount, stripe_charge_id }].
+-- With p_to_store_credit the whole refund is paid into the shopper's wallet instead.
+DROP FUNCTION IF EXISTS begin_order_refund(UUID, DECIMAL, TEXT, UUID, JSONB, VARCHAR);
+CREATE OR REPLACE FUNCTION begin_order_refund(
+    p_order_id UUID,
+    p_amount DECIMAL,
+    p_reason TEXT,
+    p_processed_by UUID,
+    p_items JSONB DEFAULT '[]'::jsonb,
+    p_source VARCHAR DEFAULT 'staff',
+    p_to_store_credit BOOLEAN DEFAULT FALSE
+)
+RETURNS JSONB AS $$
+DECLARE
+    order_row orders%ROWTYPE;
+    refund_row order_refunds%ROWTYPE;
+    item_request JSONB;
+    item_row order_items%ROWTYPE;
+    return_quantity INTEGER;
+    returned_quantity INTEGER;
+    lines_net DECIMAL;
+    item_amount DECIMAL;
+    items_amount DECIMAL := 0;
+    refund_amount DECIMAL;
+    already_refunded DECIMAL;
+    payment_row RECORD;
+    tender_held DECIMAL;
+    tender_amount DECIMAL;
+    unallocated DECIMAL;
+    refund_method VARCHAR(20);
+    credit_amount DECIMAL := 0;
+BEGIN
+    SELECT * INTO order_row FROM orders WHERE id = p_order_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'ORDER_NOT_FOUND';
+    END IF;
+
+    IF order_row.payment_status NOT IN ('completed', 'partially_refunded') THEN
+        RAISE EXCEPTION 'ORDER_NOT_REFUNDABLE';
+    END IF;
+
+    SELECT COALESCE(SUM(quantity * unit_price - COALESCE(discount_amount, 0)), 0) INTO lines_net
+    FROM order_items
+    WHERE order_id = p_order_id;
+
+    -- Amount is set once the lines are valued
+    INSERT INTO order_refunds (order_id, amount, reason, method, status, source, processed_by)
+    VALUES (p_order_id, 1, p_reason, order_row.payment_method, 'pending', p_source, p_processed_by)
+    RETURNING * INTO refund_row;
+
+    FOR item_request IN SELECT * FROM jsonb_array_elements(COALESCE(p_items, '[]'::jsonb))
+    LOOP
+        SELECT * INTO item_row
+        FROM order_items
+        WHERE id = (item_request ->> 'order_item_id')::UUID AND order_id = p_order_id;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'ORDER_ITEM_NOT_FOUND';
+        END IF;
+
+        return_quantity := (item_request ->> 'quantity')::INTEGER;
+
+        SELECT COALESCE(SUM(ri.quantity), 0) INTO returned_quantity
+        FROM order_refund_items ri
+        JOIN order_refunds r ON r.id = ri.refund_id
+        WHERE ri.order_item_id = item_row.id AND r.status IN ('pending', 'completed');
+
+        IF return_quantity IS NULL OR return_quantity <= 0 OR returned_quantity + return_quantity > item_row.quantity THEN
+            RAISE EXCEPTION 'RETURN_QUANTITY_EXCEEDED';
+        END IF;
+
+        item_amount := CASE
+            WHEN lines_net > 0 THEN ROUND(
+                (item_row.quantity * item_row.unit_price - COALESCE(item_row.discount_amount, 0))
+                * return_quantity / item_row.quantity
+                * order_row.total_amount / lines_net,
+                2)
+            ELSE 0
+        END;
+
+        INSERT INTO order_refund_items (refund_id, order_item_id, quantity, amount, restock)
+        VALUES (
+            refund_row.id,
+            item_row.id,
+            return_quantity,
+            item_amount,
+            COALESCE((item_request ->> 'restock')::BOOLEAN, TRUE)
+        );
+
+        items_amount := items_amount + item_amount;
+    END LOOP;
+
+    refund_amount := COALESCE(p_amount, items_amount);
+
+    IF refund_amount IS NULL OR refund_amount <= 0 THEN
+        RAISE EXCEPTION 'INVALID_REFUND_AMOUNT';
+    END IF;
+
+    SELECT COALESCE(SUM(amount), 0) INTO already_refunded
+    FROM order_refunds
+    WHERE order_id = p_order_id AND status IN ('pending', 'completed') AND id <> refund_row.id;
+
+    IF already_refunded + refund_amount > order_row.total_amount THEN
+        RAISE EXCEPTION 'REFUND_EXCEEDS_TOTAL:%', GREATEST(order_row.total_amount - already_refunded, 0);
+    END IF;
+
+    unallocated := refund_amount;
+
+    FOR payment_row IN
+        SELECT * FROM order_payments
+        WHERE order_id = p_order_id
+          AND status = 'completed'
+          AND (p_source <> 'stripe' OR method = 'stripe')
+        ORDER BY CASE method WHEN 'stripe' THEN 0 WHEN 'store_credit' THEN 1 ELSE 2 END, created_at
+    LOOP
+        EXIT WHEN unallocated <= 0;
+
+        -- Completed refunds are in refunded_amount; pending ones still hold their share
+        SELECT COALESCE(SUM(rp.amount), 0) INTO tender_held
+        FROM order_refund_payments rp
+        JOIN order_refunds r ON r.id = rp.refund_id
+        WHERE rp.payment_id = payment_row.id AND r.status = 'pending' AND r.id <> refund_row.id;
+
+        tender_amount := LEAST(unallocated, payment_row.amount - COALESCE(payment_row.refunded_amount, 0) - tender_held);
+
+        IF tender_amount > 0 THEN
+            INSERT INTO order_refund_payments (refund_id, payment_id, amount)
+            VALUES (refund_row.id, payment_row.id, tender_amount);
+
+            unallocated := unallocated - tender_amount;
+            credit_amount := credit_amount + CASE WHEN payment_row.method = 'store_credit' THEN tender_amount ELSE 0 END;
+            refund_method := CASE
+                WHEN refund_method IS NULL OR refund_method = payment_row.method THEN payment_row.method
+                ELSE 'split'
+            END;
+        END IF;
+    END LOOP;
+
+    IF unallocated > 0 THEN
+        RAISE EXCEPTION 'REFUND_EXCEEDS_TOTAL:%', refund_amount - unallocated;
+    END IF;
+
+    UPDATE order_refunds
+    SET amount = refund_amount,
+        method = CASE WHEN p_to_store_credit THEN 'store_credit' ELSE COALESCE(refund_method, method) END,
+        store_credit_amount = CASE WHEN p_to_store_credit THEN refund_amount ELSE credit_amount END
+    WHERE id = refund_row.id
+    RETURNING * INTO refund_row;
+
+    RETURN to_jsonb(refund_row) || jsonb_build_object('allocations', (
+        SELECT COALESCE(jsonb_agg(jsonb_build_object(
+            'payment_id', p.id,
+            'method', p.method,
+            'amount', rp.amount,
+            'stripe_charge_id', p.stripe_charge_id
+        ) ORDER BY CASE p.method WHEN 'stripe' THEN 0 WHEN 'store_credit' THEN 1 ELSE 2 END, p.created_at), '[]'::jsonb)
+        FROM order_refund_payments rp
+        JOIN order_payments p ON p.id = rp.payment_id
+        WHERE rp.refund_id = refund_row.id
+    ));
+END;
+$$ language 'plpgsql';
+
+-- Complete a pending refund: put returned lines back on the shelf, pay any store credit share
+-- into the shopper's wallet and update the order's refunded amount and payment status.
+-- Returns the order, or NULL when the refund is not pending.
+CREATE OR REPLACE FUNCTION complete_order_refund(p_refund_id UUID, p_stripe_refund_id VARCHAR DEFAULT NULL)
+RETURNS JSONB AS $$
+DECLARE
+    refund_row order_refunds%ROWTYPE;
+    order_row orders%ROWTYPE;
+BEGIN
+    SELECT * INTO refund_row FROM order_refunds WHERE id = p_refund_id AND status = 'pending' FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    UPDATE order_refunds
+    SET status = 'completed',
+        stripe_refund_id = COALESCE(p_stripe_refund_id, stripe_refund_id),
+        completed_at = NOW()
+    WHERE id = p_refund_id;
+
+    -- Variant stock rolls up to the product through sync_product_stock_from_variants
+    UPDATE product_variants v
+    SET stock_quantity = v.stock_quantity + ri.quantity
+    FROM order_refund_items ri
+    JOIN order_items i ON i.id = ri.order_item_id
+    WHERE ri.refund_id = p_refund_id AND ri.restock AND i.variant_id = v.id;
+
+    UPDATE products p
+    SET stock_quantity = p.stock_quantity + ri.quantity
+    FROM order_refund_items ri
+    JOIN order_items i ON i.id = ri.order_item_id
+    WHERE ri.refund_id = p_refund_id AND ri.restock AND i.variant_id IS NULL AND i.product_id = p.id;
+
+    UPDATE order_payments p
+    SET refunded_amount = COALESCE(p.refunded_amount, 0) + rp.amount
+    FROM order_refund_payments rp
+    WHERE rp.refund_id = p_refund_id AND rp.payment_id = p.id;
+
+    UPDATE orders
+    SET refunded_amount = COALESCE(refunded_amount, 0) + refund_row.amount,
+        payment_status = CASE
+            WHEN COALESCE(refunded_amount, 0) + refund_row.amount >= total_amount THEN 'refunded'
+            ELSE 'partially_refunded'
+        END,
+        updated_at = NOW()
+    WHERE id = refund_row.order_id
+    RETURNING * INTO order_row;
+
+    -- A paid order that is refunded in full has been returned
+    IF order_row.payment_status = 'refunded' AND order_row.status NOT IN ('pending', 'cancelled', 'returned') THEN
+        SELECT * INTO order_row FROM transition_order_status(order_row.id, 'returned', 'system', refund_row.processed_by, 'Order refunded in full');
+    END IF;
+
+    IF COALESCE(refund_row.store_credit_amount, 0) > 0 THEN
+        PERFORM post_store_credit(order_row.user_id, COALESCE(order_row.currency, 'USD'), refund_row.store_credit_amount, 'refund',
+            jsonb_build_object('order_id', order_row.id, 'refund_id', refund_row.id, 'created_by', refund_row.processed_by));
+    END IF;
+
+    RETURN to_jsonb(order_row);
+END;
+$$ language 'plpgsql';
+
+-- Refunds are created and settled by the API (service role) only
+ALTER TABLE order_refunds ENABLE ROW LEVEL SECURITY;
+ALTER TABLE order_refund_items ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role can manage order refunds" ON order_refunds;
+CREATE POLICY "Service role can manage order refunds" ON order_refunds
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+DROP POLICY IF EXISTS "Service role can manage order refund items" ON order_refund_items;
+CREATE POLICY "Service role can manage order refund items" ON order_refund_items
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+REVOKE EXECUTE ON FUNCTION begin_order_refund(UUID, DECIMAL, TEXT, UUID, JSONB, VARCHAR, BOOLEAN) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION complete_order_refund(UUID, VARCHAR) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION begin_order_refund(UUID, DECIMAL, TEXT, UUID, JSONB, VARCHAR, BOOLEAN) TO service_role;
+GRANT EXECUTE ON FUNCTION complete_order_refund(UUID, VARCHAR) TO service_role;
+
+-- =============================================
+-- Sales Tax
+-- Stores in tax regions and the rates charged per region and product category
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS stores (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    code VARCHAR(20) UNIQUE NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    region_code VARCHAR(20) NOT NULL, -- e.g. US-CA; selects the tax rates
+    is_default BOOLEAN DEFAULT FALSE,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Sessions that do not pick a store shop at the default one
+CREATE UNIQUE INDEX IF NOT EXISTS idx_stores_single_default ON stores(is_default) WHERE is_default = TRUE;
+
+DROP TRIGGER IF EXISTS update_stores_updated_at ON stores;
+CREATE TRIGGER update_stores_updated_at
+    BEFORE UPDATE ON stores
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- A rate with no category is the region default. Rates of the same region and category stack;
+-- an exempt row makes the category tax-free in that region.
+CREATE TABLE IF NOT EXISTS tax_rates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    region_code VARCHAR(20) NOT NULL,
+    category_id UUID REFERENCES categories(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL, -- shown on receipts, e.g. "CA state sales tax"
+    rate DECIMAL(6,5) NOT NULL DEFAULT 0,
+    is_exempt BOOLEAN DEFAULT FALSE,
+    is_active BOOLEAN DEFAULT TRUE,
+    effective_from TIMESTAMP WITH TIME ZONE,
+    effective_until TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT tax_rates_rate_check CHECK (rate >= 0 AND rate < 1)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tax_rates_region ON tax_rates(region_code, category_id) WHERE is_active = TRUE;
+
+DROP TRIGGER IF EXISTS update_tax_rates_updated_at ON tax_rates;
+CREATE TRIGGER update_tax_rates_updated_at
+    BEFORE UPDATE ON tax_rates
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE shopping_sessions ADD COLUMN IF NOT EXISTS store_id UUID REFERENCES stores(id);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS store_id UUID REFERENCES stores(id);
+
+-- Per-rate totals: [{ taxRateId, name, rate, taxableAmount, taxAmount }]
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS tax_breakdown JSONB DEFAULT '[]';
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS tax_amount DECIMAL(10,2) DEFAULT 0;
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS tax_breakdown JSONB DEFAULT '[]';
+
+-- The rate every order used before regional rates
+INSERT INTO stores (code, name, region_code, is_default)
+VALUES ('VR-MAIN', 'VR Supermarket', 'DEFAULT', TRUE)
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO tax_rates (region_code, name, rate)
+SELECT 'DEFAULT', 'Sales tax', 0.08
+WHERE NOT EXISTS (SELECT 1 FROM tax_rates WHERE region_code = 'DEFAULT');
+
+-- Stores and rates are read and managed through the API (service role)
+ALTER TABLE stores ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tax_rates ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role can manage stores" ON stores;
+CREATE POLICY "Service role can manage stores" ON stores
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+DROP POLICY IF EXISTS "Service role can manage tax rates" ON tax_rates;
+CREATE POLICY "Service role can manage tax rates" ON tax_rates
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+-- =============================================
+-- Currencies
+-- Store and shopper currencies, exchange rates and local price lists
+-- =============================================
+
+-- Catalog prices, promotions and coupons are in the base currency (BASE_CURRENCY).
+-- A rate converts them into another currency; rates are maintained here, not fetched.
+CREATE TABLE IF NOT EXISTS currency_rates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    base_currency CHAR(3) NOT NULL DEFAULT 'USD',
+    quote_currency CHAR(3) NOT NULL,
+    rate DECIMAL(18,8) NOT NULL, -- units of quote currency per unit of base currency
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT currency_rates_pair_unique UNIQUE (base_currency, quote_currency),
+    CONSTRAINT currency_rates_rate_check CHECK (rate > 0)
+);
+
+DROP TRIGGER IF EXISTS update_currency_rates_updated_at ON currency_rates;
+CREATE TRIGGER update_currency_rates_updated_at
+    BEFORE UPDATE ON currency_rates
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Price list entries override the converted price of a product, or of one of its variants
+CREATE TABLE IF NOT EXISTS product_prices (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    variant_id UUID REFERENCES product_variants(id) ON DELETE CASCADE,
+    currency CHAR(3) NOT NULL,
+    price DECIMAL(12,3) NOT NULL,
+    discount_price DECIMAL(12,3),
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT product_prices_price_check CHECK (price >= 0 AND (discount_price IS NULL OR discount_price >= 0))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_product_prices_unique
+    ON product_prices(product_id, COALESCE(variant_id, '00000000-0000-0000-0000-000000000000'::UUID), currency);
+
+DROP TRIGGER IF EXISTS update_product_prices_updated_at ON product_prices;
+CREATE TRIGGER update_product_prices_updated_at
+    BEFORE UPDATE ON product_prices
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS currency CHAR(3) DEFAULT 'USD';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS preferred_currency CHAR(3);
+
+-- A session keeps the currency it started in, so prices do not change under the shopper
+ALTER TABLE shopping_sessions ADD COLUMN IF NOT EXISTS currency CHAR(3) DEFAULT 'USD';
+
+-- Order amounts are in the order currency; exchange_rate is the base-currency rate used at checkout
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS currency CHAR(3) DEFAULT 'USD';
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS exchange_rate DECIMAL(18,8) DEFAULT 1;
+
+-- Rates and price lists are read and managed through the API (service role)
+ALTER TABLE currency_rates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE product_prices ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role can manage currency rates" ON currency_rates;
+CREATE POLICY "Service role can manage currency rates" ON currency_rates
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+DROP POLICY IF EXISTS "Service role can manage product prices" ON product_prices;
+CREATE POLICY "Service role can manage product prices" ON product_prices
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+-- =============================================
+-- Split Tender
+-- Orders paid with several tenders (e.g. cash plus card) against a running balance
+-- =============================================
+
+-- One row per tender. amount is what the tender pays towards the order; cash handed over
+-- beyond it is returned as change. A pending card tender holds its amount until the
+-- payment intent succeeds or is cancelled.
+CREATE TABLE IF NOT EXISTS order_payments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    method VARCHAR(20) NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    cash_received DECIMAL(10,2),
+    change_given DECIMAL(10,2),
+    payment_intent_id VARCHAR(255),
+    stripe_charge_id VARCHAR(255),
+    refunded_amount DECIMAL(10,2) DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE,
+
+    CONSTRAINT order_payments_amount_check CHECK (amount >= 0),
+    CONSTRAINT order_payments_method_check CHECK (method IN ('cash', 'stripe')),
+    CONSTRAINT order_payments_status_check CHECK (status IN ('pending', 'completed', 'failed', 'cancelled', 'refunded'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_payments_order_id ON order_payments(order_id, created_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_order_payments_payment_intent
+    ON order_payments(payment_intent_id) WHERE payment_intent_id IS NOT NULL;
+
+-- How much of each refund goes back on each tender
+CREATE TABLE IF NOT EXISTS order_refund_payments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    refund_id UUID NOT NULL REFERENCES order_refunds(id) ON DELETE CASCADE,
+    payment_id UUID NOT NULL REFERENCES order_payments(id) ON DELETE CASCADE,
+    amount DECIMAL(10,2) NOT NULL,
+
+    CONSTRAINT order_refund_payments_amount_check CHECK (amount > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_refund_payments_refund_id ON order_refund_payments(refund_id);
+CREATE INDEX IF NOT EXISTS idx_order_refund_payments_payment_id ON order_refund_payments(payment_id);
+
+-- Sum of completed tenders; the balance due is total_amount - amount_paid
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS amount_paid DECIMAL(10,2) DEFAULT 0;
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_payment_method_check;
+ALTER TABLE orders ADD CONSTRAINT orders_payment_method_check
+    CHECK (payment_method IN ('cash', 'stripe', 'split'));
+
+-- Count a completed tender towards its order. The order is paid once its tenders cover the total.
+CREATE OR REPLACE FUNCTION apply_order_payment(p_order_id UUID, p_amount DECIMAL, p_receipt JSONB DEFAULT NULL)
+RETURNS orders AS $$
+DECLARE
+    order_row orders%ROWTYPE;
+BEGIN
+    UPDATE orders
+    SET amount_paid = COALESCE(amount_paid, 0) + p_amount,
+        payment_status = CASE
+            WHEN COALESCE(amount_paid, 0) + p_amount >= total_amount THEN 'completed'
+            ELSE 'pending'
+        END,
+        receipt_data = COALESCE(receipt_data, '{}'::jsonb) || COALESCE(p_receipt, '{}'::jsonb),
+        updated_at = NOW()
+    WHERE id = p_order_id
+    RETURNING * INTO order_row;
+
+    IF order_row.payment_status = 'completed' AND order_row.status = 'pending' THEN
+        SELECT * INTO order_row FROM transition_order_status(order_row.id, 'paid', 'system', NULL, 'Payment completed');
+    END IF;
+
+    RETURN order_row;
+END;
+$$ language 'plpgsql';
+
+-- Add a tender to an unpaid order. p_details carries cash_received, change_given,
+-- payment_intent_id and stripe_charge_id, plus receipt (merged into orders.receipt_data when
+-- the tender completes). Pending and completed tenders together can never exceed the total.
+-- Returns { payment, order }.
+CREATE OR REPLACE FUNCTION add_order_payment(
+    p_order_id UUID,
+    p_method VARCHAR,
+    p_amount DECIMAL,
+    p_status VARCHAR DEFAULT 'completed',
+    p_details JSONB DEFAULT '{}'::jsonb
+)
+RETURNS JSONB AS $$
+DECLARE
+    order_row orders%ROWTYPE;
+    payment_row order_payments%ROWTYPE;
+    held DECIMAL;
+BEGIN
+    SELECT * INTO order_row FROM orders WHERE id = p_order_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'ORDER_NOT_FOUND';
+    END IF;
+
+    IF order_row.status = 'cancelled' OR order_row.payment_status NOT IN ('pending', 'failed') THEN
+        RAISE EXCEPTION 'ORDER_ALREADY_PAID';
+    END IF;
+
+    -- Only an order with nothing to pay takes a zero tender
+    IF p_amount IS NULL OR p_amount < 0 OR (p_amount = 0 AND order_row.total_amount > 0) THEN
+        RAISE EXCEPTION 'INVALID_PAYMENT_AMOUNT';
+    END IF;
+
+    SELECT COALESCE(SUM(amount), 0) INTO held
+    FROM order_payments
+    WHERE order_id = p_order_id AND status IN ('pending', 'completed');
+
+    IF held + p_amount > order_row.total_amount THEN
+        RAISE EXCEPTION 'PAYMENT_EXCEEDS_BALANCE:%', GREATEST(order_row.total_amount - held, 0);
+    END IF;
+
+    INSERT INTO order_payments (
+        order_id, method, amount, status, cash_received, change_given,
+        payment_intent_id, stripe_charge_id, completed_at
+    )
+    VALUES (
+        p_order_id,
+        p_method,
+        p_amount,
+        p_status,
+        (p_details ->> 'cash_received')::DECIMAL,
+        (p_details ->> 'change_given')::DECIMAL,
+        p_details ->> 'payment_intent_id',
+        p_details ->> 'stripe_charge_id',
+        CASE WHEN p_status = 'completed' THEN NOW() END
+    )
+    RETURNING * INTO payment_row;
+
+    IF p_status = 'completed' THEN
+        order_row := apply_order_payment(p_order_id, payment_row.amount, p_details -> 'receipt');
+    END IF;
+
+    RETURN jsonb_build_object('payment', to_jsonb(payment_row), 'order', to_jsonb(order_row));
+END;
+$$ language 'plpgsql';
+
+-- Complete a pending tender (a card payment that succeeded). Returns { payment, order },
+-- or NULL when the tender is no longer pending, so the client confirmation and the webhook
+-- can both call it and only one of them applies the payment. A declined tender keeps its
+-- intent open until it is replaced, so a retry on that intent can still complete it.
+CREATE OR REPLACE FUNCTION complete_order_payment(p_payment_id UUID, p_details JSONB DEFAULT '{}'::jsonb)
+RETURNS JSONB AS $$
+DECLARE
+    payment_row order_payments%ROWTYPE;
+    order_row orders%ROWTYPE;
+BEGIN
+    SELECT * INTO payment_row FROM order_payments WHERE id = p_payment_id AND status IN ('pending', 'failed') FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    UPDATE order_payments
+    SET status = 'completed',
+        stripe_charge_id = COALESCE(p_details ->> 'stripe_charge_id', stripe_charge_id),
+        completed_at = NOW()
+    WHERE id = p_payment_id
+    RETURNING * INTO payment_row;
+
+    order_row := apply_order_payment(payment_row.order_id, payment_row.amount, p_details -> 'receipt');
+
+    RETURN jsonb_build_object('payment', to_jsonb(payment_row), 'order', to_jsonb(order_row));
+END;
+$$ language 'plpgsql';
+
+-- Orders paid before tenders were recorded get one tender for their total, and
+-- in-flight card payments a pending one, so refunds and confirmations find them
+INSERT INTO order_payments (
+    order_id, method, amount, status, cash_received, change_given,
+    payment_intent_id, stripe_charge_id, refunded_amount, created_at, completed_at
+)
+SELECT
+    o.id,
+    o.payment_method,
+    o.total_amount,
+    CASE WHEN o.payment_status IN ('pending', 'failed') THEN 'pending' ELSE 'completed' END,
+    (o.receipt_data ->> 'cash_received')::DECIMAL,
+    (o.receipt_data ->> 'change_given')::DECIMAL,
+    o.payment_intent_id,
+    o.receipt_data ->> 'stripe_charge_id',
+    COALESCE(o.refunded_amount, 0),
+    o.created_at,
+    CASE WHEN o.payment_status IN ('pending', 'failed') THEN NULL ELSE o.updated_at END
+FROM orders o
+WHERE o.payment_method IN ('cash', 'stripe')
+  AND (
+      o.payment_status IN ('completed', 'partially_refunded', 'refunded', 'disputed')
+      OR (o.payment_status IN ('pending', 'failed') AND o.status <> 'cancelled' AND o.payment_intent_id IS NOT NULL)
+  )
+  AND NOT EXISTS (SELECT 1 FROM order_payments p WHERE p.order_id = o.id);
+
+UPDATE orders
+SET amount_paid = total_amount
+WHERE payment_status IN ('completed', 'partially_refunded', 'refunded', 'disputed')
+  AND COALESCE(amount_paid, 0) = 0;
+
+-- Tenders are recorded and completed by the API (service role) only
+ALTER TABLE order_payments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE order_refund_payments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role can manage order payments" ON order_payments;
+CREATE POLICY "Service role can manage order payments" ON order_payments
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+DROP POLICY IF EXISTS "Service role can manage order refund payments" ON order_refund_payments;
+CREATE POLICY "Service role can manage order refund payments" ON order_refund_payments
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+REVOKE EXECUTE ON FUNCTION apply_order_payment(UUID, DECIMAL, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION add_order_payment(UUID, VARCHAR, DECIMAL, VARCHAR, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION complete_order_payment(UUID, JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION apply_order_payment(UUID, DECIMAL, JSONB) TO service_role;
+GRANT EXECUTE ON FUNCTION add_order_payment(UUID, VARCHAR, DECIMAL, VARCHAR, JSONB) TO service_role;
+GRANT EXECUTE ON FUNCTION complete_order_payment(UUID, JSONB) TO service_role;
+
+-- =============================================
+-- Gift Cards and Store Credit
+-- Prepaid gift cards, a store credit wallet per user and the ledger behind both
+-- =============================================
+
+-- The code is only shown when the card is issued; lookups hash what the shopper types
+CREATE TABLE IF NOT EXISTS gift_cards (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    code_hash VARCHAR(64) UNIQUE NOT NULL, -- SHA-256 of the normalized code
+    code_last4 VARCHAR(4) NOT NULL,
+    currency CHAR(3) NOT NULL DEFAULT 'USD',
+    initial_amount DECIMAL(10,2) NOT NULL,
+    balance DECIMAL(10,2) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    issued_by UUID REFERENCES users(id),
+    redeemed_by UUID REFERENCES users(id),
+    note TEXT,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    redeemed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT gift_cards_amount_check CHECK (initial_amount > 0 AND balance >= 0),
+    CONSTRAINT gift_cards_status_check CHECK (status IN ('active', 'redeemed', 'disabled'))
+);
+
+DROP TRIGGER IF EXISTS update_gift_cards_updated_at ON gift_cards;
+CREATE TRIGGER update_gift_cards_updated_at
+    BEFORE UPDATE ON gift_cards
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- One wallet per user and currency
+CREATE TABLE IF NOT EXISTS store_credit_accounts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id),
+    currency CHAR(3) NOT NULL DEFAULT 'USD',
+    balance DECIMAL(10,2) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT store_credit_accounts_user_currency_unique UNIQUE (user_id, currency),
+    CONSTRAINT store_credit_accounts_balance_check CHECK (balance >= 0)
+);
+
+DROP TRIGGER IF EXISTS update_store_credit_accounts_updated_at ON store_credit_accounts;
+CREATE TRIGGER update_store_credit_accounts_updated_at
+    BEFORE UPDATE ON store_credit_accounts
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Every change to a gift card or wallet balance. Rows are never changed or removed:
+-- a balance is the sum of its rows, and balance_after records it after each one.
+CREATE TABLE IF NOT EXISTS balance_transactions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    gift_card_id UUID REFERENCES gift_cards(id),
+    account_id UUID REFERENCES store_credit_accounts(id),
+    type VARCHAR(30) NOT NULL, -- issue, redeem, gift_card, payment, refund, reversal
+    amount DECIMAL(10,2) NOT NULL, -- positive adds to the balance, negative takes from it
+    balance_after DECIMAL(10,2) NOT NULL,
+    currency CHAR(3) NOT NULL,
+    order_id UUID REFERENCES orders(id),
+    payment_id UUID REFERENCES order_payments(id),
+    refund_id UUID REFERENCES order_refunds(id),
+    created_by UUID REFERENCES users(id),
+    note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT balance_transactions_owner_check CHECK ((gift_card_id IS NULL) <> (account_id IS NULL)),
+    CONSTRAINT balance_transactions_amount_check CHECK (amount <> 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_balance_transactions_account ON balance_transactions(account_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_balance_transactions_gift_card ON balance_transactions(gift_card_id, created_at DESC);
+
+CREATE OR REPLACE FUNCTION prevent_ledger_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'LEDGER_IMMUTABLE';
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS balance_transactions_immutable ON balance_transactions;
+CREATE TRIGGER balance_transactions_immutable
+    BEFORE UPDATE OR DELETE ON balance_transactions
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_ledger_changes();
+
+DROP TRIGGER IF EXISTS balance_transactions_no_truncate ON balance_transactions;
+CREATE TRIGGER balance_transactions_no_truncate
+    BEFORE TRUNCATE ON balance_transactions
+    FOR EACH STATEMENT
+    EXECUTE FUNCTION prevent_ledger_changes();
+
+-- Store credit is a tender, and refunds can be paid into the wallet
+ALTER TABLE order_payments DROP CONSTRAINT IF EXISTS order_payments_method_check;
+ALTER TABLE order_payments ADD CONSTRAINT order_payments_method_check
+    CHECK (method IN ('cash', 'stripe', 'store_credit'));
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_payment_method_check;
+ALTER TABLE orders ADD CONSTRAINT orders_payment_method_check
+    CHECK (payment_method IN ('cash', 'stripe', 'split', 'store_credit'));
+
+-- Part of a refund that goes into the shopper's wallet
+ALTER TABLE order_refunds ADD COLUMN IF NOT EXISTS store_credit_amount DECIMAL(10,2) DEFAULT 0;
+
+-- Add to (positive p_amount) or take from a user's wallet and write the ledger row.
+-- p_details carries order_id, payment_id, refund_id, created_by and note. Returns the ledger row.
+CREATE OR REPLACE FUNCTION post_store_credit(
+    p_user_id UUID,
+    p_currency VARCHAR,
+    p_amount DECIMAL,
+    p_type VARCHAR,
+    p_details JSONB DEFAULT '{}'::jsonb
+)
+RETURNS JSONB AS $$
+DECLARE
+    account_row store_credit_accounts%ROWTYPE;
+    transaction_row balance_transactions%ROWTYPE;
+BEGIN
+    INSERT INTO store_credit_accounts (user_id, currency)
+    VALUES (p_user_id, p_currency)
+    ON CONFLICT (user_id, currency) DO NOTHING;
+
+    SELECT * INTO account_row
+    FROM store_credit_accounts
+    WHERE user_id = p_user_id AND currency = p_currency
+    FOR UPDATE;
+
+    IF account_row.balance + p_amount < 0 THEN
+        RAISE EXCEPTION 'INSUFFICIENT_STORE_CREDIT:%', account_row.balance;
+    END IF;
+
+    UPDATE store_credit_accounts
+    SET balance = balance + p_amount
+    WHERE id = account_row.id
+    RETURNING * INTO account_row;
+
+    INSERT INTO balance_transactions (
+        account_id, type, amount, balance_after, currency,
+        order_id, payment_id, refund_id, created_by, note
+    )
+    VALUES (
+        account_row.id,
+        p_type,
+        p_amount,
+        account_row.balance,
+        p_currency,
+        (p_details ->> 'order_id')::UUID,
+        (p_details ->> 'payment_id')::UUID,
+        (p_details ->> 'refund_id')::UUID,
+        (p_details ->> 'created_by')::UUID,
+        p_details ->> 'note'
+    )
+    RETURNING * INTO transaction_row;
+
+    RETURN to_jsonb(transaction_row);
+END;
+$$ language 'plpgsql';
+
+-- Issue a gift card with its opening ledger row
+CREATE OR REPLACE FUNCTION issue_gift_card(
+    p_code_hash VARCHAR,
+    p_code_last4 VARCHAR,
+    p_amount DECIMAL,
+    p_currency VARCHAR,
+    p_issued_by UUID,
+    p_expires_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_note TEXT DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+    card_row gift_cards%ROWTYPE;
+BEGIN
+    INSERT INTO gift_cards (code_hash, code_last4, currency, initial_amount, balance, issued_by, expires_at, note)
+    VALUES (p_code_hash, p_code_last4, p_currency, p_amount, p_amount, p_issued_by, p_expires_at, p_note)
+    RETURNING * INTO card_row;
+
+    INSERT INTO balance_transactions (gift_card_id, type, amount, balance_after, currency, created_by, note)
+    VALUES (card_row.id, 'issue', p_amount, p_amount, p_currency, p_issued_by, p_note);
+
+    RETURN to_jsonb(card_row) - 'code_hash';
+END;
+$$ language 'plpgsql';
+
+-- Move the whole balance of a gift card into the redeeming user's wallet.
+-- Returns { gift_card, transaction } with the wallet's ledger row.
+CREATE OR REPLACE FUNCTION redeem_gift_card(p_code_hash VARCHAR, p_user_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+    card_row gift_cards%ROWTYPE;
+    redeemed DECIMAL;
+    credit JSONB;
+BEGIN
+    SELECT * INTO card_row FROM gift_cards WHERE code_hash = p_code_hash FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'GIFT_CARD_NOT_FOUND';
+    END IF;
+
+    IF card_row.status = 'disabled' THEN
+        RAISE EXCEPTION 'GIFT_CARD_DISABLED';
+    END IF;
+
+    IF card_row.status = 'redeemed' OR card_row.balance <= 0 THEN
+        RAISE EXCEPTION 'GIFT_CARD_REDEEMED';
+    END IF;
+
+    IF card_row.expires_at IS NOT NULL AND card_row.expires_at <= NOW() THEN
+        RAISE EXCEPTION 'GIFT_CARD_EXPIRED';
+    END IF;
+
+    redeemed := card_row.balance;
+
+    UPDATE gift_cards
+    SET balance = 0,
+        status = 'redeemed',
+        redeemed_by = p_user_id,
+        redeemed_at = NOW()
+    WHERE id = card_row.id
+    RETURNING * INTO card_row;
+
+    INSERT INTO balance_transactions (gift_card_id, type, amount, balance_after, currency, created_by)
+    VALUES (card_row.id, 'redeem', -redeemed, 0, card_row.currency, p_user_id);
+
+    credit := post_store_credit(p_user_id, card_row.currency, redeemed, 'gift_card', jsonb_build_object(
+        'created_by', p_user_id,
+        'note', 'Gift card ending ' || card_row.code_last4
+    ));
+
+    RETURN jsonb_build_object('gift_card', to_jsonb(card_row) - 'code_hash', 'transaction', credit);
+END;
+$$ language 'plpgsql';
+
+-- Pay towards an order from the owner's wallet: the tender and the wallet debit are one transaction.
+-- Returns { payment, order, transaction }.
+CREATE OR REPLACE FUNCTION pay_with_store_credit(p_order_id UUID, p_user_id UUID, p_amount DECIMAL)
+RETURNS JSONB AS $$
+DECLARE
+    order_row orders%ROWTYPE;
+    result JSONB;
+    debit JSONB;
+BEGIN
+    SELECT * INTO order_row FROM orders WHERE id = p_order_id AND user_id = p_user_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'ORDER_NOT_FOUND';
+    END IF;
+
+    result := add_order_payment(p_order_id, 'store_credit', p_amount, 'completed',
+        jsonb_build_object('receipt', jsonb_build_object('processed_at', NOW())));
+
+    debit := post_store_credit(p_user_id, COALESCE(order_row.currency, 'USD'), -p_amount, 'payment', jsonb_build_object(
+        'order_id', p_order_id,
+        'payment_id', result -> 'payment' ->> 'id',
+        'created_by', p_user_id
+    ));
+
+    RETURN result || jsonb_build_object('transaction', debit);
+END;
+$$ language 'plpgsql';
+
+-- Give back the cash and store credit tenders of a cancelled order.
+-- Returns { cash_returned, store_credit_returned }.
+CREATE OR REPLACE FUNCTION return_order_payments(p_order_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+    order_row orders%ROWTYPE;
+    payment_row order_payments%ROWTYPE;
+    cash_returned DECIMAL := 0;
+    credit_returned DECIMAL := 0;
+BEGIN
+    SELECT * INTO order_row FROM orders WHERE id = p_order_id FOR UPDATE;
+
+    FOR payment_row IN
+        SELECT * FROM order_payments
+        WHERE order_id = p_order_id AND status = 'completed' AND method IN ('cash', 'store_credit')
+        FOR UPDATE
+    LOOP
+        UPDATE order_payments
+        SET status = 'refunded', refunded_amount = amount
+        WHERE id = payment_row.id;
+
+        IF payment_row.method = 'store_credit' AND payment_row.amount > 0 THEN
+            PERFORM post_store_credit(order_row.user_id, COALESCE(order_row.currency, 'USD'), payment_row.amount, 'reversal',
+                jsonb_build_object('order_id', p_order_id, 'payment_id', payment_row.id, 'note', 'Order cancelled'));
+            credit_returned := credit_returned + payment_row.amount;
+        ELSIF payment_row.method = 'cash' THEN
+            cash_returned := cash_returned + payment_row.amount;
+        END IF;
+    END LOOP;
+
+    RETURN jsonb_build_object('cash_returned', cash_returned, 'store_credit_returned', credit_returned);
+END;
+$$ language 'plpgsql';
+
+-- Balances move only through the API (service role); clients cannot read wallets or call these directly
+ALTER TABLE gift_cards ENABLE ROW LEVEL SECURITY;
+ALTER TABLE store_credit_accounts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE balance_transactions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role can manage gift cards" ON gift_cards;
+CREATE POLICY "Service role can manage gift cards" ON gift_cards
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+DROP POLICY IF EXISTS "Service role can manage store credit accounts" ON store_credit_accounts;
+CREATE POLICY "Service role can manage store credit accounts" ON store_credit_accounts
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+DROP POLICY IF EXISTS "Service role can manage balance transactions" ON balance_transactions;
+CREATE POLICY "Service role can manage balance transactions" ON balance_transactions
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+REVOKE EXECUTE ON FUNCTION post_store_credit(UUID, VARCHAR, DECIMAL, VARCHAR, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION issue_gift_card(VARCHAR, VARCHAR, DECIMAL, VARCHAR, UUID, TIMESTAMP WITH TIME ZONE, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION redeem_gift_card(VARCHAR, UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION pay_with_store_credit(UUID, UUID, DECIMAL) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION return_order_payments(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION post_store_credit(UUID, VARCHAR, DECIMAL, VARCHAR, JSONB) TO service_role;
+GRANT EXECUTE ON FUNCTION issue_gift_card(VARCHAR, VARCHAR, DECIMAL, VARCHAR, UUID, TIMESTAMP WITH TIME ZONE, TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION redeem_gift_card(VARCHAR, UUID) TO service_role;
+GRANT EXECUTE ON FUNCTION pay_with_store_credit(UUID, UUID, DECIMAL) TO service_role;
+GRANT EXECUTE ON FUNCTION return_order_payments(UUID) TO service_role;
+
+-- =============================================
+-- Order Lifecycle
+-- Order statuses, the transitions allowed between them and the history of every change
+-- =============================================
+
+-- pending -> paid -> picking -> ready_for_pickup | shipped -> delivered, plus cancelled
+-- (unpaid orders) and returned (paid orders refunded in full). performed_by says who may
+-- make the move: system (payments and refunds), customer or staff (fulfillment).
+CREATE TABLE IF NOT EXISTS order_status_transitions (
+    from_status VARCHAR(20) NOT NULL,
+    to_status VARCHAR(20) NOT NULL,
+    performed_by VARCHAR(20) NOT NULL,
+
+    PRIMARY KEY (from_status, to_status, performed_by),
+    CONSTRAINT order_status_transitions_performed_by_check CHECK (performed_by IN ('system', 'customer', 'staff'))
+);
+
+INSERT INTO order_status_transitions (from_status, to_status, performed_by) VALUES
+    ('pending', 'paid', 'system'),
+    ('pending', 'cancelled', 'customer'),
+    ('pending', 'cancelled', 'system'),
+    ('paid', 'picking', 'staff'),
+    ('picking', 'ready_for_pickup', 'staff'),
+    ('picking', 'shipped', 'staff'),
+    ('ready_for_pickup', 'delivered', 'staff'),
+    ('shipped', 'delivered', 'staff'),
+    ('paid', 'returned', 'system'),
+    ('picking', 'returned', 'system'),
+    ('ready_for_pickup', 'returned', 'system'),
+    ('shipped', 'returned', 'system'),
+    ('delivered', 'returned', 'system')
+ON CONFLICT DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS order_status_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    from_status VARCHAR(20), -- NULL for the order being placed
+    to_status VARCHAR(20) NOT NULL,
+    source VARCHAR(20) NOT NULL,
+    changed_by UUID REFERENCES users(id),
+    note TEXT,
+    details JSONB DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT order_status_history_source_check CHECK (source IN ('system', 'customer', 'staff'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order_id ON order_status_history(order_id, created_at);
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_carrier VARCHAR(100);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS tracking_number VARCHAR(100);
+
+-- Orders paid before the lifecycle existed were left 'processing'
+UPDATE orders
+SET status = CASE
+    WHEN payment_status = 'refunded' THEN 'returned'
+    WHEN payment_status IN ('completed', 'partially_refunded', 'disputed') THEN 'paid'
+    ELSE 'pending'
+END
+WHERE status NOT IN ('pending', 'paid', 'picking', 'ready_for_pickup', 'shipped', 'delivered', 'cancelled', 'returned');
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check
+    CHECK (status IN ('pending', 'paid', 'picking', 'ready_for_pickup', 'shipped', 'delivered', 'cancelled', 'returned'));
+
+CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status, created_at);
+
+-- Every order starts its history when it is placed
+CREATE OR REPLACE FUNCTION record_order_placed()
+RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO order_status_history (order_id, from_status, to_status, source, changed_by, note)
+    VALUES (NEW.id, NULL, NEW.status, 'customer', NEW.user_id, 'Order placed');
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS record_order_placed ON orders;
+CREATE TRIGGER record_order_placed AFTER INSERT ON orders
+    FOR EACH ROW EXECUTE FUNCTION record_order_placed();
+
+-- Orders placed before the history existed start from their current status
+INSERT INTO order_status_history (order_id, from_status, to_status, source, note, created_at)
+SELECT o.id, NULL, o.status, 'system', 'Status when order history was introduced', o.updated_at
+FROM orders o
+WHERE NOT EXISTS (SELECT 1 FROM order_status_history h WHERE h.order_id = o.id);
+
+-- Move an order to another status if p_source may make that move from its current one,
+-- and record it. p_details carries carrier and tracking_number for shipped orders.
+-- Raises ORDER_NOT_FOUND or INVALID_ORDER_TRANSITION:from:to.
+CREATE OR REPLACE FUNCTION transition_order_status(
+    p_order_id UUID,
+    p_to_status VARCHAR,
+    p_source VARCHAR DEFAULT 'system',
+    p_changed_by UUID DEFAULT NULL,
+    p_note TEXT DEFAULT NULL,
+    p_details JSONB DEFAULT '{}'::jsonb
+)
+RETURNS orders AS $$
+DECLARE
+    order_row orders%ROWTYPE;
+    previous_status VARCHAR;
+BEGIN
+    SELECT * INTO order_row FROM orders WHERE id = p_order_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'ORDER_NOT_FOUND';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM order_status_transitions
+        WHERE from_status = order_row.status AND to_status = p_to_status AND performed_by = p_source
+    ) THEN
+        RAISE EXCEPTION 'INVALID_ORDER_TRANSITION:%:%', order_row.status, p_to_status;
+    END IF;
+
+    previous_status := order_row.status;
+
+    UPDATE orders
+    SET status = p_to_status,
+        shipping_carrier = COALESCE(p_details ->> 'carrier', shipping_carrier),
+        tracking_number = COALESCE(p_details ->> 'tracking_number', tracking_number),
+        updated_at = NOW()
+    WHERE id = p_order_id
+    RETURNING * INTO order_row;
+
+    INSERT INTO order_status_history (order_id, from_status, to_status, source, changed_by, note, details)
+    VALUES (p_order_id, previous_status, p_to_status, p_source, p_changed_by, p_note, COALESCE(p_details, '{}'::jsonb));
+
+    RETURN order_row;
+END;
+$$ language 'plpgsql';
+
+-- Status changes go through the API (service role), which checks who may make them
+ALTER TABLE order_status_transitions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE order_status_history ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role can manage order status transitions" ON order_status_transitions;
+CREATE POLICY "Service role can manage order status transitions" ON order_status_transitions
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+DROP POLICY IF EXISTS "Service role can manage order status history" ON order_status_history;
+CREATE POLICY "Service role can manage order status history" ON order_status_history
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+-- Cancel an unpaid order in one transaction: the status change, its stock, its coupon use and
+-- the cash and store credit already paid towards it go back together or not at all, so a failed
+-- cancellation can simply be retried. Card payments are released by the API before this runs.
+-- Returns { order, cash_returned, store_credit_returned }
+CREATE OR REPLACE FUNCTION cancel_order(
+    p_order_id UUID,
+    p_source VARCHAR DEFAULT 'customer',
+    p_changed_by UUID DEFAULT NULL,
+    p_reason TEXT DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+    order_row orders%ROWTYPE;
+    returned JSONB;
+BEGIN
+    SELECT * INTO order_row FROM transition_order_status(p_order_id, 'cancelled', p_source, p_changed_by, p_reason);
+
+    UPDATE orders
+    SET payment_status = 'failed',
+        receipt_data = COALESCE(receipt_data, '{}'::jsonb) || jsonb_build_object(
+            'cancellation_reason', p_reason,
+            'cancelled_at', NOW()
+        ),
+        updated_at = NOW()
+    WHERE id = p_order_id
+    RETURNING * INTO order_row;
+
+    PERFORM restock_order(p_order_id);
+    PERFORM release_coupon_redemption(p_order_id);
+    returned := return_order_payments(p_order_id);
+
+    RETURN jsonb_build_object('order', to_jsonb(order_row)) || returned;
+END;
+$$ language 'plpgsql';
+
+REVOKE EXECUTE ON FUNCTION transition_order_status(UUID, VARCHAR, VARCHAR, UUID, TEXT, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION cancel_order(UUID, VARCHAR, UUID, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION transition_order_status(UUID, VARCHAR, VARCHAR, UUID, TEXT, JSONB) TO service_role;
+GRANT EXECUTE ON FUNCTION cancel_order(UUID, VARCHAR, UUID, TEXT) TO service_role;
+
+-- =============================================
+-- Saved Carts
+-- A cart per user that outlives sessions and devices, and a save-for-later list
+-- =============================================
+
+-- list 'cart' mirrors the lines of the user's active session and is restored into the next
+-- session; list 'saved' holds lines set aside for later. unit_price and currency are the
+-- price when the line was last saved, so a restore can report what changed.
+CREATE TABLE IF NOT EXISTS saved_cart_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    list VARCHAR(20) NOT NULL DEFAULT 'cart',
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    variant_id UUID REFERENCES product_variants(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL,
+    unit_price DECIMAL(10,2),
+    currency VARCHAR(3),
+    added_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT saved_cart_items_list_check CHECK (list IN ('cart', 'saved')),
+    CONSTRAINT saved_cart_items_quantity_check CHECK (quantity > 0)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_saved_cart_items_user_line
+ON saved_cart_items(user_id, list, product_id, COALESCE(variant_id, '00000000-0000-0000-0000-000000000000'::uuid));
+
+DROP TRIGGER IF EXISTS update_saved_cart_items_updated_at ON saved_cart_items;
+CREATE TRIGGER update_saved_cart_items_updated_at BEFORE UPDATE ON saved_cart_items
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Keep the user's saved cart in step with the cart of their active session. Lines of ended
+-- sessions are left alone, so abandoning a session keeps its lines for the next one, while
+-- checkout and clearing the cart (which delete active lines) empty it.
+CREATE OR REPLACE FUNCTION sync_saved_cart()
+RETURNS TRIGGER AS $$
+DECLARE
+    session_row RECORD;
+    line RECORD;
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        line := OLD;
+    ELSE
+        line := NEW;
+    END IF;
+
+    SELECT user_id, status, currency INTO session_row FROM shopping_sessions WHERE id = line.session_id;
+
+    IF NOT FOUND OR session_row.status <> 'active' THEN
+        RETURN NULL;
+    END IF;
+
+    IF TG_OP = 'DELETE' THEN
+        DELETE FROM saved_cart_items
+        WHERE user_id = session_row.user_id
+          AND list = 'cart'
+          AND product_id = OLD.product_id
+          AND variant_id IS NOT DISTINCT FROM OLD.variant_id;
+        RETURN NULL;
+    END IF;
+
+    INSERT INTO saved_cart_items (user_id, list, product_id, variant_id, quantity, unit_price, currency)
+    VALUES (session_row.user_id, 'cart', NEW.product_id, NEW.variant_id, NEW.quantity, NEW.unit_price, COALESCE(session_row.currency, 'USD'))
+    ON CONFLICT (user_id, list, product_id, COALESCE(variant_id, '00000000-0000-0000-0000-000000000000'::uuid))
+    DO UPDATE SET quantity = EXCLUDED.quantity, unit_price = EXCLUDED.unit_price, currency = EXCLUDED.currency;
+
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS sync_saved_cart ON shopping_cart;
+CREATE TRIGGER sync_saved_cart AFTER INSERT OR UPDATE OR DELETE ON shopping_cart
+    FOR EACH ROW EXECUTE FUNCTION sync_saved_cart();
+
+-- Carts of active sessions from before saved carts existed
+INSERT INTO saved_cart_items (user_id, list, product_id, variant_id, quantity, unit_price, currency)
+SELECT s.user_id, 'cart', c.product_id, c.variant_id, c.quantity, c.unit_price, COALESCE(s.currency, 'USD')
+FROM shopping_cart c
+JOIN shopping_sessions s ON s.id = c.session_id
+WHERE s.status = 'active'
+ON CONFLICT DO NOTHING;
+
+-- Saved items are read and written through the API (service role)
+ALTER TABLE saved_cart_items ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role can manage saved cart items" ON saved_cart_items;
+CREATE POLICY "Service role can manage saved cart items" ON saved_cart_items
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+-- =============================================
+-- Wishlists
+-- Named product lists per user, shareable by token, with price-drop and back-in-stock alerts
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS wishlists (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    -- Anyone signed in who has the token can view the list; NULL when not shared
+    share_token VARCHAR(64) UNIQUE,
+    shared_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wishlists_user_name ON wishlists(user_id, LOWER(name));
+
+DROP TRIGGER IF EXISTS update_wishlists_updated_at ON wishlists;
+CREATE TRIGGER update_wishlists_updated_at BEFORE UPDATE ON wishlists
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- price_at_add is the base-currency unit price when the product was listed
+CREATE TABLE IF NOT EXISTS wishlist_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    wishlist_id UUID NOT NULL REFERENCES wishlists(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    variant_id UUID REFERENCES product_variants(id) ON DELETE CASCADE,
+    note TEXT,
+    price_at_add DECIMAL(10,2) NOT NULL,
+    added_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wishlist_items_line
+ON wishlist_items(wishlist_id, product_id, COALESCE(variant_id, '00000000-0000-0000-0000-000000000000'::uuid));
+CREATE INDEX IF NOT EXISTS idx_wishlist_items_product ON wishlist_items(product_id);
+
+DROP TRIGGER IF EXISTS update_wishlist_items_updated_at ON wishlist_items;
+CREATE TRIGGER update_wishlist_items_updated_at BEFORE UPDATE ON wishlist_items
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- One unseen alert per item and type; a further change refreshes it
+CREATE TABLE IF NOT EXISTS wishlist_alerts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    wishlist_item_id UUID NOT NULL REFERENCES wishlist_items(id) ON DELETE CASCADE,
+    alert_type VARCHAR(20) NOT NULL,
+    previous_price DECIMAL(10,2),
+    current_price DECIMAL(10,2),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    seen_at TIMESTAMP WITH TIME ZONE,
+
+    CONSTRAINT wishlist_alerts_type_check CHECK (alert_type IN ('price_drop', 'back_in_stock'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wishlist_alerts_unseen
+ON wishlist_alerts(wishlist_item_id, alert_type) WHERE seen_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_wishlist_alerts_user ON wishlist_alerts(user_id, created_at DESC);
+
+-- Alert listers when a product's price falls below what they listed it at, or it is restocked.
+-- Items of variants with their own price follow the variant (see queue_variant_wishlist_alerts).
+CREATE OR REPLACE FUNCTION queue_product_wishlist_alerts()
+RETURNS TRIGGER AS $$
+DECLARE
+    old_price DECIMAL(10,2) := COALESCE(NULLIF(OLD.discount_price, 0), OLD.price);
+    new_price DECIMAL(10,2) := COALESCE(NULLIF(NEW.discount_price, 0), NEW.price);
+BEGIN
+    IF NOT NEW.is_active THEN
+        RETURN NULL;
+    END IF;
+
+    IF new_price < old_price THEN
+        INSERT INTO wishlist_alerts (user_id, wishlist_item_id, alert_type, previous_price, current_price)
+        SELECT w.user_id, i.id, 'price_drop', i.price_at_add, new_price
+        FROM wishlist_items i
+        JOIN wishlists w ON w.id = i.wishlist_id
+        LEFT JOIN product_variants v ON v.id = i.variant_id
+        WHERE i.product_id = NEW.id
+          AND (i.variant_id IS NULL OR v.price IS NULL)
+          AND new_price < i.price_at_add
+        ON CONFLICT (wishlist_item_id, alert_type) WHERE seen_at IS NULL
+        DO UPDATE SET current_price = EXCLUDED.current_price, created_at = NOW();
+    END IF;
+
+    IF OLD.stock_quantity <= 0 AND NEW.stock_quantity > 0 THEN
+        INSERT INTO wishlist_alerts (user_id, wishlist_item_id, alert_type, previous_price, current_price)
+        SELECT w.user_id, i.id, 'back_in_stock', i.price_at_add, new_price
+        FROM wishlist_items i
+        JOIN wishlists w ON w.id = i.wishlist_id
+        WHERE i.product_id = NEW.id AND i.variant_id IS NULL
+        ON CONFLICT (wishlist_item_id, alert_type) WHERE seen_at IS NULL
+        DO UPDATE SET current_price = EXCLUDED.current_price, created_at = NOW();
+    END IF;
+
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS queue_product_wishlist_alerts ON products;
+CREATE TRIGGER queue_product_wishlist_alerts
+    AFTER UPDATE OF price, discount_price, stock_quantity ON products
+    FOR EACH ROW EXECUTE FUNCTION queue_product_wishlist_alerts();
+
+CREATE OR REPLACE FUNCTION queue_variant_wishlist_alerts()
+RETURNS TRIGGER AS $$
+DECLARE
+    product_row RECORD;
+    old_price DECIMAL(10,2);
+    new_price DECIMAL(10,2);
+BEGIN
+    SELECT price, discount_price, is_active INTO product_row FROM products WHERE id = NEW.product_id;
+
+    IF NOT NEW.is_active OR NOT product_row.is_active THEN
+        RETURN NULL;
+    END IF;
+
+    new_price := CASE WHEN NEW.price IS NOT NULL THEN COALESCE(NULLIF(NEW.discount_price, 0), NEW.price)
+                      ELSE COALESCE(NULLIF(product_row.discount_price, 0), product_row.price) END;
+    old_price := CASE WHEN OLD.price IS NOT NULL THEN COALESCE(NULLIF(OLD.discount_price, 0), OLD.price)
+                      ELSE COALESCE(NULLIF(product_row.discount_price, 0), product_row.price) END;
+
+    IF new_price < old_price THEN
+        INSERT INTO wishlist_alerts (user_id, wishlist_item_id, alert_type, previous_price, current_price)
+        SELECT w.user_id, i.id, 'price_drop', i.price_at_add, new_price
+        FROM wishlist_items i
+        JOIN wishlists w ON w.id = i.wishlist_id
+        WHERE i.variant_id = NEW.id AND new_price < i.price_at_add
+        ON CONFLICT (wishlist_item_id, alert_type) WHERE seen_at IS NULL
+        DO UPDATE SET current_price = EXCLUDED.current_price, created_at = NOW();
+    END IF;
+
+    IF OLD.stock_quantity <= 0 AND NEW.stock_quantity > 0 THEN
+        INSERT INTO wishlist_alerts (user_id, wishlist_item_id, alert_type, previous_price, current_price)
+        SELECT w.user_id, i.id, 'back_in_stock', i.price_at_add, new_price
+        FROM wishlist_items i
+        JOIN wishlists w ON w.id = i.wishlist_id
+        WHERE i.variant_id = NEW.id
+        ON CONFLICT (wishlist_item_id, alert_type) WHERE seen_at IS NULL
+        DO UPDATE SET current_price = EXCLUDED.current_price, created_at = NOW();
+    END IF;
+
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS queue_variant_wishlist_alerts ON product_variants;
+CREATE TRIGGER queue_variant_wishlist_alerts
+    AFTER UPDATE OF price, discount_price, stock_quantity ON product_variants
+    FOR EACH ROW EXECUTE FUNCTION queue_variant_wishlist_alerts();
+
+-- Wishlists and alerts are read and written through the API (service role)
+ALTER TABLE wishlists ENABLE ROW LEVEL SECURITY;
+ALTER TABLE wishlist_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE wishlist_alerts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role can manage wishlists" ON wishlists;
+CREATE POLICY "Service role can manage wishlists" ON wishlists
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+DROP POLICY IF EXISTS "Service role can manage wishlist items" ON wishlist_items;
+CREATE POLICY "Service role can manage wishlist items" ON wishlist_items
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+DROP POLICY IF EXISTS "Service role can manage wishlist alerts" ON wishlist_alerts;
+CREATE POLICY "Service role can manage wishlist alerts" ON wishlist_alerts
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+-- =============================================
+-- Abandoned Carts
+-- Sessions left idle with items in the cart are closed by a scheduled job and emailed
+-- =============================================
+
+CREATE INDEX IF NOT EXISTS idx_vr_activity_logs_session ON vr_activity_logs(session_id, timestamp DESC);
+
+-- Last activity of a shopping session: its start, its newest cart line or its newest activity log entry
+CREATE OR REPLACE FUNCTION shopping_session_last_activity(p_session_id UUID, p_started_at TIMESTAMP WITH TIME ZONE)
+RETURNS TIMESTAMP WITH TIME ZONE AS $$
+    SELECT GREATEST(
+        p_started_at,
+        (SELECT MAX(c.added_at) FROM shopping_cart c WHERE c.session_id = p_session_id),
+        (SELECT MAX(l.timestamp) FROM vr_activity_logs l WHERE l.session_id = p_session_id)
+    );
+$$ LANGUAGE sql STABLE;
+
+-- Close active sessions whose cart has been idle since p_idle_before and return them.
+-- Rows are locked and skipped when locked, so overlapping runs never claim a session twice.
+CREATE OR REPLACE FUNCTION claim_abandoned_sessions(p_idle_before TIMESTAMP WITH TIME ZONE, p_limit INTEGER DEFAULT 50)
+RETURNS TABLE (session_id UUID, user_id UUID, last_activity_at TIMESTAMP WITH TIME ZONE) AS $$
+BEGIN
+    RETURN QUERY
+    WITH idle AS (
+        SELECT s.id, shopping_session_last_activity(s.id, s.started_at) AS last_activity
+        FROM shopping_sessions s
+        WHERE s.status = 'active'
+          AND EXISTS (SELECT 1 FROM shopping_cart c WHERE c.session_id = s.id)
+    ),
+    claimed AS (
+        SELECT s.id, idle.last_activity
+        FROM shopping_sessions s
+        JOIN idle ON idle.id = s.id
+        WHERE idle.last_activity < p_idle_before
+        ORDER BY idle.last_activity
+        LIMIT p_limit
+        FOR UPDATE OF s SKIP LOCKED
+    )
+    UPDATE shopping_sessions s
+    SET status = 'abandoned', ended_at = NOW()
+    FROM claimed
+    WHERE s.id = claimed.id AND s.status = 'active'
+    RETURNING s.id, s.user_id, claimed.last_activity;
+END;
+$$ language 'plpgsql';
+
+-- Run by the scheduled job (service role) only
+REVOKE EXECUTE ON FUNCTION claim_abandoned_sessions(TIMESTAMP WITH TIME ZONE, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_abandoned_sessions(TIMESTAMP WITH TIME ZONE, INTEGER) TO service_role;
+
+-- =============================================
+-- Maintenance
+-- Expired data purged by the scheduled maintenance job, and a record of each run
+-- =============================================
+
+-- One row per run; summary holds what each step purged, errors the steps that failed
+CREATE TABLE IF NOT EXISTS maintenance_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    status VARCHAR(30) NOT NULL,
+    started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    finished_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    summary JSONB NOT NULL DEFAULT '{}'::jsonb,
+    errors JSONB NOT NULL DEFAULT '[]'::jsonb,
+
+    CONSTRAINT maintenance_runs_status_check CHECK (status IN ('completed', 'completed_with_errors', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_maintenance_runs_started ON maintenance_runs(started_at DESC);
+
+-- End active sessions idle since p_idle_before, release the stock held by ended sessions and
+-- empty their carts. Lines of ended sessions are already in the user's saved cart, so the
+-- shopper's next session still restores them.
+CREATE OR REPLACE FUNCTION expire_stale_sessions(p_idle_before TIMESTAMP WITH TIME ZONE, p_limit INTEGER DEFAULT 100)
+RETURNS JSONB AS $$
+DECLARE
+    expired_ids UUID[];
+    released_count INTEGER;
+    cleared_count INTEGER;
+BEGIN
+    WITH stale AS (
+        SELECT s.id
+        FROM shopping_sessions s
+        WHERE s.status = 'active'
+          AND shopping_session_last_activity(s.id, s.started_at) < p_idle_before
+        ORDER BY s.started_at
+        LIMIT p_limit
+        FOR UPDATE SKIP LOCKED
+    ),
+    expired AS (
+        UPDATE shopping_sessions s
+        SET status = 'abandoned', ended_at = NOW()
+        FROM stale
+        WHERE s.id = stale.id
+        RETURNING s.id
+    )
+    SELECT COALESCE(array_agg(id), '{}') INTO expired_ids FROM expired;
+
+    UPDATE stock_reservations r
+    SET status = 'released', released_at = NOW()
+    WHERE r.status = 'active'
+      AND EXISTS (SELECT 1 FROM shopping_sessions s WHERE s.id = r.session_id AND s.status <> 'active');
+
+    GET DIAGNOSTICS released_count = ROW_COUNT;
+
+    -- Carts of sessions ended before the idle cutoff (abandoned-cart emails have gone out by then)
+    DELETE FROM shopping_cart c
+    USING shopping_sessions s
+    WHERE c.session_id = s.id
+      AND s.status <> 'active'
+      AND (s.id = ANY(expired_ids) OR s.ended_at < p_idle_before);
+
+    GET DIAGNOSTICS cleared_count = ROW_COUNT;
+
+    RETURN jsonb_build_object(
+        'expired_sessions', cardinality(expired_ids),
+        'released_reservations', released_count,
+        'cleared_cart_lines', cleared_count
+    );
+END;
+$$ language 'plpgsql';
+
+-- Run by the scheduled job (service role) only
+ALTER TABLE maintenance_runs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role can manage maintenance runs" ON maintenance_runs;
+CREATE POLICY "Service role can manage maintenance runs" ON maintenance_runs
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+REVOKE EXECUTE ON FUNCTION shopping_session_last_activity(UUID, TIMESTAMP WITH TIME ZONE) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION expire_stale_sessions(TIMESTAMP WITH TIME ZONE, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION clean_expired_rate_limits() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION shopping_session_last_activity(UUID, TIMESTAMP WITH TIME ZONE) TO service_role;
+GRANT EXECUTE ON FUNCTION expire_stale_sessions(TIMESTAMP WITH TIME ZONE, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION clean_expired_rate_limits() TO service_role;
+
+-- =============================================
+-- Group Shopping
+-- Shopping sessions joined with an invite code; every member keeps their own session and
+-- cart, and the group links them into one shared cart
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS shopping_groups (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    host_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100),
+    invite_code VARCHAR(12) NOT NULL UNIQUE,
+    -- Members shop in the host's store, so every part of the cart has the same prices, currency and tax
+    store_id UUID REFERENCES stores(id),
+    currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    closed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT shopping_groups_status_check CHECK (status IN ('active', 'closed'))
+);
+
+DROP TRIGGER IF EXISTS update_shopping_groups_updated_at ON shopping_groups;
+CREATE TRIGGER update_shopping_groups_updated_at BEFORE UPDATE ON shopping_groups
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- can_add: add to the shared cart; can_remove: remove other members' items
+-- (everyone may remove their own); can_checkout: check out for the group
+CREATE TABLE IF NOT EXISTS shopping_group_members (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    group_id UUID NOT NULL REFERENCES shopping_groups(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    session_id UUID NOT NULL REFERENCES shopping_sessions(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL DEFAULT 'member',
+    can_add BOOLEAN NOT NULL DEFAULT TRUE,
+    can_remove BOOLEAN NOT NULL DEFAULT FALSE,
+    can_checkout BOOLEAN NOT NULL DEFAULT FALSE,
+    joined_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    left_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT shopping_group_members_role_check CHECK (role IN ('host', 'member'))
+);
+
+-- A shopper is in one group at a time, with one session
+CREATE UNIQUE INDEX IF NOT EXISTS idx_shopping_group_members_user_active
+ON shopping_group_members(user_id) WHERE left_at IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_shopping_group_members_session_active
+ON shopping_group_members(session_id) WHERE left_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_shopping_group_members_group
+ON shopping_group_members(group_id) WHERE left_at IS NULL;
+
+DROP TRIGGER IF EXISTS update_shopping_group_members_updated_at ON shopping_group_members;
+CREATE TRIGGER update_shopping_group_members_updated_at BEFORE UPDATE ON shopping_group_members
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Move the cart lines of every other member into the paying member's session for one combined
+-- checkout (called by checkout_session, inside the order's transaction). Lines of the same product merge, and each line's stock hold moves with it. The moved
+-- lines leave the members' saved carts (sync_saved_cart) because the payer is buying them.
+-- Returns { moved_lines, contributions: [{ user_id, product_id, variant_id, quantity, unit_price }] }
+CREATE OR REPLACE FUNCTION combine_group_carts(p_group_id UUID, p_session_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+    line RECORD;
+    moved_count INTEGER := 0;
+    contributions JSONB := '[]'::jsonb;
+BEGIN
+    PERFORM 1 FROM shopping_groups WHERE id = p_group_id AND status = 'active' FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'GROUP_NOT_FOUND';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM shopping_group_members
+        WHERE group_id = p_group_id AND session_id = p_session_id AND left_at IS NULL
+    ) THEN
+        RAISE EXCEPTION 'NOT_GROUP_MEMBER';
+    END IF;
+
+    -- A member checking out their own part meanwhile waits for the move (checkout_session locks its session)
+    PERFORM 1
+    FROM shopping_sessions s
+    JOIN shopping_group_members m ON m.session_id = s.id
+    WHERE m.group_id = p_group_id AND m.left_at IS NULL
+    ORDER BY s.id
+    FOR UPDATE OF s;
+
+    FOR line IN
+        SELECT c.*, m.user_id AS member_user_id
+        FROM shopping_cart c
+        JOIN shopping_group_members m ON m.session_id = c.session_id
+        JOIN shopping_sessions s ON s.id = c.session_id
+        WHERE m.group_id = p_group_id
+          AND m.left_at IS NULL
+          AND s.status = 'active'
+          AND c.session_id <> p_session_id
+        ORDER BY c.added_at
+    LOOP
+        INSERT INTO shopping_cart (session_id, product_id, variant_id, quantity, unit_price)
+        VALUES (p_session_id, line.product_id, line.variant_id, line.quantity, line.unit_price)
+        ON CONFLICT (session_id, product_id, COALESCE(variant_id, '00000000-0000-0000-0000-000000000000'::uuid))
+        DO UPDATE SET quantity = shopping_cart.quantity + EXCLUDED.quantity;
+
+        -- Add the member's hold to the payer's hold of the line, or hand it over when there is none
+        UPDATE stock_reservations payer
+        SET quantity = payer.quantity + member.quantity,
+            expires_at = GREATEST(payer.expires_at, member.expires_at)
+        FROM stock_reservations member
+        WHERE payer.session_id = p_session_id
+          AND payer.status = 'active'
+          AND payer.product_id = line.product_id
+          AND payer.variant_id IS NOT DISTINCT FROM line.variant_id
+          AND member.session_id = line.session_id
+          AND member.status = 'active'
+          AND member.product_id = line.product_id
+          AND member.variant_id IS NOT DISTINCT FROM line.variant_id;
+
+        IF FOUND THEN
+            UPDATE stock_reservations
+            SET status = 'released', released_at = NOW()
+            WHERE session_id = line.session_id
+              AND status = 'active'
+              AND product_id = line.product_id
+              AND variant_id IS NOT DISTINCT FROM line.variant_id;
+        ELSE
+            UPDATE stock_reservations
+            SET session_id = p_session_id
+            WHERE session_id = line.session_id
+              AND status = 'active'
+              AND product_id = line.product_id
+              AND variant_id IS NOT DISTINCT FROM line.variant_id;
+        END IF;
+
+        DELETE FROM shopping_cart WHERE id = line.id;
+
+        moved_count := moved_count + 1;
+        contributions := contributions || jsonb_build_object(
+            'user_id', line.member_user_id,
+            'product_id', line.product_id,
+            'variant_id', line.variant_id,
+            'quantity', line.quantity,
+            'unit_price', line.unit_price
+        );
+    END LOOP;
+
+    RETURN jsonb_build_object('moved_lines', moved_count, 'contributions', contributions);
+END;
+$$ language 'plpgsql';
+
+-- Groups and their carts are managed by the API (service role), which checks member permissions
+ALTER TABLE shopping_groups ENABLE ROW LEVEL SECURITY;
+ALTER TABLE shopping_group_members ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role can manage shopping groups" ON shopping_groups;
+CREATE POLICY "Service role can manage shopping groups" ON shopping_groups
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+DROP POLICY IF EXISTS "Service role can manage shopping group members" ON shopping_group_members;
+CREATE POLICY "Service role can manage shopping group members" ON shopping_group_members
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+REVOKE EXECUTE ON FUNCTION combine_group_carts(UUID, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION combine_group_carts(UUID, UUID) TO service_role;
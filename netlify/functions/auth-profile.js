@@ -2,6 +2,7 @@
  * User Profile Endpoint
  * GET /api/auth/profile - Get user profile
  * PUT /api/auth/profile - Update user profile
+ * PUT /api/auth/profile/role - Change another user's role (admin only)
  */
 
 const { 
@@ -9,12 +10,13 @@ const {
   createErrorResponse,
   createValidationErrorResponse,
   createUnauthorizedResponse,
+  createNotFoundResponse,
   createCorsResponse,
   createMethodNotAllowedResponse,
   createInternalServerErrorResponse
 } = require('./utils/response');
-const { validateProfileUpdateData, sanitizeUserInput } = require('./utils/validation');
-const { authenticateUser, extractUserInfo, logUserActivity } = require('./utils/auth');
+const { validateProfileUpdateData, sanitizeUserInput, isValidUUID } = require('./utils/validation');
+const { authenticateUser, authorizeUser, extractUserInfo, logUserActivity, getRolePermissions, PERMISSIONS, ROLES } = require('./utils/auth');
 const userService = require('./services/userService');
 
 /**
@@ -45,6 +47,10 @@ exports.handler = async (event, context) => {
       // Get user profile
       return await handleGetProfile(user, userInfo);
       
+    } else if (event.httpMethod === 'PUT' && isRoleRoute(event.path)) {
+      // Change another user's role
+      return await handleUpdateRole(event, user, userInfo);
+      
     } else if (event.httpMethod === 'PUT') {
       // Update user profile
       return await handleUpdateProfile(event, user, userInfo);
@@ -83,6 +89,8 @@ async function handleGetProfile(user, userInfo) {
     
     return createSuccessResponse({
       user: currentUser,
+      role: currentUser.role || ROLES.SHOPPER,
+      permissions: getRolePermissions(currentUser.role),
       lastLogin: currentUser.last_login,
       accountCreated: currentUser.created_at,
       profileCompletion: calculateProfileCompletion(currentUser)
@@ -113,7 +121,7 @@ async function handleUpdateProfile(event, user, userInfo) {
     }
     
     // Sanitize user input
-    const allowedFields = ['name', 'email', 'phoneNumber', 'dateOfBirth', 'profileImageUrl'];
+    const allowedFields = ['name', 'email', 'phoneNumber', 'dateOfBirth', 'profileImageUrl', 'preferred_currency'];
     const sanitizedData = sanitizeUserInput(body, allowedFields);
     
     // Validate update data
@@ -149,6 +157,63 @@ async function handleUpdateProfile(event, user, userInfo) {
   }
 }
 
+/**
+ * Handle PUT role change request
+ */
+async function handleUpdateRole(event, user, userInfo) {
+  try {
+    const staffAuth = await authorizeUser(event.headers.authorization, [PERMISSIONS.MANAGE_ROLES]);
+    if (!staffAuth.success) {
+      return createErrorResponse(staffAuth.statusCode, staffAuth.error);
+    }
+    
+    let body;
+    try {
+      body = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+      return createErrorResponse(400, 'Invalid JSON in request body');
+    }
+    
+    const { userId, role } = body;
+    
+    if (!userId || !isValidUUID(userId)) {
+      return createValidationErrorResponse(['A valid userId is required']);
+    }
+    
+    if (!Object.values(ROLES).includes(role)) {
+      return createValidationErrorResponse([`Role must be one of: ${Object.values(ROLES).join(', ')}`]);
+    }
+    
+    const updatedUser = await userService.updateUserRole(userId, role, user.id, userInfo);
+    
+    return createSuccessResponse({
+      user: updatedUser,
+      permissions: getRolePermissions(updatedUser.role)
+    }, 'User role updated successfully');
+    
+  } catch (error) {
+    console.error('Update role error:', error);
+    
+    if (error.message === 'User not found') {
+      return createNotFoundResponse('User not found');
+    }
+    
+    if (error.message.includes('own role')) {
+      return createErrorResponse(400, error.message);
+    }
+    
+    throw error;
+  }
+}
+
+/**
+ * Check whether the request targets the role management route
+ */
+function isRoleRoute(path = '') {
+  const pathSegments = path.split('/').filter(segment => segment);
+  return pathSegments[pathSegments.length - 1] === 'role';
+}
+
 /**
  * Calculate profile completion percentage
  */
@@ -0,0 +1,29 @@
+/**
+ * Store details printed on receipts and used in emails and links
+ * Set per deployment; the defaults are the demo store's
+ */
+
+const storeConfig = {
+  name: process.env.STORE_NAME || 'VR Supermarket',
+  address: process.env.STORE_ADDRESS || 'Virtual Reality Plaza',
+  phone: process.env.STORE_PHONE || '1-800-VR-SHOP',
+  website: process.env.STORE_WEBSITE || 'vr-supermarket.com',
+  email: process.env.STORE_SUPPORT_EMAIL || null,
+  // Header colour of HTML and PDF receipts (#RRGGBB)
+  brandColor: /^#[0-9a-f]{6}$/i.test(process.env.STORE_BRAND_COLOR || '') ? process.env.STORE_BRAND_COLOR : '#667eea'
+};
+
+/**
+ * Absolute link to a page of the store's website
+ * @param {string} path - Path on the website, e.g. /cart/restore
+ * @returns {string}
+ */
+const storeUrl = (path) => {
+  const website = /^https?:\/\//.test(storeConfig.website) ? storeConfig.website : `https://${storeConfig.website}`;
+  return `${website.replace(/\/+$/, '')}${path}`;
+};
+
+module.exports = {
+  storeConfig,
+  storeUrl
+};
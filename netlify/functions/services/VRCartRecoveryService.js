@@ -0,0 +1,307 @@
+/**
+ * VR Cart Recovery Service for abandoned carts
+ * A scheduled job closes sessions whose cart has been idle too long and emails the shopper a
+ * signed link back to it; recoveries and the orders that follow are logged in vr_activity_logs
+ * Following the existing codebase patterns and conventions
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const crypto = require('crypto');
+const sgMail = require('@sendgrid/mail');
+const { storeConfig, storeUrl } = require('../config/store');
+const { renderRecoveryEmailHtml, renderRecoveryEmailText } = require('../utils/recoveryEmails');
+const VRShoppingService = require('./VRShoppingService');
+const VRInventoryService = require('./VRInventoryService');
+
+class VRCartRecoveryService {
+  constructor() {
+    this.idleMinutes = parseInt(process.env.ABANDONED_CART_IDLE_MINUTES) || 60;
+    this.batchSize = parseInt(process.env.ABANDONED_CART_BATCH_SIZE) || 50;
+    this.linkDays = parseInt(process.env.CART_RECOVERY_LINK_DAYS) || 7;
+    this.shoppingService = new VRShoppingService();
+    this.inventoryService = new VRInventoryService();
+    this.emailEnabled = Boolean(process.env.SENDGRID_API_KEY);
+
+    if (this.emailEnabled) {
+      sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+    }
+  }
+
+  /**
+   * Close idle sessions that still have items in the cart and email their shoppers
+   * @returns {Promise<Object>} - { abandoned, emailed, notEmailed, failed }
+   */
+  async processAbandonedCarts() {
+    try {
+      const idleBefore = new Date(Date.now() - this.idleMinutes * 60 * 1000).toISOString();
+
+      const { data: sessions, error } = await supabaseAdmin.rpc('claim_abandoned_sessions', {
+        p_idle_before: idleBefore,
+        p_limit: this.batchSize
+      });
+
+      if (error) {
+        console.error('Abandoned session claim error:', error);
+        throw new Error(`Failed to find abandoned carts: ${error.message}`);
+      }
+
+      const summary = { abandoned: (sessions || []).length, emailed: 0, notEmailed: 0, failed: 0 };
+
+      // One at a time; a failure is counted and the rest of the batch still runs
+      for (const session of sessions || []) {
+        try {
+          const email = await this.handleAbandonedSession(session);
+          if (email.sent) {
+            summary.emailed++;
+          } else {
+            summary.notEmailed++;
+          }
+        } catch (error) {
+          console.error(`Abandoned cart ${session.session_id} failed:`, error);
+          summary.failed++;
+        }
+      }
+
+      return summary;
+    } catch (error) {
+      console.error('Error in processAbandonedCarts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Release the stock of a claimed session, log it and email the shopper
+   * The cart lines stay in the user's saved cart, which the next session restores.
+   * @param {Object} session - { session_id, user_id, last_activity_at }
+   * @returns {Promise<Object>} - Email result { sent, reason }
+   */
+  async handleAbandonedSession(session) {
+    const { session_id: sessionId, user_id: userId } = session;
+
+    await this.inventoryService.releaseSession(sessionId);
+
+    const cart = await this.shoppingService.getShoppingCart(sessionId);
+
+    await this.shoppingService.logVRActivity(userId, sessionId, 'cart_abandoned', {
+      detected_by: 'abandoned_cart_job',
+      last_activity_at: session.last_activity_at,
+      idle_minutes: this.idleMinutes,
+      item_count: cart.totalItems,
+      total_amount: cart.totalAfterDiscounts,
+      currency: cart.currency
+    });
+
+    const { data: user, error } = await supabaseAdmin
+      .from('users')
+      .select('name, email')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('User fetch error:', error);
+      throw new Error(`Failed to fetch user: ${error.message}`);
+    }
+
+    const email = await this.sendRecoveryEmail(user, cart, this.createRecoveryToken(sessionId));
+
+    await this.shoppingService.logVRActivity(userId, sessionId, 'cart_recovery_email_sent', {
+      sent: email.sent,
+      reason: email.reason || null,
+      item_count: cart.totalItems,
+      total_amount: cart.totalAfterDiscounts,
+      currency: cart.currency
+    });
+
+    return email;
+  }
+
+  /**
+   * Email the shopper their cart with a link that restores it
+   * @param {Object|null} user - { name, email }
+   * @param {Object} cart - Cart from getShoppingCart
+   * @param {string} token - Recovery token
+   * @returns {Promise<Object>} - { sent, reason }
+   */
+  async sendRecoveryEmail(user, cart, token) {
+    if (!this.emailEnabled) {
+      console.warn(`SendGrid not configured, recovery email for session ${cart.sessionId} not sent`);
+      return { sent: false, reason: 'Email is not configured' };
+    }
+
+    if (!user || !user.email) {
+      return { sent: false, reason: 'Customer has no email address' };
+    }
+
+    const options = {
+      storeName: storeConfig.name,
+      brandColor: storeConfig.brandColor,
+      customerName: user.name,
+      restoreUrl: storeUrl(`/cart/restore?token=${encodeURIComponent(token)}`)
+    };
+
+    const msg = {
+      to: user.email,
+      from: {
+        email: process.env.SENDGRID_FROM_EMAIL || 'noreply@vr-supermarket.com',
+        name: process.env.SENDGRID_FROM_NAME || storeConfig.name
+      },
+      subject: `${storeConfig.name} - You left something in your cart`,
+      text: renderRecoveryEmailText(cart, options),
+      html: renderRecoveryEmailHtml(cart, options)
+    };
+
+    try {
+      await sgMail.send(msg);
+      return { sent: true };
+    } catch (error) {
+      console.error('SendGrid error:', error);
+      if (error.response) {
+        console.error('SendGrid response:', error.response.body);
+      }
+      return { sent: false, reason: error.message };
+    }
+  }
+
+  /**
+   * Record that a shopper came back through a recovery link
+   * Never throws: a bad or reused link still lets the shopper in, it just isn't counted.
+   * @param {string} userId - User UUID
+   * @param {string} token - Recovery token from the link
+   * @param {string} sessionId - Session the shopper came back to
+   * @returns {Promise<Object>} - { recovered, abandonedSessionId, reason }
+   */
+  async recordRecovery(userId, token, sessionId) {
+    try {
+      const abandonedSessionId = this.verifyRecoveryToken(token);
+
+      if (!abandonedSessionId) {
+        return { recovered: false, reason: 'Recovery link is invalid or has expired' };
+      }
+
+      const { data: abandonedSession, error } = await supabaseAdmin
+        .from('shopping_sessions')
+        .select('id, user_id')
+        .eq('id', abandonedSessionId)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to fetch session: ${error.message}`);
+      }
+
+      if (!abandonedSession || abandonedSession.user_id !== userId) {
+        return { recovered: false, reason: 'Recovery link belongs to another account' };
+      }
+
+      // Opening the link twice counts once
+      const { data: earlier, error: earlierError } = await supabaseAdmin
+        .from('vr_activity_logs')
+        .select('id')
+        .eq('user_id', userId)
+        .eq('activity_type', 'cart_recovered')
+        .eq('activity_data->>abandoned_session_id', abandonedSessionId)
+        .limit(1);
+
+      if (earlierError) {
+        throw new Error(`Failed to fetch recovery activity: ${earlierError.message}`);
+      }
+
+      if (!earlier || earlier.length === 0) {
+        await this.shoppingService.logVRActivity(userId, sessionId, 'cart_recovered', {
+          abandoned_session_id: abandonedSessionId
+        });
+      }
+
+      return { recovered: true, abandonedSessionId };
+    } catch (error) {
+      console.error('Error in recordRecovery:', error);
+      return { recovered: false, reason: 'Recovery could not be recorded' };
+    }
+  }
+
+  /**
+   * Record an order placed from a recovered cart
+   * Never throws, so checkout is not affected.
+   * @param {string} userId - User UUID
+   * @param {string} sessionId - Session the order was placed from
+   * @param {Object} order - Created order
+   * @returns {Promise<boolean>} - Whether the order was a recovery conversion
+   */
+  async recordConversion(userId, sessionId, order) {
+    try {
+      const { data: recoveries, error } = await supabaseAdmin
+        .from('vr_activity_logs')
+        .select('activity_data')
+        .eq('session_id', sessionId)
+        .eq('activity_type', 'cart_recovered')
+        .limit(1);
+
+      if (error) {
+        throw new Error(`Failed to fetch recovery activity: ${error.message}`);
+      }
+
+      if (!recoveries || recoveries.length === 0) {
+        return false;
+      }
+
+      await this.shoppingService.logVRActivity(userId, sessionId, 'cart_recovery_converted', {
+        abandoned_session_id: recoveries[0].activity_data.abandoned_session_id,
+        order_id: order.id,
+        order_number: order.order_number,
+        total_amount: order.total_amount,
+        currency: order.currency
+      });
+
+      return true;
+    } catch (error) {
+      console.error('Error in recordConversion:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Signed token for the restore link: session id, expiry and signature
+   * @param {string} sessionId - Abandoned session UUID
+   * @returns {string}
+   */
+  createRecoveryToken(sessionId) {
+    const expires = Math.floor(Date.now() / 1000) + this.linkDays * 24 * 60 * 60;
+    const payload = `${sessionId}.${expires}`;
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  /**
+   * Check a restore link token
+   * @param {string} token - Recovery token
+   * @returns {string|null} - Abandoned session UUID, or null when invalid or expired
+   */
+  verifyRecoveryToken(token) {
+    const [sessionId, expires, signature] = String(token || '').split('.');
+
+    if (!sessionId || !expires || !signature) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.sign(`${sessionId}.${expires}`));
+    const actual = Buffer.from(signature);
+
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return null;
+    }
+
+    return parseInt(expires) * 1000 > Date.now() ? sessionId : null;
+  }
+
+  /**
+   * HMAC of a token payload
+   * @param {string} payload - Payload
+   * @returns {string} - base64url signature
+   */
+  sign(payload) {
+    return crypto
+      .createHmac('sha256', process.env.JWT_SECRET)
+      .update(`cart-recovery:${payload}`)
+      .digest('base64url');
+  }
+}
+
+module.exports = VRCartRecoveryService;
@@ -0,0 +1,1577 @@
+/**
+ * VR Catalog Admin Service for managing products, variants, categories and shelf layouts
+ * Following the existing codebase patterns and conventions
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const { validatePaginationParams, validateProductData } = require('../utils/validation');
+const { logUserActivity } = require('../utils/auth');
+const { VARIANT_ATTRIBUTES, getVariantLabel } = require('../utils/variants');
+
+// Flat column layout shared by CSV import and export
+const CATALOG_CSV_COLUMNS = [
+  'sku',
+  'name',
+  'description',
+  'brand',
+  'price',
+  'discount_price',
+  'stock_quantity',
+  'category',
+  'subcategory',
+  'shelf_id',
+  'shelf_compartment',
+  'shelf_slot',
+  'product_images',
+  'is_sponsored',
+  'is_featured'
+];
+
+// Columns written by a bulk upsert; every row must carry the same keys
+const IMPORT_PRODUCT_FIELDS = [
+  'sku',
+  'name',
+  'description',
+  'brand',
+  'price',
+  'discount_price',
+  'stock_quantity',
+  'category_id',
+  'subcategory_id',
+  'shelf_position',
+  'product_images',
+  'is_sponsored',
+  'is_featured',
+  'is_active'
+];
+
+const IMPORT_DEFAULTS = {
+  description: null,
+  brand: null,
+  discount_price: null,
+  stock_quantity: 0,
+  subcategory_id: null,
+  shelf_position: null,
+  product_images: [],
+  is_sponsored: false,
+  is_featured: false,
+  is_active: true
+};
+
+class VRCatalogAdminService {
+  constructor() {
+    this.defaultPageSize = 50;
+    this.maxImportRows = 1000;
+    this.exportPageSize = 1000;
+  }
+
+  // ==========================================
+  // Products
+  // ==========================================
+
+  /**
+   * List catalog products, including archived ones when requested
+   * @param {Object} filters - Listing filters
+   * @param {Object} pagination - Pagination parameters
+   * @returns {Promise<Object>} - Products with pagination metadata
+   */
+  async listProducts(filters = {}, pagination = {}) {
+    try {
+      const { page = 1, limit = this.defaultPageSize } = validatePaginationParams(pagination);
+      const offset = (page - 1) * limit;
+
+      let query = supabaseAdmin
+        .from('products')
+        .select('*', { count: 'exact' });
+
+      if (filters.include_archived !== 'true') {
+        query = query.eq('is_active', true);
+      }
+
+      if (filters.category_id && this.isValidUUID(filters.category_id)) {
+        query = query.eq('category_id', filters.category_id);
+      }
+
+      if (filters.sku) {
+        query = query.eq('sku', filters.sku.toUpperCase());
+      }
+
+      const { data: products, error, count } = await query
+        .order('updated_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        console.error('Admin products fetch error:', error);
+        throw new Error(`Failed to fetch products: ${error.message}`);
+      }
+
+      return {
+        products: products || [],
+        pagination: {
+          page,
+          limit,
+          total: count,
+          totalPages: Math.ceil(count / limit),
+          hasNext: offset + limit < count,
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      console.error('Error in listProducts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single product regardless of its archive state
+   * @param {string} productId - Product UUID
+   * @returns {Promise<Object>} - Product record
+   */
+  async getProduct(productId) {
+    try {
+      if (!this.isValidUUID(productId)) {
+        throw new Error('Invalid product ID format');
+      }
+
+      const { data: product, error } = await supabaseAdmin
+        .from('products')
+        .select('*')
+        .eq('id', productId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          throw new Error('Product not found');
+        }
+        throw new Error(`Failed to fetch product: ${error.message}`);
+      }
+
+      return product;
+    } catch (error) {
+      console.error('Error in getProduct:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a catalog product
+   * @param {Object} productData - Validated product data
+   * @param {string} adminUserId - Acting admin UUID
+   * @param {Object} userInfo - Request metadata for the audit log
+   * @returns {Promise<Object>} - Created product
+   */
+  async createProduct(productData, adminUserId, userInfo = {}) {
+    try {
+      await this.validateCategoryAssignment(productData.category_id, productData.subcategory_id);
+      await this.ensureSkuAvailable(productData.sku);
+
+      const { data: product, error } = await supabaseAdmin
+        .from('products')
+        .insert([{
+          ...productData,
+          is_active: true,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Product creation error:', error);
+        throw new Error(`Failed to create product: ${error.message}`);
+      }
+
+      await this.logCatalogActivity(adminUserId, 'catalog_product_created', {
+        product_id: product.id,
+        sku: product.sku,
+        fields: Object.keys(productData)
+      }, userInfo);
+
+      return product;
+    } catch (error) {
+      console.error('Error in createProduct:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a catalog product
+   * @param {string} productId - Product UUID
+   * @param {Object} updates - Validated partial product data
+   * @param {string} adminUserId - Acting admin UUID
+   * @param {Object} userInfo - Request metadata for the audit log
+   * @returns {Promise<Object>} - Updated product
+   */
+  async updateProduct(productId, updates, adminUserId, userInfo = {}) {
+    try {
+      const existing = await this.getProduct(productId);
+
+      if (updates.category_id !== undefined || updates.subcategory_id !== undefined) {
+        const categoryId = updates.category_id !== undefined ? updates.category_id : existing.category_id;
+        const subcategoryId = updates.subcategory_id !== undefined ? updates.subcategory_id : existing.subcategory_id;
+        await this.validateCategoryAssignment(categoryId, subcategoryId);
+      }
+
+      if (updates.sku && updates.sku !== existing.sku) {
+        await this.ensureSkuAvailable(updates.sku, productId);
+      }
+
+      // Stock of a variant product is the sum of its variants' stock
+      if (updates.stock_quantity !== undefined && await this.countActiveVariants(productId) > 0) {
+        throw new Error('Cannot set stock on a product with variants, update its variants instead');
+      }
+
+      // Discount must stay below whichever price the product ends up with
+      const finalPrice = updates.price !== undefined ? updates.price : existing.price;
+      const finalDiscount = updates.discount_price !== undefined ? updates.discount_price : existing.discount_price;
+      if (finalDiscount !== null && finalDiscount !== undefined && finalDiscount >= finalPrice) {
+        throw new Error('Discount price must be lower than the regular price');
+      }
+
+      const { data: product, error } = await supabaseAdmin
+        .from('products')
+        .update({
+          ...updates,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', productId)
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Product update error:', error);
+        throw new Error(`Failed to update product: ${error.message}`);
+      }
+
+      await this.logCatalogActivity(adminUserId, 'catalog_product_updated', {
+        product_id: productId,
+        changes: this.diffFields(existing, updates)
+      }, userInfo);
+
+      return product;
+    } catch (error) {
+      console.error('Error in updateProduct:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Archive a product so it disappears from the storefront
+   * @param {string} productId - Product UUID
+   * @param {string} adminUserId - Acting admin UUID
+   * @param {Object} userInfo - Request metadata for the audit log
+   * @returns {Promise<Object>} - Archived product
+   */
+  async archiveProduct(productId, adminUserId, userInfo = {}) {
+    try {
+      const existing = await this.getProduct(productId);
+
+      if (!existing.is_active) {
+        return existing;
+      }
+
+      const { data: product, error } = await supabaseAdmin
+        .from('products')
+        .update({
+          is_active: false,
+          is_sponsored: false,
+          is_featured: false,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', productId)
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Product archive error:', error);
+        throw new Error(`Failed to archive product: ${error.message}`);
+      }
+
+      await this.logCatalogActivity(adminUserId, 'catalog_product_archived', {
+        product_id: productId,
+        sku: existing.sku
+      }, userInfo);
+
+      return product;
+    } catch (error) {
+      console.error('Error in archiveProduct:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make sure no other product or variant uses the SKU
+   * @param {string} sku - Normalized SKU
+   * @param {string|null} excludeProductId - Product being updated
+   * @param {string|null} excludeVariantId - Variant being updated
+   * @returns {Promise<void>}
+   */
+  async ensureSkuAvailable(sku, excludeProductId = null, excludeVariantId = null) {
+    let productQuery = supabaseAdmin
+      .from('products')
+      .select('id')
+      .eq('sku', sku);
+
+    if (excludeProductId) {
+      productQuery = productQuery.neq('id', excludeProductId);
+    }
+
+    const { data: matches, error } = await productQuery.limit(1);
+
+    if (error) {
+      throw new Error(`Failed to check SKU: ${error.message}`);
+    }
+
+    if (matches && matches.length > 0) {
+      throw new Error(`A product with SKU ${sku} already exists`);
+    }
+
+    let variantQuery = supabaseAdmin
+      .from('product_variants')
+      .select('id')
+      .eq('sku', sku);
+
+    if (excludeVariantId) {
+      variantQuery = variantQuery.neq('id', excludeVariantId);
+    }
+
+    const { data: variantMatches, error: variantError } = await variantQuery.limit(1);
+
+    if (variantError) {
+      throw new Error(`Failed to check SKU: ${variantError.message}`);
+    }
+
+    if (variantMatches && variantMatches.length > 0) {
+      throw new Error(`A variant with SKU ${sku} already exists`);
+    }
+  }
+
+  /**
+   * Check that a category (and optional subcategory) exist and belong together
+   * @param {string} categoryId - Top-level category UUID
+   * @param {string|null} subcategoryId - Subcategory UUID
+   * @returns {Promise<void>}
+   */
+  async validateCategoryAssignment(categoryId, subcategoryId = null) {
+    const category = await this.getCategory(categoryId);
+
+    if (!category.is_active) {
+      throw new Error('Cannot assign products to an archived category');
+    }
+
+    if (subcategoryId) {
+      const subcategory = await this.getCategory(subcategoryId);
+
+      if (subcategory.parent_id !== categoryId) {
+        throw new Error('Subcategory does not belong to the selected category');
+      }
+
+      if (!subcategory.is_active) {
+        throw new Error('Cannot assign products to an archived subcategory');
+      }
+    }
+  }
+
+  // ==========================================
+  // Product variants
+  // ==========================================
+
+  /**
+   * List a product's variants
+   * @param {string} productId - Product UUID
+   * @param {Object} filters - Listing filters
+   * @returns {Promise<Array>} - Variants in display order
+   */
+  async listVariants(productId, filters = {}) {
+    try {
+      await this.getProduct(productId);
+
+      let query = supabaseAdmin
+        .from('product_variants')
+        .select('*')
+        .eq('product_id', productId)
+        .order('sort_order')
+        .order('created_at');
+
+      if (filters.include_archived !== 'true') {
+        query = query.eq('is_active', true);
+      }
+
+      const { data: variants, error } = await query;
+
+      if (error) {
+        console.error('Variants fetch error:', error);
+        throw new Error(`Failed to fetch variants: ${error.message}`);
+      }
+
+      return variants || [];
+    } catch (error) {
+      console.error('Error in listVariants:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single variant of a product
+   * @param {string} productId - Product UUID
+   * @param {string} variantId - Variant UUID
+   * @returns {Promise<Object>} - Variant record
+   */
+  async getVariant(productId, variantId) {
+    if (!this.isValidUUID(variantId)) {
+      throw new Error('Invalid variant ID format');
+    }
+
+    const { data: variant, error } = await supabaseAdmin
+      .from('product_variants')
+      .select('*')
+      .eq('id', variantId)
+      .eq('product_id', productId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        throw new Error('Variant not found');
+      }
+      throw new Error(`Failed to fetch variant: ${error.message}`);
+    }
+
+    return variant;
+  }
+
+  /**
+   * Create a product variant
+   * @param {string} productId - Product UUID
+   * @param {Object} variantData - Validated variant data
+   * @param {string} adminUserId - Acting admin UUID
+   * @param {Object} userInfo - Request metadata for the audit log
+   * @returns {Promise<Object>} - Created variant
+   */
+  async createVariant(productId, variantData, adminUserId, userInfo = {}) {
+    try {
+      const product = await this.getProduct(productId);
+
+      if (!product.is_active) {
+        throw new Error('Cannot add variants to an archived product');
+      }
+
+      await this.ensureSkuAvailable(variantData.sku);
+      await this.ensureVariantOptionsAvailable(productId, variantData);
+      this.validateVariantPricing(product, variantData);
+
+      const { data: variant, error } = await supabaseAdmin
+        .from('product_variants')
+        .insert([{
+          ...variantData,
+          product_id: productId,
+          is_active: true
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Variant creation error:', error);
+        throw new Error(`Failed to create variant: ${error.message}`);
+      }
+
+      await this.logCatalogActivity(adminUserId, 'catalog_variant_created', {
+        product_id: productId,
+        variant_id: variant.id,
+        sku: variant.sku
+      }, userInfo);
+
+      return variant;
+    } catch (error) {
+      console.error('Error in createVariant:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a product variant
+   * @param {string} productId - Product UUID
+   * @param {string} variantId - Variant UUID
+   * @param {Object} updates - Validated partial variant data
+   * @param {string} adminUserId - Acting admin UUID
+   * @param {Object} userInfo - Request metadata for the audit log
+   * @returns {Promise<Object>} - Updated variant
+   */
+  async updateVariant(productId, variantId, updates, adminUserId, userInfo = {}) {
+    try {
+      const product = await this.getProduct(productId);
+      const existing = await this.getVariant(productId, variantId);
+
+      if (updates.sku && updates.sku !== existing.sku) {
+        await this.ensureSkuAvailable(updates.sku, null, variantId);
+      }
+
+      const merged = { ...existing, ...updates };
+      await this.ensureVariantOptionsAvailable(productId, merged, variantId);
+      this.validateVariantPricing(product, merged);
+
+      const { data: variant, error } = await supabaseAdmin
+        .from('product_variants')
+        .update(updates)
+        .eq('id', variantId)
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Variant update error:', error);
+        throw new Error(`Failed to update variant: ${error.message}`);
+      }
+
+      await this.logCatalogActivity(adminUserId, 'catalog_variant_updated', {
+        product_id: productId,
+        variant_id: variantId,
+        changes: this.diffFields(existing, updates)
+      }, userInfo);
+
+      return variant;
+    } catch (error) {
+      console.error('Error in updateVariant:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Archive a product variant so it can no longer be added to carts
+   * @param {string} productId - Product UUID
+   * @param {string} variantId - Variant UUID
+   * @param {string} adminUserId - Acting admin UUID
+   * @param {Object} userInfo - Request metadata for the audit log
+   * @returns {Promise<Object>} - Archived variant
+   */
+  async archiveVariant(productId, variantId, adminUserId, userInfo = {}) {
+    try {
+      const existing = await this.getVariant(productId, variantId);
+
+      if (!existing.is_active) {
+        return existing;
+      }
+
+      const { data: variant, error } = await supabaseAdmin
+        .from('product_variants')
+        .update({ is_active: false })
+        .eq('id', variantId)
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Variant archive error:', error);
+        throw new Error(`Failed to archive variant: ${error.message}`);
+      }
+
+      await this.logCatalogActivity(adminUserId, 'catalog_variant_archived', {
+        product_id: productId,
+        variant_id: variantId,
+        sku: existing.sku
+      }, userInfo);
+
+      return variant;
+    } catch (error) {
+      console.error('Error in archiveVariant:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make sure no other active variant of the product has the same options
+   * @param {string} productId - Product UUID
+   * @param {Object} variantData - Variant options
+   * @param {string|null} excludeVariantId - Variant being updated
+   * @returns {Promise<void>}
+   */
+  async ensureVariantOptionsAvailable(productId, variantData, excludeVariantId = null) {
+    const { data: variants, error } = await supabaseAdmin
+      .from('product_variants')
+      .select('id, size, color, finish, storage_capacity')
+      .eq('product_id', productId)
+      .eq('is_active', true);
+
+    if (error) {
+      throw new Error(`Failed to check variant options: ${error.message}`);
+    }
+
+    const optionKey = (variant) => VARIANT_ATTRIBUTES
+      .map(attribute => (variant[attribute] || '').toLowerCase())
+      .join('|');
+
+    const duplicate = (variants || []).find(variant =>
+      variant.id !== excludeVariantId && optionKey(variant) === optionKey(variantData)
+    );
+
+    if (duplicate) {
+      throw new Error(`A variant with these options already exists (${getVariantLabel(duplicate)})`);
+    }
+  }
+
+  /**
+   * Check a variant's discount against the price it ends up charging
+   * @param {Object} product - Parent product
+   * @param {Object} variantData - Variant data merged with any existing values
+   */
+  validateVariantPricing(product, variantData) {
+    const hasOwnPrice = variantData.price !== null && variantData.price !== undefined;
+    const hasDiscount = variantData.discount_price !== null && variantData.discount_price !== undefined;
+
+    if (hasDiscount && !hasOwnPrice) {
+      throw new Error('Variant discount price requires a variant price');
+    }
+
+    if (hasDiscount && variantData.discount_price >= variantData.price) {
+      throw new Error('Discount price must be lower than the regular price');
+    }
+
+    if (!hasOwnPrice && !(product.price > 0)) {
+      throw new Error('Variant price must be set when the product has no price');
+    }
+  }
+
+  /**
+   * Count a product's active variants
+   * @param {string} productId - Product UUID
+   * @returns {Promise<number>} - Active variant count
+   */
+  async countActiveVariants(productId) {
+    const { count, error } = await supabaseAdmin
+      .from('product_variants')
+      .select('id', { count: 'exact', head: true })
+      .eq('product_id', productId)
+      .eq('is_active', true);
+
+    if (error) {
+      throw new Error(`Failed to count variants: ${error.message}`);
+    }
+
+    return count || 0;
+  }
+
+  // ==========================================
+  // Categories
+  // ==========================================
+
+  /**
+   * Get the full category tree, including archived categories
+   * @returns {Promise<Array>} - Top-level categories with nested subcategories
+   */
+  async getCategoryTree() {
+    try {
+      const { data: categories, error } = await supabaseAdmin
+        .from('categories')
+        .select('*')
+        .order('display_order');
+
+      if (error) {
+        console.error('Category tree fetch error:', error);
+        throw new Error(`Failed to fetch categories: ${error.message}`);
+      }
+
+      const byId = new Map();
+      (categories || []).forEach(category => {
+        byId.set(category.id, { ...category, subcategories: [] });
+      });
+
+      const roots = [];
+      byId.forEach(category => {
+        const parent = category.parent_id ? byId.get(category.parent_id) : null;
+        if (parent) {
+          parent.subcategories.push(category);
+        } else {
+          roots.push(category);
+        }
+      });
+
+      return roots;
+    } catch (error) {
+      console.error('Error in getCategoryTree:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single category
+   * @param {string} categoryId - Category UUID
+   * @returns {Promise<Object>} - Category record
+   */
+  async getCategory(categoryId) {
+    if (!this.isValidUUID(categoryId)) {
+      throw new Error('Invalid category ID format');
+    }
+
+    const { data: category, error } = await supabaseAdmin
+      .from('categories')
+      .select('*')
+      .eq('id', categoryId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        throw new Error('Category not found');
+      }
+      throw new Error(`Failed to fetch category: ${error.message}`);
+    }
+
+    return category;
+  }
+
+  /**
+   * Create a category or subcategory
+   * @param {Object} categoryData - Validated category data
+   * @param {string} adminUserId - Acting admin UUID
+   * @param {Object} userInfo - Request metadata for the audit log
+   * @returns {Promise<Object>} - Created category
+   */
+  async createCategory(categoryData, adminUserId, userInfo = {}) {
+    try {
+      if (categoryData.parent_id) {
+        await this.validateParentCategory(categoryData.parent_id);
+      }
+
+      const { data: category, error } = await supabaseAdmin
+        .from('categories')
+        .insert([{
+          parent_id: null,
+          display_order: 0,
+          ...categoryData,
+          is_active: true
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Category creation error:', error);
+        throw new Error(`Failed to create category: ${error.message}`);
+      }
+
+      await this.logCatalogActivity(adminUserId, 'catalog_category_created', {
+        category_id: category.id,
+        parent_id: category.parent_id
+      }, userInfo);
+
+      return category;
+    } catch (error) {
+      console.error('Error in createCategory:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a category, including moving it within the tree
+   * @param {string} categoryId - Category UUID
+   * @param {Object} updates - Validated partial category data
+   * @param {string} adminUserId - Acting admin UUID
+   * @param {Object} userInfo - Request metadata for the audit log
+   * @returns {Promise<Object>} - Updated category
+   */
+  async updateCategory(categoryId, updates, adminUserId, userInfo = {}) {
+    try {
+      const existing = await this.getCategory(categoryId);
+
+      if (updates.parent_id !== undefined && updates.parent_id !== existing.parent_id) {
+        if (updates.parent_id === categoryId) {
+          throw new Error('A category cannot be its own parent');
+        }
+
+        if (updates.parent_id) {
+          await this.validateParentCategory(updates.parent_id);
+
+          // The store uses a two-level tree, so a category with children cannot become a subcategory
+          const { count, error: childError } = await supabaseAdmin
+            .from('categories')
+            .select('id', { count: 'exact', head: true })
+            .eq('parent_id', categoryId);
+
+          if (childError) {
+            throw new Error(`Failed to check subcategories: ${childError.message}`);
+          }
+
+          if (count > 0) {
+            throw new Error('Cannot move a category that has subcategories under another category');
+          }
+        }
+      }
+
+      const { data: category, error } = await supabaseAdmin
+        .from('categories')
+        .update(updates)
+        .eq('id', categoryId)
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Category update error:', error);
+        throw new Error(`Failed to update category: ${error.message}`);
+      }
+
+      await this.logCatalogActivity(adminUserId, 'catalog_category_updated', {
+        category_id: categoryId,
+        changes: this.diffFields(existing, updates)
+      }, userInfo);
+
+      return category;
+    } catch (error) {
+      console.error('Error in updateCategory:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Archive a category once nothing active depends on it
+   * @param {string} categoryId - Category UUID
+   * @param {string} adminUserId - Acting admin UUID
+   * @param {Object} userInfo - Request metadata for the audit log
+   * @returns {Promise<Object>} - Archived category
+   */
+  async archiveCategory(categoryId, adminUserId, userInfo = {}) {
+    try {
+      const existing = await this.getCategory(categoryId);
+
+      if (!existing.is_active) {
+        return existing;
+      }
+
+      const { count: activeChildren, error: childError } = await supabaseAdmin
+        .from('categories')
+        .select('id', { count: 'exact', head: true })
+        .eq('parent_id', categoryId)
+        .eq('is_active', true);
+
+      if (childError) {
+        throw new Error(`Failed to check subcategories: ${childError.message}`);
+      }
+
+      if (activeChildren > 0) {
+        throw new Error('Cannot archive a category that still has active subcategories');
+      }
+
+      const { count: activeProducts, error: productError } = await supabaseAdmin
+        .from('products')
+        .select('id', { count: 'exact', head: true })
+        .or(`category_id.eq.${categoryId},subcategory_id.eq.${categoryId}`)
+        .eq('is_active', true);
+
+      if (productError) {
+        throw new Error(`Failed to check category products: ${productError.message}`);
+      }
+
+      if (activeProducts > 0) {
+        throw new Error('Cannot archive a category that still has active products');
+      }
+
+      const { data: category, error } = await supabaseAdmin
+        .from('categories')
+        .update({ is_active: false })
+        .eq('id', categoryId)
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Category archive error:', error);
+        throw new Error(`Failed to archive category: ${error.message}`);
+      }
+
+      await this.logCatalogActivity(adminUserId, 'catalog_category_archived', {
+        category_id: categoryId
+      }, userInfo);
+
+      return category;
+    } catch (error) {
+      console.error('Error in archiveCategory:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check that a category can act as a parent (active and top-level)
+   * @param {string} parentId - Parent category UUID
+   * @returns {Promise<void>}
+   */
+  async validateParentCategory(parentId) {
+    const parent = await this.getCategory(parentId);
+
+    if (!parent.is_active) {
+      throw new Error('Parent category is archived');
+    }
+
+    if (parent.parent_id) {
+      throw new Error('Subcategories cannot have their own subcategories');
+    }
+  }
+
+  // ==========================================
+  // Shelf layouts
+  // ==========================================
+
+  /**
+   * List shelf layouts
+   * @param {Object} filters - Listing filters
+   * @returns {Promise<Array>} - Shelf layouts
+   */
+  async listShelfLayouts(filters = {}) {
+    try {
+      let query = supabaseAdmin
+        .from('shelf_layouts')
+        .select('*')
+        .order('shelf_number');
+
+      if (filters.include_archived !== 'true') {
+        query = query.eq('is_active', true);
+      }
+
+      if (filters.category_id && this.isValidUUID(filters.category_id)) {
+        query = query.eq('category_id', filters.category_id);
+      }
+
+      const { data: shelves, error } = await query;
+
+      if (error) {
+        console.error('Shelf layouts fetch error:', error);
+        throw new Error(`Failed to fetch shelf layouts: ${error.message}`);
+      }
+
+      return shelves || [];
+    } catch (error) {
+      console.error('Error in listShelfLayouts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single shelf layout
+   * @param {string} shelfId - Shelf layout UUID
+   * @returns {Promise<Object>} - Shelf layout record
+   */
+  async getShelfLayout(shelfId) {
+    if (!this.isValidUUID(shelfId)) {
+      throw new Error('Invalid shelf layout ID format');
+    }
+
+    const { data: shelf, error } = await supabaseAdmin
+      .from('shelf_layouts')
+      .select('*')
+      .eq('id', shelfId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        throw new Error('Shelf layout not found');
+      }
+      throw new Error(`Failed to fetch shelf layout: ${error.message}`);
+    }
+
+    return shelf;
+  }
+
+  /**
+   * Create a shelf layout
+   * @param {Object} shelfData - Validated shelf layout data
+   * @param {string} adminUserId - Acting admin UUID
+   * @param {Object} userInfo - Request metadata for the audit log
+   * @returns {Promise<Object>} - Created shelf layout
+   */
+  async createShelfLayout(shelfData, adminUserId, userInfo = {}) {
+    try {
+      await this.validateCategoryAssignment(shelfData.category_id, shelfData.subcategory_id);
+      await this.ensureShelfNumberAvailable(shelfData.shelf_number);
+
+      const { data: shelf, error } = await supabaseAdmin
+        .from('shelf_layouts')
+        .insert([{
+          compartments: ['top', 'middle', 'bottom'],
+          ...shelfData,
+          is_active: true
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Shelf layout creation error:', error);
+        throw new Error(`Failed to create shelf layout: ${error.message}`);
+      }
+
+      await this.logCatalogActivity(adminUserId, 'catalog_shelf_created', {
+        shelf_layout_id: shelf.id,
+        shelf_number: shelf.shelf_number
+      }, userInfo);
+
+      return shelf;
+    } catch (error) {
+      console.error('Error in createShelfLayout:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a shelf layout
+   * @param {string} shelfId - Shelf layout UUID
+   * @param {Object} updates - Validated partial shelf layout data
+   * @param {string} adminUserId - Acting admin UUID
+   * @param {Object} userInfo - Request metadata for the audit log
+   * @returns {Promise<Object>} - Updated shelf layout
+   */
+  async updateShelfLayout(shelfId, updates, adminUserId, userInfo = {}) {
+    try {
+      const existing = await this.getShelfLayout(shelfId);
+
+      if (updates.category_id !== undefined || updates.subcategory_id !== undefined) {
+        const categoryId = updates.category_id !== undefined ? updates.category_id : existing.category_id;
+        const subcategoryId = updates.subcategory_id !== undefined ? updates.subcategory_id : existing.subcategory_id;
+        await this.validateCategoryAssignment(categoryId, subcategoryId);
+      }
+
+      if (updates.shelf_number !== undefined && updates.shelf_number !== existing.shelf_number) {
+        await this.ensureShelfNumberAvailable(updates.shelf_number, shelfId);
+      }
+
+      const { data: shelf, error } = await supabaseAdmin
+        .from('shelf_layouts')
+        .update(updates)
+        .eq('id', shelfId)
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Shelf layout update error:', error);
+        throw new Error(`Failed to update shelf layout: ${error.message}`);
+      }
+
+      await this.logCatalogActivity(adminUserId, 'catalog_shelf_updated', {
+        shelf_layout_id: shelfId,
+        changes: this.diffFields(existing, updates)
+      }, userInfo);
+
+      return shelf;
+    } catch (error) {
+      console.error('Error in updateShelfLayout:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Archive a shelf layout
+   * @param {string} shelfId - Shelf layout UUID
+   * @param {string} adminUserId - Acting admin UUID
+   * @param {Object} userInfo - Request metadata for the audit log
+   * @returns {Promise<Object>} - Archived shelf layout
+   */
+  async archiveShelfLayout(shelfId, adminUserId, userInfo = {}) {
+    try {
+      const existing = await this.getShelfLayout(shelfId);
+
+      if (!existing.is_active) {
+        return existing;
+      }
+
+      const { data: shelf, error } = await supabaseAdmin
+        .from('shelf_layouts')
+        .update({ is_active: false })
+        .eq('id', shelfId)
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Shelf layout archive error:', error);
+        throw new Error(`Failed to archive shelf layout: ${error.message}`);
+      }
+
+      await this.logCatalogActivity(adminUserId, 'catalog_shelf_archived', {
+        shelf_layout_id: shelfId,
+        shelf_number: existing.shelf_number
+      }, userInfo);
+
+      return shelf;
+    } catch (error) {
+      console.error('Error in archiveShelfLayout:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make sure no other active shelf uses the shelf number
+   * @param {number} shelfNumber - Shelf number
+   * @param {string|null} excludeShelfId - Shelf being updated
+   * @returns {Promise<void>}
+   */
+  async ensureShelfNumberAvailable(shelfNumber, excludeShelfId = null) {
+    let query = supabaseAdmin
+      .from('shelf_layouts')
+      .select('id')
+      .eq('shelf_number', shelfNumber)
+      .eq('is_active', true);
+
+    if (excludeShelfId) {
+      query = query.neq('id', excludeShelfId);
+    }
+
+    const { data: matches, error } = await query.limit(1);
+
+    if (error) {
+      throw new Error(`Failed to check shelf number: ${error.message}`);
+    }
+
+    if (matches && matches.length > 0) {
+      throw new Error(`Shelf number ${shelfNumber} already exists`);
+    }
+  }
+
+  // ==========================================
+  // Bulk import / export
+  // ==========================================
+
+  /**
+   * Validate and optionally upsert a batch of catalog rows keyed by SKU
+   * @param {Array} rows - Import rows (CSV rows or JSON objects)
+   * @param {Object} options - Import options
+   * @param {string} options.format - 'csv' or 'json'
+   * @param {boolean} options.dryRun - Only validate, never write
+   * @param {string} adminUserId - Acting admin UUID
+   * @param {Object} userInfo - Request metadata for the audit log
+   * @returns {Promise<Object>} - Import report with row-level errors
+   */
+  async importProducts(rows, options = {}, adminUserId, userInfo = {}) {
+    try {
+      const { format = 'json', dryRun = false } = options;
+
+      if (!Array.isArray(rows) || rows.length === 0) {
+        throw new Error('Import must contain at least one product row');
+      }
+
+      if (rows.length > this.maxImportRows) {
+        throw new Error(`Import cannot exceed ${this.maxImportRows} rows per request`);
+      }
+
+      const categoryIndex = await this.buildCategoryIndex();
+      const rowErrors = [];
+      const prepared = [];
+      const seenSkus = new Map();
+
+      rows.forEach((row, index) => {
+        const rowNumber = format === 'csv' ? row._line : index + 1;
+        const normalized = format === 'csv' ? this.csvRowToImportRow(row) : row;
+        const errors = [];
+
+        if (!normalized || typeof normalized !== 'object' || Array.isArray(normalized)) {
+          rowErrors.push({ row: rowNumber, sku: null, errors: ['Row must be an object'] });
+          return;
+        }
+
+        const payload = { ...normalized };
+        delete payload.category;
+        delete payload.subcategory;
+
+        // Resolve category and subcategory names to IDs
+        const categoryResolution = this.resolveImportCategories(normalized, categoryIndex);
+        errors.push(...categoryResolution.errors);
+        payload.category_id = categoryResolution.categoryId;
+        payload.subcategory_id = categoryResolution.subcategoryId;
+
+        const validation = validateProductData(payload);
+        errors.push(...validation.errors.filter(error =>
+          !(categoryResolution.errors.length > 0 && error === 'Category ID is required')
+        ));
+
+        const sku = validation.validated.sku || (typeof normalized.sku === 'string' ? normalized.sku.trim().toUpperCase() : null);
+
+        if (sku) {
+          if (seenSkus.has(sku)) {
+            errors.push(`Duplicate SKU ${sku} (already used on row ${seenSkus.get(sku)})`);
+          } else {
+            seenSkus.set(sku, rowNumber);
+          }
+        }
+
+        if (errors.length > 0) {
+          rowErrors.push({ row: rowNumber, sku, errors });
+          return;
+        }
+
+        // Missing stock means "leave as is" for existing SKUs, not the create default of 0
+        if (payload.stock_quantity === undefined) {
+          delete validation.validated.stock_quantity;
+        }
+
+        prepared.push({ row: rowNumber, sku, validated: validation.validated });
+      });
+
+      // Merge with existing products so columns missing from the file keep their values
+      const existingBySku = await this.getProductsBySku(prepared.map(item => item.sku));
+      const records = [];
+      let toCreate = 0;
+      let toUpdate = 0;
+
+      prepared.forEach(item => {
+        const existing = existingBySku.get(item.sku);
+        const base = existing
+          ? IMPORT_PRODUCT_FIELDS.reduce((acc, field) => ({ ...acc, [field]: existing[field] }), {})
+          : { ...IMPORT_DEFAULTS };
+
+        const record = { ...base, ...item.validated };
+        IMPORT_PRODUCT_FIELDS.forEach(field => {
+          if (record[field] === undefined) {
+            record[field] = IMPORT_DEFAULTS[field] !== undefined ? IMPORT_DEFAULTS[field] : null;
+          }
+        });
+
+        if (record.discount_price !== null && record.discount_price >= record.price) {
+          rowErrors.push({ row: item.row, sku: item.sku, errors: ['Discount price must be lower than the regular price'] });
+          return;
+        }
+
+        if (existing) {
+          toUpdate++;
+        } else {
+          toCreate++;
+        }
+
+        records.push({ ...record, updated_at: new Date().toISOString() });
+      });
+
+      rowErrors.sort((a, b) => a.row - b.row);
+
+      const report = {
+        dryRun,
+        totalRows: rows.length,
+        validRows: records.length,
+        invalidRows: rowErrors.length,
+        toCreate,
+        toUpdate,
+        errors: rowErrors,
+        imported: 0
+      };
+
+      // A batch is all-or-nothing: any row error blocks the write
+      if (dryRun || rowErrors.length > 0) {
+        return report;
+      }
+
+      const { data: upserted, error } = await supabaseAdmin
+        .from('products')
+        .upsert(records, { onConflict: 'sku' })
+        .select('id, sku');
+
+      if (error) {
+        console.error('Product import upsert error:', error);
+        throw new Error(`Failed to import products: ${error.message}`);
+      }
+
+      report.imported = upserted?.length || 0;
+
+      await this.logCatalogActivity(adminUserId, 'catalog_products_imported', {
+        format,
+        created: toCreate,
+        updated: toUpdate,
+        skus: records.map(record => record.sku)
+      }, userInfo);
+
+      return report;
+    } catch (error) {
+      console.error('Error in importProducts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Export the active catalog in the same row format the importer accepts
+   * @param {string} format - 'csv' or 'json'
+   * @returns {Promise<Array>} - Export rows (flat for CSV, nested for JSON)
+   */
+  async exportProducts(format = 'json') {
+    try {
+      const categoryNames = new Map();
+      const { data: categories, error: categoryError } = await supabaseAdmin
+        .from('categories')
+        .select('id, name');
+
+      if (categoryError) {
+        throw new Error(`Failed to fetch categories: ${categoryError.message}`);
+      }
+
+      (categories || []).forEach(category => categoryNames.set(category.id, category.name));
+
+      // Page through the view so large catalogs are not truncated by the API row limit
+      const products = [];
+      let offset = 0;
+      while (true) {
+        const { data: page, error } = await supabaseAdmin
+          .from('active_products')
+          .select('*')
+          .order('sku')
+          .range(offset, offset + this.exportPageSize - 1);
+
+        if (error) {
+          console.error('Product export error:', error);
+          throw new Error(`Failed to export products: ${error.message}`);
+        }
+
+        products.push(...(page || []));
+
+        if (!page || page.length < this.exportPageSize) break;
+        offset += this.exportPageSize;
+      }
+
+      return products.map(product => {
+        const row = {
+          sku: product.sku,
+          name: product.name,
+          description: product.description || null,
+          brand: product.brand || null,
+          price: product.price,
+          discount_price: product.discount_price ?? null,
+          stock_quantity: product.stock_quantity,
+          category: categoryNames.get(product.category_id) || null,
+          subcategory: product.subcategory_id ? categoryNames.get(product.subcategory_id) || null : null,
+          shelf_position: product.shelf_position || null,
+          product_images: product.product_images || [],
+          is_sponsored: Boolean(product.is_sponsored),
+          is_featured: Boolean(product.is_featured)
+        };
+
+        return format === 'csv' ? this.importRowToCsvRow(row) : row;
+      });
+    } catch (error) {
+      console.error('Error in exportProducts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Convert a parsed CSV row into the JSON import shape
+   * @param {Object} row - Parsed CSV row (string values)
+   * @returns {Object} - Import row
+   */
+  csvRowToImportRow(row) {
+    const optional = (value) => (value === undefined || value === '' ? undefined : value);
+    const nullable = (value) => (value === undefined ? undefined : value === '' ? null : value);
+
+    const importRow = {
+      sku: optional(row.sku),
+      name: optional(row.name),
+      description: nullable(row.description),
+      brand: nullable(row.brand),
+      price: optional(row.price),
+      discount_price: nullable(row.discount_price),
+      stock_quantity: optional(row.stock_quantity),
+      category: optional(row.category),
+      subcategory: nullable(row.subcategory),
+      is_sponsored: this.parseBooleanCell(row.is_sponsored),
+      is_featured: this.parseBooleanCell(row.is_featured)
+    };
+
+    if (row.product_images !== undefined) {
+      importRow.product_images = row.product_images
+        .split('|')
+        .map(url => url.trim())
+        .filter(Boolean);
+    }
+
+    const hasShelfColumns = ['shelf_id', 'shelf_compartment', 'shelf_slot'].some(column => row[column] !== undefined);
+    if (hasShelfColumns) {
+      const shelfCells = [row.shelf_id, row.shelf_compartment, row.shelf_slot];
+      importRow.shelf_position = shelfCells.every(cell => !cell)
+        ? null
+        : {
+          shelf_id: row.shelf_id,
+          compartment: row.shelf_compartment ? row.shelf_compartment.toLowerCase() : row.shelf_compartment,
+          position: optional(row.shelf_slot)
+        };
+    }
+
+    return importRow;
+  }
+
+  /**
+   * Flatten a JSON export row into CSV columns
+   * @param {Object} row - Export row
+   * @returns {Object} - Flat CSV row
+   */
+  importRowToCsvRow(row) {
+    return {
+      sku: row.sku,
+      name: row.name,
+      description: row.description,
+      brand: row.brand,
+      price: row.price,
+      discount_price: row.discount_price,
+      stock_quantity: row.stock_quantity,
+      category: row.category,
+      subcategory: row.subcategory,
+      shelf_id: row.shelf_position?.shelf_id,
+      shelf_compartment: row.shelf_position?.compartment,
+      shelf_slot: row.shelf_position?.position,
+      product_images: (row.product_images || []).join('|'),
+      is_sponsored: row.is_sponsored,
+      is_featured: row.is_featured
+    };
+  }
+
+  /**
+   * Parse spreadsheet-style boolean cells
+   * @param {string} value - Cell value
+   * @returns {boolean|string|undefined} - Boolean, or the raw value so validation can reject it
+   */
+  parseBooleanCell(value) {
+    if (value === undefined || value === '') return undefined;
+
+    const normalized = value.toLowerCase();
+    if (['true', 'yes', '1', 'y'].includes(normalized)) return true;
+    if (['false', 'no', '0', 'n'].includes(normalized)) return false;
+
+    return value;
+  }
+
+  /**
+   * Index all categories by lowercase name for import lookups
+   * @returns {Promise<Object>} - { topLevel: Map, children: Map, byId: Map }
+   */
+  async buildCategoryIndex() {
+    const { data: categories, error } = await supabaseAdmin
+      .from('categories')
+      .select('id, name, parent_id, is_active')
+      .eq('is_active', true);
+
+    if (error) {
+      throw new Error(`Failed to fetch categories: ${error.message}`);
+    }
+
+    const index = {
+      topLevel: new Map(),
+      children: new Map(),
+      byId: new Map()
+    };
+
+    (categories || []).forEach(category => {
+      const key = category.name.trim().toLowerCase();
+      index.byId.set(category.id, category);
+
+      if (category.parent_id) {
+        index.children.set(`${category.parent_id}:${key}`, category);
+      } else {
+        index.topLevel.set(key, category);
+      }
+    });
+
+    return index;
+  }
+
+  /**
+   * Resolve an import row's category and subcategory (by name or ID)
+   * @param {Object} row - Import row
+   * @param {Object} categoryIndex - Index from buildCategoryIndex
+   * @returns {Object} - { categoryId, subcategoryId, errors }
+   */
+  resolveImportCategories(row, categoryIndex) {
+    const errors = [];
+    let categoryId;
+    let subcategoryId = row.subcategory_id;
+
+    if (row.category_id) {
+      categoryId = row.category_id;
+    } else if (typeof row.category === 'string' && row.category.trim()) {
+      const category = categoryIndex.topLevel.get(row.category.trim().toLowerCase());
+      if (category) {
+        categoryId = category.id;
+      } else {
+        errors.push(`Category "${row.category}" not found`);
+      }
+    } else {
+      errors.push('Category is required');
+    }
+
+    if (categoryId && !categoryIndex.byId.has(categoryId)) {
+      errors.push('Category not found or archived');
+    }
+
+    if (row.subcategory === null) {
+      subcategoryId = null;
+    } else if (typeof row.subcategory === 'string' && row.subcategory.trim() && categoryId) {
+      const subcategory = categoryIndex.children.get(`${categoryId}:${row.subcategory.trim().toLowerCase()}`);
+      if (subcategory) {
+        subcategoryId = subcategory.id;
+      } else {
+        errors.push(`Subcategory "${row.subcategory}" not found under category "${row.category || categoryId}"`);
+      }
+    } else if (subcategoryId && categoryId) {
+      const subcategory = categoryIndex.byId.get(subcategoryId);
+      if (!subcategory || subcategory.parent_id !== categoryId) {
+        errors.push('Subcategory does not belong to the selected category');
+      }
+    }
+
+    return { categoryId, subcategoryId, errors };
+  }
+
+  /**
+   * Load existing products for a set of SKUs
+   * @param {Array} skus - Normalized SKUs
+   * @returns {Promise<Map>} - Products keyed by SKU
+   */
+  async getProductsBySku(skus) {
+    const bySku = new Map();
+
+    // Keep the IN filter comfortably inside URL length limits
+    const chunkSize = 200;
+    for (let i = 0; i < skus.length; i += chunkSize) {
+      const { data: products, error } = await supabaseAdmin
+        .from('products')
+        .select('*')
+        .in('sku', skus.slice(i, i + chunkSize));
+
+      if (error) {
+        throw new Error(`Failed to look up existing SKUs: ${error.message}`);
+      }
+
+      (products || []).forEach(product => bySku.set(product.sku, product));
+    }
+
+    return bySku;
+  }
+
+  // ==========================================
+  // Helpers
+  // ==========================================
+
+  /**
+   * Build a before/after summary of changed fields for the audit log
+   * @param {Object} existing - Record before the update
+   * @param {Object} updates - Applied updates
+   * @returns {Object} - Changed fields keyed by name
+   */
+  diffFields(existing, updates) {
+    const changes = {};
+
+    Object.keys(updates).forEach(field => {
+      if (JSON.stringify(existing[field]) !== JSON.stringify(updates[field])) {
+        changes[field] = { from: existing[field], to: updates[field] };
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Record a catalog change in the user activity log
+   * @param {string} adminUserId - Acting admin UUID
+   * @param {string} action - Catalog action
+   * @param {Object} details - Action details
+   * @param {Object} userInfo - Request metadata
+   * @returns {Promise<void>}
+   */
+  async logCatalogActivity(adminUserId, action, details = {}, userInfo = {}) {
+    await logUserActivity(adminUserId, action, details, userInfo);
+  }
+
+  /**
+   * Validate UUID format
+   * @param {string} uuid - UUID to validate
+   * @returns {boolean} - Is valid UUID
+   */
+  isValidUUID(uuid) {
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    return uuidRegex.test(uuid);
+  }
+}
+
+VRCatalogAdminService.CATALOG_CSV_COLUMNS = CATALOG_CSV_COLUMNS;
+
+module.exports = VRCatalogAdminService;
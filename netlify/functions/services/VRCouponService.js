@@ -0,0 +1,600 @@
+/**
+ * VR Coupon Service for promo code redemption at checkout
+ * Following the existing codebase patterns and conventions
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const { logUserActivity } = require('../utils/auth');
+const { convertRuleAmounts, formatMoney, roundMoney } = require('../utils/currency');
+const crypto = require('crypto');
+
+class VRCouponService {
+  constructor() {
+    this.maxGeneratedCodes = 500;
+  }
+
+  /**
+   * Normalize a shopper-entered code
+   * @param {string} code - Raw code
+   * @returns {string} - Uppercase code without surrounding whitespace
+   */
+  normalizeCode(code) {
+    return typeof code === 'string' ? code.trim().toUpperCase() : '';
+  }
+
+  /**
+   * Look up a coupon by code
+   * @param {string} code - Coupon code
+   * @returns {Promise<Object>} - Coupon record
+   */
+  async getCouponByCode(code) {
+    const normalized = this.normalizeCode(code);
+
+    if (!normalized) {
+      throw new Error('Coupon code is required');
+    }
+
+    const { data: coupon, error } = await supabaseAdmin
+      .from('coupons')
+      .select('*')
+      .eq('code', normalized)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        throw new Error('Coupon code not found');
+      }
+      throw new Error(`Failed to fetch coupon: ${error.message}`);
+    }
+
+    return coupon;
+  }
+
+  /**
+   * Apply a coupon code to the shopper's active session
+   * @param {string} sessionId - Shopping session UUID
+   * @param {string} userId - User UUID
+   * @param {string} code - Coupon code
+   * @param {Object} cart - Current cart (from VRShoppingService.getShoppingCart)
+   * @returns {Promise<Object>} - Applied coupon and discount
+   */
+  async applyCoupon(sessionId, userId, code, cart) {
+    try {
+      await this.getOwnedSession(sessionId, userId);
+
+      if (!cart.items || cart.items.length === 0) {
+        throw new Error('Cannot apply a coupon to an empty cart');
+      }
+
+      const coupon = await this.getCouponByCode(code);
+      await this.assertCouponRedeemable(coupon, userId);
+      const discountAmount = this.calculateCouponDiscount(coupon, cart);
+
+      const { error } = await supabaseAdmin
+        .from('shopping_sessions')
+        .update({ coupon_code: coupon.code })
+        .eq('id', sessionId);
+
+      if (error) {
+        console.error('Coupon apply error:', error);
+        throw new Error(`Failed to apply coupon: ${error.message}`);
+      }
+
+      await this.logCouponActivity(userId, sessionId, 'coupon_applied', {
+        coupon_id: coupon.id,
+        code: coupon.code,
+        discount_amount: discountAmount
+      });
+
+      return {
+        coupon: this.summarizeCoupon(coupon),
+        discountAmount
+      };
+    } catch (error) {
+      console.error('Error in applyCoupon:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove the coupon code from a session
+   * @param {string} sessionId - Shopping session UUID
+   * @param {string} userId - User UUID
+   * @returns {Promise<Object>} - Removal result
+   */
+  async removeCoupon(sessionId, userId) {
+    try {
+      const session = await this.getOwnedSession(sessionId, userId);
+
+      if (!session.coupon_code) {
+        throw new Error('No coupon is applied to this session');
+      }
+
+      const { error } = await supabaseAdmin
+        .from('shopping_sessions')
+        .update({ coupon_code: null })
+        .eq('id', sessionId);
+
+      if (error) {
+        console.error('Coupon removal error:', error);
+        throw new Error(`Failed to remove coupon: ${error.message}`);
+      }
+
+      await this.logCouponActivity(userId, sessionId, 'coupon_removed', {
+        code: session.coupon_code
+      });
+
+      return {
+        success: true,
+        code: session.coupon_code,
+        message: 'Coupon removed successfully'
+      };
+    } catch (error) {
+      console.error('Error in removeCoupon:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Re-check the session's coupon against the cart at checkout.
+   * A coupon that stopped qualifying is reported rather than blocking checkout.
+   * @param {string} sessionId - Shopping session UUID
+   * @param {string} userId - User UUID
+   * @param {Object} cart - Current cart
+   * @returns {Promise<Object|null>} - { code, couponId, categoryIds, discountAmount, valid, reason } or null
+   */
+  async evaluateSessionCoupon(sessionId, userId, cart) {
+    try {
+      const session = await this.getOwnedSession(sessionId, userId);
+
+      if (!session.coupon_code) {
+        return null;
+      }
+
+      try {
+        const coupon = await this.getCouponByCode(session.coupon_code);
+        await this.assertCouponRedeemable(coupon, userId);
+
+        return {
+          code: coupon.code,
+          couponId: coupon.id,
+          categoryIds: coupon.category_ids || [],
+          discountAmount: this.calculateCouponDiscount(coupon, cart),
+          valid: true
+        };
+      } catch (couponError) {
+        return {
+          code: session.coupon_code,
+          couponId: null,
+          discountAmount: 0,
+          valid: false,
+          reason: couponError.message
+        };
+      }
+    } catch (error) {
+      console.error('Error in evaluateSessionCoupon:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check schedule and usage limits for a shopper
+   * @param {Object} coupon - Coupon record
+   * @param {string} userId - User UUID
+   * @returns {Promise<void>}
+   */
+  async assertCouponRedeemable(coupon, userId) {
+    const now = new Date();
+
+    if (!coupon.is_active) {
+      throw new Error('Coupon is no longer active');
+    }
+
+    if (coupon.starts_at && new Date(coupon.starts_at) > now) {
+      throw new Error('Coupon is not valid yet');
+    }
+
+    if (coupon.expires_at && new Date(coupon.expires_at) <= now) {
+      throw new Error('Coupon has expired');
+    }
+
+    if (coupon.usage_limit !== null && coupon.usage_limit !== undefined && coupon.times_redeemed >= coupon.usage_limit) {
+      throw new Error('Coupon usage limit reached');
+    }
+
+    if (coupon.per_user_limit) {
+      const { count, error } = await supabaseAdmin
+        .from('coupon_redemptions')
+        .select('id', { count: 'exact', head: true })
+        .eq('coupon_id', coupon.id)
+        .eq('user_id', userId);
+
+      if (error) {
+        throw new Error(`Failed to check coupon usage: ${error.message}`);
+      }
+
+      if ((count || 0) >= coupon.per_user_limit) {
+        throw new Error('You have already used this coupon the maximum number of times');
+      }
+    }
+  }
+
+  /**
+   * Work out the coupon discount for a cart (after promotions)
+   * @param {Object} baseCoupon - Coupon record (amounts in the base currency)
+   * @param {Object} cart - Cart with items, promotion discounts, currency and exchangeRate
+   * @returns {number} - Discount amount in the cart currency
+   */
+  calculateCouponDiscount(baseCoupon, cart) {
+    const coupon = convertRuleAmounts(
+      baseCoupon,
+      baseCoupon.discount_type === 'percentage'
+        ? ['min_subtotal', 'max_discount_amount']
+        : ['discount_value', 'min_subtotal', 'max_discount_amount'],
+      cart.currency,
+      cart.exchangeRate
+    );
+    const categoryIds = coupon.category_ids || [];
+    const lineTotal = (item) => Math.max(0, item.total_price - (item.promotion_discount || 0));
+
+    const cartTotal = cart.items.reduce((sum, item) => sum + lineTotal(item), 0);
+
+    if (coupon.min_subtotal && cartTotal < Number(coupon.min_subtotal)) {
+      throw new Error(`Coupon requires a minimum spend of ${formatMoney(coupon.min_subtotal, cart.currency)}`);
+    }
+
+    const eligibleItems = categoryIds.length === 0
+      ? cart.items
+      : cart.items.filter(item =>
+        categoryIds.includes(item.product?.category_id) || categoryIds.includes(item.product?.subcategory_id)
+      );
+
+    const eligibleTotal = eligibleItems.reduce((sum, item) => sum + lineTotal(item), 0);
+
+    if (eligibleTotal <= 0) {
+      throw new Error('Coupon does not apply to any items in your cart');
+    }
+
+    let discount = coupon.discount_type === 'percentage'
+      ? eligibleTotal * Number(coupon.discount_value) / 100
+      : Number(coupon.discount_value);
+
+    if (coupon.max_discount_amount) {
+      discount = Math.min(discount, Number(coupon.max_discount_amount));
+    }
+
+    return roundMoney(Math.min(discount, eligibleTotal), cart.currency);
+  }
+
+  /**
+   * List coupons for admins
+   * @param {Object} filters - Listing filters
+   * @returns {Promise<Array>} - Coupons
+   */
+  async listCoupons(filters = {}) {
+    try {
+      let query = supabaseAdmin
+        .from('coupons')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(500);
+
+      if (filters.include_archived !== 'true') {
+        query = query.eq('is_active', true);
+      }
+
+      if (filters.batch_id) {
+        query = query.eq('batch_id', filters.batch_id);
+      }
+
+      const { data: coupons, error } = await query;
+
+      if (error) {
+        console.error('Coupons fetch error:', error);
+        throw new Error(`Failed to fetch coupons: ${error.message}`);
+      }
+
+      return coupons || [];
+    } catch (error) {
+      console.error('Error in listCoupons:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a coupon with its redemptions
+   * @param {string} couponId - Coupon UUID
+   * @returns {Promise<Object>} - Coupon record
+   */
+  async getCoupon(couponId) {
+    if (!this.isValidUUID(couponId)) {
+      throw new Error('Invalid coupon ID format');
+    }
+
+    const { data: coupon, error } = await supabaseAdmin
+      .from('coupons')
+      .select(`
+        *,
+        redemptions:coupon_redemptions(user_id, order_id, discount_amount, redeemed_at)
+      `)
+      .eq('id', couponId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        throw new Error('Coupon not found');
+      }
+      throw new Error(`Failed to fetch coupon: ${error.message}`);
+    }
+
+    return coupon;
+  }
+
+  /**
+   * Create a coupon, or a batch of single-use codes when generate_count is set
+   * @param {Object} couponData - Validated coupon data
+   * @param {string} adminUserId - Acting admin UUID
+   * @param {Object} userInfo - Request metadata for the audit log
+   * @returns {Promise<Object|Array>} - Created coupon(s)
+   */
+  async createCoupon(couponData, adminUserId, userInfo = {}) {
+    try {
+      const { generate_count: generateCount, code_prefix: codePrefix, ...fields } = couponData;
+
+      if (fields.expires_at && fields.starts_at && new Date(fields.expires_at) <= new Date(fields.starts_at)) {
+        throw new Error('Coupon expiry must be after its start time');
+      }
+
+      let rows;
+      if (generateCount) {
+        const batchId = crypto.randomUUID();
+        rows = this.generateCodes(codePrefix, generateCount).map(code => ({
+          ...fields,
+          code,
+          usage_limit: 1,
+          per_user_limit: 1,
+          is_single_use: true,
+          batch_id: batchId
+        }));
+      } else {
+        await this.ensureCodeAvailable(fields.code);
+        rows = [{
+          ...fields,
+          usage_limit: fields.is_single_use ? 1 : fields.usage_limit
+        }];
+      }
+
+      const { data: coupons, error } = await supabaseAdmin
+        .from('coupons')
+        .insert(rows.map(row => ({ ...row, is_active: true, times_redeemed: 0, created_by: adminUserId })))
+        .select();
+
+      if (error) {
+        console.error('Coupon creation error:', error);
+        throw new Error(`Failed to create coupon: ${error.message}`);
+      }
+
+      await logUserActivity(adminUserId, 'coupon_created', {
+        codes: generateCount ? `${coupons.length} generated` : coupons[0].code,
+        batch_id: coupons[0].batch_id || null
+      }, userInfo);
+
+      return generateCount ? coupons : coupons[0];
+    } catch (error) {
+      console.error('Error in createCoupon:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a coupon
+   * @param {string} couponId - Coupon UUID
+   * @param {Object} updates - Validated partial coupon data
+   * @param {string} adminUserId - Acting admin UUID
+   * @param {Object} userInfo - Request metadata for the audit log
+   * @returns {Promise<Object>} - Updated coupon
+   */
+  async updateCoupon(couponId, updates, adminUserId, userInfo = {}) {
+    try {
+      const existing = await this.getCoupon(couponId);
+
+      if (updates.code && updates.code !== existing.code) {
+        if (existing.times_redeemed > 0) {
+          throw new Error('Cannot rename a coupon that has been redeemed');
+        }
+        await this.ensureCodeAvailable(updates.code);
+      }
+
+      const merged = { ...existing, ...updates };
+      if (merged.expires_at && merged.starts_at && new Date(merged.expires_at) <= new Date(merged.starts_at)) {
+        throw new Error('Coupon expiry must be after its start time');
+      }
+
+      if (merged.discount_type === 'percentage' && Number(merged.discount_value) > 100) {
+        throw new Error('Percentage discounts cannot exceed 100');
+      }
+
+      const { data: coupon, error } = await supabaseAdmin
+        .from('coupons')
+        .update(updates)
+        .eq('id', couponId)
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Coupon update error:', error);
+        throw new Error(`Failed to update coupon: ${error.message}`);
+      }
+
+      await logUserActivity(adminUserId, 'coupon_updated', {
+        coupon_id: couponId,
+        fields: Object.keys(updates)
+      }, userInfo);
+
+      return coupon;
+    } catch (error) {
+      console.error('Error in updateCoupon:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Archive a coupon so it can no longer be applied
+   * @param {string} couponId - Coupon UUID
+   * @param {string} adminUserId - Acting admin UUID
+   * @param {Object} userInfo - Request metadata for the audit log
+   * @returns {Promise<Object>} - Archived coupon
+   */
+  async archiveCoupon(couponId, adminUserId, userInfo = {}) {
+    try {
+      const existing = await this.getCoupon(couponId);
+
+      if (!existing.is_active) {
+        return existing;
+      }
+
+      const { data: coupon, error } = await supabaseAdmin
+        .from('coupons')
+        .update({ is_active: false })
+        .eq('id', couponId)
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Coupon archive error:', error);
+        throw new Error(`Failed to archive coupon: ${error.message}`);
+      }
+
+      await logUserActivity(adminUserId, 'coupon_archived', {
+        coupon_id: couponId,
+        code: existing.code
+      }, userInfo);
+
+      return coupon;
+    } catch (error) {
+      console.error('Error in archiveCoupon:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make sure no other coupon uses the code
+   * @param {string} code - Normalized code
+   * @returns {Promise<void>}
+   */
+  async ensureCodeAvailable(code) {
+    const { data: matches, error } = await supabaseAdmin
+      .from('coupons')
+      .select('id')
+      .eq('code', code)
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Failed to check coupon code: ${error.message}`);
+    }
+
+    if (matches && matches.length > 0) {
+      throw new Error(`A coupon with code ${code} already exists`);
+    }
+  }
+
+  /**
+   * Generate unique random codes
+   * @param {string} prefix - Code prefix
+   * @param {number} count - Number of codes
+   * @returns {Array} - Codes
+   */
+  generateCodes(prefix = '', count = 1) {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I to avoid misreads
+    const codes = new Set();
+
+    while (codes.size < Math.min(count, this.maxGeneratedCodes)) {
+      const suffix = Array.from(crypto.randomBytes(8), byte => alphabet[byte % alphabet.length]).join('');
+      codes.add(`${prefix ? `${prefix}-` : ''}${suffix}`);
+    }
+
+    return [...codes];
+  }
+
+  /**
+   * Load a shopping session that belongs to the user
+   * @param {string} sessionId - Shopping session UUID
+   * @param {string} userId - User UUID
+   * @returns {Promise<Object>} - Session record
+   */
+  async getOwnedSession(sessionId, userId) {
+    if (!this.isValidUUID(sessionId)) {
+      throw new Error('Invalid session ID format');
+    }
+
+    const { data: session, error } = await supabaseAdmin
+      .from('shopping_sessions')
+      .select('id, user_id, status, coupon_code')
+      .eq('id', sessionId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        throw new Error('Session not found');
+      }
+      throw new Error(`Failed to fetch session: ${error.message}`);
+    }
+
+    return session;
+  }
+
+  /**
+   * Public view of a coupon for shoppers
+   * @param {Object} coupon - Coupon record
+   * @returns {Object} - Coupon summary
+   */
+  summarizeCoupon(coupon) {
+    return {
+      code: coupon.code,
+      description: coupon.description,
+      discountType: coupon.discount_type,
+      discountValue: coupon.discount_value,
+      minSubtotal: coupon.min_subtotal,
+      categoryIds: coupon.category_ids || [],
+      expiresAt: coupon.expires_at
+    };
+  }
+
+  /**
+   * Validate UUID format
+   * @param {string} uuid - UUID to validate
+   * @returns {boolean} - Is valid UUID
+   */
+  isValidUUID(uuid) {
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    return uuidRegex.test(uuid);
+  }
+
+  /**
+   * Log coupon activity
+   * @param {string} userId - User UUID
+   * @param {string} sessionId - Session UUID
+   * @param {string} activityType - Activity type
+   * @param {Object} activityData - Activity data
+   * @returns {Promise<void>}
+   */
+  async logCouponActivity(userId, sessionId, activityType, activityData = {}) {
+    try {
+      await supabaseAdmin
+        .from('vr_activity_logs')
+        .insert([{
+          user_id: userId,
+          session_id: sessionId,
+          activity_type: activityType,
+          activity_data: activityData,
+          timestamp: new Date().toISOString()
+        }]);
+    } catch (error) {
+      console.error('Coupon activity logging failed:', error);
+      // Don't throw error for logging failures
+    }
+  }
+}
+
+module.exports = VRCouponService;
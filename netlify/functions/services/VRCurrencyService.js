@@ -0,0 +1,142 @@
+/**
+ * VR Currency Service for exchange rates and local price lists
+ * Catalog prices, promotions and coupons are set in the base currency; stores can charge in
+ * another currency using a price list entry or the locally managed exchange rate.
+ * Following the existing codebase patterns and conventions
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const { getUnitPrice } = require('../utils/variants');
+const { BASE_CURRENCY, normalizeCurrency, convertFromBase, formatMoney } = require('../utils/currency');
+
+class VRCurrencyService {
+  constructor() {
+    this.baseCurrency = BASE_CURRENCY;
+  }
+
+  /**
+   * Exchange rate from the base currency
+   * @param {string} currency - ISO 4217 code
+   * @returns {Promise<number>} - Units of currency per unit of base currency
+   */
+  async getRate(currency) {
+    try {
+      const code = normalizeCurrency(currency);
+
+      if (code === this.baseCurrency) {
+        return 1;
+      }
+
+      const { data: rate, error } = await supabaseAdmin
+        .from('currency_rates')
+        .select('rate')
+        .eq('base_currency', this.baseCurrency)
+        .eq('quote_currency', code)
+        .eq('is_active', true)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Currency rate fetch error:', error);
+        throw new Error(`Failed to fetch exchange rate: ${error.message}`);
+      }
+
+      if (!rate) {
+        throw new Error(`Currency ${code} is not supported`);
+      }
+
+      return Number(rate.rate);
+    } catch (error) {
+      console.error('Error in getRate:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Currency a shopper sees prices in outside a checkout (their profile currency)
+   * @param {string|null} userId - User UUID
+   * @returns {Promise<Object>} - { currency, rate }; the base currency when unset or unsupported
+   */
+  async getDisplayPricing(userId) {
+    const base = { currency: this.baseCurrency, rate: 1 };
+
+    if (!userId) {
+      return base;
+    }
+
+    try {
+      const { data: user, error } = await supabaseAdmin
+        .from('users')
+        .select('preferred_currency')
+        .eq('id', userId)
+        .maybeSingle();
+
+      if (error || !user || !user.preferred_currency) {
+        return base;
+      }
+
+      const currency = normalizeCurrency(user.preferred_currency);
+      return { currency, rate: await this.getRate(currency) };
+    } catch (error) {
+      // Prices are still shown, just in the base currency
+      console.error('Display currency lookup failed:', error);
+      return base;
+    }
+  }
+
+  /**
+   * Format a base-currency price in a shopper's display currency
+   * @param {number} amount - Amount in the base currency
+   * @param {Object} pricing - Result of getDisplayPricing
+   * @returns {string} - Formatted amount
+   */
+  formatForDisplay(amount, pricing) {
+    return formatMoney(convertFromBase(amount, pricing.currency, pricing.rate), pricing.currency);
+  }
+
+  /**
+   * Unit price of a product (or variant) in a currency. A price list entry for the
+   * variant wins, then one for the product (unless the variant has its own price),
+   * then the base price converted at the exchange rate.
+   * @param {Object} product - Product record
+   * @param {Object|null} variant - Variant record
+   * @param {string} currency - ISO 4217 code
+   * @returns {Promise<number>} - Unit price
+   */
+  async getUnitPrice(product, variant, currency) {
+    try {
+      const code = normalizeCurrency(currency);
+      const basePrice = getUnitPrice(product, variant);
+
+      if (code === this.baseCurrency) {
+        return basePrice;
+      }
+
+      const { data: prices, error } = await supabaseAdmin
+        .from('product_prices')
+        .select('variant_id, price, discount_price')
+        .eq('product_id', product.id)
+        .eq('currency', code)
+        .eq('is_active', true);
+
+      if (error) {
+        console.error('Price list fetch error:', error);
+        throw new Error(`Failed to fetch price list: ${error.message}`);
+      }
+
+      const variantHasOwnPrice = variant && variant.price !== null && variant.price !== undefined;
+      const listed = (prices || []).find(entry => variant && entry.variant_id === variant.id) ||
+        (!variantHasOwnPrice ? (prices || []).find(entry => !entry.variant_id) : null);
+
+      if (listed) {
+        return Number(listed.discount_price || listed.price);
+      }
+
+      return convertFromBase(basePrice, code, await this.getRate(code));
+    } catch (error) {
+      console.error('Error in getUnitPrice:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = VRCurrencyService;
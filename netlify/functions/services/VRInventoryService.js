@@ -0,0 +1,210 @@
+/**
+ * VR Inventory Service for stock reservations held by shopping carts
+ * Following the existing codebase patterns and conventions
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+
+class VRInventoryService {
+  constructor() {
+    this.reservationMinutes = parseInt(process.env.STOCK_RESERVATION_MINUTES) || 15;
+  }
+
+  /**
+   * Hold stock for a cart line, replacing any earlier hold for the same line
+   * @param {string} sessionId - Shopping session UUID
+   * @param {string} productId - Product UUID
+   * @param {string|null} variantId - Variant UUID
+   * @param {number} quantity - Total quantity of the cart line
+   * @returns {Promise<Object>} - { quantity, expiresAt }
+   */
+  async reserve(sessionId, productId, variantId, quantity) {
+    const expiresAt = new Date(Date.now() + this.reservationMinutes * 60 * 1000).toISOString();
+
+    const { data: available, error } = await supabaseAdmin.rpc('reserve_stock', {
+      p_session_id: sessionId,
+      p_product_id: productId,
+      p_variant_id: variantId || null,
+      p_quantity: quantity,
+      p_expires_at: expiresAt
+    });
+
+    if (error) {
+      console.error('Stock reservation error:', error);
+      throw new Error(`Failed to reserve stock: ${error.message}`);
+    }
+
+    if (available < quantity) {
+      throw new Error(`Insufficient stock. Available: ${available}`);
+    }
+
+    return { quantity, expiresAt };
+  }
+
+  /**
+   * Release the hold of one cart line
+   * @param {string} sessionId - Shopping session UUID
+   * @param {string} productId - Product UUID
+   * @param {string|null} variantId - Variant UUID
+   * @returns {Promise<void>}
+   */
+  async releaseLine(sessionId, productId, variantId = null) {
+    let query = supabaseAdmin
+      .from('stock_reservations')
+      .update({ status: 'released', released_at: new Date().toISOString() })
+      .eq('session_id', sessionId)
+      .eq('product_id', productId)
+      .eq('status', 'active');
+
+    query = variantId ? query.eq('variant_id', variantId) : query.is('variant_id', null);
+
+    const { error } = await query;
+
+    if (error) {
+      console.error('Stock reservation release error:', error);
+      throw new Error(`Failed to release stock reservation: ${error.message}`);
+    }
+  }
+
+  /**
+   * Release every hold of a session
+   * @param {string} sessionId - Shopping session UUID
+   * @returns {Promise<void>}
+   */
+  async releaseSession(sessionId) {
+    const { error } = await supabaseAdmin
+      .from('stock_reservations')
+      .update({ status: 'released', released_at: new Date().toISOString() })
+      .eq('session_id', sessionId)
+      .eq('status', 'active');
+
+    if (error) {
+      console.error('Session reservation release error:', error);
+      throw new Error(`Failed to release stock reservations: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the unexpired holds of a session
+   * @param {string} sessionId - Shopping session UUID
+   * @returns {Promise<Array>} - Active reservations
+   */
+  async getSessionReservations(sessionId) {
+    const { data: reservations, error } = await supabaseAdmin
+      .from('stock_reservations')
+      .select('session_id, product_id, variant_id, quantity, expires_at')
+      .eq('session_id', sessionId)
+      .eq('status', 'active')
+      .gt('expires_at', new Date().toISOString());
+
+    if (error) {
+      console.error('Session reservations fetch error:', error);
+      throw new Error(`Failed to fetch stock reservations: ${error.message}`);
+    }
+
+    return reservations || [];
+  }
+
+  /**
+   * Units of a product (or variant) held by other sessions
+   * @param {string} productId - Product UUID
+   * @param {string|null} variantId - Variant UUID
+   * @param {string} sessionId - Session whose own holds are ignored
+   * @returns {Promise<number>} - Reserved quantity
+   */
+  async getReservedByOthers(productId, variantId, sessionId) {
+    let query = supabaseAdmin
+      .from('stock_reservations')
+      .select('quantity')
+      .eq('product_id', productId)
+      .neq('session_id', sessionId)
+      .eq('status', 'active')
+      .gt('expires_at', new Date().toISOString());
+
+    query = variantId ? query.eq('variant_id', variantId) : query.is('variant_id', null);
+
+    const { data: reservations, error } = await query;
+
+    if (error) {
+      console.error('Reserved stock fetch error:', error);
+      throw new Error(`Failed to fetch reserved stock: ${error.message}`);
+    }
+
+    return (reservations || []).reduce((sum, reservation) => sum + reservation.quantity, 0);
+  }
+
+  /**
+   * Availability of the products that currently have holds
+   * @returns {Promise<Map>} - product_id => { reserved_quantity, available_quantity }
+   */
+  async getReservedProducts() {
+    const { data: rows, error } = await supabaseAdmin
+      .from('product_availability')
+      .select('product_id, reserved_quantity, available_quantity')
+      .gt('reserved_quantity', 0);
+
+    if (error) {
+      console.error('Product availability fetch error:', error);
+      throw new Error(`Failed to fetch product availability: ${error.message}`);
+    }
+
+    return new Map((rows || []).map(row => [row.product_id, row]));
+  }
+
+  /**
+   * Availability of a product's variants
+   * @param {string} productId - Product UUID
+   * @returns {Promise<Map>} - variant_id => { reserved_quantity, available_quantity }
+   */
+  async getVariantAvailability(productId) {
+    const { data: rows, error } = await supabaseAdmin
+      .from('variant_availability')
+      .select('variant_id, reserved_quantity, available_quantity')
+      .eq('product_id', productId);
+
+    if (error) {
+      console.error('Variant availability fetch error:', error);
+      throw new Error(`Failed to fetch variant availability: ${error.message}`);
+    }
+
+    return new Map((rows || []).map(row => [row.variant_id, row]));
+  }
+
+  /**
+   * Add reserved and available quantities to product records
+   * @param {Array} products - Product records with stock_quantity
+   * @param {Map} reservedProducts - Result of getReservedProducts (fetched when omitted)
+   * @returns {Promise<Array>} - Products with reserved_quantity and available_quantity
+   */
+  async withAvailability(products, reservedProducts = null) {
+    const reserved = reservedProducts || await this.getReservedProducts();
+
+    return (products || []).map(product => {
+      const availability = reserved.get(product.id);
+      return {
+        ...product,
+        reserved_quantity: availability ? availability.reserved_quantity : 0,
+        available_quantity: availability
+          ? availability.available_quantity
+          : Math.max(product.stock_quantity || 0, 0)
+      };
+    });
+  }
+
+  /**
+   * Mark lapsed holds as expired (they stop counting at expiry either way)
+   * @returns {Promise<number>} - Number of holds expired
+   */
+  async expireReservations() {
+    const { data: expiredCount, error } = await supabaseAdmin.rpc('expire_stock_reservations');
+
+    if (error) {
+      console.error('Stock reservation expiry error:', error);
+      throw new Error(`Failed to expire stock reservations: ${error.message}`);
+    }
+
+    return expiredCount || 0;
+  }
+}
+
+module.exports = VRInventoryService;
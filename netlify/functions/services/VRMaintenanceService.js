@@ -0,0 +1,152 @@
+/**
+ * VR Maintenance Service for purging expired data
+ * Runs each cleanup step on its own so one failure doesn't stop the rest, and records
+ * what every run purged in maintenance_runs
+ * Following the existing codebase patterns and conventions
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const userService = require('./userService');
+const VRPaymentService = require('./VRPaymentService');
+
+class VRMaintenanceService {
+  constructor() {
+    this.sessionTimeout = parseInt(process.env.VR_SESSION_TIMEOUT) || 24 * 60 * 60 * 1000; // ms
+    this.pendingOrderHours = parseInt(process.env.PENDING_ORDER_TIMEOUT_HOURS) || 24;
+    this.batchSize = parseInt(process.env.MAINTENANCE_BATCH_SIZE) || 100;
+    this.paymentService = new VRPaymentService();
+  }
+
+  /**
+   * Run every cleanup step and record the run
+   * @returns {Promise<Object>} - { status, summary, errors }
+   */
+  async runMaintenance() {
+    const startedAt = new Date().toISOString();
+    const summary = {};
+    const errors = [];
+
+    const steps = [
+      ['expiredOtps', () => this.callCleanup('clean_expired_otps')],
+      ['expiredUserSessions', () => this.callCleanup('clean_expired_sessions')],
+      ['expiredRateLimits', () => this.callCleanup('clean_expired_rate_limits')],
+      ['expiredIdempotencyKeys', () => this.callCleanup('clean_expired_idempotency_keys')],
+      ['userData', () => userService.cleanupExpiredData()],
+      ['shoppingSessions', () => this.expireStaleSessions()],
+      ['pendingOrders', () => this.cancelPendingOrders()]
+    ];
+
+    for (const [name, step] of steps) {
+      try {
+        summary[name] = await step();
+      } catch (error) {
+        console.error(`Maintenance step ${name} failed:`, error);
+        errors.push({ step: name, error: error.message });
+      }
+    }
+
+    const status = errors.length === 0
+      ? 'completed'
+      : (errors.length === steps.length ? 'failed' : 'completed_with_errors');
+
+    await this.recordRun(startedAt, status, summary, errors);
+
+    return { status, startedAt, summary, errors };
+  }
+
+  /**
+   * Call a cleanup function of the database that returns the number of rows it deleted
+   * @param {string} functionName - SQL function name
+   * @returns {Promise<number>} - Rows deleted
+   */
+  async callCleanup(functionName) {
+    const { data: deleted, error } = await supabaseAdmin.rpc(functionName);
+
+    if (error) {
+      throw new Error(`${functionName} failed: ${error.message}`);
+    }
+
+    return deleted || 0;
+  }
+
+  /**
+   * End shopping sessions idle longer than VR_SESSION_TIMEOUT and empty the carts of ended sessions
+   * @returns {Promise<Object>} - { expired_sessions, released_reservations, cleared_cart_lines }
+   */
+  async expireStaleSessions() {
+    const { data: result, error } = await supabaseAdmin.rpc('expire_stale_sessions', {
+      p_idle_before: new Date(Date.now() - this.sessionTimeout).toISOString(),
+      p_limit: this.batchSize
+    });
+
+    if (error) {
+      throw new Error(`Failed to expire shopping sessions: ${error.message}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Cancel orders left unpaid for PENDING_ORDER_TIMEOUT_HOURS, giving their stock and coupons back
+   * Orders with any payment towards them are left for staff.
+   * @returns {Promise<Object>} - { cancelled, failed }
+   */
+  async cancelPendingOrders() {
+    const cutoff = new Date(Date.now() - this.pendingOrderHours * 60 * 60 * 1000).toISOString();
+
+    const { data: orders, error } = await supabaseAdmin
+      .from('orders')
+      .select('id, user_id, order_number')
+      .eq('status', 'pending')
+      .eq('payment_status', 'pending')
+      .lt('created_at', cutoff)
+      .order('created_at', { ascending: true })
+      .limit(this.batchSize);
+
+    if (error) {
+      throw new Error(`Failed to fetch pending orders: ${error.message}`);
+    }
+
+    const result = { cancelled: 0, failed: [] };
+    const reason = `Not paid within ${this.pendingOrderHours} hours`;
+
+    for (const order of orders || []) {
+      try {
+        await this.paymentService.cancelOrder(order.id, order.user_id, reason, { source: 'system' });
+        result.cancelled++;
+      } catch (cancelError) {
+        // e.g. a card payment went through in the meantime
+        result.failed.push({ order_number: order.order_number, error: cancelError.message });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Write the summary of a run
+   * @param {string} startedAt - ISO time the run started
+   * @param {string} status - completed, completed_with_errors or failed
+   * @param {Object} summary - What each step purged
+   * @param {Array} errors - Steps that failed
+   * @returns {Promise<void>}
+   */
+  async recordRun(startedAt, status, summary, errors) {
+    const { error } = await supabaseAdmin
+      .from('maintenance_runs')
+      .insert([{
+        status,
+        started_at: startedAt,
+        finished_at: new Date().toISOString(),
+        summary,
+        errors
+      }]);
+
+    if (error) {
+      // The run itself is done; log what it did since maintenance_runs will not have it
+      console.error('Maintenance run record error:', error, { status, startedAt, summary, errors });
+    }
+  }
+}
+
+module.exports = VRMaintenanceService;
@@ -0,0 +1,262 @@
+/**
+ * VR Order Service for the order lifecycle and store fulfillment
+ * Status changes go through transition_order_status, which checks them against
+ * order_status_transitions and records each one in order_status_history
+ * Following the existing codebase patterns and conventions
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const { formatMoney } = require('../utils/currency');
+const { isValidUUID } = require('../utils/validation');
+
+// pending -> paid -> picking -> ready_for_pickup | shipped -> delivered, plus cancelled and returned
+const ORDER_STATUSES = ['pending', 'paid', 'picking', 'ready_for_pickup', 'shipped', 'delivered', 'cancelled', 'returned'];
+
+// Statuses store staff move orders to; the others follow payments, cancellations and refunds
+const FULFILLMENT_STATUSES = ['picking', 'ready_for_pickup', 'shipped', 'delivered'];
+
+class VROrderService {
+  /**
+   * Move an order to another status
+   * @param {string} orderId - Order UUID
+   * @param {string} status - Target status
+   * @param {string} source - Who makes the change: system, customer or staff
+   * @param {string|null} changedBy - User UUID
+   * @param {Object} details - { note, carrier, tracking_number }
+   * @returns {Promise<Object>} - Updated order
+   */
+  async transitionStatus(orderId, status, source, changedBy = null, details = {}) {
+    if (!isValidUUID(orderId)) {
+      throw new Error('Invalid order ID format');
+    }
+
+    try {
+      const { data: order, error } = await supabaseAdmin.rpc('transition_order_status', {
+        p_order_id: orderId,
+        p_to_status: status,
+        p_source: source,
+        p_changed_by: changedBy,
+        p_note: details.note || null,
+        p_details: {
+          ...(details.carrier && { carrier: details.carrier }),
+          ...(details.tracking_number && { tracking_number: details.tracking_number })
+        }
+      });
+
+      if (error) {
+        throw this.mapTransitionError(error);
+      }
+
+      return order;
+    } catch (error) {
+      console.error('Error in transitionStatus:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Advance an order through fulfillment
+   * @param {string} orderId - Order UUID
+   * @param {string} staffId - Staff member UUID
+   * @param {Object} fulfillmentData - { status, note, carrier, tracking_number }
+   * @returns {Promise<Object>} - { order, nextStatuses }
+   */
+  async advanceFulfillment(orderId, staffId, fulfillmentData) {
+    try {
+      const order = await this.transitionStatus(orderId, fulfillmentData.status, 'staff', staffId, fulfillmentData);
+
+      return {
+        order,
+        nextStatuses: await this.getNextStatuses(order.status)
+      };
+    } catch (error) {
+      console.error('Error in advanceFulfillment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Statuses staff can move an order to from its current status
+   * @param {string} status - Current status
+   * @returns {Promise<Array<string>>}
+   */
+  async getNextStatuses(status) {
+    try {
+      const { data: transitions, error } = await supabaseAdmin
+        .from('order_status_transitions')
+        .select('to_status')
+        .eq('from_status', status)
+        .eq('performed_by', 'staff');
+
+      if (error) {
+        console.error('Order transitions fetch error:', error);
+        throw new Error(`Failed to fetch order transitions: ${error.message}`);
+      }
+
+      return (transitions || []).map(transition => transition.to_status);
+    } catch (error) {
+      console.error('Error in getNextStatuses:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an order's status history, oldest first
+   * @param {string} orderId - Order UUID
+   * @returns {Promise<Array>} - History entries
+   */
+  async getHistory(orderId) {
+    if (!isValidUUID(orderId)) {
+      throw new Error('Invalid order ID format');
+    }
+
+    try {
+      const { data: history, error } = await supabaseAdmin
+        .from('order_status_history')
+        .select('id, from_status, to_status, source, note, details, created_at, changed_by, user:users(name)')
+        .eq('order_id', orderId)
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        console.error('Order history fetch error:', error);
+        throw new Error(`Failed to fetch order history: ${error.message}`);
+      }
+
+      return history || [];
+    } catch (error) {
+      console.error('Error in getHistory:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List orders for store staff, oldest first so the queue is worked in order
+   * @param {Object} filters - { status, store_id }
+   * @param {Object} pagination - { page, limit }
+   * @returns {Promise<Object>} - { orders, pagination }
+   */
+  async listOrders(filters = {}, pagination = {}) {
+    try {
+      const page = Math.max(1, parseInt(pagination.page) || 1);
+      const limit = Math.min(100, Math.max(1, parseInt(pagination.limit) || 20));
+      const offset = (page - 1) * limit;
+
+      let query = supabaseAdmin
+        .from('orders')
+        .select(`
+          id, order_number, status, payment_status, payment_method, total_amount, currency,
+          shipping_carrier, tracking_number, store_id, created_at, updated_at,
+          user:users(name, email)
+        `, { count: 'exact' });
+
+      if (filters.status) {
+        const statuses = String(filters.status).split(',').map(status => status.trim()).filter(Boolean);
+        const unknown = statuses.filter(status => !ORDER_STATUSES.includes(status));
+
+        if (unknown.length > 0) {
+          throw new Error(`Invalid order status: ${unknown.join(', ')}. Use one of: ${ORDER_STATUSES.join(', ')}`);
+        }
+
+        query = query.in('status', statuses);
+      }
+
+      if (filters.store_id) {
+        query = query.eq('store_id', filters.store_id);
+      }
+
+      const { data: orders, error, count } = await query
+        .order('created_at', { ascending: true })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        console.error('Orders fetch error:', error);
+        throw new Error(`Failed to fetch orders: ${error.message}`);
+      }
+
+      return {
+        orders: (orders || []).map(order => ({
+          ...order,
+          formattedTotal: formatMoney(order.total_amount, order.currency)
+        })),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(count / limit),
+          totalItems: count,
+          itemsPerPage: limit
+        }
+      };
+    } catch (error) {
+      console.error('Error in listOrders:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get any order with its lines, history and the fulfillment steps open to staff
+   * @param {string} orderId - Order UUID
+   * @returns {Promise<Object>} - Order
+   */
+  async getOrder(orderId) {
+    if (!isValidUUID(orderId)) {
+      throw new Error('Invalid order ID format');
+    }
+
+    try {
+      const { data: order, error } = await supabaseAdmin
+        .from('orders')
+        .select(`
+          *,
+          user:users(name, email),
+          order_items(
+            id, quantity, unit_price, total_price,
+            product:products(name, brand, sku),
+            variant:product_variants(sku, size, color, finish, storage_capacity)
+          )
+        `)
+        .eq('id', orderId)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Order fetch error:', error);
+        throw new Error(`Failed to fetch order: ${error.message}`);
+      }
+
+      if (!order) {
+        throw new Error('Order not found');
+      }
+
+      const [history, nextStatuses] = await Promise.all([
+        this.getHistory(orderId),
+        this.getNextStatuses(order.status)
+      ]);
+
+      return { ...order, history, nextStatuses };
+    } catch (error) {
+      console.error('Error in getOrder:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Translate errors raised by transition_order_status
+   * @param {Object} error - Supabase RPC error
+   * @returns {Error} - Error with a readable message
+   */
+  mapTransitionError(error) {
+    const [code, from, to] = (error.message || '').split(':');
+
+    switch (code) {
+      case 'ORDER_NOT_FOUND':
+        return new Error('Order not found');
+      case 'INVALID_ORDER_TRANSITION':
+        return new Error(`Cannot move order from ${from} to ${to}`);
+      default:
+        return new Error(`Failed to update order status: ${error.message}`);
+    }
+  }
+}
+
+VROrderService.ORDER_STATUSES = ORDER_STATUSES;
+VROrderService.FULFILLMENT_STATUSES = FULFILLMENT_STATUSES;
+
+module.exports = VROrderService;
@@ -8,13 +8,32 @@
 
 const { supabaseAdmin } = require('../config/supabase');
 const VRShoppingService = require('./VRShoppingService');
+const VRCouponService = require('./VRCouponService');
+const VRInventoryService = require('./VRInventoryService');
+const VRTaxService = require('./VRTaxService');
+const VRWalletService = require('./VRWalletService');
+const VRReceiptService = require('./VRReceiptService');
+const VROrderService = require('./VROrderService');
+const VRCartRecoveryService = require('./VRCartRecoveryService');
+const VRShoppingGroupService = require('./VRShoppingGroupService');
+const { storeConfig } = require('../config/store');
+const { VARIANT_SELECT, getVariantLabel, getVariantAttributes } = require('../utils/variants');
+const { BASE_CURRENCY, roundMoney, toMinorUnits, formatMoney } = require('../utils/currency');
+const { mergeTaxBreakdown } = require('../utils/tax');
 
 class VRPaymentService {
   constructor() {
     this.shoppingService = new VRShoppingService();
+    this.couponService = new VRCouponService();
+    this.inventoryService = new VRInventoryService();
+    this.taxService = new VRTaxService();
+    this.walletService = new VRWalletService();
+    this.receiptService = new VRReceiptService();
+    this.orderService = new VROrderService();
+    this.cartRecoveryService = new VRCartRecoveryService();
+    this.groupService = new VRShoppingGroupService();
     this.stripeSecretKey = process.env.STRIPE_SECRET_KEY;
     this.stripe = this.stripeSecretKey ? require('stripe')(this.stripeSecretKey) : null;
-    this.taxRate = 0.08; // 8% tax rate (configurable)
   }
 
   /**
@@ -30,35 +49,105 @@ class VRPaymentService {
   /**
    * Calculate order totals
    * @param {Array} cartItems - Shopping cart items
-   * @param {Object} discounts - Applied discounts
+   * @param {Object} discounts - Applied discounts ({ amount, promotions, coupon })
+   * @param {Object} tax - Result of VRTaxService.calculateCartTax (default rate on the whole cart when omitted)
+   * @param {string} currency - Currency of the cart prices
    * @returns {Object} - Order totals
    */
-  calculateOrderTotals(cartItems, discounts = {}) {
+  calculateOrderTotals(cartItems, discounts = {}, tax = null, currency = BASE_CURRENCY) {
     const subtotal = cartItems.reduce((sum, item) => sum + item.total_price, 0);
-    const discountAmount = discounts.amount || 0;
+    const promotionDiscount = discounts.amount || 0;
+    const couponDiscount = discounts.coupon ? discounts.coupon.discountAmount : 0;
+    const discountAmount = Math.min(subtotal, promotionDiscount + couponDiscount);
     const subtotalAfterDiscount = Math.max(0, subtotal - discountAmount);
-    const taxAmount = subtotalAfterDiscount * this.taxRate;
+    const taxAmount = tax ? tax.taxAmount : subtotalAfterDiscount * this.taxService.defaultRate;
     const totalAmount = subtotalAfterDiscount + taxAmount;
 
+    const round = (amount) => roundMoney(amount, currency);
+
     return {
-      subtotal: parseFloat(subtotal.toFixed(2)),
-      discountAmount: parseFloat(discountAmount.toFixed(2)),
-      subtotalAfterDiscount: parseFloat(subtotalAfterDiscount.toFixed(2)),
-      taxAmount: parseFloat(taxAmount.toFixed(2)),
-      totalAmount: parseFloat(totalAmount.toFixed(2))
+      subtotal: round(subtotal),
+      discountAmount: round(discountAmount),
+      subtotalAfterDiscount: round(subtotalAfterDiscount),
+      taxAmount: round(taxAmount),
+      totalAmount: round(totalAmount),
+      appliedPromotions: discounts.promotions || [],
+      promotionDiscount: round(promotionDiscount),
+      couponCode: discounts.coupon ? discounts.coupon.code : null,
+      couponId: discounts.coupon ? discounts.coupon.couponId : null,
+      couponDiscount: round(couponDiscount),
+      currency,
+      exchangeRate: discounts.exchangeRate || 1,
+      taxBreakdown: tax ? tax.breakdown : [],
+      lineTaxes: tax ? tax.lines : {},
+      store: tax ? tax.store : null,
+      taxRegion: tax ? tax.regionCode : null
+    };
+  }
+
+  /**
+   * Calculate order totals for a session, taxed at the rates of the session's store
+   * @param {string} sessionId - Shopping session UUID
+   * @param {Object} cart - Cart priced with promotions
+   * @param {Object|null} coupon - Applied coupon ({ code, couponId, categoryIds, discountAmount })
+   * @returns {Promise<Object>} - Order totals
+   */
+  async calculateSessionTotals(sessionId, cart, coupon = null) {
+    const { data: session, error } = await supabaseAdmin
+      .from('shopping_sessions')
+      .select('store_id')
+      .eq('id', sessionId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        throw new Error('Session not found');
+      }
+      throw new Error(`Failed to fetch session: ${error.message}`);
+    }
+
+    const currency = cart.currency || BASE_CURRENCY;
+    const tax = await this.taxService.calculateCartTax(cart.items, session.store_id, coupon, currency);
+
+    const totals = this.calculateOrderTotals(cart.items, {
+      amount: cart.discountAmount,
+      promotions: cart.appliedPromotions,
+      coupon,
+      exchangeRate: cart.exchangeRate
+    }, tax, currency);
+
+    return {
+      ...totals,
+      formatted: {
+        subtotal: formatMoney(totals.subtotal, currency),
+        discountAmount: formatMoney(totals.discountAmount, currency),
+        taxAmount: formatMoney(totals.taxAmount, currency),
+        totalAmount: formatMoney(totals.totalAmount, currency)
+      }
     };
   }
 
   /**
    * Initialize checkout process
+   * A member of a shopping group checks out either the whole group cart (combined) or only
+   * their own part of it (split, the default); both need the member's can_checkout permission.
    * @param {string} sessionId - Shopping session UUID
    * @param {string} userId - User UUID
+   * @param {Object} options - Group checkout options
+   * @param {string} options.groupCheckout - combined or split
    * @returns {Promise<Object>} - Checkout details
    */
-  async initializeCheckout(sessionId, userId) {
+  async initializeCheckout(sessionId, userId, options = {}) {
     try {
-      // Validate session and get cart
-      const cart = await this.shoppingService.getShoppingCart(sessionId);
+      const group = await this.groupService.getCheckoutGroup(sessionId, userId);
+      const groupMode = group ? (options.groupCheckout || 'split') : null;
+      const groupCart = group ? await this.groupService.getGroupCart(group) : null;
+
+      // Validate session and get cart (a combined checkout prices every member's part together;
+      // nothing is moved until the order is placed)
+      const cart = groupMode === 'combined'
+        ? { ...groupCart, sessionId }
+        : await this.shoppingService.getShoppingCart(sessionId);
       
       if (!cart.items || cart.items.length === 0) {
         throw new Error('Cart is empty');
@@ -67,11 +156,25 @@ class VRPaymentService {
       // Validate stock for all items
       const stockValidation = await this.validateCartStock(cart.items);
       if (!stockValidation.isValid) {
+        const conflicts = stockValidation.stockUpdates.filter(update => update.available_stock < update.requested_quantity);
+        if (conflicts.length > 0 && conflicts.length === stockValidation.errors.length) {
+          throw this.createStockConflictError(conflicts.map(update => ({
+            product_id: update.product_id,
+            variant_id: update.variant_id,
+            name: update.name,
+            variant: update.variant,
+            requested: update.requested_quantity,
+            available: update.available_stock
+          })));
+        }
         throw new Error(`Stock validation failed: ${stockValidation.errors.join(', ')}`);
       }
 
-      // Calculate totals
-      const totals = this.calculateOrderTotals(cart.items);
+      // Re-check the session's coupon against the current cart
+      const coupon = await this.couponService.evaluateSessionCoupon(sessionId, userId, cart);
+
+      // Calculate totals with the promotions evaluated when the cart was read
+      const totals = await this.calculateSessionTotals(sessionId, cart, coupon && coupon.valid ? coupon : null);
 
       // Get session details
       const sessionDetails = await this.shoppingService.getSessionDetails(sessionId);
@@ -79,9 +182,11 @@ class VRPaymentService {
       return {
         cart,
         totals,
+        coupon,
         session: sessionDetails,
         stockValidation,
-        paymentMethods: ['cash', 'stripe'],
+        paymentMethods: ['cash', 'stripe', 'split', 'store_credit'],
+        group: group ? this.groupService.describeCheckout(group, groupMode, groupCart) : null,
         checkoutReady: true
       };
     } catch (error) {
@@ -90,6 +195,44 @@ class VRPaymentService {
     }
   }
 
+  /**
+   * Apply a coupon code to a session and preview the new totals
+   * @param {string} sessionId - Shopping session UUID
+   * @param {string} userId - User UUID
+   * @param {string} code - Coupon code
+   * @returns {Promise<Object>} - Applied coupon, discount and totals
+   */
+  async applyCoupon(sessionId, userId, code) {
+    try {
+      const cart = await this.shoppingService.getShoppingCart(sessionId);
+      const result = await this.couponService.applyCoupon(sessionId, userId, code, cart);
+
+      const totals = await this.calculateSessionTotals(sessionId, cart, {
+        code: result.coupon.code,
+        categoryIds: result.coupon.categoryIds,
+        discountAmount: result.discountAmount
+      });
+
+      return {
+        ...result,
+        totals
+      };
+    } catch (error) {
+      console.error('Error in applyCoupon:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove the coupon code from a session
+   * @param {string} sessionId - Shopping session UUID
+   * @param {string} userId - User UUID
+   * @returns {Promise<Object>} - Removal result
+   */
+  async removeCoupon(sessionId, userId) {
+    return this.couponService.removeCoupon(sessionId, userId);
+  }
+
   /**
    * Validate cart stock before checkout
    * @param {Array} cartItems - Shopping cart items
@@ -112,13 +255,46 @@ class VRPaymentService {
           continue;
         }
 
-        if (product.stock_quantity < item.quantity) {
-          errors.push(`Insufficient stock for ${product.name}. Available: ${product.stock_quantity}, Requested: ${item.quantity}`);
+        let availableStock = product.stock_quantity;
+        let itemName = product.name;
+        let variant = null;
+
+        // Variant lines are limited by the variant's own stock
+        if (item.variant_id) {
+          const { data: variantRow, error: variantError } = await supabaseAdmin
+            .from('product_variants')
+            .select(VARIANT_SELECT)
+            .eq('id', item.variant_id)
+            .single();
+
+          if (variantError || !variantRow || !variantRow.is_active) {
+            errors.push(`Variant ${getVariantLabel(item.variant) || item.variant_id} of ${product.name} is no longer available`);
+            continue;
+          }
+
+          variant = variantRow;
+          availableStock = variant.stock_quantity;
+          itemName = `${product.name} (${getVariantLabel(variant)})`;
+        }
+
+        // Units other carts still hold are not available to this one
+        const reservedByOthers = await this.inventoryService.getReservedByOthers(
+          item.product_id,
+          item.variant_id || null,
+          item.session_id
+        );
+        availableStock = Math.max(0, availableStock - reservedByOthers);
+
+        if (availableStock < item.quantity) {
+          errors.push(`Insufficient stock for ${itemName}. Available: ${availableStock}, Requested: ${item.quantity}`);
         }
 
         updates.push({
           product_id: item.product_id,
-          available_stock: product.stock_quantity,
+          variant_id: item.variant_id || null,
+          name: product.name,
+          variant,
+          available_stock: availableStock,
           requested_quantity: item.quantity
         });
       }
@@ -139,78 +315,103 @@ class VRPaymentService {
   }
 
   /**
-   * Create order record
+   * Create order record. Stock is validated and taken, the order and its items are
+   * written, the coupon is redeemed and the cart is emptied in one database transaction.
+   * A combined group checkout moves the members' lines into this session in that transaction too.
    * @param {string} sessionId - Shopping session UUID
    * @param {string} userId - User UUID
-   * @param {string} paymentMethod - Payment method (cash, stripe)
+   * @param {string} paymentMethod - Payment method (cash, stripe, store_credit, or split for several tenders)
    * @param {Object} totals - Order totals
+   * @param {Object|null} group - Group part of the checkout from initializeCheckout
    * @returns {Promise<Object>} - Created order
    */
-  async createOrder(sessionId, userId, paymentMethod, totals) {
+  async createOrder(sessionId, userId, paymentMethod, totals, group = null) {
     try {
-      // Get cart items
-      const cart = await this.shoppingService.getShoppingCart(sessionId);
+      const combined = Boolean(group && group.mode === 'combined');
+      const currency = totals.currency || BASE_CURRENCY;
 
-      // Generate order number to avoid database function issues
-      const orderNumber = this.generateOrderNumber();
+      // Get cart items (priced with the promotions applied at checkout)
+      const cart = combined
+        ? await this.shoppingService.getCombinedCart(group.shares.map(share => share.session_id), currency)
+        : await this.shoppingService.getShoppingCart(sessionId);
+
+      if (!cart.items || cart.items.length === 0) {
+        throw new Error('Cart is empty');
+      }
 
-      // Create order with explicit order_number
       const orderData = {
-        user_id: userId,
-        session_id: sessionId,
+        // Generated here to avoid database function issues
+        order_number: this.generateOrderNumber(),
         payment_method: paymentMethod,
-        payment_status: 'pending',
         subtotal: totals.subtotal,
         tax_amount: totals.taxAmount,
         discount_amount: totals.discountAmount,
         total_amount: totals.totalAmount,
-        status: 'pending'
+        applied_promotions: totals.appliedPromotions || [],
+        coupon_code: totals.couponCode || null,
+        coupon_discount_amount: totals.couponDiscount || 0,
+        store_id: totals.store ? totals.store.id : null,
+        tax_breakdown: totals.taxBreakdown || [],
+        currency,
+        exchange_rate: totals.exchangeRate || 1
       };
 
-      // Only set order_number if we want to override database generation
-      // Remove this line if you fix the database function
-      orderData.order_number = orderNumber;
-
-      const { data: order, error: orderError } = await supabaseAdmin
-        .from('orders')
-        .insert([orderData])
-        .select()
-        .single();
+      // The database checks each line against this pricing, so a cart edited mid-checkout is rejected.
+      // Combined lines of the same product merge into one, so they are priced by product instead.
+      const itemPricing = cart.items.reduce((pricing, item) => {
+        const key = combined ? `${item.product_id}:${item.variant_id || ''}` : item.id;
+        const lineTax = (totals.lineTaxes || {})[item.id];
+        const line = pricing[key] || { quantity: 0, discount_amount: 0, tax_amount: 0, tax_breakdown: [] };
+
+        pricing[key] = {
+          quantity: line.quantity + item.quantity,
+          discount_amount: roundMoney(line.discount_amount + (item.promotion_discount || 0), currency),
+          tax_amount: roundMoney(line.tax_amount + (lineTax ? lineTax.taxAmount : 0), currency),
+          tax_breakdown: mergeTaxBreakdown(line.tax_breakdown, lineTax ? lineTax.breakdown : [], currency)
+        };
+        return pricing;
+      }, {});
+
+      const { data: result, error } = await supabaseAdmin.rpc('checkout_session', {
+        p_session_id: sessionId,
+        p_user_id: userId,
+        p_order: orderData,
+        p_items: itemPricing,
+        p_coupon: totals.couponId
+          ? { coupon_id: totals.couponId, discount_amount: totals.couponDiscount }
+          : null,
+        p_group_id: combined ? group.id : null
+      });
 
-      if (orderError) {
-        console.error('Order creation error:', orderError);
-        throw new Error(`Failed to create order: ${orderError.message}`);
+      if (error) {
+        console.error('Checkout transaction error:', error);
+        throw this.mapCheckoutError(error);
       }
 
-      // Create order items
-      const orderItems = cart.items.map(item => ({
-        order_id: order.id,
-        product_id: item.product_id,
-        quantity: item.quantity,
-        unit_price: item.unit_price
-        // Remove total_price - let database calculate it or use default
-      }));
-
-      const { error: itemsError } = await supabaseAdmin
-        .from('order_items')
-        .insert(orderItems);
-
-      if (itemsError) {
-        console.error('Order items creation error:', itemsError);
-        // Rollback order creation
-        await supabaseAdmin.from('orders').delete().eq('id', order.id);
-        throw new Error(`Failed to create order items: ${itemsError.message}`);
+      if (result.status === 'stock_conflict') {
+        throw this.createStockConflictError(result.conflicts);
       }
 
+      const order = result.order;
+
       // Log order creation
       await this.logPaymentActivity(userId, sessionId, 'order_created', {
         order_id: order.id,
         order_number: order.order_number,
         payment_method: paymentMethod,
         total_amount: totals.totalAmount,
+        coupon_code: totals.couponCode || null,
         item_count: cart.items.length
       });
 
+      // Counts as a recovery conversion when the shopper came back through an abandoned-cart email
+      await this.cartRecoveryService.recordConversion(userId, sessionId, order);
+
+      // Group checkouts record whose shares the order paid for
+      if (group) {
+        await this.groupService.recordCheckout(group, userId, sessionId, order, result.combined);
+      }
+
       return order;
     } catch (error) {
       console.error('Error in createOrder:', error);
@@ -219,7 +420,65 @@ class VRPaymentService {
   }
 
   /**
-   * Process cash payment
+   * Translate errors raised by the checkout transaction
+   * @param {Object} error - Supabase RPC error
+   * @returns {Error} - Error with a shopper-facing message
+   */
+  mapCheckoutError(error) {
+    switch (error.message) {
+      case 'SESSION_NOT_FOUND':
+        return new Error('Session not found');
+      case 'CART_EMPTY':
+        return new Error('Cart is empty');
+      case 'CART_CHANGED':
+        return new Error('Cart changed during checkout. Please review your cart and try again');
+      case 'COUPON_LIMIT_REACHED':
+        return new Error('Coupon usage limit reached');
+      case 'COUPON_EXPIRED':
+        return new Error('Coupon has expired');
+      case 'STOCK_CONFLICT':
+        return this.createStockConflictError(JSON.parse(error.details || '[]'));
+      case 'GROUP_NOT_FOUND':
+        return new Error('Shopping group not found');
+      case 'NOT_GROUP_MEMBER':
+        return new Error('You are not a member of this shopping group');
+      default:
+        return new Error(`Failed to create order: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the error for cart lines that no longer have enough stock.
+   * The message is phrased so the VR cashier can read it to the shopper.
+   * @param {Array} conflicts - [{ product_id, variant_id, name, variant, requested, available }]
+   * @returns {Error} - Error with code STOCK_CONFLICT and the conflicting lines
+   */
+  createStockConflictError(conflicts) {
+    const lines = conflicts.map(conflict => {
+      const variantLabel = getVariantLabel(conflict.variant);
+      const name = variantLabel ? `${conflict.name} (${variantLabel})` : conflict.name;
+
+      return conflict.available > 0
+        ? `we only have ${conflict.available} of ${name} left and your cart has ${conflict.requested}`
+        : `${name} is sold out`;
+    });
+
+    const error = new Error(`Sorry, ${lines.join(', and ')}. Please update your cart and try again.`);
+    error.code = 'STOCK_CONFLICT';
+    error.conflicts = conflicts.map(conflict => ({
+      product_id: conflict.product_id,
+      variant_id: conflict.variant_id,
+      name: conflict.name,
+      variant: getVariantLabel(conflict.variant),
+      requested: conflict.requested,
+      available: conflict.available
+    }));
+    return error;
+  }
+
+  /**
+   * Process cash payment. Cash orders must be paid in full; split orders take any amount
+   * towards the balance due and are completed when the balance reaches zero.
    * @param {string} orderId - Order UUID
    * @param {string} userId - User UUID
    * @param {number} cashReceived - Amount of cash received
@@ -239,54 +498,56 @@ class VRPaymentService {
         throw new Error('Order not found');
       }
 
-      if (order.payment_status !== 'pending') {
+      if (order.status === 'cancelled' || !['pending', 'failed'].includes(order.payment_status)) {
         throw new Error('Order payment already processed');
       }
 
-      if (cashReceived < order.total_amount) {
-        throw new Error(`Insufficient cash. Required: $${order.total_amount}, Received: $${cashReceived}`);
-      }
-
-      const change = cashReceived - order.total_amount;
+      // A card payment the shopper started and walked away from gives its share of the balance back
+      await this.releasePendingCardPayments(order);
 
-      // Update order status
-      const { data: updatedOrder, error: updateError } = await supabaseAdmin
-        .from('orders')
-        .update({
-          payment_status: 'completed',
-          status: 'processing',
-          receipt_data: {
-            payment_method: 'cash',
-            cash_received: cashReceived,
-            change_given: change,
-            processed_at: new Date().toISOString()
-          },
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', orderId)
-        .select()
-        .single();
+      const balanceDue = this.getBalanceDue(order);
 
-      if (updateError) {
-        console.error('Order update error:', updateError);
-        throw new Error(`Failed to update order: ${updateError.message}`);
+      if (order.payment_method !== 'split' && cashReceived < balanceDue) {
+        throw new Error(`Insufficient cash. Required: ${formatMoney(balanceDue, order.currency)}, Received: ${formatMoney(cashReceived, order.currency)}`);
       }
 
-      // Update product stock
-      await this.updateProductStock(orderId);
+      const amount = roundMoney(Math.min(cashReceived, balanceDue), order.currency);
+      const change = roundMoney(cashReceived - amount, order.currency);
+      const processedAt = new Date().toISOString();
+
+      const { payment, order: updatedOrder } = await this.addPayment(order, 'cash', amount, 'completed', {
+        cash_received: cashReceived,
+        change_given: change,
+        // Split orders list their tenders on the receipt instead
+        receipt: order.payment_method === 'cash'
+          ? { payment_method: 'cash', cash_received: cashReceived, change_given: change, processed_at: processedAt }
+          : { processed_at: processedAt }
+      });
+
+      const remainingBalance = this.getBalanceDue(updatedOrder);
+      const paid = updatedOrder.payment_status === 'completed';
 
       // Complete shopping session
-      await this.shoppingService.endShoppingSession(order.session_id, userId, 'completed');
+      if (paid) {
+        await this.shoppingService.endShoppingSession(order.session_id, userId, 'completed');
+      }
 
-      // Generate receipt
-      const receipt = await this.generateReceipt(orderId);
+      // The receipt is issued, and emailed, once the whole order is paid
+      const receipt = paid ? await this.generateReceipt(orderId) : null;
+
+      if (receipt) {
+        await this.sendReceiptEmail(orderId, { receipt });
+      }
 
       // Log payment completion
       await this.logPaymentActivity(userId, order.session_id, 'cash_payment_completed', {
         order_id: orderId,
         order_number: order.order_number,
+        payment_id: payment.id,
         cash_received: cashReceived,
+        amount_applied: amount,
         change_given: change,
+        balance_due: remainingBalance,
         total_amount: order.total_amount
       });
 
@@ -294,11 +555,15 @@ class VRPaymentService {
         success: true,
         order: updatedOrder,
         payment: {
+          id: payment.id,
           method: 'cash',
           cashReceived,
+          amountApplied: amount,
           change,
           status: 'completed'
         },
+        balanceDue: remainingBalance,
+        formattedBalanceDue: formatMoney(remainingBalance, order.currency),
         receipt
       };
     } catch (error) {
@@ -307,6 +572,102 @@ class VRPaymentService {
     }
   }
 
+  /**
+   * Pay towards an order from the shopper's store credit. Split orders can use part of
+   * the wallet; other orders must be covered in full.
+   * @param {string} orderId - Order UUID
+   * @param {string} userId - User UUID
+   * @param {number|null} amount - Amount to use (defaults to as much of the balance due as the wallet covers)
+   * @returns {Promise<Object>} - Payment result
+   */
+  async processStoreCreditPayment(orderId, userId, amount = null) {
+    try {
+      const { data: order, error: orderError } = await supabaseAdmin
+        .from('orders')
+        .select('*')
+        .eq('id', orderId)
+        .eq('user_id', userId)
+        .single();
+
+      if (orderError || !order) {
+        throw new Error('Order not found');
+      }
+
+      if (order.status === 'cancelled' || !['pending', 'failed'].includes(order.payment_status)) {
+        throw new Error('Order payment already processed');
+      }
+
+      await this.releasePendingCardPayments(order);
+
+      const balanceDue = this.getBalanceDue(order);
+      const available = await this.walletService.getBalance(userId, order.currency);
+
+      if (available <= 0) {
+        throw new Error('No store credit available');
+      }
+
+      const creditAmount = roundMoney(amount ?? Math.min(available, balanceDue), order.currency);
+
+      if (creditAmount <= 0) {
+        throw new Error('Invalid payment amount');
+      }
+
+      if (order.payment_method !== 'split' && creditAmount < balanceDue) {
+        throw new Error(`Insufficient store credit. Required: ${formatMoney(balanceDue, order.currency)}, Available: ${formatMoney(available, order.currency)}`);
+      }
+
+      const { data: result, error } = await supabaseAdmin.rpc('pay_with_store_credit', {
+        p_order_id: orderId,
+        p_user_id: userId,
+        p_amount: creditAmount
+      });
+
+      if (error) {
+        throw this.mapPaymentError(error, order.currency);
+      }
+
+      const updatedOrder = result.order;
+      const remainingBalance = this.getBalanceDue(updatedOrder);
+      const paid = updatedOrder.payment_status === 'completed';
+
+      if (paid) {
+        await this.shoppingService.endShoppingSession(order.session_id, userId, 'completed');
+      }
+
+      const receipt = paid ? await this.generateReceipt(orderId) : null;
+
+      if (receipt) {
+        await this.sendReceiptEmail(orderId, { receipt });
+      }
+
+      await this.logPaymentActivity(userId, order.session_id, 'store_credit_payment_completed', {
+        order_id: orderId,
+        order_number: order.order_number,
+        payment_id: result.payment.id,
+        amount: creditAmount,
+        balance_due: remainingBalance
+      });
+
+      return {
+        success: true,
+        order: updatedOrder,
+        payment: {
+          id: result.payment.id,
+          method: 'store_credit',
+          amount: creditAmount,
+          storeCreditBalance: Number(result.transaction.balance_after),
+          status: 'completed'
+        },
+        balanceDue: remainingBalance,
+        formattedBalanceDue: formatMoney(remainingBalance, order.currency),
+        receipt
+      };
+    } catch (error) {
+      console.error('Error in processStoreCreditPayment:', error);
+      throw error;
+    }
+  }
+
   /**
    * Create Stripe payment intent
    * @param {string} orderId - Order UUID
@@ -331,7 +692,8 @@ class VRPaymentService {
         throw new Error('Order not found');
       }
 
-      if (order.payment_status !== 'pending') {
+      // A failed attempt (reported by the webhook) can be retried with a new payment intent
+      if (order.status === 'cancelled' || !['pending', 'failed'].includes(order.payment_status)) {
         throw new Error('Order payment already processed');
       }
 
@@ -346,19 +708,43 @@ class VRPaymentService {
         throw new Error('User not found');
       }
 
+      // A new intent replaces any earlier one, so the card can only be charged once
+      await this.releasePendingCardPayments(order);
+
+      // The card pays whatever cash has not covered
+      const amount = this.getBalanceDue(order);
+      const { payment } = await this.addPayment(order, 'stripe', amount, 'pending');
+
       // Create payment intent
-      const paymentIntent = await this.stripe.paymentIntents.create({
-        amount: Math.round(order.total_amount * 100), // Convert to cents
-        currency: 'usd',
-        metadata: {
-          order_id: orderId,
-          order_number: order.order_number,
-          user_id: userId,
-          session_id: order.session_id
-        },
-        receipt_email: user.email,
-        description: `VR Supermarket Order ${order.order_number}`
-      });
+      let paymentIntent;
+      try {
+        paymentIntent = await this.stripe.paymentIntents.create({
+          amount: toMinorUnits(amount, order.currency), // Stripe takes the smallest currency unit
+          currency: (order.currency || BASE_CURRENCY).toLowerCase(),
+          metadata: {
+            order_id: orderId,
+            order_number: order.order_number,
+            payment_id: payment.id,
+            user_id: userId,
+            session_id: order.session_id
+          },
+          receipt_email: user.email,
+          description: `VR Supermarket Order ${order.order_number}`
+        }, { idempotencyKey: `payment-${payment.id}` });
+      } catch (stripeError) {
+        await this.updatePaymentStatus(payment.id, 'failed');
+        throw stripeError;
+      }
+
+      const { error: paymentUpdateError } = await supabaseAdmin
+        .from('order_payments')
+        .update({ payment_intent_id: paymentIntent.id })
+        .eq('id', payment.id);
+
+      if (paymentUpdateError) {
+        console.error('Payment intent link error:', paymentUpdateError);
+        throw new Error(`Failed to record payment intent: ${paymentUpdateError.message}`);
+      }
 
       // Update order with payment intent ID
       await supabaseAdmin
@@ -372,8 +758,9 @@ class VRPaymentService {
       // Log payment intent creation
       await this.logPaymentActivity(userId, order.session_id, 'stripe_payment_intent_created', {
         order_id: orderId,
+        payment_id: payment.id,
         payment_intent_id: paymentIntent.id,
-        amount: order.total_amount
+        amount
       });
 
       return {
@@ -384,6 +771,7 @@ class VRPaymentService {
           currency: paymentIntent.currency,
           status: paymentIntent.status
         },
+        balanceDue: amount,
         order
       };
     } catch (error) {
@@ -418,60 +806,32 @@ class VRPaymentService {
         throw new Error('Order not found or payment intent mismatch');
       }
 
-      // Retrieve payment intent from Stripe
-      const paymentIntent = await this.stripe.paymentIntents.retrieve(paymentIntentId);
+      let completedOrder = order;
+      let chargeId = order.receipt_data?.stripe_charge_id;
 
-      if (paymentIntent.status !== 'succeeded') {
-        throw new Error(`Payment not completed. Status: ${paymentIntent.status}`);
-      }
+      // The Stripe webhook may already have completed the order
+      if (order.payment_status !== 'completed') {
+        // Retrieve payment intent from Stripe
+        const paymentIntent = await this.stripe.paymentIntents.retrieve(paymentIntentId);
 
-      // Update order status
-      const { data: updatedOrder, error: updateError } = await supabaseAdmin
-        .from('orders')
-        .update({
-          payment_status: 'completed',
-          status: 'processing',
-          receipt_data: {
-            payment_method: 'stripe',
-            payment_intent_id: paymentIntentId,
-            stripe_charge_id: paymentIntent.latest_charge,
-            processed_at: new Date().toISOString()
-          },
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', orderId)
-        .select()
-        .single();
+        if (paymentIntent.status !== 'succeeded') {
+          throw new Error(`Payment not completed. Status: ${paymentIntent.status}`);
+        }
 
-      if (updateError) {
-        console.error('Order update error:', updateError);
-        throw new Error(`Failed to update order: ${updateError.message}`);
+        completedOrder = (await this.completeStripePayment(order, paymentIntent, 'client')).order;
+        chargeId = paymentIntent.latest_charge;
       }
 
-      // Update product stock
-      await this.updateProductStock(orderId);
-
-      // Complete shopping session
-      await this.shoppingService.endShoppingSession(order.session_id, userId, 'completed');
-
       // Generate receipt
       const receipt = await this.generateReceipt(orderId);
 
-      // Log payment completion
-      await this.logPaymentActivity(userId, order.session_id, 'stripe_payment_completed', {
-        order_id: orderId,
-        payment_intent_id: paymentIntentId,
-        stripe_charge_id: paymentIntent.latest_charge,
-        total_amount: order.total_amount
-      });
-
       return {
         success: true,
-        order: updatedOrder,
+        order: completedOrder,
         payment: {
           method: 'stripe',
           paymentIntentId,
-          chargeId: paymentIntent.latest_charge,
+          chargeId,
           status: 'completed'
         },
         receipt
@@ -483,85 +843,267 @@ class VRPaymentService {
   }
 
   /**
-   * Update product stock after successful payment
-   * @param {string} orderId - Order UUID
-   * @returns {Promise<void>}
+   * Record a succeeded card payment against its order. Shared by the client confirmation and
+   * the webhook; only a pending tender is completed, so whichever arrives first applies it.
+   * @param {Object} order - Order record
+   * @param {Object} paymentIntent - Succeeded Stripe PaymentIntent
+   * @param {string} source - What reported the payment (client, webhook)
+   * @returns {Promise<Object>} - { order, completed } (completed is false if it was already recorded)
    */
-  async updateProductStock(orderId) {
-    try {
-      // Get order items
-      const { data: orderItems, error } = await supabaseAdmin
-        .from('order_items')
-        .select('*')
-        .eq('order_id', orderId);
+  async completeStripePayment(order, paymentIntent, source) {
+    const { data: payment, error: paymentError } = await supabaseAdmin
+      .from('order_payments')
+      .select('id')
+      .eq('payment_intent_id', paymentIntent.id)
+      .maybeSingle();
+
+    if (paymentError) {
+      console.error('Order payment fetch error:', paymentError);
+      throw new Error(`Failed to fetch order payment: ${paymentError.message}`);
+    }
 
-      if (error) {
-        console.error('Error fetching order items:', error);
-        return;
+    if (!payment) {
+      console.error(`No order payment for payment intent ${paymentIntent.id}`);
+      return { order, completed: false };
+    }
+
+    const result = await this.completePayment(payment.id, {
+      stripe_charge_id: paymentIntent.latest_charge,
+      receipt: {
+        payment_method: order.payment_method,
+        payment_intent_id: paymentIntent.id,
+        stripe_charge_id: paymentIntent.latest_charge,
+        confirmed_by: source,
+        processed_at: new Date().toISOString()
       }
+    });
 
-      // Update stock for each product
-      for (const item of orderItems) {
-        // First get current stock
-        const { data: product, error: fetchError } = await supabaseAdmin
-          .from('products')
-          .select('stock_quantity')
-          .eq('id', item.product_id)
-          .single();
+    if (!result) {
+      return { order, completed: false };
+    }
 
-        if (fetchError || !product) {
-          console.error(`Error fetching product ${item.product_id}:`, fetchError);
-          continue;
-        }
+    const updatedOrder = result.order;
 
-        // Calculate new stock quantity
-        const newStock = Math.max(0, product.stock_quantity - item.quantity);
+    // Complete shopping session; the payment is already recorded, so this must not fail it
+    if (updatedOrder.payment_status === 'completed') {
+      try {
+        await this.shoppingService.endShoppingSession(order.session_id, order.user_id, 'completed');
+      } catch (sessionError) {
+        console.error('Session completion after Stripe payment failed:', sessionError);
+      }
 
-        // Update the stock
-        const { error: stockError } = await supabaseAdmin
-          .from('products')
-          .update({ stock_quantity: newStock })
-          .eq('id', item.product_id);
+      await this.sendReceiptEmail(order.id);
+    }
+
+    // Log payment completion
+    await this.logPaymentActivity(order.user_id, order.session_id, 'stripe_payment_completed', {
+      order_id: order.id,
+      payment_id: payment.id,
+      payment_intent_id: paymentIntent.id,
+      stripe_charge_id: paymentIntent.latest_charge,
+      amount: result.payment.amount,
+      total_amount: order.total_amount,
+      confirmed_by: source
+    });
+
+    return { order: updatedOrder, completed: true };
+  }
+
+  /**
+   * Balance an order still has to be paid
+   * @param {Object} order - Order record
+   * @returns {number} - Total minus completed tenders
+   */
+  getBalanceDue(order) {
+    return roundMoney(Math.max(0, order.total_amount - (order.amount_paid || 0)), order.currency);
+  }
+
+  /**
+   * Add a tender to an order; the database checks it against the balance due
+   * @param {Object} order - Order record
+   * @param {string} method - cash or stripe
+   * @param {number} amount - Amount paid towards the order
+   * @param {string} status - completed, or pending for a card payment that has not gone through yet
+   * @param {Object} details - cash_received, change_given, payment_intent_id, receipt (merged into receipt_data)
+   * @returns {Promise<Object>} - { payment, order }
+   */
+  async addPayment(order, method, amount, status, details = {}) {
+    const { data: result, error } = await supabaseAdmin.rpc('add_order_payment', {
+      p_order_id: order.id,
+      p_method: method,
+      p_amount: amount,
+      p_status: status,
+      p_details: details
+    });
+
+    if (error) {
+      throw this.mapPaymentError(error, order.currency);
+    }
+
+    return result;
+  }
+
+  /**
+   * Complete a pending tender
+   * @param {string} paymentId - Order payment UUID
+   * @param {Object} details - stripe_charge_id, receipt (merged into receipt_data)
+   * @returns {Promise<Object|null>} - { payment, order }, or null when the tender is no longer pending
+   */
+  async completePayment(paymentId, details = {}) {
+    const { data: result, error } = await supabaseAdmin.rpc('complete_order_payment', {
+      p_payment_id: paymentId,
+      p_details: details
+    });
+
+    if (error) {
+      console.error('Order payment completion error:', error);
+      throw new Error(`Failed to complete payment: ${error.message}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Set the status of a tender that has not completed
+   * @param {string} paymentId - Order payment UUID
+   * @param {string} status - failed or cancelled
+   * @returns {Promise<void>}
+   */
+  async updatePaymentStatus(paymentId, status) {
+    const { error } = await supabaseAdmin
+      .from('order_payments')
+      .update({ status })
+      .eq('id', paymentId)
+      .in('status', ['pending', 'failed']);
+
+    if (error) {
+      console.error('Order payment status update error:', error);
+    }
+  }
+
+  /**
+   * Cancel an order's pending and declined card payments so their amount is due again.
+   * A declined intent stays open for the shopper to retry, so it is cancelled here too.
+   * @param {Object} order - Order record
+   * @returns {Promise<void>}
+   */
+  async releasePendingCardPayments(order) {
+    const { data: payments, error } = await supabaseAdmin
+      .from('order_payments')
+      .select('id, payment_intent_id')
+      .eq('order_id', order.id)
+      .eq('method', 'stripe')
+      .in('status', ['pending', 'failed']);
+
+    if (error) {
+      console.error('Order payments fetch error:', error);
+      throw new Error(`Failed to fetch order payments: ${error.message}`);
+    }
 
-        if (stockError) {
-          console.error(`Error updating stock for product ${item.product_id}:`, stockError);
+    for (const payment of payments || []) {
+      if (payment.payment_intent_id && this.stripe) {
+        try {
+          await this.stripe.paymentIntents.cancel(payment.payment_intent_id);
+        } catch (stripeError) {
+          const intentStatus = stripeError.payment_intent && stripeError.payment_intent.status;
+
+          // Already cancelled on Stripe's side; anything else leaves the tender pending so the
+          // intent cannot go on to charge an order we released
+          if (intentStatus !== 'canceled') {
+            // Stripe refuses to cancel an intent that has succeeded or is being processed
+            if (stripeError.code === 'payment_intent_unexpected_state') {
+              throw new Error('A card payment for this order is already being processed');
+            }
+            console.error('Stripe cancellation error:', stripeError);
+            throw new Error('A card payment for this order could not be cancelled, please try again');
+          }
         }
       }
-    } catch (error) {
-      console.error('Error updating product stock:', error);
-      // Don't throw error here as payment has already been processed
+
+      await this.updatePaymentStatus(payment.id, 'cancelled');
+    }
+  }
+
+  /**
+   * Translate errors raised by the order payment functions
+   * @param {Object} error - Supabase RPC error
+   * @param {string} currency - Order currency
+   * @returns {Error} - Error with a shopper-facing message
+   */
+  mapPaymentError(error, currency) {
+    const [code, balance] = (error.message || '').split(':');
+
+    switch (code) {
+      case 'ORDER_NOT_FOUND':
+        return new Error('Order not found');
+      case 'ORDER_ALREADY_PAID':
+        return new Error('Order payment already processed');
+      case 'INVALID_PAYMENT_AMOUNT':
+        return new Error('Invalid payment amount');
+      case 'PAYMENT_EXCEEDS_BALANCE':
+        return new Error(`Payment amount exceeds the balance due of ${formatMoney(balance, currency)}`);
+      case 'INSUFFICIENT_STORE_CREDIT':
+        return this.walletService.mapWalletError(error, currency);
+      default:
+        return new Error(`Failed to record payment: ${error.message}`);
     }
   }
 
   /**
    * Generate receipt for order
    * @param {string} orderId - Order UUID
+   * @param {string|null} userId - Only the receipt of this user's order (any order when omitted)
    * @returns {Promise<Object>} - Receipt data
    */
-  async generateReceipt(orderId) {
+  async generateReceipt(orderId, userId = null) {
     try {
       // Get complete order details
-      const { data: order, error: orderError } = await supabaseAdmin
+      let query = supabaseAdmin
         .from('orders')
         .select(`
           *,
           user:users(name, email),
+          store:stores(code, name, region_code),
           order_items(
             *,
-            product:products(name, brand, sku)
+            product:products(name, brand, sku),
+            variant:product_variants(sku, size, color, finish, storage_capacity)
+          ),
+          refunds:order_refunds(
+            id, amount, reason, method, status, store_credit_amount, completed_at,
+            items:order_refund_items(order_item_id, quantity, amount),
+            allocations:order_refund_payments(payment_id, amount)
+          ),
+          payments:order_payments(
+            id, method, amount, status, cash_received, change_given, stripe_charge_id, refunded_amount, completed_at
           )
         `)
-        .eq('id', orderId)
-        .single();
+        .eq('id', orderId);
+
+      if (userId) {
+        query = query.eq('user_id', userId);
+      }
+
+      const { data: order, error: orderError } = await query.single();
 
       if (orderError || !order) {
         throw new Error('Order not found for receipt generation');
       }
 
+      const refunds = (order.refunds || []).filter(refund => refund.status === 'completed');
+      const itemNames = new Map(order.order_items.map(item => [item.id, item.product.name]));
+      const tenders = (order.payments || [])
+        .filter(payment => ['completed', 'refunded'].includes(payment.status))
+        .sort((a, b) => new Date(a.completed_at) - new Date(b.completed_at));
+      const tenderMethods = new Map(tenders.map(payment => [payment.id, payment.method]));
+
+      const currency = order.currency || BASE_CURRENCY;
+
       const receipt = {
         receiptNumber: `RCP-${order.order_number}`,
         orderNumber: order.order_number,
         date: new Date().toISOString(),
+        currency,
         customer: {
           name: order.user.name,
           email: order.user.email
@@ -569,27 +1111,80 @@ class VRPaymentService {
         items: order.order_items.map(item => ({
           name: item.product.name,
           brand: item.product.brand,
-          sku: item.product.sku,
+          sku: item.variant?.sku || item.product.sku,
+          variant: getVariantLabel(item.variant),
+          variantAttributes: getVariantAttributes(item.variant),
           quantity: item.quantity,
+          returnedQuantity: this.getReturnedQuantity(refunds, item.id),
           unitPrice: item.unit_price,
-          totalPrice: item.total_price
+          totalPrice: item.total_price,
+          discount: item.discount_amount || 0,
+          taxAmount: item.tax_amount || 0,
+          taxes: (item.tax_breakdown || []).map(entry => ({ name: entry.name, rate: entry.rate, amount: entry.taxAmount }))
+        })),
+        coupon: order.coupon_code
+          ? { code: order.coupon_code, discountAmount: order.coupon_discount_amount }
+          : null,
+        promotions: (order.applied_promotions || []).map(promotion => ({
+          name: promotion.name,
+          type: promotion.type,
+          discountAmount: promotion.discountAmount
         })),
         totals: {
           subtotal: order.subtotal,
           taxAmount: order.tax_amount,
+          taxBreakdown: (order.tax_breakdown || []).map(entry => ({
+            name: entry.name,
+            rate: entry.rate,
+            taxableAmount: entry.taxableAmount,
+            taxAmount: entry.taxAmount
+          })),
           discountAmount: order.discount_amount,
-          totalAmount: order.total_amount
+          totalAmount: order.total_amount,
+          refundedAmount: order.refunded_amount || 0,
+          netAmount: roundMoney(order.total_amount - (order.refunded_amount || 0), order.currency)
         },
+        refunds: refunds.map(refund => ({
+          id: refund.id,
+          amount: refund.amount,
+          method: refund.method,
+          storeCredit: refund.store_credit_amount || 0,
+          reason: refund.reason,
+          refundedAt: refund.completed_at,
+          items: (refund.items || []).map(item => ({
+            name: itemNames.get(item.order_item_id),
+            quantity: item.quantity,
+            amount: item.amount
+          })),
+          tenders: (refund.allocations || []).map(allocation => ({
+            method: tenderMethods.get(allocation.payment_id),
+            amount: allocation.amount
+          }))
+        })),
         payment: {
           method: order.payment_method,
           status: order.payment_status,
-          processedAt: order.receipt_data?.processed_at
+          processedAt: order.receipt_data?.processed_at,
+          amountPaid: order.amount_paid || 0,
+          balanceDue: this.getBalanceDue(order),
+          tenders: tenders.map(payment => ({
+            method: payment.method,
+            amount: payment.amount,
+            ...(payment.method === 'cash' && { cashReceived: payment.cash_received, changeGiven: payment.change_given }),
+            ...(payment.method === 'stripe' && { transactionId: payment.stripe_charge_id }),
+            refundedAmount: payment.refunded_amount || 0,
+            paidAt: payment.completed_at
+          }))
         },
         store: {
-          name: 'VR Supermarket',
-          address: 'Virtual Reality Plaza',
-          phone: '1-800-VR-SHOP',
-          website: 'vr-supermarket.com'
+          name: storeConfig.name,
+          location: order.store?.name || null,
+          code: order.store?.code || null,
+          region: order.store?.region_code || null,
+          address: storeConfig.address,
+          phone: storeConfig.phone,
+          website: storeConfig.website,
+          email: storeConfig.email
         }
       };
 
@@ -597,10 +1192,34 @@ class VRPaymentService {
       if (order.payment_method === 'cash' && order.receipt_data) {
         receipt.payment.cashReceived = order.receipt_data.cash_received;
         receipt.payment.changeGiven = order.receipt_data.change_given;
+        receipt.payment.cashRefunded = order.refunded_amount || 0;
       } else if (order.payment_method === 'stripe' && order.receipt_data) {
         receipt.payment.transactionId = order.receipt_data.stripe_charge_id;
       }
 
+      // Display strings for every amount on the receipt
+      receipt.items.forEach(item => {
+        item.formatted = {
+          unitPrice: formatMoney(item.unitPrice, currency),
+          totalPrice: formatMoney(item.totalPrice, currency),
+          discount: formatMoney(item.discount, currency),
+          taxAmount: formatMoney(item.taxAmount, currency)
+        };
+      });
+      receipt.totals.formatted = Object.keys(receipt.totals)
+        .filter(key => typeof receipt.totals[key] === 'number' || typeof receipt.totals[key] === 'string')
+        .reduce((formatted, key) => {
+          formatted[key] = formatMoney(receipt.totals[key], currency);
+          return formatted;
+        }, {});
+      receipt.refunds.forEach(refund => {
+        refund.formattedAmount = formatMoney(refund.amount, currency);
+      });
+      receipt.payment.tenders.forEach(tender => {
+        tender.formattedAmount = formatMoney(tender.amount, currency);
+      });
+      receipt.payment.formattedBalanceDue = formatMoney(receipt.payment.balanceDue, currency);
+
       return receipt;
     } catch (error) {
       console.error('Error in generateReceipt:', error);
@@ -608,6 +1227,28 @@ class VRPaymentService {
     }
   }
 
+  /**
+   * Email an order's receipt to its customer. The payment or refund is already recorded,
+   * so a failed email is logged and never fails the request.
+   * @param {string} orderId - Order UUID
+   * @param {Object} options - { receipt (when already generated), refundId (email about that refund) }
+   * @returns {Promise<boolean>} - Whether the email was sent
+   */
+  async sendReceiptEmail(orderId, options = {}) {
+    try {
+      const receipt = options.receipt || await this.generateReceipt(orderId);
+      const refund = options.refundId
+        ? receipt.refunds.find(entry => entry.id === options.refundId) || null
+        : null;
+
+      const result = await this.receiptService.emailReceipt(receipt, refund);
+      return result.sent;
+    } catch (error) {
+      console.error('Receipt email failed:', error);
+      return false;
+    }
+  }
+
   /**
    * Get order by ID
    * @param {string} orderId - Order UUID
@@ -623,8 +1264,19 @@ class VRPaymentService {
           user:users(name, email),
           order_items(
             *,
-            product:products(name, brand, sku, product_images)
-          )
+            product:products(name, brand, sku, product_images),
+            variant:product_variants(sku, size, color, finish, storage_capacity, variant_images)
+          ),
+          refunds:order_refunds(
+            id, amount, reason, method, status, source, stripe_refund_id, store_credit_amount, created_at, completed_at,
+            items:order_refund_items(order_item_id, quantity, amount, restock),
+            allocations:order_refund_payments(payment_id, amount)
+          ),
+          payments:order_payments(
+            id, method, amount, status, cash_received, change_given, payment_intent_id,
+            stripe_charge_id, refunded_amount, created_at, completed_at
+          ),
+          status_history:order_status_history(from_status, to_status, created_at)
         `)
         .eq('id', orderId)
         .eq('user_id', userId)
@@ -638,7 +1290,19 @@ class VRPaymentService {
         throw new Error(`Failed to fetch order: ${error.message}`);
       }
 
-      return order;
+      const completedRefunds = (order.refunds || []).filter(refund => refund.status === 'completed');
+
+      return {
+        ...order,
+        refunds: completedRefunds,
+        payments: (order.payments || []).sort((a, b) => new Date(a.created_at) - new Date(b.created_at)),
+        status_history: (order.status_history || []).sort((a, b) => new Date(a.created_at) - new Date(b.created_at)),
+        balance_due: this.getBalanceDue(order),
+        order_items: order.order_items.map(item => ({
+          ...item,
+          returned_quantity: this.getReturnedQuantity(completedRefunds, item.id)
+        }))
+      };
     } catch (error) {
       console.error('Error in getOrder:', error);
       throw error;
@@ -665,6 +1329,7 @@ class VRPaymentService {
           payment_method,
           payment_status,
           total_amount,
+          amount_paid,
           created_at,
           order_items(
             quantity,
@@ -702,10 +1367,13 @@ class VRPaymentService {
    * @param {string} orderId - Order UUID
    * @param {string} userId - User UUID
    * @param {string} reason - Cancellation reason
+   * @param {Object} options - { source: 'customer' (default) or 'system' for the maintenance job }
    * @returns {Promise<Object>} - Cancellation result
    */
-  async cancelOrder(orderId, userId, reason = 'Customer cancellation') {
+  async cancelOrder(orderId, userId, reason = 'Customer cancellation', options = {}) {
     try {
+      const { source = 'customer' } = options;
+
       // Get order details
       const { data: order, error: orderError } = await supabaseAdmin
         .from('orders')
@@ -722,49 +1390,47 @@ class VRPaymentService {
         throw new Error('Cannot cancel completed order');
       }
 
-      // Cancel Stripe payment intent if exists
-      if (order.payment_intent_id && this.stripe) {
-        try {
-          await this.stripe.paymentIntents.cancel(order.payment_intent_id);
-        } catch (stripeError) {
-          console.error('Stripe cancellation error:', stripeError);
-          // Continue with order cancellation even if Stripe fails
-        }
+      if (order.status === 'cancelled') {
+        throw new Error('Order is already cancelled');
       }
 
-      // Update order status
-      const { data: cancelledOrder, error: updateError } = await supabaseAdmin
-        .from('orders')
-        .update({
-          status: 'cancelled',
-          payment_status: 'failed',
-          receipt_data: {
-            ...order.receipt_data,
-            cancellation_reason: reason,
-            cancelled_at: new Date().toISOString()
-          },
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', orderId)
-        .select()
-        .single();
+      // Cancel Stripe payment intents; a card payment already going through stops the cancellation
+      await this.releasePendingCardPayments(order);
+
+      // Status, stock, coupon and the cash and store credit paid so far are returned in one
+      // transaction; the transition is recorded in the order's history
+      const { data: result, error: cancelError } = await supabaseAdmin.rpc('cancel_order', {
+        p_order_id: orderId,
+        p_source: source,
+        p_changed_by: source === 'customer' ? userId : null,
+        p_reason: reason
+      });
 
-      if (updateError) {
-        console.error('Order cancellation error:', updateError);
-        throw new Error(`Failed to cancel order: ${updateError.message}`);
+      if (cancelError) {
+        console.error('Order cancellation error:', cancelError);
+        throw this.orderService.mapTransitionError(cancelError);
       }
 
+      const cancelledOrder = result.order;
+      const cashToReturn = roundMoney(result.cash_returned, order.currency);
+      const storeCreditReturned = roundMoney(result.store_credit_returned, order.currency);
+
       // Log cancellation
       await this.logPaymentActivity(userId, order.session_id, 'order_cancelled', {
         order_id: orderId,
         order_number: order.order_number,
         reason: reason,
-        total_amount: order.total_amount
+        cancelled_by: source,
+        total_amount: order.total_amount,
+        cash_returned: cashToReturn,
+        store_credit_returned: storeCreditReturned
       });
 
       return {
         success: true,
         order: cancelledOrder,
+        ...(cashToReturn > 0 && { cashToReturn, formattedCashToReturn: formatMoney(cashToReturn, order.currency) }),
+        ...(storeCreditReturned > 0 && { storeCreditReturned }),
         message: 'Order cancelled successfully'
       };
     } catch (error) {
@@ -774,91 +1440,112 @@ class VRPaymentService {
   }
 
   /**
-   * Process refund for completed order
+   * Refund a paid order, in full or in part (staff only, any customer's order).
+   * Refunds accumulate in the order_refunds ledger; returned lines go back into stock.
    * @param {string} orderId - Order UUID
-   * @param {string} userId - User UUID
-   * @param {number} refundAmount - Amount to refund
+   * @param {string} processedBy - UUID of the staff member issuing the refund
+   * @param {number|null} refundAmount - Amount to refund (defaults to the value of the returned items)
    * @param {string} reason - Refund reason
+   * @param {Array} items - Returned lines: [{ order_item_id, quantity, restock }]
+   * @param {string} refundTo - original (back on the tenders) or store_credit (into the shopper's wallet)
    * @returns {Promise<Object>} - Refund result
    */
-  async processRefund(orderId, userId, refundAmount, reason) {
+  async processRefund(orderId, processedBy, refundAmount, reason, items = [], refundTo = 'original') {
     try {
       // Get order details
       const { data: order, error: orderError } = await supabaseAdmin
         .from('orders')
         .select('*')
         .eq('id', orderId)
-        .eq('user_id', userId)
         .single();
 
       if (orderError || !order) {
         throw new Error('Order not found');
       }
 
-      if (order.payment_status !== 'completed') {
-        throw new Error('Order payment not completed');
+      if (!['completed', 'partially_refunded'].includes(order.payment_status)) {
+        throw new Error(order.payment_status === 'refunded' ? 'Order is already fully refunded' : 'Order payment not completed');
       }
 
-      if (refundAmount > order.total_amount) {
-        throw new Error('Refund amount cannot exceed order total');
-      }
+      const toStoreCredit = refundTo === 'store_credit';
 
-      let refundResult = null;
+      // Validate and hold the refund against the order total and spread it over the tenders
+      const refund = await this.beginRefund(order, refundAmount, reason, processedBy, items, 'staff', toStoreCredit);
 
-      // Process Stripe refund if applicable
-      if (order.payment_method === 'stripe' && order.receipt_data?.stripe_charge_id && this.stripe) {
-        refundResult = await this.stripe.refunds.create({
-          charge: order.receipt_data.stripe_charge_id,
-          amount: Math.round(refundAmount * 100), // Convert to cents
-          reason: 'requested_by_customer',
-          metadata: {
-            order_id: orderId,
-            reason: reason
-          }
-        });
+      // The card tender is always the last one, so a refund has at most one card share.
+      // Refunds into the wallet leave the card and the cash drawer alone.
+      const cardShare = toStoreCredit
+        ? null
+        : (refund.allocations || []).find(allocation => allocation.method === 'stripe');
+      const cashToReturn = toStoreCredit ? 0 : roundMoney((refund.allocations || [])
+        .filter(allocation => allocation.method === 'cash')
+        .reduce((sum, allocation) => sum + Number(allocation.amount), 0), order.currency);
+
+      if (cardShare && (!cardShare.stripe_charge_id || !this.stripe)) {
+        await this.failRefund(refund.id, 'No Stripe charge found for the card payment');
+        throw new Error('Cannot refund Stripe order: no charge found for it');
       }
 
-      // Update order status
-      const { data: updatedOrder, error: updateError } = await supabaseAdmin
-        .from('orders')
-        .update({
-          payment_status: 'refunded',
-          receipt_data: {
-            ...order.receipt_data,
-            refund_amount: refundAmount,
-            refund_reason: reason,
-            refund_processed_at: new Date().toISOString(),
-            stripe_refund_id: refundResult?.id
-          },
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', orderId)
-        .select()
-        .single();
+      let stripeRefund = null;
 
-      if (updateError) {
-        console.error('Refund update error:', updateError);
-        throw new Error(`Failed to process refund: ${updateError.message}`);
+      if (cardShare) {
+        try {
+          stripeRefund = await this.stripe.refunds.create({
+            charge: cardShare.stripe_charge_id,
+            amount: toMinorUnits(cardShare.amount, order.currency), // Stripe takes the smallest currency unit
+            reason: 'requested_by_customer',
+            metadata: {
+              order_id: orderId,
+              refund_id: refund.id,
+              reason: reason
+            }
+          }, { idempotencyKey: `refund-${refund.id}` });
+        } catch (stripeError) {
+          console.error('Stripe refund error:', stripeError);
+          await this.failRefund(refund.id, stripeError.message);
+          throw new Error(`Stripe refund failed: ${stripeError.message}`);
+        }
       }
 
+      const updatedOrder = await this.completeRefund(refund.id, stripeRefund?.id);
+
+      await this.sendReceiptEmail(orderId, { refundId: refund.id });
+
       // Log refund
-      await this.logPaymentActivity(userId, order.session_id, 'order_refunded', {
+      await this.logPaymentActivity(order.user_id, order.session_id, 'order_refunded', {
         order_id: orderId,
+        refund_id: refund.id,
+        processed_by: processedBy,
         order_number: order.order_number,
-        refund_amount: refundAmount,
+        refund_amount: refund.amount,
+        refund_method: refund.method,
+        cash_returned: cashToReturn,
+        store_credit: refund.store_credit_amount,
+        refunded_total: updatedOrder.refunded_amount,
+        returned_items: items.length,
         reason: reason,
-        stripe_refund_id: refundResult?.id
+        stripe_refund_id: stripeRefund?.id
       });
 
       return {
         success: true,
         order: updatedOrder,
         refund: {
-          amount: refundAmount,
-          method: order.payment_method,
-          stripeRefundId: refundResult?.id,
+          id: refund.id,
+          amount: refund.amount,
+          method: refund.method,
+          tenders: (refund.allocations || []).map(allocation => ({
+            method: allocation.method,
+            amount: allocation.amount
+          })),
+          stripeRefundId: stripeRefund?.id,
+          // The cashier hands this back from the drawer
+          ...(cashToReturn > 0 && { cashToReturn }),
+          ...(Number(refund.store_credit_amount) > 0 && { storeCredit: Number(refund.store_credit_amount) }),
           status: 'completed'
-        }
+        },
+        refundedTotal: updatedOrder.refunded_amount,
+        remainingRefundable: roundMoney(updatedOrder.total_amount - updatedOrder.refunded_amount, order.currency)
       };
     } catch (error) {
       console.error('Error in processRefund:', error);
@@ -866,6 +1553,169 @@ class VRPaymentService {
     }
   }
 
+  /**
+   * Record a refund issued outside this API (e.g. from the Stripe dashboard, or a lost dispute),
+   * without returned items
+   * @param {Object} order - Order record
+   * @param {number} amount - Refunded amount
+   * @param {string|null} stripeRefundId - Stripe refund ID
+   * @param {string} reason - Refund reason
+   * @returns {Promise<Object>} - Updated order
+   */
+  async recordExternalRefund(order, amount, stripeRefundId, reason = 'Refunded in Stripe') {
+    try {
+      const refund = await this.beginRefund(order, amount, reason, null, [], 'stripe');
+      const updatedOrder = await this.completeRefund(refund.id, stripeRefundId);
+
+      await this.sendReceiptEmail(order.id, { refundId: refund.id });
+
+      return updatedOrder;
+    } catch (error) {
+      console.error('Error in recordExternalRefund:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Total of an order's pending and completed refunds
+   * @param {string} orderId - Order UUID
+   * @param {string} currency - Order currency
+   * @returns {Promise<number>} - Amount
+   */
+  async getRecordedRefundTotal(orderId, currency) {
+    try {
+      const { data: refunds, error } = await supabaseAdmin
+        .from('order_refunds')
+        .select('amount')
+        .eq('order_id', orderId)
+        .in('status', ['pending', 'completed']);
+
+      if (error) {
+        throw new Error(`Failed to fetch refunds: ${error.message}`);
+      }
+
+      return roundMoney((refunds || []).reduce((sum, refund) => sum + Number(refund.amount), 0), currency);
+    } catch (error) {
+      console.error('Error in getRecordedRefundTotal:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Open a pending refund; the database checks item quantities and the order total,
+   * and splits the amount over the order's tenders (card first, then cash)
+   * @param {Object} order - Order record
+   * @param {number|null} amount - Amount (null to use the value of the items)
+   * @param {string} reason - Refund reason
+   * @param {string|null} processedBy - Staff member UUID
+   * @param {Array} items - Returned lines
+   * @param {string} source - staff or stripe
+   * @param {boolean} toStoreCredit - Pay the refund into the shopper's wallet
+   * @returns {Promise<Object>} - Pending refund record with its allocations per tender
+   */
+  async beginRefund(order, amount, reason, processedBy, items = [], source = 'staff', toStoreCredit = false) {
+    const { data: refund, error } = await supabaseAdmin.rpc('begin_order_refund', {
+      p_order_id: order.id,
+      p_amount: amount ?? null,
+      p_reason: reason,
+      p_processed_by: processedBy,
+      p_items: items.map(item => ({
+        order_item_id: item.order_item_id,
+        quantity: parseInt(item.quantity),
+        restock: item.restock !== false
+      })),
+      p_source: source,
+      p_to_store_credit: toStoreCredit
+    });
+
+    if (error) {
+      throw this.mapRefundError(error, order.currency);
+    }
+
+    return refund;
+  }
+
+  /**
+   * Complete a pending refund (restocks returned lines, credits the wallet share and updates the order)
+   * @param {string} refundId - Refund UUID
+   * @param {string|null} stripeRefundId - Stripe refund ID
+   * @returns {Promise<Object>} - Updated order
+   */
+  async completeRefund(refundId, stripeRefundId = null) {
+    const { data: order, error } = await supabaseAdmin.rpc('complete_order_refund', {
+      p_refund_id: refundId,
+      p_stripe_refund_id: stripeRefundId || null
+    });
+
+    if (error) {
+      console.error('Refund completion error:', error);
+      throw new Error(`Failed to complete refund: ${error.message}`);
+    }
+
+    if (!order) {
+      throw new Error('Refund is no longer pending');
+    }
+
+    return order;
+  }
+
+  /**
+   * Mark a pending refund failed so its amount no longer counts against the order
+   * @param {string} refundId - Refund UUID
+   * @param {string} message - Failure reason
+   * @returns {Promise<void>}
+   */
+  async failRefund(refundId, message) {
+    const { error } = await supabaseAdmin
+      .from('order_refunds')
+      .update({ status: 'failed', error_message: message })
+      .eq('id', refundId)
+      .eq('status', 'pending');
+
+    if (error) {
+      console.error('Refund failure update error:', error);
+    }
+  }
+
+  /**
+   * Translate errors raised by the refund functions
+   * @param {Object} error - Supabase RPC error
+   * @param {string} currency - Order currency
+   * @returns {Error} - Error with a staff-facing message
+   */
+  mapRefundError(error, currency) {
+    const [code, remaining] = (error.message || '').split(':');
+
+    switch (code) {
+      case 'ORDER_NOT_FOUND':
+        return new Error('Order not found');
+      case 'ORDER_NOT_REFUNDABLE':
+        return new Error('Order payment not completed');
+      case 'ORDER_ITEM_NOT_FOUND':
+        return new Error('Order item not found on this order');
+      case 'RETURN_QUANTITY_EXCEEDED':
+        return new Error('Return quantity exceeds the quantity left to return');
+      case 'INVALID_REFUND_AMOUNT':
+        return new Error('Invalid refund amount');
+      case 'REFUND_EXCEEDS_TOTAL':
+        return new Error(`Refund amount exceeds the refundable balance of ${formatMoney(remaining, currency)}`);
+      default:
+        return new Error(`Failed to process refund: ${error.message}`);
+    }
+  }
+
+  /**
+   * Units of an order line returned by the given refunds
+   * @param {Array} refunds - Refunds with their items
+   * @param {string} orderItemId - Order item UUID
+   * @returns {number} - Returned quantity
+   */
+  getReturnedQuantity(refunds, orderItemId) {
+    return refunds.reduce((sum, refund) => sum + (refund.items || [])
+      .filter(item => item.order_item_id === orderItemId)
+      .reduce((itemSum, item) => itemSum + item.quantity, 0), 0);
+  }
+
   /**
    * Validate UUID format
    * @param {string} uuid - UUID string to validate
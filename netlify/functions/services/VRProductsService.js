@@ -5,11 +5,17 @@
 
 const { supabaseAdmin } = require('../config/supabase');
 const { validatePaginationParams } = require('../utils/validation');
+const { normalizeFacetFilters, computeFacets } = require('../utils/facets');
+const { getVariantLabel, getVariantAttributes, getUnitPrice } = require('../utils/variants');
+const VRSearchService = require('./VRSearchService');
+const VRInventoryService = require('./VRInventoryService');
 
 class VRProductsService {
   constructor() {
     this.defaultPageSize = 20;
     this.maxPageSize = 100;
+    this.searchService = new VRSearchService();
+    this.inventoryService = new VRInventoryService();
   }
 
   /**
@@ -23,6 +29,9 @@ class VRProductsService {
       const { page = 1, limit = this.defaultPageSize } = validatePaginationParams(pagination);
       const offset = (page - 1) * limit;
 
+      // Stock held by shopping carts is not available to other shoppers
+      const reservedProducts = await this.inventoryService.getReservedProducts();
+
       let query = supabaseAdmin
         .from('active_products')
         .select('*', { count: 'exact' });
@@ -50,10 +59,24 @@ class VRProductsService {
       
       if (filters.in_stock) {
         query = query.gt('stock_quantity', 0);
+
+        const fullyReservedIds = [...reservedProducts.values()]
+          .filter(availability => availability.available_quantity <= 0)
+          .map(availability => availability.product_id);
+
+        if (fullyReservedIds.length > 0) {
+          query = query.not('id', 'in', `(${fullyReservedIds.join(',')})`);
+        }
       }
       
-      if (filters.brand) {
-        query = query.eq('brand', filters.brand);
+      const facetFilters = normalizeFacetFilters(filters);
+
+      if (facetFilters.brands.length > 0) {
+        query = query.in('brand', facetFilters.brands);
+      }
+
+      if (facetFilters.min_rating !== undefined) {
+        query = query.gte('rating', facetFilters.min_rating);
       }
 
       // Apply sorting
@@ -83,8 +106,10 @@ class VRProductsService {
       // Get total pages
       const totalPages = Math.ceil(count / limit);
 
+      const facets = await this.getProductFacets(filters.search, facetFilters, reservedProducts);
+
       return {
-        products: products || [],
+        products: await this.inventoryService.withAvailability(products, reservedProducts),
         pagination: {
           currentPage: page,
           totalPages,
@@ -93,7 +118,8 @@ class VRProductsService {
           hasNextPage: page < totalPages,
           hasPreviousPage: page > 1
         },
-        filters: filters
+        filters: filters,
+        facets
       };
     } catch (error) {
       console.error('Error in getProducts:', error);
@@ -101,6 +127,36 @@ class VRProductsService {
     }
   }
 
+  /**
+   * Compute listing facets for the current filter set
+   * Candidates come from the search service's cached catalog index, so a listing request
+   * does not reload the whole catalog; only cart holds are applied fresh.
+   * @param {string} search - Free-text filter (not a facet, so it always applies)
+   * @param {Object} facetFilters - Normalized facet filters
+   * @param {Map} reservedProducts - Products with stock held by carts
+   * @returns {Promise<Object>} - Facets with counts
+   */
+  async getProductFacets(search, facetFilters, reservedProducts = null) {
+    try {
+      const index = await this.searchService.getIndex();
+      const needle = search ? String(search).toLowerCase() : null;
+
+      // Same fields and substring match as the listing's ilike filter
+      const rows = index.documents
+        .map(document => document.product)
+        .filter(product => !needle || ['name', 'description', 'brand'].some(field =>
+          String(product[field] || '').toLowerCase().includes(needle)
+        ));
+
+      const availableRows = await this.inventoryService.withAvailability(rows, reservedProducts);
+
+      return computeFacets(availableRows, facetFilters, index.categories);
+    } catch (error) {
+      console.error('Error in getProductFacets:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get sponsored products for front display
    * @param {number} limit - Number of sponsored products to fetch
@@ -150,7 +206,7 @@ class VRProductsService {
   }
 
   /**
-   * Get product by ID with recommendations
+   * Get product by ID with variants and recommendations
    * @param {string} productId - Product UUID
    * @returns {Promise<Object>} - Product with recommendations
    */
@@ -176,11 +232,20 @@ class VRProductsService {
         throw new Error(`Failed to fetch product: ${productError.message}`);
       }
 
+      // Get purchasable variants (size, color, finish, storage capacity)
+      const variants = await this.getProductVariants(product);
+
       // Get product recommendations
       const recommendations = await this.getProductRecommendations(productId);
 
+      const [availableProduct] = await this.inventoryService.withAvailability([product]);
+
       return {
-        product,
+        product: {
+          ...availableProduct,
+          has_variants: variants.length > 0
+        },
+        variants,
         recommendations
       };
     } catch (error) {
@@ -189,6 +254,54 @@ class VRProductsService {
     }
   }
 
+  /**
+   * Get the active variants of a product with their effective price and available stock
+   * @param {Object} product - Product record
+   * @returns {Promise<Array>} - Variants in display order
+   */
+  async getProductVariants(product) {
+    try {
+      const { data: variants, error } = await supabaseAdmin
+        .from('product_variants')
+        .select('*')
+        .eq('product_id', product.id)
+        .eq('is_active', true)
+        .order('sort_order')
+        .order('created_at');
+
+      if (error) {
+        console.error('Product variants fetch error:', error);
+        throw new Error(`Failed to fetch product variants: ${error.message}`);
+      }
+
+      const availability = variants && variants.length > 0
+        ? await this.inventoryService.getVariantAvailability(product.id)
+        : new Map();
+
+      return (variants || []).map(variant => {
+        const variantAvailability = availability.get(variant.id);
+        const availableQuantity = variantAvailability
+          ? variantAvailability.available_quantity
+          : Math.max(variant.stock_quantity, 0);
+
+        return {
+          ...variant,
+          label: getVariantLabel(variant),
+          attributes: getVariantAttributes(variant),
+          effective_price: getUnitPrice(product, variant),
+          available_quantity: availableQuantity,
+          in_stock: availableQuantity > 0,
+          images: variant.variant_images && variant.variant_images.length > 0
+            ? variant.variant_images
+            : product.product_images || []
+        };
+      });
+    } catch (error) {
+      console.error('Error in getProductVariants:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get product recommendations
    * @param {string} productId - Product UUID
@@ -256,7 +369,7 @@ class VRProductsService {
         throw new Error(`Failed to fetch category products: ${error.message}`);
       }
 
-      return products || [];
+      return this.inventoryService.withAvailability(products);
     } catch (error) {
       console.error('Error in getProductsByCategory:', error);
       throw error;
@@ -313,6 +426,8 @@ class VRProductsService {
         throw new Error(`Failed to fetch shelf products: ${error.message}`);
       }
 
+      const shelfProducts = await this.inventoryService.withAvailability(products);
+
       // Organize products by compartment
       const organizedProducts = {
         top: [],
@@ -320,7 +435,7 @@ class VRProductsService {
         bottom: []
       };
 
-      products?.forEach(product => {
+      shelfProducts.forEach(product => {
         const compartment = product.shelf_position?.compartment;
         if (compartment && organizedProducts[compartment]) {
           organizedProducts[compartment].push(product);
@@ -330,7 +445,7 @@ class VRProductsService {
       return {
         shelfNumber,
         products: organizedProducts,
-        totalProducts: products?.length || 0
+        totalProducts: shelfProducts.length
       };
     } catch (error) {
       console.error('Error in getProductsByShelf:', error);
@@ -339,7 +454,7 @@ class VRProductsService {
   }
 
   /**
-   * Search products with advanced filtering
+   * Search products with relevance ranking and typo tolerance
    * @param {string} searchTerm - Search query
    * @param {Object} filters - Additional filters
    * @returns {Promise<Object>} - Search results
@@ -350,38 +465,10 @@ class VRProductsService {
         throw new Error('Search term must be at least 2 characters long');
       }
 
-      const cleanSearchTerm = searchTerm.trim().toLowerCase();
-      
-      let query = supabaseAdmin
-        .from('active_products')
-        .select('*', { count: 'exact' })
-        .or(`name.ilike.%${cleanSearchTerm}%,description.ilike.%${cleanSearchTerm}%,brand.ilike.%${cleanSearchTerm}%`);
-
-      // Apply additional filters
-      if (filters.category_id) {
-        query = query.eq('category_id', filters.category_id);
-      }
-
-      // Sort by relevance (sponsored first, then featured, then rating)
-      query = query
-        .order('is_sponsored', { ascending: false })
-        .order('is_featured', { ascending: false })
-        .order('rating', { ascending: false })
-        .limit(filters.limit || 50);
-
-      const { data: products, error, count } = await query;
-
-      if (error) {
-        console.error('Product search error:', error);
-        throw new Error(`Search failed: ${error.message}`);
-      }
-
-      return {
-        searchTerm: cleanSearchTerm,
-        products: products || [],
-        totalResults: count,
-        hasResults: (products?.length || 0) > 0
-      };
+      return await this.searchService.search(searchTerm, {
+        ...filters,
+        limit: filters.limit || 50
+      });
     } catch (error) {
       console.error('Error in searchProducts:', error);
       throw error;
@@ -469,6 +556,263 @@ class VRProductsService {
     }
   }
 
+  /**
+   * Check whether a user has a paid order containing the product
+   * @param {string} userId - User UUID
+   * @param {string} productId - Product UUID
+   * @returns {Promise<boolean>} - True if the user bought the product
+   */
+  async hasUserPurchasedProduct(userId, productId) {
+    try {
+      const { data: purchases, error } = await supabaseAdmin
+        .from('order_items')
+        .select('id, order:orders!inner(id, user_id, payment_status)')
+        .eq('product_id', productId)
+        .eq('order.user_id', userId)
+        // A partial refund of other lines leaves the rest of the order a purchase
+        .in('order.payment_status', ['completed', 'partially_refunded'])
+        .limit(1);
+
+      if (error) {
+        console.error('Purchase verification error:', error);
+        throw new Error(`Failed to verify purchase: ${error.message}`);
+      }
+
+      return (purchases?.length || 0) > 0;
+    } catch (error) {
+      console.error('Error in hasUserPurchasedProduct:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a review for a purchased product
+   * @param {string} productId - Product UUID
+   * @param {string} userId - User UUID
+   * @param {Object} reviewData - Validated review data (rating, title, review_text)
+   * @returns {Promise<Object>} - Created review with updated product rating
+   */
+  async createProductReview(productId, userId, reviewData) {
+    try {
+      if (!this.isValidUUID(productId)) {
+        throw new Error('Invalid product ID format');
+      }
+
+      // Make sure the product exists and is still sold
+      const { data: product, error: productError } = await supabaseAdmin
+        .from('products')
+        .select('id, name')
+        .eq('id', productId)
+        .eq('is_active', true)
+        .single();
+
+      if (productError || !product) {
+        throw new Error('Product not found');
+      }
+
+      const hasPurchased = await this.hasUserPurchasedProduct(userId, productId);
+      if (!hasPurchased) {
+        throw new Error('Only customers who purchased this product can review it');
+      }
+
+      // One review per user per product
+      const { data: existingReview } = await supabaseAdmin
+        .from('product_reviews')
+        .select('id')
+        .eq('product_id', productId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (existingReview) {
+        throw new Error('You have already reviewed this product. Edit your existing review instead');
+      }
+
+      const { data: review, error } = await supabaseAdmin
+        .from('product_reviews')
+        .insert([{
+          product_id: productId,
+          user_id: userId,
+          rating: reviewData.rating,
+          title: reviewData.title || null,
+          review_text: reviewData.review_text,
+          is_verified_purchase: true,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Review creation error:', error);
+        throw new Error(`Failed to create review: ${error.message}`);
+      }
+
+      const productRating = await this.recalculateProductRating(productId);
+
+      await this.logProductActivity(userId, productId, 'product_reviewed', {
+        product_name: product.name,
+        review_id: review.id,
+        rating: review.rating
+      });
+
+      return {
+        review,
+        productRating
+      };
+    } catch (error) {
+      console.error('Error in createProductReview:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update the current user's review of a product
+   * @param {string} productId - Product UUID
+   * @param {string} userId - User UUID
+   * @param {Object} reviewData - Validated partial review data
+   * @returns {Promise<Object>} - Updated review with updated product rating
+   */
+  async updateProductReview(productId, userId, reviewData) {
+    try {
+      if (!this.isValidUUID(productId)) {
+        throw new Error('Invalid product ID format');
+      }
+
+      const updateData = {
+        updated_at: new Date().toISOString()
+      };
+
+      ['rating', 'title', 'review_text'].forEach(field => {
+        if (reviewData[field] !== undefined) {
+          updateData[field] = reviewData[field];
+        }
+      });
+
+      const { data: review, error } = await supabaseAdmin
+        .from('product_reviews')
+        .update(updateData)
+        .eq('product_id', productId)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          throw new Error('Review not found');
+        }
+        console.error('Review update error:', error);
+        throw new Error(`Failed to update review: ${error.message}`);
+      }
+
+      const productRating = await this.recalculateProductRating(productId);
+
+      await this.logProductActivity(userId, productId, 'product_review_updated', {
+        review_id: review.id,
+        rating: review.rating
+      });
+
+      return {
+        review,
+        productRating
+      };
+    } catch (error) {
+      console.error('Error in updateProductReview:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the current user's review of a product
+   * @param {string} productId - Product UUID
+   * @param {string} userId - User UUID
+   * @returns {Promise<Object>} - Deletion result with updated product rating
+   */
+  async deleteProductReview(productId, userId) {
+    try {
+      if (!this.isValidUUID(productId)) {
+        throw new Error('Invalid product ID format');
+      }
+
+      const { data: deletedReview, error } = await supabaseAdmin
+        .from('product_reviews')
+        .delete()
+        .eq('product_id', productId)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          throw new Error('Review not found');
+        }
+        console.error('Review deletion error:', error);
+        throw new Error(`Failed to delete review: ${error.message}`);
+      }
+
+      const productRating = await this.recalculateProductRating(productId);
+
+      await this.logProductActivity(userId, productId, 'product_review_deleted', {
+        review_id: deletedReview.id
+      });
+
+      return {
+        success: true,
+        deletedReview,
+        productRating
+      };
+    } catch (error) {
+      console.error('Error in deleteProductReview:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Recalculate a product's average rating and review count from its reviews
+   * @param {string} productId - Product UUID
+   * @returns {Promise<Object>} - Updated rating and review count
+   */
+  async recalculateProductRating(productId) {
+    try {
+      const { data: reviews, error } = await supabaseAdmin
+        .from('product_reviews')
+        .select('rating')
+        .eq('product_id', productId);
+
+      if (error) {
+        console.error('Rating fetch error:', error);
+        throw new Error(`Failed to fetch product ratings: ${error.message}`);
+      }
+
+      const reviewCount = reviews?.length || 0;
+      const averageRating = reviewCount > 0
+        ? reviews.reduce((sum, review) => sum + review.rating, 0) / reviewCount
+        : 0;
+
+      const productRating = {
+        rating: parseFloat(averageRating.toFixed(2)),
+        review_count: reviewCount
+      };
+
+      const { error: updateError } = await supabaseAdmin
+        .from('products')
+        .update({
+          ...productRating,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', productId);
+
+      if (updateError) {
+        console.error('Rating update error:', updateError);
+        throw new Error(`Failed to update product rating: ${updateError.message}`);
+      }
+
+      return productRating;
+    } catch (error) {
+      console.error('Error in recalculateProductRating:', error);
+      throw error;
+    }
+  }
+
   /**
    * Update product stock
    * @param {string} productId - Product UUID
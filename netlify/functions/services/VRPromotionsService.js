@@ -0,0 +1,307 @@
+/**
+ * VR Promotions Service for scheduled promotions and cart price rules
+ * Following the existing codebase patterns and conventions
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const { logUserActivity } = require('../utils/auth');
+const { getPromotionRuleErrors } = require('../utils/validation');
+const { evaluatePromotions, isPromotionLive } = require('../utils/promotions');
+const { convertRuleAmounts } = require('../utils/currency');
+
+// Promotion amounts are set in the base currency
+const PROMOTION_AMOUNT_FIELDS = ['bundle_price', 'min_subtotal'];
+
+class VRPromotionsService {
+  /**
+   * Get promotions that are running right now
+   * @param {Date} now - Evaluation time
+   * @returns {Promise<Array>} - Live promotions
+   */
+  async getActivePromotions(now = new Date()) {
+    try {
+      const timestamp = now.toISOString();
+
+      const { data: promotions, error } = await supabaseAdmin
+        .from('promotions')
+        .select('*')
+        .eq('is_active', true)
+        .lte('starts_at', timestamp)
+        .or(`ends_at.is.null,ends_at.gt.${timestamp}`)
+        .order('priority', { ascending: false });
+
+      if (error) {
+        console.error('Active promotions fetch error:', error);
+        throw new Error(`Failed to fetch promotions: ${error.message}`);
+      }
+
+      return (promotions || []).filter(promotion => isPromotionLive(promotion, now));
+    } catch (error) {
+      console.error('Error in getActivePromotions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply live promotions to cart lines
+   * @param {Array} cartItems - Cart lines with embedded product
+   * @param {Object} pricing - Cart currency and its exchange rate from the base currency ({ currency, rate })
+   * @returns {Promise<Object>} - { items, appliedPromotions, discountAmount }
+   */
+  async evaluateCart(cartItems, pricing = {}) {
+    try {
+      if (!cartItems || cartItems.length === 0) {
+        return { items: [], appliedPromotions: [], discountAmount: 0 };
+      }
+
+      const { currency, rate = 1 } = pricing;
+      const promotions = (await this.getActivePromotions()).map(promotion => convertRuleAmounts(
+        promotion,
+        promotion.promotion_type === 'fixed_amount' ? ['discount_value', ...PROMOTION_AMOUNT_FIELDS] : PROMOTION_AMOUNT_FIELDS,
+        currency,
+        rate
+      ));
+      const result = evaluatePromotions(cartItems, promotions, { currency });
+
+      const items = cartItems.map(item => ({
+        ...item,
+        promotion_discount: result.lineDiscounts[item.id] || 0,
+        promotions: result.appliedPromotions
+          .filter(promotion => promotion.lineItemIds.includes(item.id))
+          .map(promotion => promotion.name)
+      }));
+
+      return {
+        items,
+        appliedPromotions: result.appliedPromotions,
+        discountAmount: result.discountAmount
+      };
+    } catch (error) {
+      console.error('Error in evaluateCart:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List promotions for admins
+   * @param {Object} filters - Listing filters (status: live, scheduled, expired, archived)
+   * @returns {Promise<Array>} - Promotions
+   */
+  async listPromotions(filters = {}) {
+    try {
+      const { data: promotions, error } = await supabaseAdmin
+        .from('promotions')
+        .select('*')
+        .order('starts_at', { ascending: false });
+
+      if (error) {
+        console.error('Promotions fetch error:', error);
+        throw new Error(`Failed to fetch promotions: ${error.message}`);
+      }
+
+      const now = new Date();
+      const withStatus = (promotions || []).map(promotion => ({
+        ...promotion,
+        status: this.getPromotionStatus(promotion, now)
+      }));
+
+      return filters.status
+        ? withStatus.filter(promotion => promotion.status === filters.status)
+        : withStatus;
+    } catch (error) {
+      console.error('Error in listPromotions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single promotion
+   * @param {string} promotionId - Promotion UUID
+   * @returns {Promise<Object>} - Promotion record
+   */
+  async getPromotion(promotionId) {
+    if (!this.isValidUUID(promotionId)) {
+      throw new Error('Invalid promotion ID format');
+    }
+
+    const { data: promotion, error } = await supabaseAdmin
+      .from('promotions')
+      .select('*')
+      .eq('id', promotionId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        throw new Error('Promotion not found');
+      }
+      throw new Error(`Failed to fetch promotion: ${error.message}`);
+    }
+
+    return {
+      ...promotion,
+      status: this.getPromotionStatus(promotion)
+    };
+  }
+
+  /**
+   * Create a promotion
+   * @param {Object} promotionData - Validated promotion data
+   * @param {string} adminUserId - Acting admin UUID
+   * @param {Object} userInfo - Request metadata for the audit log
+   * @returns {Promise<Object>} - Created promotion
+   */
+  async createPromotion(promotionData, adminUserId, userInfo = {}) {
+    try {
+      this.validateSchedule(promotionData.starts_at, promotionData.ends_at);
+
+      const { data: promotion, error } = await supabaseAdmin
+        .from('promotions')
+        .insert([{
+          ...promotionData,
+          is_active: true,
+          created_by: adminUserId
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Promotion creation error:', error);
+        throw new Error(`Failed to create promotion: ${error.message}`);
+      }
+
+      await logUserActivity(adminUserId, 'promotion_created', {
+        promotion_id: promotion.id,
+        name: promotion.name,
+        promotion_type: promotion.promotion_type
+      }, userInfo);
+
+      return promotion;
+    } catch (error) {
+      console.error('Error in createPromotion:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a promotion
+   * @param {string} promotionId - Promotion UUID
+   * @param {Object} updates - Validated partial promotion data
+   * @param {string} adminUserId - Acting admin UUID
+   * @param {Object} userInfo - Request metadata for the audit log
+   * @returns {Promise<Object>} - Updated promotion
+   */
+  async updatePromotion(promotionId, updates, adminUserId, userInfo = {}) {
+    try {
+      const existing = await this.getPromotion(promotionId);
+
+      if (updates.promotion_type && updates.promotion_type !== existing.promotion_type) {
+        throw new Error('Cannot change the type of an existing promotion');
+      }
+
+      const merged = { ...existing, ...updates };
+      this.validateSchedule(merged.starts_at, merged.ends_at);
+
+      const ruleErrors = getPromotionRuleErrors(merged);
+      if (ruleErrors.length > 0) {
+        throw new Error(`Invalid promotion: ${ruleErrors.join(', ')}`);
+      }
+
+      const { data: promotion, error } = await supabaseAdmin
+        .from('promotions')
+        .update(updates)
+        .eq('id', promotionId)
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Promotion update error:', error);
+        throw new Error(`Failed to update promotion: ${error.message}`);
+      }
+
+      await logUserActivity(adminUserId, 'promotion_updated', {
+        promotion_id: promotionId,
+        fields: Object.keys(updates)
+      }, userInfo);
+
+      return promotion;
+    } catch (error) {
+      console.error('Error in updatePromotion:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Archive a promotion so it stops applying immediately
+   * @param {string} promotionId - Promotion UUID
+   * @param {string} adminUserId - Acting admin UUID
+   * @param {Object} userInfo - Request metadata for the audit log
+   * @returns {Promise<Object>} - Archived promotion
+   */
+  async archivePromotion(promotionId, adminUserId, userInfo = {}) {
+    try {
+      const existing = await this.getPromotion(promotionId);
+
+      if (!existing.is_active) {
+        return existing;
+      }
+
+      const { data: promotion, error } = await supabaseAdmin
+        .from('promotions')
+        .update({ is_active: false })
+        .eq('id', promotionId)
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Promotion archive error:', error);
+        throw new Error(`Failed to archive promotion: ${error.message}`);
+      }
+
+      await logUserActivity(adminUserId, 'promotion_archived', {
+        promotion_id: promotionId,
+        name: existing.name
+      }, userInfo);
+
+      return promotion;
+    } catch (error) {
+      console.error('Error in archivePromotion:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check that a schedule ends after it starts
+   * @param {string} startsAt - ISO start time
+   * @param {string|null} endsAt - ISO end time
+   */
+  validateSchedule(startsAt, endsAt) {
+    if (endsAt && startsAt && new Date(endsAt) <= new Date(startsAt)) {
+      throw new Error('Promotion end time must be after its start time');
+    }
+  }
+
+  /**
+   * Describe where a promotion is in its schedule
+   * @param {Object} promotion - Promotion row
+   * @param {Date} now - Evaluation time
+   * @returns {string} - live, scheduled, expired or archived
+   */
+  getPromotionStatus(promotion, now = new Date()) {
+    if (!promotion.is_active) return 'archived';
+    if (promotion.starts_at && new Date(promotion.starts_at) > now) return 'scheduled';
+    if (promotion.ends_at && new Date(promotion.ends_at) <= now) return 'expired';
+    return 'live';
+  }
+
+  /**
+   * Validate UUID format
+   * @param {string} uuid - UUID to validate
+   * @returns {boolean} - Is valid UUID
+   */
+  isValidUUID(uuid) {
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    return uuidRegex.test(uuid);
+  }
+}
+
+module.exports = VRPromotionsService;
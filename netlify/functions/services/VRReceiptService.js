@@ -0,0 +1,109 @@
+/**
+ * VR Receipt Service for rendering receipts and emailing them to shoppers
+ * Receipts are rendered from VRPaymentService.generateReceipt; emails go out through SendGrid
+ * Following the existing codebase patterns and conventions
+ */
+
+const sgMail = require('@sendgrid/mail');
+const { storeConfig } = require('../config/store');
+const { formatMoney } = require('../utils/currency');
+const { renderReceiptHtml, renderReceiptText, renderReceiptPdf } = require('../utils/receipts');
+
+const RECEIPT_FORMATS = ['json', 'html', 'pdf'];
+
+class VRReceiptService {
+  constructor() {
+    this.store = storeConfig;
+    this.emailEnabled = Boolean(process.env.SENDGRID_API_KEY);
+
+    if (this.emailEnabled) {
+      sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+    }
+  }
+
+  /**
+   * Render a receipt as a downloadable file
+   * @param {Object} receipt - Receipt from generateReceipt
+   * @param {string} format - html or pdf
+   * @returns {Object} - { content, contentType, filename }
+   */
+  render(receipt, format) {
+    const options = { brandColor: this.store.brandColor };
+
+    switch (format) {
+      case 'html':
+        return {
+          content: renderReceiptHtml(receipt, options),
+          contentType: 'text/html; charset=utf-8',
+          filename: `${receipt.receiptNumber}.html`
+        };
+
+      case 'pdf':
+        return {
+          content: renderReceiptPdf(receipt, options),
+          contentType: 'application/pdf',
+          filename: `${receipt.receiptNumber}.pdf`
+        };
+
+      default:
+        throw new Error(`Unsupported receipt format: ${format}`);
+    }
+  }
+
+  /**
+   * Email a receipt to the customer, with the PDF attached
+   * @param {Object} receipt - Receipt from generateReceipt
+   * @param {Object|null} refund - The refund the email is about (receipt for a completed order when omitted)
+   * @returns {Promise<Object>} - { sent, reason }
+   */
+  async emailReceipt(receipt, refund = null) {
+    if (!this.emailEnabled) {
+      console.warn(`SendGrid not configured, receipt ${receipt.receiptNumber} not emailed`);
+      return { sent: false, reason: 'Email is not configured' };
+    }
+
+    if (!receipt.customer.email) {
+      return { sent: false, reason: 'Customer has no email address' };
+    }
+
+    const notice = refund
+      ? `We have refunded ${formatMoney(refund.amount, receipt.currency)} on order ${receipt.orderNumber}.` +
+        (refund.storeCredit > 0 ? ' The refund was added to your store credit.' : '')
+      : null;
+    const options = { brandColor: this.store.brandColor, notice };
+
+    const msg = {
+      to: receipt.customer.email,
+      from: {
+        email: process.env.SENDGRID_FROM_EMAIL || 'noreply@vr-supermarket.com',
+        name: process.env.SENDGRID_FROM_NAME || this.store.name
+      },
+      subject: refund
+        ? `${this.store.name} - Refund for order ${receipt.orderNumber}`
+        : `${this.store.name} - Your receipt ${receipt.receiptNumber}`,
+      text: renderReceiptText(receipt, options),
+      html: renderReceiptHtml(receipt, options),
+      attachments: [{
+        content: renderReceiptPdf(receipt, options).toString('base64'),
+        filename: `${receipt.receiptNumber}.pdf`,
+        type: 'application/pdf',
+        disposition: 'attachment'
+      }]
+    };
+
+    try {
+      await sgMail.send(msg);
+      return { sent: true };
+    } catch (error) {
+      console.error('SendGrid error:', error);
+      if (error.response) {
+        console.error('SendGrid response:', error.response.body);
+      }
+      return { sent: false, reason: error.message };
+    }
+  }
+}
+
+VRReceiptService.RECEIPT_FORMATS = RECEIPT_FORMATS;
+
+module.exports = VRReceiptService;
@@ -0,0 +1,302 @@
+/**
+ * VR Search Service for relevance-ranked, typo-tolerant product search
+ * Following the existing codebase patterns and conventions
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const { tokenize, stem, matchQuality, highlight } = require('../utils/textSearch');
+const { normalizeFacetFilters, matchesFacetFilters, computeFacets } = require('../utils/facets');
+
+// Field weights: a name hit beats a brand hit beats a description hit
+const FIELD_WEIGHTS = {
+  name: 3,
+  brand: 2,
+  description: 1
+};
+
+class VRSearchService {
+  constructor() {
+    this.indexTtlMs = parseInt(process.env.SEARCH_INDEX_TTL_MS) || 60000;
+    this.pageSize = 1000;
+    this.defaultLimit = 50;
+
+    // Sponsored items may outrank results up to this much more relevant, never more
+    this.sponsoredBoost = 0.15;
+    this.featuredBoost = 0.05;
+
+    this.index = null;
+    this.indexLoadedAt = 0;
+  }
+
+  /**
+   * Search active products
+   * @param {string} searchTerm - Raw search query
+   * @param {Object} options - Search options
+   * @param {string} options.category_id - Restrict to a category
+   * @param {string} options.subcategory_id - Restrict to a subcategory
+   * @param {string} options.brand - Comma-separated brands
+   * @param {number} options.min_price - Minimum effective price
+   * @param {number} options.max_price - Maximum effective price
+   * @param {boolean} options.in_stock - Only products in stock
+   * @param {number} options.min_rating - Minimum rating
+   * @param {number} options.limit - Maximum results
+   * @param {number} options.minCoverage - Fraction of query terms a product must match
+   * @param {boolean} options.includeFacets - Include facet counts (default true)
+   * @returns {Promise<Object>} - Ranked results with highlights and facets
+   */
+  async search(searchTerm, options = {}) {
+    try {
+      const queryTerms = this.analyzeQuery(searchTerm);
+      const limit = Math.min(parseInt(options.limit) || this.defaultLimit, 100);
+      const facetFilters = normalizeFacetFilters(options);
+      const includeFacets = options.includeFacets !== false;
+
+      if (queryTerms.length === 0) {
+        return {
+          searchTerm: searchTerm.trim(),
+          terms: [],
+          products: [],
+          totalResults: 0,
+          hasResults: false,
+          facets: includeFacets ? computeFacets([], facetFilters) : undefined
+        };
+      }
+
+      const index = await this.getIndex();
+      const minCoverage = options.minCoverage !== undefined
+        ? options.minCoverage
+        : queryTerms.length <= 2 ? 1 : 2 / 3;
+
+      // Expand each query term to the index terms it matches (exact, prefix or fuzzy)
+      const expansions = queryTerms.map(queryTerm => this.expandTerm(queryTerm, index.vocabulary));
+
+      // Facet filters are applied after matching so facets can count across them
+      const matched = [];
+      index.documents.forEach((doc, docId) => {
+        let score = 0;
+        let matchedTerms = 0;
+        const matchedStems = new Set();
+
+        expansions.forEach(expansion => {
+          let best = 0;
+          let bestStem = null;
+
+          expansion.forEach(({ term, quality }) => {
+            const fieldWeight = doc.termWeights.get(term);
+            if (fieldWeight && fieldWeight * quality > best) {
+              best = fieldWeight * quality;
+              bestStem = term;
+            }
+          });
+
+          if (best > 0) {
+            score += best;
+            matchedTerms++;
+            matchedStems.add(bestStem);
+          }
+        });
+
+        const coverage = matchedTerms / queryTerms.length;
+        if (matchedTerms === 0 || coverage < minCoverage) return;
+
+        score = score * coverage + this.phraseBonus(doc, queryTerms);
+
+        matched.push({ docId, relevance: score, score: this.applyMerchandisingBoost(score, doc.product), matchedStems });
+      });
+
+      const facets = includeFacets
+        ? computeFacets(matched.map(result => index.documents[result.docId].product), facetFilters, index.categories)
+        : undefined;
+
+      const scored = matched.filter(result => matchesFacetFilters(index.documents[result.docId].product, facetFilters));
+
+      scored.sort((a, b) =>
+        b.score - a.score ||
+        (index.documents[b.docId].product.rating || 0) - (index.documents[a.docId].product.rating || 0)
+      );
+
+      const products = scored.slice(0, limit).map(result => {
+        const { product } = index.documents[result.docId];
+        return {
+          ...product,
+          search: {
+            score: parseFloat(result.score.toFixed(4)),
+            relevance: parseFloat(result.relevance.toFixed(4)),
+            matchedTerms: [...result.matchedStems],
+            highlights: {
+              name: highlight(product.name, result.matchedStems),
+              brand: highlight(product.brand, result.matchedStems),
+              description: highlight(product.description, result.matchedStems, { maxWords: 24 })
+            }
+          }
+        };
+      });
+
+      return {
+        searchTerm: searchTerm.trim(),
+        terms: queryTerms.map(term => term.raw),
+        products,
+        totalResults: scored.length,
+        hasResults: products.length > 0,
+        facets
+      };
+    } catch (error) {
+      console.error('Error in search:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Tokenize and stem a query
+   * @param {string} searchTerm - Raw query
+   * @returns {Array} - Unique { raw, stem } terms
+   */
+  analyzeQuery(searchTerm) {
+    const seen = new Set();
+
+    return tokenize(searchTerm)
+      .slice(0, 10)
+      .map(raw => ({ raw, stem: stem(raw) }))
+      .filter(term => {
+        if (seen.has(term.stem)) return false;
+        seen.add(term.stem);
+        return true;
+      });
+  }
+
+  /**
+   * Find index terms matching a query term
+   * @param {Object} queryTerm - { raw, stem }
+   * @param {Set} vocabulary - All index terms
+   * @returns {Array} - { term, quality } matches
+   */
+  expandTerm(queryTerm, vocabulary) {
+    const matches = [];
+
+    vocabulary.forEach(term => {
+      const quality = matchQuality(queryTerm, term);
+      if (quality > 0) {
+        matches.push({ term, quality });
+      }
+    });
+
+    return matches;
+  }
+
+  /**
+   * Bonus for exact or leading name matches so they beat partial hits
+   * @param {Object} doc - Indexed document
+   * @param {Array} queryTerms - Query terms
+   * @returns {number} - Bonus score
+   */
+  phraseBonus(doc, queryTerms) {
+    const queryPhrase = queryTerms.map(term => term.stem).join(' ');
+
+    if (doc.namePhrase === queryPhrase) return FIELD_WEIGHTS.name * 2;
+    if (doc.namePhrase.startsWith(`${queryPhrase} `)) return FIELD_WEIGHTS.name;
+    if (doc.namePhrase.includes(queryPhrase) && queryTerms.length > 1) return FIELD_WEIGHTS.name / 2;
+
+    return 0;
+  }
+
+  /**
+   * Apply the bounded sponsored/featured boost
+   * @param {number} score - Text relevance score
+   * @param {Object} product - Product record
+   * @returns {number} - Ranking score
+   */
+  applyMerchandisingBoost(score, product) {
+    let multiplier = 1;
+    if (product.is_sponsored) multiplier += this.sponsoredBoost;
+    if (product.is_featured) multiplier += this.featuredBoost;
+    return score * multiplier;
+  }
+
+  /**
+   * Get the in-memory search index, rebuilding it when stale
+   * @returns {Promise<Object>} - { documents, vocabulary, categories }
+   */
+  async getIndex() {
+    if (this.index && Date.now() - this.indexLoadedAt < this.indexTtlMs) {
+      return this.index;
+    }
+
+    const products = [];
+    let offset = 0;
+    while (true) {
+      const { data: page, error } = await supabaseAdmin
+        .from('active_products')
+        .select('*')
+        .order('id')
+        .range(offset, offset + this.pageSize - 1);
+
+      if (error) {
+        console.error('Search index load error:', error);
+        throw new Error(`Search failed: ${error.message}`);
+      }
+
+      products.push(...(page || []));
+
+      if (!page || page.length < this.pageSize) break;
+      offset += this.pageSize;
+    }
+
+    const { data: categories, error: categoryError } = await supabaseAdmin
+      .from('categories')
+      .select('id, name, parent_id')
+      .eq('is_active', true);
+
+    if (categoryError) {
+      throw new Error(`Search failed: ${categoryError.message}`);
+    }
+
+    this.index = {
+      ...this.buildIndex(products),
+      categories: categories || []
+    };
+    this.indexLoadedAt = Date.now();
+
+    return this.index;
+  }
+
+  /**
+   * Build per-product term weights and the shared vocabulary
+   * @param {Array} products - Active products
+   * @returns {Object} - { documents, vocabulary }
+   */
+  buildIndex(products) {
+    const vocabulary = new Set();
+
+    const documents = products.map(product => {
+      const termWeights = new Map();
+
+      Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+        tokenize(product[field]).forEach(token => {
+          const term = stem(token);
+          vocabulary.add(term);
+          if ((termWeights.get(term) || 0) < weight) {
+            termWeights.set(term, weight);
+          }
+        });
+      });
+
+      return {
+        product,
+        termWeights,
+        namePhrase: tokenize(product.name).map(stem).join(' ')
+      };
+    });
+
+    return { documents, vocabulary };
+  }
+
+  /**
+   * Drop the cached index (after catalog changes)
+   */
+  invalidateIndex() {
+    this.index = null;
+    this.indexLoadedAt = 0;
+  }
+}
+
+module.exports = VRSearchService;
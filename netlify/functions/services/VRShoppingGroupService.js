@@ -0,0 +1,747 @@
+/**
+ * VR Shopping Group Service for shopping together
+ * A host opens a group from their session and others join it with the invite code. Every member
+ * keeps their own session and cart; the group cart is those carts priced together, with each
+ * line attributed to the member who added it. At checkout a member with can_checkout pays for
+ * everyone (combined) or each member pays for their own part (split).
+ * Following the existing codebase patterns and conventions
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const crypto = require('crypto');
+const { roundMoney, formatMoney } = require('../utils/currency');
+const { isValidUUID } = require('../utils/validation');
+const VRShoppingService = require('./VRShoppingService');
+
+const MEMBER_SELECT = `
+  id,
+  user_id,
+  session_id,
+  role,
+  can_add,
+  can_remove,
+  can_checkout,
+  joined_at,
+  user:users(name),
+  session:shopping_sessions(status)
+`;
+
+// No 0/O or 1/I, so the code can be read out loud across a VR room
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 6;
+
+const CHECKOUT_MODES = ['combined', 'split'];
+
+class VRShoppingGroupService {
+  constructor() {
+    this.shoppingService = new VRShoppingService();
+  }
+
+  /**
+   * Open a group from the host's active session
+   * @param {string} userId - Host user UUID
+   * @param {Object} groupData - { session_id, name }
+   * @returns {Promise<Object>} - Group with its members and cart
+   */
+  async createGroup(userId, groupData) {
+    try {
+      const session = await this.getOwnedActiveSession(groupData.session_id, userId);
+      await this.assertNotInGroup(userId);
+
+      const group = await this.insertGroup({
+        host_user_id: userId,
+        name: groupData.name || null,
+        store_id: session.store_id,
+        currency: session.currency
+      });
+
+      const { error } = await supabaseAdmin
+        .from('shopping_group_members')
+        .insert([{
+          group_id: group.id,
+          user_id: userId,
+          session_id: session.id,
+          role: 'host',
+          can_add: true,
+          can_remove: true,
+          can_checkout: true
+        }]);
+
+      if (error) {
+        await supabaseAdmin.from('shopping_groups').delete().eq('id', group.id);
+        if (error.code === '23505') {
+          throw new Error('You are already in a shopping group');
+        }
+        console.error('Group host insert error:', error);
+        throw new Error(`Failed to create shopping group: ${error.message}`);
+      }
+
+      await this.shoppingService.logVRActivity(userId, session.id, 'group_created', {
+        group_id: group.id,
+        invite_code: group.invite_code
+      });
+
+      return this.getGroup(group.id, userId);
+    } catch (error) {
+      console.error('Error in createGroup:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Join a group with its invite code
+   * Joining again from a new session (e.g. after a headset restart) moves the membership to it.
+   * @param {string} userId - User UUID
+   * @param {string} inviteCode - Invite code of the group
+   * @param {string} sessionId - The user's active session
+   * @returns {Promise<Object>} - Group with its members and cart
+   */
+  async joinGroup(userId, inviteCode, sessionId) {
+    try {
+      const { data: group, error } = await supabaseAdmin
+        .from('shopping_groups')
+        .select('*')
+        .eq('invite_code', String(inviteCode || '').trim().toUpperCase())
+        .eq('status', 'active')
+        .maybeSingle();
+
+      if (error) {
+        console.error('Group fetch error:', error);
+        throw new Error(`Failed to fetch shopping group: ${error.message}`);
+      }
+
+      if (!group) {
+        throw new Error('Shopping group not found');
+      }
+
+      const session = await this.getOwnedActiveSession(sessionId, userId);
+
+      // Prices, currency and tax of the shared cart come from one store
+      if ((session.store_id || null) !== (group.store_id || null) || session.currency !== group.currency) {
+        throw new Error('Your session is in a different store than the group');
+      }
+
+      const membership = await this.getMembership(userId);
+
+      if (membership && membership.group_id !== group.id) {
+        throw new Error('You are already in a shopping group');
+      }
+
+      if (membership) {
+        if (membership.session_id !== session.id) {
+          const { error: updateError } = await supabaseAdmin
+            .from('shopping_group_members')
+            .update({ session_id: session.id })
+            .eq('id', membership.id);
+
+          if (updateError) {
+            console.error('Group member update error:', updateError);
+            throw new Error(`Failed to join shopping group: ${updateError.message}`);
+          }
+        }
+
+        return this.getGroup(group.id, userId);
+      }
+
+      const { error: insertError } = await supabaseAdmin
+        .from('shopping_group_members')
+        .insert([{
+          group_id: group.id,
+          user_id: userId,
+          session_id: session.id,
+          role: 'member'
+        }]);
+
+      if (insertError) {
+        if (insertError.code === '23505') {
+          throw new Error('You are already in a shopping group');
+        }
+        console.error('Group member insert error:', insertError);
+        throw new Error(`Failed to join shopping group: ${insertError.message}`);
+      }
+
+      await this.shoppingService.logVRActivity(userId, session.id, 'group_joined', {
+        group_id: group.id
+      });
+
+      return this.getGroup(group.id, userId);
+    } catch (error) {
+      console.error('Error in joinGroup:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a group the user is a member of, with its members and the shared cart
+   * @param {string} groupId - Group UUID
+   * @param {string} userId - User UUID
+   * @returns {Promise<Object>} - { ...group, members, permissions, cart }
+   */
+  async getGroup(groupId, userId) {
+    try {
+      const context = await this.getGroupContext(groupId, userId);
+      const cart = await this.getGroupCart(context);
+
+      return this.describeGroup(context, cart);
+    } catch (error) {
+      console.error('Error in getGroup:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the group the user is in right now
+   * @param {string} userId - User UUID
+   * @returns {Promise<Object|null>} - Group, or null when the user is not in one
+   */
+  async getCurrentGroup(userId) {
+    try {
+      const membership = await this.getMembership(userId);
+      return membership ? await this.getGroup(membership.group_id, userId) : null;
+    } catch (error) {
+      console.error('Error in getCurrentGroup:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change what a member may do (host only)
+   * @param {string} groupId - Group UUID
+   * @param {string} userId - Host user UUID
+   * @param {string} memberUserId - User UUID of the member
+   * @param {Object} permissions - { can_add, can_remove, can_checkout }, any of them
+   * @returns {Promise<Object>} - Updated member
+   */
+  async updateMember(groupId, userId, memberUserId, permissions) {
+    try {
+      const context = await this.getHostContext(groupId, userId);
+      const member = this.findMember(context, memberUserId);
+
+      if (member.role === 'host') {
+        throw new Error('The host always has every permission');
+      }
+
+      const { data: updated, error } = await supabaseAdmin
+        .from('shopping_group_members')
+        .update(permissions)
+        .eq('id', member.id)
+        .select(MEMBER_SELECT)
+        .single();
+
+      if (error) {
+        console.error('Group member update error:', error);
+        throw new Error(`Failed to update group member: ${error.message}`);
+      }
+
+      await this.shoppingService.logVRActivity(userId, context.member.session_id, 'group_member_updated', {
+        group_id: groupId,
+        member_user_id: memberUserId,
+        permissions
+      });
+
+      return this.describeMember(updated);
+    } catch (error) {
+      console.error('Error in updateMember:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take a member out of the group (host only); their session and cart carry on on their own
+   * @param {string} groupId - Group UUID
+   * @param {string} userId - Host user UUID
+   * @param {string} memberUserId - User UUID of the member
+   * @returns {Promise<Object>} - Removal result
+   */
+  async removeMember(groupId, userId, memberUserId) {
+    try {
+      const context = await this.getHostContext(groupId, userId);
+      const member = this.findMember(context, memberUserId);
+
+      if (member.role === 'host') {
+        throw new Error('The host cannot be removed; close the group instead');
+      }
+
+      await this.endMembership(member.id);
+
+      await this.shoppingService.logVRActivity(userId, context.member.session_id, 'group_member_removed', {
+        group_id: groupId,
+        member_user_id: memberUserId
+      });
+
+      return { success: true, message: 'Member removed from the group' };
+    } catch (error) {
+      console.error('Error in removeMember:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Leave a group; the group closes when the host leaves
+   * @param {string} groupId - Group UUID
+   * @param {string} userId - User UUID
+   * @returns {Promise<Object>} - Leave result
+   */
+  async leaveGroup(groupId, userId) {
+    try {
+      const context = await this.getGroupContext(groupId, userId);
+
+      if (context.member.role === 'host') {
+        return this.closeGroup(groupId, userId);
+      }
+
+      await this.endMembership(context.member.id);
+
+      await this.shoppingService.logVRActivity(userId, context.member.session_id, 'group_left', {
+        group_id: groupId
+      });
+
+      return { success: true, message: 'You left the group' };
+    } catch (error) {
+      console.error('Error in leaveGroup:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close a group (host only); every member's cart stays in their own session
+   * @param {string} groupId - Group UUID
+   * @param {string} userId - Host user UUID
+   * @returns {Promise<Object>} - Close result
+   */
+  async closeGroup(groupId, userId) {
+    try {
+      const context = await this.getHostContext(groupId, userId);
+      const closedAt = new Date().toISOString();
+
+      const { error } = await supabaseAdmin
+        .from('shopping_groups')
+        .update({ status: 'closed', closed_at: closedAt })
+        .eq('id', groupId);
+
+      if (error) {
+        console.error('Group close error:', error);
+        throw new Error(`Failed to close shopping group: ${error.message}`);
+      }
+
+      const { error: membersError } = await supabaseAdmin
+        .from('shopping_group_members')
+        .update({ left_at: closedAt })
+        .eq('group_id', groupId)
+        .is('left_at', null);
+
+      if (membersError) {
+        console.error('Group members close error:', membersError);
+        throw new Error(`Failed to close shopping group: ${membersError.message}`);
+      }
+
+      await this.shoppingService.logVRActivity(userId, context.member.session_id, 'group_closed', {
+        group_id: groupId,
+        member_count: context.members.length
+      });
+
+      return { success: true, message: 'Shopping group closed' };
+    } catch (error) {
+      console.error('Error in closeGroup:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a product to the group cart; it goes into the member's own part
+   * @param {string} groupId - Group UUID
+   * @param {string} userId - User UUID
+   * @param {string} productId - Product UUID
+   * @param {number} quantity - Quantity to add
+   * @param {string|null} variantId - Variant UUID
+   * @returns {Promise<Object>} - Cart line, attributed to the member
+   */
+  async addToGroupCart(groupId, userId, productId, quantity = 1, variantId = null) {
+    try {
+      const context = await this.getGroupContext(groupId, userId);
+      const cartItem = await this.shoppingService.addToCart(context.member.session_id, productId, quantity, userId, variantId);
+
+      return { ...cartItem, added_by: this.describeMember(context.member) };
+    } catch (error) {
+      console.error('Error in addToGroupCart:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a product from one member's part of the group cart
+   * Members remove their own items; other members' items need can_remove.
+   * @param {string} groupId - Group UUID
+   * @param {string} userId - User UUID
+   * @param {string} memberUserId - User UUID of the member whose item is removed
+   * @param {string} productId - Product UUID
+   * @param {string|null} variantId - Variant UUID
+   * @returns {Promise<Object>} - Removal result
+   */
+  async removeFromGroupCart(groupId, userId, memberUserId, productId, variantId = null) {
+    try {
+      const context = await this.getGroupContext(groupId, userId);
+      const member = this.findMember(context, memberUserId);
+
+      return await this.shoppingService.removeFromCart(member.session_id, productId, userId, variantId);
+    } catch (error) {
+      console.error('Error in removeFromGroupCart:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Group context for checking out a session, or null when the session is not in a group
+   * @param {string} sessionId - Session UUID being checked out
+   * @param {string} userId - User UUID checking out
+   * @returns {Promise<Object|null>} - { group, members, member }
+   */
+  async getCheckoutGroup(sessionId, userId) {
+    const { data: membership, error } = await supabaseAdmin
+      .from('shopping_group_members')
+      .select('group_id')
+      .eq('session_id', sessionId)
+      .is('left_at', null)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Group membership fetch error:', error);
+      throw new Error(`Failed to fetch shopping group: ${error.message}`);
+    }
+
+    if (!membership) {
+      return null;
+    }
+
+    const context = await this.getGroupContext(membership.group_id, userId);
+
+    if (context.member.session_id !== sessionId) {
+      throw new Error('You can only check out from your own session');
+    }
+
+    if (!context.member.can_checkout) {
+      throw new Error('You are not allowed to check out for this group');
+    }
+
+    return context;
+  }
+
+  /**
+   * The carts of the group's members priced together, with each line attributed
+   * @param {Object} context - Group context from getGroupContext
+   * @returns {Promise<Object>} - Cart with added_by on every line and a share per member
+   */
+  async getGroupCart(context) {
+    const members = context.members.filter(member => member.session && member.session.status === 'active');
+    const cart = await this.shoppingService.getCombinedCart(members.map(member => member.session_id), context.group.currency);
+    const currency = cart.currency;
+
+    const items = cart.items.map(item => {
+      const member = members.find(candidate => candidate.session_id === item.session_id);
+      return { ...item, added_by: member ? this.describeMember(member) : null };
+    });
+
+    // What each member's part comes to before tax and coupons
+    const shares = members.map(member => {
+      const lines = items.filter(item => item.session_id === member.session_id);
+      const amount = roundMoney(lines.reduce((sum, item) => sum + item.total_price - (item.promotion_discount || 0), 0), currency);
+
+      return {
+        user_id: member.user_id,
+        name: member.user ? member.user.name : null,
+        session_id: member.session_id,
+        itemCount: lines.reduce((sum, item) => sum + item.quantity, 0),
+        amount,
+        formatted_amount: formatMoney(amount, currency)
+      };
+    });
+
+    return { ...cart, items, shares };
+  }
+
+  /**
+   * Group part of a checkout: the mode, who pays and each member's share
+   * @param {Object} context - Group context from getCheckoutGroup
+   * @param {string} mode - combined or split
+   * @param {Object} groupCart - Cart from getGroupCart
+   * @returns {Object}
+   */
+  describeCheckout(context, mode, groupCart) {
+    return {
+      id: context.group.id,
+      name: context.group.name,
+      mode,
+      paid_by: context.member.user_id,
+      // combined: the payer pays every share; split: only their own
+      paying_for: mode === 'combined'
+        ? groupCart.shares.map(share => share.user_id)
+        : [context.member.user_id],
+      shares: groupCart.shares
+    };
+  }
+
+  /**
+   * Record an order placed from a group checkout
+   * Never throws, so checkout is not affected.
+   * @param {Object} checkoutGroup - Group part of the checkout from describeCheckout
+   * @param {string} userId - Paying user UUID
+   * @param {string} sessionId - Session the order was placed from
+   * @param {Object} order - Created order
+   * @param {Object|null} combined - Lines moved into the payer's session ({ moved_lines, contributions }), for combined checkouts
+   * @returns {Promise<void>}
+   */
+  async recordCheckout(checkoutGroup, userId, sessionId, order, combined = null) {
+    await this.shoppingService.logVRActivity(userId, sessionId, 'group_checkout', {
+      group_id: checkoutGroup.id,
+      mode: checkoutGroup.mode,
+      order_id: order.id,
+      order_number: order.order_number,
+      paying_for: checkoutGroup.paying_for,
+      shares: checkoutGroup.shares.filter(share => checkoutGroup.paying_for.includes(share.user_id)),
+      moved_lines: combined ? combined.moved_lines : 0,
+      contributions: combined ? combined.contributions : []
+    });
+  }
+
+  /**
+   * Load an active group with its current members, checking the user is one of them
+   * @param {string} groupId - Group UUID
+   * @param {string} userId - User UUID
+   * @returns {Promise<Object>} - { group, members, member }
+   */
+  async getGroupContext(groupId, userId) {
+    if (!isValidUUID(groupId)) {
+      throw new Error('Invalid group ID format');
+    }
+
+    const { data: group, error } = await supabaseAdmin
+      .from('shopping_groups')
+      .select('*')
+      .eq('id', groupId)
+      .eq('status', 'active')
+      .maybeSingle();
+
+    if (error) {
+      console.error('Group fetch error:', error);
+      throw new Error(`Failed to fetch shopping group: ${error.message}`);
+    }
+
+    const { data: members, error: membersError } = group
+      ? await supabaseAdmin
+        .from('shopping_group_members')
+        .select(MEMBER_SELECT)
+        .eq('group_id', groupId)
+        .is('left_at', null)
+        .order('joined_at', { ascending: true })
+      : { data: [] };
+
+    if (membersError) {
+      console.error('Group members fetch error:', membersError);
+      throw new Error(`Failed to fetch group members: ${membersError.message}`);
+    }
+
+    const member = (members || []).find(candidate => candidate.user_id === userId);
+
+    // Groups the user is not in look the same as groups that don't exist
+    if (!group || !member) {
+      throw new Error('Shopping group not found');
+    }
+
+    return { group, members, member };
+  }
+
+  /**
+   * Group context for a change only the host may make
+   * @param {string} groupId - Group UUID
+   * @param {string} userId - User UUID
+   * @returns {Promise<Object>} - { group, members, member }
+   */
+  async getHostContext(groupId, userId) {
+    const context = await this.getGroupContext(groupId, userId);
+
+    if (context.member.role !== 'host') {
+      throw new Error('Only the host can manage the group');
+    }
+
+    return context;
+  }
+
+  /**
+   * Current member of a group by user
+   * @param {Object} context - Group context
+   * @param {string} memberUserId - User UUID
+   * @returns {Object} - Member row
+   */
+  findMember(context, memberUserId) {
+    const member = context.members.find(candidate => candidate.user_id === memberUserId);
+
+    if (!member) {
+      throw new Error('Group member not found');
+    }
+
+    return member;
+  }
+
+  /**
+   * The user's current group membership
+   * @param {string} userId - User UUID
+   * @returns {Promise<Object|null>} - { id, group_id, session_id }
+   */
+  async getMembership(userId) {
+    const { data: membership, error } = await supabaseAdmin
+      .from('shopping_group_members')
+      .select('id, group_id, session_id')
+      .eq('user_id', userId)
+      .is('left_at', null)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Group membership fetch error:', error);
+      throw new Error(`Failed to fetch shopping group: ${error.message}`);
+    }
+
+    return membership;
+  }
+
+  /**
+   * Reject users who are in a group already
+   * @param {string} userId - User UUID
+   * @returns {Promise<void>}
+   */
+  async assertNotInGroup(userId) {
+    if (await this.getMembership(userId)) {
+      throw new Error('You are already in a shopping group');
+    }
+  }
+
+  /**
+   * The user's session, which must still be active
+   * @param {string} sessionId - Session UUID
+   * @param {string} userId - User UUID
+   * @returns {Promise<Object>} - { id, status, store_id, currency }
+   */
+  async getOwnedActiveSession(sessionId, userId) {
+    if (!isValidUUID(sessionId)) {
+      throw new Error('Invalid session ID format');
+    }
+
+    const { data: session, error } = await supabaseAdmin
+      .from('shopping_sessions')
+      .select('id, status, store_id, currency')
+      .eq('id', sessionId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Session fetch error:', error);
+      throw new Error(`Failed to fetch session: ${error.message}`);
+    }
+
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    if (session.status !== 'active') {
+      throw new Error('Shopping session is no longer active');
+    }
+
+    return session;
+  }
+
+  /**
+   * Insert a group with a fresh invite code, retrying on the rare code collision
+   * @param {Object} groupRow - Group columns
+   * @returns {Promise<Object>} - Created group
+   */
+  async insertGroup(groupRow) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const { data: group, error } = await supabaseAdmin
+        .from('shopping_groups')
+        .insert([{ ...groupRow, invite_code: this.generateInviteCode() }])
+        .select()
+        .single();
+
+      if (!error) {
+        return group;
+      }
+
+      if (error.code !== '23505') {
+        console.error('Group creation error:', error);
+        throw new Error(`Failed to create shopping group: ${error.message}`);
+      }
+    }
+
+    throw new Error('Failed to create shopping group: no free invite code');
+  }
+
+  /**
+   * Mark a membership as ended
+   * @param {string} memberId - Member row UUID
+   * @returns {Promise<void>}
+   */
+  async endMembership(memberId) {
+    const { error } = await supabaseAdmin
+      .from('shopping_group_members')
+      .update({ left_at: new Date().toISOString() })
+      .eq('id', memberId);
+
+    if (error) {
+      console.error('Group member update error:', error);
+      throw new Error(`Failed to update group member: ${error.message}`);
+    }
+  }
+
+  /**
+   * Random invite code
+   * @returns {string}
+   */
+  generateInviteCode() {
+    const bytes = crypto.randomBytes(INVITE_CODE_LENGTH);
+    return Array.from(bytes, byte => INVITE_CODE_ALPHABET[byte % INVITE_CODE_ALPHABET.length]).join('');
+  }
+
+  /**
+   * Public view of a group
+   * @param {Object} context - Group context
+   * @param {Object} cart - Cart from getGroupCart
+   * @returns {Object}
+   */
+  describeGroup(context, cart) {
+    const { group, members, member } = context;
+
+    return {
+      id: group.id,
+      name: group.name,
+      invite_code: group.invite_code,
+      host_user_id: group.host_user_id,
+      store_id: group.store_id,
+      currency: group.currency,
+      created_at: group.created_at,
+      members: members.map(candidate => this.describeMember(candidate)),
+      permissions: this.describeMember(member),
+      cart
+    };
+  }
+
+  /**
+   * Public view of a member
+   * @param {Object} member - Member row
+   * @returns {Object}
+   */
+  describeMember(member) {
+    return {
+      user_id: member.user_id,
+      name: member.user ? member.user.name : null,
+      role: member.role,
+      can_add: member.can_add,
+      can_remove: member.can_remove,
+      can_checkout: member.can_checkout,
+      session_active: Boolean(member.session && member.session.status === 'active'),
+      joined_at: member.joined_at
+    };
+  }
+}
+
+VRShoppingGroupService.CHECKOUT_MODES = CHECKOUT_MODES;
+
+module.exports = VRShoppingGroupService;
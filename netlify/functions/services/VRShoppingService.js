@@ -5,19 +5,65 @@
 
 const { supabaseAdmin } = require('../config/supabase');
 const crypto = require('crypto');
+const { VARIANT_SELECT, getVariantLabel } = require('../utils/variants');
+const VRPromotionsService = require('./VRPromotionsService');
+const VRInventoryService = require('./VRInventoryService');
+const VRTaxService = require('./VRTaxService');
+const VRCurrencyService = require('./VRCurrencyService');
+const { BASE_CURRENCY, roundMoney, formatMoney } = require('../utils/currency');
+
+// Cart lines embed the product and, for variant products, the chosen variant
+const CART_ITEM_SELECT = `
+  *,
+  product:products(
+    id,
+    name,
+    price,
+    discount_price,
+    product_images,
+    brand,
+    stock_quantity,
+    category_id,
+    subcategory_id
+  ),
+  variant:product_variants(${VARIANT_SELECT})
+`;
+
+// Saved lines embed enough of the product to price it and check it can still be bought
+const SAVED_ITEM_SELECT = `
+  *,
+  product:products(
+    id,
+    name,
+    price,
+    discount_price,
+    product_images,
+    brand,
+    stock_quantity,
+    is_active
+  ),
+  variant:product_variants(${VARIANT_SELECT})
+`;
+
+const SAVED_LISTS = ['cart', 'saved'];
 
 class VRShoppingService {
   constructor() {
     this.sessionTimeout = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+    this.promotionsService = new VRPromotionsService();
+    this.inventoryService = new VRInventoryService();
+    this.taxService = new VRTaxService();
+    this.currencyService = new VRCurrencyService();
   }
 
   /**
    * Create a new shopping session for user
    * @param {string} userId - User UUID
    * @param {Object} vrData - VR session initialization data
-   * @returns {Promise<Object>} - Shopping session with empty cart
+   * @param {string|null} storeCode - Store the shopper entered (its region sets the tax rates)
+   * @returns {Promise<Object>} - Shopping session with its cart (restored from the saved cart when new)
    */
-  async createShoppingSession(userId, vrData = {}) {
+  async createShoppingSession(userId, vrData = {}, storeCode = null) {
     try {
       // Check if user has an active session
       const { data: existingSession } = await supabaseAdmin
@@ -39,6 +85,9 @@ class VRShoppingService {
 
       // Create new session
       const sessionToken = this.generateSessionToken();
+      const store = await this.taxService.resolveStore(storeCode);
+      // The session is priced and charged in the store's currency
+      const currency = store && store.currency ? store.currency : BASE_CURRENCY;
       
       const { data: newSession, error } = await supabaseAdmin
         .from('shopping_sessions')
@@ -47,6 +96,8 @@ class VRShoppingService {
           session_token: sessionToken,
           status: 'active',
           vr_session_data: vrData,
+          store_id: store ? store.id : null,
+          currency,
           started_at: new Date().toISOString()
         }])
         .select()
@@ -63,9 +114,15 @@ class VRShoppingService {
         vr_data: vrData
       });
 
+      // Bring back the cart the user left in an earlier session or on another device
+      const restored = await this.restoreSavedCart(userId, newSession.id);
+
       return {
         session: newSession,
-        cart: { items: [], totalItems: 0, totalAmount: 0.00 },
+        cart: restored.restoredItems > 0
+          ? await this.getShoppingCart(newSession.id)
+          : { items: [], totalItems: 0, totalAmount: 0.00, appliedPromotions: [], discountAmount: 0, totalAfterDiscounts: 0.00, currency },
+        restored,
         isNew: true
       };
     } catch (error) {
@@ -75,26 +132,15 @@ class VRShoppingService {
   }
 
   /**
-   * Get shopping cart for session
+   * Get shopping cart for session, priced with the promotions running now
    * @param {string} sessionId - Session UUID
-   * @returns {Promise<Object>} - Shopping cart with items
+   * @returns {Promise<Object>} - Shopping cart with items and applied promotions
    */
   async getShoppingCart(sessionId) {
     try {
       const { data: cartItems, error } = await supabaseAdmin
         .from('shopping_cart')
-        .select(`
-          *,
-          product:products(
-            id,
-            name,
-            price,
-            discount_price,
-            product_images,
-            brand,
-            stock_quantity
-          )
-        `)
+        .select(CART_ITEM_SELECT)
         .eq('session_id', sessionId)
         .order('added_at', { ascending: true });
 
@@ -103,14 +149,15 @@ class VRShoppingService {
         throw new Error(`Failed to fetch shopping cart: ${error.message}`);
       }
 
-      const items = cartItems || [];
-      const totalItems = items.reduce((sum, item) => sum + item.quantity, 0);
-      const totalAmount = items.reduce((sum, item) => sum + item.total_price, 0);
+      const currency = await this.getSessionCurrency(sessionId);
+
+      // Show how long each line's stock is held for
+      const reservations = cartItems && cartItems.length > 0
+        ? await this.inventoryService.getSessionReservations(sessionId)
+        : [];
 
       return {
-        items,
-        totalItems,
-        totalAmount,
+        ...await this.priceCartLines(cartItems || [], currency, reservations),
         sessionId
       };
     } catch (error) {
@@ -119,15 +166,113 @@ class VRShoppingService {
     }
   }
 
+  /**
+   * Get the carts of several sessions priced together as one cart (a shopping group's cart)
+   * @param {Array<string>} sessionIds - Session UUIDs
+   * @param {string} currency - Currency all of the sessions are priced in
+   * @returns {Promise<Object>} - Priced cart; each line keeps its session_id
+   */
+  async getCombinedCart(sessionIds, currency) {
+    try {
+      const { data: cartItems, error } = await supabaseAdmin
+        .from('shopping_cart')
+        .select(CART_ITEM_SELECT)
+        .in('session_id', sessionIds)
+        .order('added_at', { ascending: true });
+
+      if (error) {
+        console.error('Cart fetch error:', error);
+        throw new Error(`Failed to fetch shopping cart: ${error.message}`);
+      }
+
+      const reservations = cartItems && cartItems.length > 0
+        ? (await Promise.all(sessionIds.map(sessionId => this.inventoryService.getSessionReservations(sessionId)))).flat()
+        : [];
+
+      return this.priceCartLines(cartItems || [], currency, reservations);
+    } catch (error) {
+      console.error('Error in getCombinedCart:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Price cart lines with the promotions running now and total them
+   * Lines may come from several sessions (a group cart); each is matched to its own session's hold.
+   * @param {Array} cartItems - Cart lines selected with CART_ITEM_SELECT
+   * @param {string} currency - Currency the lines are priced in
+   * @param {Array} reservations - Active holds of the lines' sessions
+   * @returns {Promise<Object>} - Priced cart
+   */
+  async priceCartLines(cartItems, currency, reservations = []) {
+    const exchangeRate = await this.currencyService.getRate(currency);
+    const evaluated = await this.promotionsService.evaluateCart(cartItems, { currency, rate: exchangeRate });
+    const { appliedPromotions, discountAmount } = evaluated;
+
+    const items = evaluated.items.map(item => {
+      const reservation = reservations.find(candidate =>
+        candidate.session_id === item.session_id &&
+        candidate.product_id === item.product_id && (candidate.variant_id || null) === (item.variant_id || null)
+      );
+      return {
+        ...item,
+        reserved_until: reservation ? reservation.expires_at : null,
+        formatted_unit_price: formatMoney(item.unit_price, currency),
+        formatted_total_price: formatMoney(item.total_price, currency)
+      };
+    });
+
+    const totalItems = items.reduce((sum, item) => sum + item.quantity, 0);
+    const totalAmount = roundMoney(items.reduce((sum, item) => sum + item.total_price, 0), currency);
+    const totalAfterDiscounts = roundMoney(Math.max(0, totalAmount - discountAmount), currency);
+
+    return {
+      items,
+      totalItems,
+      totalAmount,
+      appliedPromotions,
+      discountAmount,
+      totalAfterDiscounts,
+      currency,
+      exchangeRate,
+      formatted: {
+        totalAmount: formatMoney(totalAmount, currency),
+        discountAmount: formatMoney(discountAmount, currency),
+        totalAfterDiscounts: formatMoney(totalAfterDiscounts, currency)
+      }
+    };
+  }
+
+  /**
+   * Currency a session is priced in
+   * @param {string} sessionId - Session UUID
+   * @returns {Promise<string>} - ISO 4217 code
+   */
+  async getSessionCurrency(sessionId) {
+    const { data: session, error } = await supabaseAdmin
+      .from('shopping_sessions')
+      .select('currency')
+      .eq('id', sessionId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Session currency fetch error:', error);
+      throw new Error(`Failed to fetch session: ${error.message}`);
+    }
+
+    return (session && session.currency) || BASE_CURRENCY;
+  }
+
   /**
    * Add product to shopping cart
    * @param {string} sessionId - Session UUID
    * @param {string} productId - Product UUID
    * @param {number} quantity - Quantity to add
    * @param {string} userId - User UUID (for logging)
+   * @param {string|null} variantId - Variant UUID (required for products with variants)
    * @returns {Promise<Object>} - Updated cart item
    */
-  async addToCart(sessionId, productId, quantity = 1, userId = null) {
+  async addToCart(sessionId, productId, quantity = 1, userId = null, variantId = null) {
     try {
       // Validate inputs
       if (!this.isValidUUID(sessionId) || !this.isValidUUID(productId)) {
@@ -138,48 +283,45 @@ class VRShoppingService {
         throw new Error('Quantity must be a positive number');
       }
 
-      // Get product details and check stock
-      const { data: product, error: productError } = await supabaseAdmin
-        .from('products')
-        .select('*')
-        .eq('id', productId)
-        .eq('is_active', true)
-        .single();
-
-      if (productError) {
-        if (productError.code === 'PGRST116') {
-          throw new Error('Product not found or unavailable');
-        }
-        throw new Error(`Product fetch failed: ${productError.message}`);
+      // Group members need can_add
+      if (userId) {
+        await this.assertGroupPermission(sessionId, userId, 'add');
       }
 
-      // Check stock availability
-      if (product.stock_quantity < quantity) {
-        throw new Error(`Insufficient stock. Available: ${product.stock_quantity}`);
+      // Get product (and variant) details and check stock
+      const { product, variant, availableStock } = await this.getPurchasableItem(productId, variantId);
+
+      if (availableStock < quantity) {
+        throw new Error(`Insufficient stock. Available: ${availableStock}`);
       }
 
-      // Calculate price (use discount price if available)
-      const unitPrice = product.discount_price || product.price;
+      // Calculate price in the session currency (variant price wins, discount price if available)
+      const unitPrice = await this.currencyService.getUnitPrice(product, variant, await this.getSessionCurrency(sessionId));
 
       // Check if item already exists in cart
-      const { data: existingItem } = await supabaseAdmin
-        .from('shopping_cart')
-        .select('*')
-        .eq('session_id', sessionId)
-        .eq('product_id', productId)
-        .single();
+      const { data: existingItem } = await this.scopeToVariant(
+        supabaseAdmin
+          .from('shopping_cart')
+          .select('*')
+          .eq('session_id', sessionId)
+          .eq('product_id', productId),
+        variantId
+      ).single();
+
+      const newQuantity = existingItem ? existingItem.quantity + quantity : quantity;
+
+      // Check total stock against new quantity
+      if (existingItem && availableStock < newQuantity) {
+        throw new Error(`Insufficient stock for total quantity. Available: ${availableStock}, Requested: ${newQuantity}`);
+      }
+
+      // Hold the units for this cart; fails when other carts already hold them
+      const reservation = await this.inventoryService.reserve(sessionId, productId, variant ? variant.id : null, newQuantity);
 
       let cartItem;
 
       if (existingItem) {
         // Update existing item
-        const newQuantity = existingItem.quantity + quantity;
-        
-        // Check total stock against new quantity
-        if (product.stock_quantity < newQuantity) {
-          throw new Error(`Insufficient stock for total quantity. Available: ${product.stock_quantity}, Requested: ${newQuantity}`);
-        }
-
         const { data: updatedItem, error: updateError } = await supabaseAdmin
           .from('shopping_cart')
           .update({
@@ -187,18 +329,7 @@ class VRShoppingService {
             unit_price: unitPrice
           })
           .eq('id', existingItem.id)
-          .select(`
-            *,
-            product:products(
-              id,
-              name,
-              price,
-              discount_price,
-              product_images,
-              brand,
-              stock_quantity
-            )
-          `)
+          .select(CART_ITEM_SELECT)
           .single();
 
         if (updateError) {
@@ -214,25 +345,16 @@ class VRShoppingService {
           .insert([{
             session_id: sessionId,
             product_id: productId,
+            variant_id: variant ? variant.id : null,
             quantity: quantity,
             unit_price: unitPrice
           }])
-          .select(`
-            *,
-            product:products(
-              id,
-              name,
-              price,
-              discount_price,
-              product_images,
-              brand,
-              stock_quantity
-            )
-          `)
+          .select(CART_ITEM_SELECT)
           .single();
 
         if (insertError) {
           console.error('Cart insert error:', insertError);
+          await this.inventoryService.releaseLine(sessionId, productId, variant ? variant.id : null);
           throw new Error(`Failed to add to cart: ${insertError.message}`);
         }
 
@@ -243,13 +365,18 @@ class VRShoppingService {
       if (userId) {
         await this.logVRActivity(userId, sessionId, 'product_added_to_cart', {
           product_id: productId,
+          variant_id: variant ? variant.id : null,
+          variant: getVariantLabel(variant),
           quantity: quantity,
           unit_price: unitPrice,
           action: existingItem ? 'updated' : 'added'
         });
       }
 
-      return cartItem;
+      return {
+        ...cartItem,
+        reserved_until: reservation.expiresAt
+      };
     } catch (error) {
       console.error('Error in addToCart:', error);
       throw error;
@@ -261,20 +388,33 @@ class VRShoppingService {
    * @param {string} sessionId - Session UUID
    * @param {string} productId - Product UUID
    * @param {string} userId - User UUID (for logging)
+   * @param {string|null} variantId - Variant UUID of the cart line
    * @returns {Promise<Object>} - Removal result
    */
-  async removeFromCart(sessionId, productId, userId = null) {
+  async removeFromCart(sessionId, productId, userId = null, variantId = null) {
     try {
       // Validate inputs
       if (!this.isValidUUID(sessionId) || !this.isValidUUID(productId)) {
         throw new Error('Invalid session or product ID format');
       }
 
-      const { data: removedItem, error } = await supabaseAdmin
-        .from('shopping_cart')
-        .delete()
-        .eq('session_id', sessionId)
-        .eq('product_id', productId)
+      if (variantId && !this.isValidUUID(variantId)) {
+        throw new Error('Invalid variant ID format');
+      }
+
+      // Removing another group member's item needs can_remove
+      if (userId) {
+        await this.assertGroupPermission(sessionId, userId, 'remove');
+      }
+
+      const { data: removedItem, error } = await this.scopeToVariant(
+        supabaseAdmin
+          .from('shopping_cart')
+          .delete()
+          .eq('session_id', sessionId)
+          .eq('product_id', productId),
+        variantId
+      )
         .select()
         .single();
 
@@ -286,10 +426,13 @@ class VRShoppingService {
         throw new Error(`Failed to remove from cart: ${error.message}`);
       }
 
+      await this.inventoryService.releaseLine(sessionId, productId, variantId);
+
       // Log remove from cart activity
       if (userId) {
         await this.logVRActivity(userId, sessionId, 'product_removed_from_cart', {
           product_id: productId,
+          variant_id: variantId,
           quantity_removed: removedItem.quantity,
           unit_price: removedItem.unit_price
         });
@@ -312,9 +455,10 @@ class VRShoppingService {
    * @param {string} productId - Product UUID
    * @param {number} quantity - New quantity
    * @param {string} userId - User UUID (for logging)
+   * @param {string|null} variantId - Variant UUID of the cart line
    * @returns {Promise<Object>} - Updated cart item
    */
-  async updateCartQuantity(sessionId, productId, quantity, userId = null) {
+  async updateCartQuantity(sessionId, productId, quantity, userId = null, variantId = null) {
     try {
       // Validate inputs
       if (!this.isValidUUID(sessionId) || !this.isValidUUID(productId)) {
@@ -325,43 +469,35 @@ class VRShoppingService {
         throw new Error('Quantity must be a positive number');
       }
 
-      // Check product stock
-      const { data: product, error: productError } = await supabaseAdmin
-        .from('products')
-        .select('stock_quantity')
-        .eq('id', productId)
-        .single();
-
-      if (productError || !product) {
-        throw new Error('Product not found');
+      // Group members need can_add
+      if (userId) {
+        await this.assertGroupPermission(sessionId, userId, 'add');
       }
 
-      if (product.stock_quantity < quantity) {
-        throw new Error(`Insufficient stock. Available: ${product.stock_quantity}`);
+      // Check product (or variant) stock
+      const { availableStock } = await this.getPurchasableItem(productId, variantId, { requireActive: false });
+
+      if (availableStock < quantity) {
+        throw new Error(`Insufficient stock. Available: ${availableStock}`);
       }
 
+      const reservation = await this.inventoryService.reserve(sessionId, productId, variantId, quantity);
+
       // Update cart item
-      const { data: updatedItem, error } = await supabaseAdmin
-        .from('shopping_cart')
-        .update({ quantity })
-        .eq('session_id', sessionId)
-        .eq('product_id', productId)
-        .select(`
-          *,
-          product:products(
-            id,
-            name,
-            price,
-            discount_price,
-            product_images,
-            brand,
-            stock_quantity
-          )
-        `)
+      const { data: updatedItem, error } = await this.scopeToVariant(
+        supabaseAdmin
+          .from('shopping_cart')
+          .update({ quantity })
+          .eq('session_id', sessionId)
+          .eq('product_id', productId),
+        variantId
+      )
+        .select(CART_ITEM_SELECT)
         .single();
 
       if (error) {
         if (error.code === 'PGRST116') {
+          await this.inventoryService.releaseLine(sessionId, productId, variantId);
           throw new Error('Product not found in cart');
         }
         console.error('Cart quantity update error:', error);
@@ -372,18 +508,147 @@ class VRShoppingService {
       if (userId) {
         await this.logVRActivity(userId, sessionId, 'cart_quantity_updated', {
           product_id: productId,
+          variant_id: variantId,
           new_quantity: quantity,
           unit_price: updatedItem.unit_price
         });
       }
 
-      return updatedItem;
+      return {
+        ...updatedItem,
+        reserved_until: reservation.expiresAt
+      };
     } catch (error) {
       console.error('Error in updateCartQuantity:', error);
       throw error;
     }
   }
 
+  /**
+   * Load a product, or one of its variants, for adding to a cart
+   * @param {string} productId - Product UUID
+   * @param {string|null} variantId - Variant UUID
+   * @param {Object} options - Lookup options
+   * @param {boolean} options.requireActive - Reject archived products and variants (default true)
+   * @returns {Promise<Object>} - { product, variant, availableStock }
+   */
+  async getPurchasableItem(productId, variantId = null, options = {}) {
+    const { requireActive = true } = options;
+
+    if (variantId && !this.isValidUUID(variantId)) {
+      throw new Error('Invalid variant ID format');
+    }
+
+    let productQuery = supabaseAdmin
+      .from('products')
+      .select('*')
+      .eq('id', productId);
+
+    if (requireActive) {
+      productQuery = productQuery.eq('is_active', true);
+    }
+
+    const { data: product, error: productError } = await productQuery.single();
+
+    if (productError) {
+      if (productError.code === 'PGRST116') {
+        throw new Error('Product not found or unavailable');
+      }
+      throw new Error(`Product fetch failed: ${productError.message}`);
+    }
+
+    const { data: variants, error: variantsError } = await supabaseAdmin
+      .from('product_variants')
+      .select(VARIANT_SELECT)
+      .eq('product_id', productId);
+
+    if (variantsError) {
+      throw new Error(`Variant fetch failed: ${variantsError.message}`);
+    }
+
+    const activeVariants = (variants || []).filter(variant => variant.is_active);
+
+    if (!variantId) {
+      if (activeVariants.length > 0) {
+        throw new Error('A variant must be selected for this product');
+      }
+      return { product, variant: null, availableStock: product.stock_quantity };
+    }
+
+    const variant = (requireActive ? activeVariants : variants || []).find(candidate => candidate.id === variantId);
+
+    if (!variant) {
+      throw new Error('Variant not found or unavailable');
+    }
+
+    return { product, variant, availableStock: variant.stock_quantity };
+  }
+
+  /**
+   * Narrow a cart query to one variant line (or the base product line)
+   * @param {Object} query - Supabase query builder
+   * @param {string|null} variantId - Variant UUID
+   * @returns {Object} - Narrowed query
+   */
+  scopeToVariant(query, variantId) {
+    return variantId ? query.eq('variant_id', variantId) : query.is('variant_id', null);
+  }
+
+  /**
+   * Check a cart change against the permissions of a shopping group the session is part of
+   * Members add to their own part of the group cart when they have can_add; they can always
+   * remove their own items, and other members' items with can_remove.
+   * @param {string} sessionId - Session UUID whose cart changes
+   * @param {string} userId - User UUID making the change
+   * @param {string} action - add or remove
+   * @returns {Promise<void>}
+   */
+  async assertGroupPermission(sessionId, userId, action) {
+    const { data: owner, error } = await supabaseAdmin
+      .from('shopping_group_members')
+      .select('group_id, user_id')
+      .eq('session_id', sessionId)
+      .is('left_at', null)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Group membership fetch error:', error);
+      throw new Error(`Failed to fetch shopping group: ${error.message}`);
+    }
+
+    // Not a group session
+    if (!owner) {
+      return;
+    }
+
+    if (action === 'remove' && owner.user_id === userId) {
+      return;
+    }
+
+    if (action === 'add' && owner.user_id !== userId) {
+      throw new Error('Items can only be added to your own part of the group cart');
+    }
+
+    const { data: member, error: memberError } = await supabaseAdmin
+      .from('shopping_group_members')
+      .select('can_add, can_remove')
+      .eq('group_id', owner.group_id)
+      .eq('user_id', userId)
+      .is('left_at', null)
+      .maybeSingle();
+
+    if (memberError) {
+      console.error('Group membership fetch error:', memberError);
+      throw new Error(`Failed to fetch shopping group: ${memberError.message}`);
+    }
+
+    if (!member || !(action === 'add' ? member.can_add : member.can_remove)) {
+      throw new Error(action === 'add'
+        ? 'You are not allowed to add items to the group cart'
+        : 'You are not allowed to remove other members\' items from the group cart');
+    }
+  }
+
   /**
    * Clear shopping cart
    * @param {string} sessionId - Session UUID
@@ -396,6 +661,11 @@ class VRShoppingService {
         throw new Error('Invalid session ID format');
       }
 
+      // Clearing another group member's part needs can_remove
+      if (userId) {
+        await this.assertGroupPermission(sessionId, userId, 'remove');
+      }
+
       const { error } = await supabaseAdmin
         .from('shopping_cart')
         .delete()
@@ -406,6 +676,8 @@ class VRShoppingService {
         throw new Error(`Failed to clear cart: ${error.message}`);
       }
 
+      await this.inventoryService.releaseSession(sessionId);
+
       // Log cart clear activity
       if (userId) {
         await this.logVRActivity(userId, sessionId, 'cart_cleared', {});
@@ -486,6 +758,9 @@ class VRShoppingService {
         throw new Error(`Failed to end session: ${error.message}`);
       }
 
+      // Stock still held by the cart goes back on the shelf
+      await this.inventoryService.releaseSession(sessionId);
+
       // Log session end activity
       await this.logVRActivity(userId, sessionId, 'session_ended', {
         final_status: status,
@@ -499,6 +774,384 @@ class VRShoppingService {
     }
   }
 
+  /**
+   * Restore the user's saved cart into a new session
+   * Each line is re-priced in the session currency and its stock is held again; lines that can
+   * no longer be bought move to the save-for-later list, and short stock lowers the quantity.
+   * @param {string} userId - User UUID
+   * @param {string} sessionId - New session UUID
+   * @returns {Promise<Object>} - { restoredItems, movedToSaved, changes }
+   */
+  async restoreSavedCart(userId, sessionId) {
+    try {
+      const savedLines = await this.getSavedLines(userId, 'cart');
+      const currency = await this.getSessionCurrency(sessionId);
+      const changes = [];
+      let restoredItems = 0;
+      let movedToSaved = 0;
+
+      for (const line of savedLines) {
+        const change = {
+          product_id: line.product_id,
+          variant_id: line.variant_id,
+          name: line.product ? line.product.name : null,
+          variant: getVariantLabel(line.variant)
+        };
+
+        let item;
+        try {
+          item = await this.getPurchasableItem(line.product_id, line.variant_id);
+        } catch (error) {
+          await this.moveSavedLine(line, 'saved');
+          changes.push({ ...change, type: 'moved_to_saved', reason: error.message });
+          movedToSaved++;
+          continue;
+        }
+
+        const { product, variant, availableStock } = item;
+
+        if (availableStock <= 0) {
+          await this.moveSavedLine(line, 'saved');
+          changes.push({ ...change, type: 'moved_to_saved', reason: 'Out of stock' });
+          movedToSaved++;
+          continue;
+        }
+
+        const quantity = Math.min(line.quantity, availableStock);
+
+        try {
+          await this.inventoryService.reserve(sessionId, line.product_id, line.variant_id, quantity);
+        } catch (error) {
+          // Other carts hold the remaining units
+          await this.inventoryService.releaseLine(sessionId, line.product_id, line.variant_id);
+          await this.moveSavedLine(line, 'saved');
+          changes.push({ ...change, type: 'moved_to_saved', reason: error.message });
+          movedToSaved++;
+          continue;
+        }
+
+        const unitPrice = await this.currencyService.getUnitPrice(product, variant, currency);
+
+        // The insert also refreshes the saved line (sync_saved_cart), so compare before it
+        const { error: insertError } = await supabaseAdmin
+          .from('shopping_cart')
+          .insert([{
+            session_id: sessionId,
+            product_id: line.product_id,
+            variant_id: line.variant_id,
+            quantity,
+            unit_price: unitPrice
+          }]);
+
+        if (insertError) {
+          console.error('Cart restore error:', insertError);
+          await this.inventoryService.releaseLine(sessionId, line.product_id, line.variant_id);
+          throw new Error(`Failed to restore cart: ${insertError.message}`);
+        }
+
+        restoredItems++;
+
+        if (quantity < line.quantity) {
+          changes.push({ ...change, type: 'quantity_reduced', previous_quantity: line.quantity, quantity });
+        }
+
+        if (line.currency !== currency || Number(line.unit_price) !== unitPrice) {
+          changes.push({
+            ...change,
+            type: 'price_changed',
+            previous_price: Number(line.unit_price),
+            previous_currency: line.currency,
+            unit_price: unitPrice,
+            currency,
+            formatted_previous_price: formatMoney(line.unit_price, line.currency || BASE_CURRENCY),
+            formatted_unit_price: formatMoney(unitPrice, currency)
+          });
+        }
+      }
+
+      if (savedLines.length > 0) {
+        await this.logVRActivity(userId, sessionId, 'saved_cart_restored', {
+          restored_items: restoredItems,
+          moved_to_saved: movedToSaved,
+          changes: changes.map(({ product_id, variant_id, type }) => ({ product_id, variant_id, type }))
+        });
+      }
+
+      return { restoredItems, movedToSaved, changes };
+    } catch (error) {
+      console.error('Error in restoreSavedCart:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the user's save-for-later list with current prices and availability
+   * @param {string} userId - User UUID
+   * @returns {Promise<Object>} - { items, totalItems }
+   */
+  async getSavedForLater(userId) {
+    try {
+      const savedLines = await this.getSavedLines(userId, 'saved');
+
+      const items = await Promise.all(savedLines.map(async (line) => {
+        const { product, variant } = line;
+        const currency = line.currency || BASE_CURRENCY;
+        const purchasable = Boolean(product && product.is_active && (!line.variant_id || (variant && variant.is_active)));
+        const stock = variant ? variant.stock_quantity : (product ? product.stock_quantity : 0);
+        const currentPrice = product ? await this.currencyService.getUnitPrice(product, variant, currency) : null;
+
+        return {
+          ...line,
+          variant_label: getVariantLabel(variant),
+          available: purchasable && stock > 0,
+          current_price: currentPrice,
+          price_changed: currentPrice !== null && currentPrice !== Number(line.unit_price),
+          formatted_unit_price: formatMoney(line.unit_price, currency),
+          formatted_current_price: currentPrice !== null ? formatMoney(currentPrice, currency) : null
+        };
+      }));
+
+      return {
+        items,
+        totalItems: items.reduce((sum, item) => sum + item.quantity, 0)
+      };
+    } catch (error) {
+      console.error('Error in getSavedForLater:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a cart line to the user's save-for-later list
+   * @param {string} sessionId - Session UUID
+   * @param {string} userId - User UUID
+   * @param {string} productId - Product UUID
+   * @param {string|null} variantId - Variant UUID of the cart line
+   * @returns {Promise<Object>} - Saved line
+   */
+  async saveForLater(sessionId, userId, productId, variantId = null) {
+    try {
+      const currency = await this.getSessionCurrency(sessionId);
+      const { removedItem } = await this.removeFromCart(sessionId, productId, userId, variantId);
+
+      const savedItem = await this.addToSavedList(userId, 'saved', {
+        product_id: productId,
+        variant_id: variantId,
+        quantity: removedItem.quantity,
+        unit_price: removedItem.unit_price,
+        currency
+      });
+
+      await this.logVRActivity(userId, sessionId, 'product_saved_for_later', {
+        product_id: productId,
+        variant_id: variantId,
+        quantity: removedItem.quantity
+      });
+
+      return savedItem;
+    } catch (error) {
+      console.error('Error in saveForLater:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a saved line back into the session's cart, at today's price
+   * @param {string} sessionId - Session UUID
+   * @param {string} userId - User UUID
+   * @param {string} productId - Product UUID
+   * @param {string|null} variantId - Variant UUID of the saved line
+   * @returns {Promise<Object>} - Cart item
+   */
+  async moveToCart(sessionId, userId, productId, variantId = null) {
+    try {
+      if (!this.isValidUUID(sessionId) || !this.isValidUUID(productId)) {
+        throw new Error('Invalid session or product ID format');
+      }
+
+      const { data: savedItem, error } = await this.scopeToVariant(
+        supabaseAdmin
+          .from('saved_cart_items')
+          .select('*')
+          .eq('user_id', userId)
+          .eq('list', 'saved')
+          .eq('product_id', productId),
+        variantId
+      ).maybeSingle();
+
+      if (error) {
+        console.error('Saved item fetch error:', error);
+        throw new Error(`Failed to fetch saved item: ${error.message}`);
+      }
+
+      if (!savedItem) {
+        throw new Error('Product not found in saved items');
+      }
+
+      // Stock and price are checked again as for any other add
+      const cartItem = await this.addToCart(sessionId, productId, savedItem.quantity, userId, variantId);
+      await this.deleteSavedLine(savedItem.id);
+
+      return cartItem;
+    } catch (error) {
+      console.error('Error in moveToCart:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a line from the user's save-for-later list
+   * @param {string} userId - User UUID
+   * @param {string} productId - Product UUID
+   * @param {string|null} variantId - Variant UUID of the saved line
+   * @returns {Promise<Object>} - Removal result
+   */
+  async removeSavedItem(userId, productId, variantId = null) {
+    try {
+      if (!this.isValidUUID(productId) || (variantId && !this.isValidUUID(variantId))) {
+        throw new Error('Invalid product or variant ID format');
+      }
+
+      const { data: removedItem, error } = await this.scopeToVariant(
+        supabaseAdmin
+          .from('saved_cart_items')
+          .delete()
+          .eq('user_id', userId)
+          .eq('list', 'saved')
+          .eq('product_id', productId),
+        variantId
+      )
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          throw new Error('Product not found in saved items');
+        }
+        console.error('Saved item removal error:', error);
+        throw new Error(`Failed to remove saved item: ${error.message}`);
+      }
+
+      return {
+        success: true,
+        removedItem,
+        message: 'Product removed from saved items successfully'
+      };
+    } catch (error) {
+      console.error('Error in removeSavedItem:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Saved lines of one of the user's lists, oldest first
+   * @param {string} userId - User UUID
+   * @param {string} list - cart or saved
+   * @returns {Promise<Array>} - Saved lines with product and variant
+   */
+  async getSavedLines(userId, list) {
+    if (!SAVED_LISTS.includes(list)) {
+      throw new Error(`Invalid saved list: ${list}`);
+    }
+
+    const { data: lines, error } = await supabaseAdmin
+      .from('saved_cart_items')
+      .select(SAVED_ITEM_SELECT)
+      .eq('user_id', userId)
+      .eq('list', list)
+      .order('added_at', { ascending: true });
+
+    if (error) {
+      console.error('Saved items fetch error:', error);
+      throw new Error(`Failed to fetch saved items: ${error.message}`);
+    }
+
+    return lines || [];
+  }
+
+  /**
+   * Add a line to one of the user's lists, adding to the quantity of a matching line
+   * @param {string} userId - User UUID
+   * @param {string} list - cart or saved
+   * @param {Object} line - { product_id, variant_id, quantity, unit_price, currency }
+   * @returns {Promise<Object>} - Saved line
+   */
+  async addToSavedList(userId, list, line) {
+    const { data: existingItem, error: fetchError } = await this.scopeToVariant(
+      supabaseAdmin
+        .from('saved_cart_items')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('list', list)
+        .eq('product_id', line.product_id),
+      line.variant_id
+    ).maybeSingle();
+
+    if (fetchError) {
+      console.error('Saved item fetch error:', fetchError);
+      throw new Error(`Failed to fetch saved item: ${fetchError.message}`);
+    }
+
+    const query = existingItem
+      ? supabaseAdmin
+        .from('saved_cart_items')
+        .update({
+          quantity: existingItem.quantity + line.quantity,
+          unit_price: line.unit_price,
+          currency: line.currency
+        })
+        .eq('id', existingItem.id)
+      : supabaseAdmin
+        .from('saved_cart_items')
+        .insert([{
+          user_id: userId,
+          list,
+          product_id: line.product_id,
+          variant_id: line.variant_id || null,
+          quantity: line.quantity,
+          unit_price: line.unit_price,
+          currency: line.currency
+        }]);
+
+    const { data: savedItem, error } = await query.select().single();
+
+    if (error) {
+      console.error('Saved item write error:', error);
+      throw new Error(`Failed to save item: ${error.message}`);
+    }
+
+    return savedItem;
+  }
+
+  /**
+   * Move a saved line to another of the user's lists
+   * @param {Object} line - Saved line
+   * @param {string} list - cart or saved
+   * @returns {Promise<Object>} - Line in its new list
+   */
+  async moveSavedLine(line, list) {
+    const savedItem = await this.addToSavedList(line.user_id, list, line);
+    await this.deleteSavedLine(line.id);
+    return savedItem;
+  }
+
+  /**
+   * Delete a saved line
+   * @param {string} savedItemId - Saved line UUID
+   * @returns {Promise<void>}
+   */
+  async deleteSavedLine(savedItemId) {
+    const { error } = await supabaseAdmin
+      .from('saved_cart_items')
+      .delete()
+      .eq('id', savedItemId);
+
+    if (error) {
+      console.error('Saved item delete error:', error);
+      throw new Error(`Failed to delete saved item: ${error.message}`);
+    }
+  }
+
   /**
    * Generate unique session token
    * @returns {string} - Session token
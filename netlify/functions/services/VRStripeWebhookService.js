@@ -0,0 +1,440 @@
+/**
+ * VR Stripe Webhook Service for asynchronous payment events
+ * Completes orders when the headset never calls back, and records failures, refunds and disputes
+ * Following the existing codebase patterns and conventions
+ */
+
+const Stripe = require('stripe');
+const { supabaseAdmin } = require('../config/supabase');
+const VRPaymentService = require('./VRPaymentService');
+const { fromMinorUnits, roundMoney } = require('../utils/currency');
+
+class VRStripeWebhookService {
+  constructor() {
+    this.paymentService = new VRPaymentService();
+    this.webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+
+    this.handlers = {
+      'payment_intent.succeeded': (object) => this.handlePaymentSucceeded(object),
+      'payment_intent.payment_failed': (object) => this.handlePaymentFailed(object),
+      'charge.refunded': (object) => this.handleChargeRefunded(object),
+      'charge.dispute.created': (object) => this.handleDispute(object),
+      'charge.dispute.updated': (object) => this.handleDispute(object),
+      'charge.dispute.closed': (object) => this.handleDispute(object)
+    };
+  }
+
+  /**
+   * Verify the Stripe signature and parse the event
+   * @param {string|Buffer} rawBody - Request body exactly as received
+   * @param {string} signature - Stripe-Signature header
+   * @returns {Object} - Stripe event
+   */
+  constructEvent(rawBody, signature) {
+    if (!this.webhookSecret) {
+      throw new Error('Stripe webhook secret is not configured');
+    }
+
+    if (!signature) {
+      throw new Error('Missing Stripe-Signature header');
+    }
+
+    try {
+      return Stripe.webhooks.constructEvent(rawBody, signature, this.webhookSecret);
+    } catch (error) {
+      throw new Error(`Invalid Stripe signature: ${error.message}`);
+    }
+  }
+
+  /**
+   * Process a verified event once; redeliveries of a processed event are acknowledged and skipped
+   * @param {Object} event - Stripe event
+   * @returns {Promise<Object>} - Processing result
+   */
+  async handleEvent(event) {
+    try {
+      const { data: existing, error: fetchError } = await supabaseAdmin
+        .from('stripe_webhook_events')
+        .select('id, status')
+        .eq('id', event.id)
+        .maybeSingle();
+
+      if (fetchError) {
+        throw new Error(`Failed to check webhook event: ${fetchError.message}`);
+      }
+
+      if (existing && existing.status === 'processed') {
+        return { eventId: event.id, type: event.type, duplicate: true };
+      }
+
+      const handler = this.handlers[event.type];
+
+      await this.recordEvent(event, handler ? 'processing' : 'ignored', Boolean(existing));
+
+      if (!handler) {
+        return { eventId: event.id, type: event.type, handled: false };
+      }
+
+      try {
+        const result = await handler(event.data.object);
+        await this.updateEventStatus(event.id, 'processed', { order_id: result.orderId || null });
+
+        return { eventId: event.id, type: event.type, handled: true, ...result };
+      } catch (handlerError) {
+        // Left unprocessed so Stripe's retry runs the handler again
+        await this.updateEventStatus(event.id, 'failed', { error_message: handlerError.message });
+        throw handlerError;
+      }
+    } catch (error) {
+      console.error('Error in handleEvent:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * payment_intent.succeeded - complete the order if the client has not already
+   * @param {Object} paymentIntent - Stripe PaymentIntent
+   * @returns {Promise<Object>} - Result
+   */
+  async handlePaymentSucceeded(paymentIntent) {
+    const order = await this.findOrderByPaymentIntent(paymentIntent);
+
+    if (!order) {
+      return { orderId: null, action: 'order_not_found' };
+    }
+
+    const { completed } = await this.paymentService.completeStripePayment(order, paymentIntent, 'webhook');
+
+    return { orderId: order.id, action: completed ? 'payment_completed' : 'already_completed' };
+  }
+
+  /**
+   * payment_intent.payment_failed - fail the card tender; the shopper may retry with another card,
+   * on the same intent or a new one.
+   * Other tenders (cash, store credit) stay applied, so the order only fails when nothing was paid.
+   * @param {Object} paymentIntent - Stripe PaymentIntent
+   * @returns {Promise<Object>} - Result
+   */
+  async handlePaymentFailed(paymentIntent) {
+    const order = await this.findOrderByPaymentIntent(paymentIntent);
+
+    if (!order) {
+      return { orderId: null, action: 'order_not_found' };
+    }
+
+    const { data: payment, error: paymentError } = await supabaseAdmin
+      .from('order_payments')
+      .select('id, status')
+      .eq('payment_intent_id', paymentIntent.id)
+      .maybeSingle();
+
+    if (paymentError) {
+      throw new Error(`Failed to fetch order payment: ${paymentError.message}`);
+    }
+
+    // A tender that already failed can fail again when the shopper retries the same intent
+    if (!payment || !['pending', 'failed'].includes(payment.status)) {
+      return { orderId: order.id, action: 'ignored' };
+    }
+
+    // The intent stays open: a declined intent cannot charge by itself, and the shopper may retry
+    // it with another card. It is cancelled when the order is cancelled or a new intent replaces it.
+    await this.paymentService.updatePaymentStatus(payment.id, 'failed');
+
+    const lastError = paymentIntent.last_payment_error || {};
+
+    const { data: updatedOrder, error } = await supabaseAdmin
+      .from('orders')
+      .update({
+        payment_status: Number(order.amount_paid || 0) > 0 ? 'pending' : 'failed',
+        receipt_data: {
+          ...order.receipt_data,
+          payment_failure: {
+            payment_intent_id: paymentIntent.id,
+            payment_id: payment.id,
+            code: lastError.code || null,
+            decline_code: lastError.decline_code || null,
+            message: lastError.message || null,
+            failed_at: new Date().toISOString()
+          }
+        },
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', order.id)
+      .in('payment_status', ['pending', 'failed'])
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to record payment failure: ${error.message}`);
+    }
+
+    if (!updatedOrder) {
+      return { orderId: order.id, action: 'ignored' };
+    }
+
+    await this.paymentService.logPaymentActivity(order.user_id, order.session_id, 'stripe_payment_failed', {
+      order_id: order.id,
+      payment_id: payment.id,
+      payment_intent_id: paymentIntent.id,
+      decline_code: lastError.decline_code || null
+    });
+
+    return { orderId: order.id, action: 'payment_failed' };
+  }
+
+  /**
+   * charge.refunded - record refunds issued from the Stripe dashboard in the refunds ledger.
+   * Refunds issued through this API are already recorded and are skipped.
+   * @param {Object} charge - Stripe Charge
+   * @returns {Promise<Object>} - Result
+   */
+  async handleChargeRefunded(charge) {
+    const order = await this.findOrderByCharge(charge);
+
+    if (!order) {
+      return { orderId: null, action: 'order_not_found' };
+    }
+
+    const stripeRefunded = fromMinorUnits(charge.amount_refunded, charge.currency);
+    const recorded = await this.paymentService.getRecordedRefundTotal(order.id, order.currency);
+    const unrecorded = roundMoney(stripeRefunded - recorded, order.currency);
+
+    if (unrecorded <= 0) {
+      return { orderId: order.id, action: 'refund_already_recorded' };
+    }
+
+    const latestRefund = charge.refunds?.data?.[0];
+    let updatedOrder;
+
+    try {
+      updatedOrder = await this.paymentService.recordExternalRefund(order, unrecorded, latestRefund?.id || null);
+    } catch (error) {
+      // Disputed or unpaid orders, or a balance that no longer matches, need a person to look at them;
+      // retrying the event would not change the outcome
+      if (error.message === 'Order payment not completed' || error.message.startsWith('Refund amount exceeds')) {
+        console.error('Stripe refund not recorded:', error.message);
+        return { orderId: order.id, action: 'refund_not_recorded' };
+      }
+      throw error;
+    }
+
+    await this.paymentService.logPaymentActivity(order.user_id, order.session_id, 'order_refunded', {
+      order_id: order.id,
+      order_number: order.order_number,
+      refund_amount: unrecorded,
+      refunded_total: updatedOrder.refunded_amount,
+      source: 'stripe_webhook'
+    });
+
+    return { orderId: order.id, action: 'refund_recorded' };
+  }
+
+  /**
+   * charge.dispute.* - track a chargeback. An open dispute marks the order disputed (refunds wait
+   * until it closes); a won or withdrawn one restores the payment status it had before, and a lost
+   * one is recorded as a refund so the order, its tenders and its receipts agree.
+   * @param {Object} dispute - Stripe Dispute
+   * @returns {Promise<Object>} - Result
+   */
+  async handleDispute(dispute) {
+    const order = dispute.payment_intent
+      ? await this.findOrderByPaymentIntent({ id: dispute.payment_intent, metadata: {} })
+      : await this.findOrderByCharge({ id: dispute.charge });
+
+    if (!order) {
+      return { orderId: null, action: 'order_not_found' };
+    }
+
+    // No refunds are recorded while an order is disputed, so the status it had before is still right
+    const statusBefore = order.payment_status === 'disputed'
+      ? order.receipt_data?.dispute?.payment_status_before || 'completed'
+      : order.payment_status;
+    const closed = ['won', 'lost', 'warning_closed'].includes(dispute.status);
+
+    const { data: updatedOrder, error } = await supabaseAdmin
+      .from('orders')
+      .update({
+        payment_status: closed ? statusBefore : 'disputed',
+        receipt_data: {
+          ...order.receipt_data,
+          dispute: {
+            id: dispute.id,
+            status: dispute.status,
+            reason: dispute.reason,
+            amount: fromMinorUnits(dispute.amount, dispute.currency),
+            evidence_due_by: dispute.evidence_details?.due_by
+              ? new Date(dispute.evidence_details.due_by * 1000).toISOString()
+              : null,
+            payment_status_before: statusBefore,
+            updated_at: new Date().toISOString()
+          }
+        },
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', order.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to record dispute: ${error.message}`);
+    }
+
+    if (dispute.status === 'lost') {
+      await this.recordDisputeLoss(updatedOrder, dispute);
+    }
+
+    await this.paymentService.logPaymentActivity(order.user_id, order.session_id, 'stripe_dispute_updated', {
+      order_id: order.id,
+      dispute_id: dispute.id,
+      dispute_status: dispute.status,
+      reason: dispute.reason
+    });
+
+    return { orderId: order.id, action: `dispute_${dispute.status}` };
+  }
+
+  /**
+   * Record the money a lost dispute took back as a refund (once per dispute, capped at what is left)
+   * @param {Object} order - Order record, no longer marked disputed
+   * @param {Object} dispute - Lost Stripe Dispute
+   * @returns {Promise<void>}
+   */
+  async recordDisputeLoss(order, dispute) {
+    const reason = `Chargeback lost (${dispute.id})`;
+
+    const { data: existing, error } = await supabaseAdmin
+      .from('order_refunds')
+      .select('id')
+      .eq('order_id', order.id)
+      .eq('reason', reason)
+      .in('status', ['pending', 'completed'])
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Failed to fetch refunds: ${error.message}`);
+    }
+
+    if (existing && existing.length > 0) return;
+
+    const recorded = await this.paymentService.getRecordedRefundTotal(order.id, order.currency);
+    const amount = roundMoney(Math.min(
+      fromMinorUnits(dispute.amount, dispute.currency),
+      order.total_amount - recorded
+    ), order.currency);
+
+    if (amount <= 0) return;
+
+    await this.paymentService.recordExternalRefund(order, amount, null, reason);
+  }
+
+  /**
+   * Find the order a PaymentIntent pays for (by intent ID, then by the order_id metadata)
+   * @param {Object} paymentIntent - Stripe PaymentIntent (or { id, metadata })
+   * @returns {Promise<Object|null>} - Order record
+   */
+  async findOrderByPaymentIntent(paymentIntent) {
+    const { data: order, error } = await supabaseAdmin
+      .from('orders')
+      .select('*')
+      .eq('payment_intent_id', paymentIntent.id)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch order: ${error.message}`);
+    }
+
+    if (order || !paymentIntent.metadata?.order_id) {
+      return order;
+    }
+
+    const { data: metadataOrder, error: metadataError } = await supabaseAdmin
+      .from('orders')
+      .select('*')
+      .eq('id', paymentIntent.metadata.order_id)
+      .maybeSingle();
+
+    if (metadataError) {
+      throw new Error(`Failed to fetch order: ${metadataError.message}`);
+    }
+
+    return metadataOrder;
+  }
+
+  /**
+   * Find the order a charge belongs to
+   * @param {Object} charge - Stripe Charge (or { id })
+   * @returns {Promise<Object|null>} - Order record
+   */
+  async findOrderByCharge(charge) {
+    if (charge.payment_intent) {
+      return this.findOrderByPaymentIntent({ id: charge.payment_intent, metadata: charge.metadata || {} });
+    }
+
+    const { data: order, error } = await supabaseAdmin
+      .from('orders')
+      .select('*')
+      .eq('receipt_data->>stripe_charge_id', charge.id)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch order: ${error.message}`);
+    }
+
+    return order;
+  }
+
+  /**
+   * Store a received event
+   * @param {Object} event - Stripe event
+   * @param {string} status - processing or ignored
+   * @param {boolean} exists - Whether an earlier delivery was recorded
+   * @returns {Promise<void>}
+   */
+  async recordEvent(event, status, exists) {
+    const record = {
+      type: event.type,
+      status,
+      payload: event,
+      livemode: Boolean(event.livemode),
+      received_at: new Date().toISOString()
+    };
+
+    const { error } = exists
+      ? await supabaseAdmin
+        .from('stripe_webhook_events')
+        .update({ status, received_at: record.received_at, error_message: null })
+        .eq('id', event.id)
+      : await supabaseAdmin
+        .from('stripe_webhook_events')
+        .insert([{ id: event.id, ...record }]);
+
+    if (error) {
+      throw new Error(`Failed to record webhook event: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update the processing status of a stored event
+   * @param {string} eventId - Stripe event ID
+   * @param {string} status - processed or failed
+   * @param {Object} fields - Extra columns to set
+   * @returns {Promise<void>}
+   */
+  async updateEventStatus(eventId, status, fields = {}) {
+    const { error } = await supabaseAdmin
+      .from('stripe_webhook_events')
+      .update({
+        status,
+        ...fields,
+        processed_at: status === 'processed' ? new Date().toISOString() : null
+      })
+      .eq('id', eventId);
+
+    if (error) {
+      console.error('Webhook event status update failed:', error);
+    }
+  }
+}
+
+module.exports = VRStripeWebhookService;
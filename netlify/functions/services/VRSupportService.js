@@ -6,10 +6,12 @@
 
 const { supabaseAdmin } = require('../config/supabase');
 const VRProductsService = require('./VRProductsService');
+const VRCurrencyService = require('./VRCurrencyService');
 
 class VRSupportService {
   constructor() {
     this.productsService = new VRProductsService();
+    this.currencyService = new VRCurrencyService();
     this.elevenLabsApiKey = process.env.ELEVENLABS_API_KEY;
     this.elevenLabsBaseUrl = 'https://api.elevenlabs.io/v1';
   }
@@ -259,10 +261,15 @@ class VRSupportService {
       let responseMessage = '';
 
       switch (queryAnalysis.intent) {
-        case 'product_search':
-          suggestedProducts = await this.searchProductsForQuery(queryAnalysis);
+        case 'product_search': {
+          const pricing = await this.currencyService.getDisplayPricing(userId);
+          suggestedProducts = (await this.searchProductsForQuery(queryAnalysis)).map(product => ({
+            ...product,
+            display_price: this.currencyService.formatForDisplay(product.discount_price || product.price, pricing)
+          }));
           responseMessage = await this.generateProductSearchResponse(queryAnalysis, suggestedProducts);
           break;
+        }
         
         case 'product_comparison':
           suggestedProducts = await this.getProductComparisons(queryAnalysis);
@@ -392,50 +399,57 @@ class VRSupportService {
    */
   async searchProductsForQuery(queryAnalysis) {
     try {
-      const { productCategory, specifications, keywords } = queryAnalysis;
-      
-      if (!productCategory) {
-        // General search using keywords
-        const searchResults = await this.productsService.searchProducts(keywords.join(' '));
-        return searchResults.products.slice(0, 5);
-      }
-      
-      // Category-specific search
-      const categoryData = await supabaseAdmin
-        .from('categories')
-        .select('id')
-        .eq('name', productCategory.charAt(0).toUpperCase() + productCategory.slice(1))
-        .single();
-      
-      if (!categoryData.data) {
-        return [];
-      }
+      const { productCategory, specifications, keywords, originalQuery } = queryAnalysis;
       
-      const filters = {
-        category_id: categoryData.data.id,
-        sort_by: 'rating',
-        sort_order: 'desc'
+      // Conversational queries rarely match every word, so rank by how many terms hit
+      const searchOptions = {
+        limit: 5,
+        minCoverage: 0,
+        includeFacets: false
       };
       
-      if (specifications.subcategory) {
-        const subcategoryData = await supabaseAdmin
+      if (productCategory) {
+        const categoryData = await supabaseAdmin
           .from('categories')
           .select('id')
-          .eq('name', specifications.subcategory)
-          .eq('parent_id', categoryData.data.id)
+          .ilike('name', productCategory)
+          .is('parent_id', null)
           .single();
         
-        if (subcategoryData.data) {
-          filters.subcategory_id = subcategoryData.data.id;
+        if (!categoryData.data) {
+          return [];
+        }
+        
+        searchOptions.category_id = categoryData.data.id;
+        
+        if (specifications.subcategory) {
+          const subcategoryData = await supabaseAdmin
+            .from('categories')
+            .select('id')
+            .ilike('name', specifications.subcategory)
+            .eq('parent_id', categoryData.data.id)
+            .single();
+          
+          if (subcategoryData.data) {
+            searchOptions.subcategory_id = subcategoryData.data.id;
+          }
         }
       }
       
-      const products = await this.productsService.getProductsByCategory(categoryData.data.id, {
-        subcategory_id: filters.subcategory_id,
+      const searchResults = await this.productsService.searchService.search(
+        originalQuery || keywords.join(' '),
+        searchOptions
+      );
+      
+      if (searchResults.hasResults || !searchOptions.category_id) {
+        return searchResults.products;
+      }
+      
+      // Nothing matched the wording; fall back to the best-rated products in the category
+      return await this.productsService.getProductsByCategory(searchOptions.category_id, {
+        subcategory_id: searchOptions.subcategory_id,
         limit: 5
       });
-      
-      return products;
     } catch (error) {
       console.error('Error in searchProductsForQuery:', error);
       return [];
@@ -445,7 +459,7 @@ class VRSupportService {
   /**
    * Generate product search response
    * @param {Object} queryAnalysis - Query analysis
-   * @param {Array} products - Found products
+   * @param {Array} products - Found products (with display_price in the shopper's currency)
    * @returns {Promise<string>} - Response message
    */
   async generateProductSearchResponse(queryAnalysis, products) {
@@ -469,8 +483,7 @@ class VRSupportService {
     
     response += `\n\nHere are my top recommendations:\n`;
     products.forEach((product, index) => {
-      const price = product.discount_price || product.price;
-      response += `${index + 1}. ${product.name} by ${product.brand} - ${price}\n`;
+      response += `${index + 1}. ${product.name} by ${product.brand} - ${product.display_price}\n`;
     });
     
     response += `\nWould you like more details about any of these products, or would you like me to help you narrow down your choices based on specific features?`;
@@ -0,0 +1,129 @@
+/**
+ * VR Tax Service for store regions and sales tax rates
+ * Following the existing codebase patterns and conventions
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const { calculateTax } = require('../utils/tax');
+
+class VRTaxService {
+  constructor() {
+    // Used when the store's region has no rates configured
+    const defaultRate = parseFloat(process.env.DEFAULT_TAX_RATE);
+    this.defaultRate = Number.isNaN(defaultRate) ? 0.08 : defaultRate;
+  }
+
+  /**
+   * Get a store by ID
+   * @param {string} storeId - Store UUID
+   * @returns {Promise<Object|null>} - Store record
+   */
+  async getStore(storeId) {
+    try {
+      const { data: store, error } = await supabaseAdmin
+        .from('stores')
+        .select('*')
+        .eq('id', storeId)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Store fetch error:', error);
+        throw new Error(`Failed to fetch store: ${error.message}`);
+      }
+
+      return store;
+    } catch (error) {
+      console.error('Error in getStore:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve the store a shopping session is in
+   * @param {string|null} storeCode - Store code chosen by the client (default store when omitted)
+   * @returns {Promise<Object|null>} - Store record, or null when no stores are set up
+   */
+  async resolveStore(storeCode = null) {
+    try {
+      let query = supabaseAdmin
+        .from('stores')
+        .select('*')
+        .eq('is_active', true);
+
+      query = storeCode
+        ? query.eq('code', String(storeCode).trim().toUpperCase())
+        : query.eq('is_default', true);
+
+      const { data: store, error } = await query.maybeSingle();
+
+      if (error) {
+        console.error('Store fetch error:', error);
+        throw new Error(`Failed to fetch store: ${error.message}`);
+      }
+
+      if (!store && storeCode) {
+        throw new Error('Store not found');
+      }
+
+      return store;
+    } catch (error) {
+      console.error('Error in resolveStore:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the tax rates of a region
+   * @param {string} regionCode - Region code (e.g. US-CA)
+   * @returns {Promise<Array>} - Active rates
+   */
+  async getRegionRates(regionCode) {
+    try {
+      const { data: rates, error } = await supabaseAdmin
+        .from('tax_rates')
+        .select('*')
+        .eq('region_code', regionCode)
+        .eq('is_active', true);
+
+      if (error) {
+        console.error('Tax rates fetch error:', error);
+        throw new Error(`Failed to fetch tax rates: ${error.message}`);
+      }
+
+      return rates || [];
+    } catch (error) {
+      console.error('Error in getRegionRates:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Calculate tax for cart lines sold by a store
+   * @param {Array} cartItems - Cart lines with embedded product and promotion_discount
+   * @param {string|null} storeId - Store UUID (default store when omitted)
+   * @param {Object|null} coupon - Applied coupon ({ discountAmount, categoryIds })
+   * @param {string} currency - Currency of the cart prices
+   * @returns {Promise<Object>} - { store, regionCode, lines, breakdown, taxAmount }
+   */
+  async calculateCartTax(cartItems, storeId = null, coupon = null, currency = null) {
+    try {
+      const store = storeId ? await this.getStore(storeId) : await this.resolveStore();
+      const regionRates = store ? await this.getRegionRates(store.region_code) : [];
+
+      const rates = regionRates.length > 0
+        ? regionRates
+        : [{ id: null, name: 'Sales tax', rate: this.defaultRate, category_id: null, is_exempt: false }];
+
+      return {
+        store: store ? { id: store.id, code: store.code, name: store.name } : null,
+        regionCode: store ? store.region_code : null,
+        ...calculateTax(cartItems, rates, { coupon, currency })
+      };
+    } catch (error) {
+      console.error('Error in calculateCartTax:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = VRTaxService;
@@ -0,0 +1,315 @@
+/**
+ * VR Wallet Service for gift cards and store credit
+ * Every balance change is written to the balance_transactions ledger by the database functions
+ * Following the existing codebase patterns and conventions
+ */
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+const { BASE_CURRENCY, normalizeCurrency, roundMoney, formatMoney } = require('../utils/currency');
+
+class VRWalletService {
+  constructor() {
+    this.codeAlphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I to avoid misreads
+  }
+
+  /**
+   * Normalize a gift card code as typed or spoken by the shopper
+   * @param {string} code - Raw code
+   * @returns {string} - Uppercase code without spaces or dashes
+   */
+  normalizeCode(code) {
+    return typeof code === 'string' ? code.replace(/[\s-]/g, '').toUpperCase() : '';
+  }
+
+  /**
+   * Hash a gift card code for lookup (codes are not stored)
+   * @param {string} code - Raw code
+   * @returns {string} - SHA-256 hex digest
+   */
+  hashCode(code) {
+    return crypto.createHash('sha256').update(this.normalizeCode(code)).digest('hex');
+  }
+
+  /**
+   * Generate a gift card code
+   * @returns {string} - e.g. GC-7KQM-2XPA-H9RD-W4TE
+   */
+  generateCode() {
+    const characters = Array.from(crypto.randomBytes(16), byte => this.codeAlphabet[byte % this.codeAlphabet.length]).join('');
+    return `GC-${characters.match(/.{4}/g).join('-')}`;
+  }
+
+  /**
+   * Get a user's store credit balances and latest ledger entries
+   * @param {string} userId - User UUID
+   * @returns {Promise<Object>} - { balances, transactions }
+   */
+  async getWallet(userId) {
+    try {
+      const accounts = await this.getAccounts(userId);
+      const { transactions } = await this.getTransactions(userId, { page: 1, limit: 10 }, accounts);
+
+      return {
+        balances: accounts.map(account => ({
+          currency: account.currency,
+          balance: Number(account.balance),
+          formattedBalance: formatMoney(account.balance, account.currency)
+        })),
+        transactions
+      };
+    } catch (error) {
+      console.error('Error in getWallet:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store credit balance of a user in a currency
+   * @param {string} userId - User UUID
+   * @param {string} currency - ISO 4217 code
+   * @returns {Promise<number>} - Balance (0 when the user has no wallet in that currency)
+   */
+  async getBalance(userId, currency = BASE_CURRENCY) {
+    try {
+      const { data: account, error } = await supabaseAdmin
+        .from('store_credit_accounts')
+        .select('balance')
+        .eq('user_id', userId)
+        .eq('currency', normalizeCurrency(currency))
+        .maybeSingle();
+
+      if (error) {
+        console.error('Store credit fetch error:', error);
+        throw new Error(`Failed to fetch store credit: ${error.message}`);
+      }
+
+      return account ? Number(account.balance) : 0;
+    } catch (error) {
+      console.error('Error in getBalance:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user's wallet ledger, newest first
+   * @param {string} userId - User UUID
+   * @param {Object} pagination - { page, limit }
+   * @param {Array|null} accounts - The user's accounts, when already loaded
+   * @returns {Promise<Object>} - { transactions, pagination }
+   */
+  async getTransactions(userId, pagination = {}, accounts = null) {
+    try {
+      const page = Math.max(1, parseInt(pagination.page) || 1);
+      const limit = Math.min(100, Math.max(1, parseInt(pagination.limit) || 20));
+      const offset = (page - 1) * limit;
+
+      const userAccounts = accounts || await this.getAccounts(userId);
+
+      if (userAccounts.length === 0) {
+        return {
+          transactions: [],
+          pagination: { currentPage: page, totalPages: 0, totalItems: 0, itemsPerPage: limit }
+        };
+      }
+
+      const { data: transactions, error, count } = await supabaseAdmin
+        .from('balance_transactions')
+        .select('id, type, amount, balance_after, currency, order_id, refund_id, note, created_at', { count: 'exact' })
+        .in('account_id', userAccounts.map(account => account.id))
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        console.error('Store credit ledger fetch error:', error);
+        throw new Error(`Failed to fetch store credit transactions: ${error.message}`);
+      }
+
+      return {
+        transactions: (transactions || []).map(transaction => ({
+          ...transaction,
+          formattedAmount: formatMoney(transaction.amount, transaction.currency)
+        })),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(count / limit),
+          totalItems: count,
+          itemsPerPage: limit
+        }
+      };
+    } catch (error) {
+      console.error('Error in getTransactions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user's store credit accounts
+   * @param {string} userId - User UUID
+   * @returns {Promise<Array>} - Accounts, one per currency
+   */
+  async getAccounts(userId) {
+    const { data: accounts, error } = await supabaseAdmin
+      .from('store_credit_accounts')
+      .select('id, currency, balance')
+      .eq('user_id', userId)
+      .order('currency');
+
+    if (error) {
+      console.error('Store credit fetch error:', error);
+      throw new Error(`Failed to fetch store credit: ${error.message}`);
+    }
+
+    return accounts || [];
+  }
+
+  /**
+   * Issue a gift card. The code is returned once and cannot be looked up again.
+   * @param {string} issuedBy - Staff member UUID
+   * @param {Object} cardData - { amount, currency, expires_at, note }
+   * @returns {Promise<Object>} - { code, giftCard }
+   */
+  async issueGiftCard(issuedBy, cardData) {
+    try {
+      const currency = normalizeCurrency(cardData.currency);
+      const amount = roundMoney(cardData.amount, currency);
+      const code = this.generateCode();
+      const normalized = this.normalizeCode(code);
+
+      const { data: giftCard, error } = await supabaseAdmin.rpc('issue_gift_card', {
+        p_code_hash: this.hashCode(code),
+        p_code_last4: normalized.slice(-4),
+        p_amount: amount,
+        p_currency: currency,
+        p_issued_by: issuedBy,
+        p_expires_at: cardData.expires_at || null,
+        p_note: cardData.note || null
+      });
+
+      if (error) {
+        console.error('Gift card issue error:', error);
+        throw new Error(`Failed to issue gift card: ${error.message}`);
+      }
+
+      return { code, giftCard: this.formatGiftCard(giftCard) };
+    } catch (error) {
+      console.error('Error in issueGiftCard:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check a gift card's balance
+   * @param {string} code - Gift card code
+   * @returns {Promise<Object>} - Gift card summary
+   */
+  async getGiftCard(code) {
+    try {
+      if (!this.normalizeCode(code)) {
+        throw new Error('Gift card code is required');
+      }
+
+      const { data: giftCard, error } = await supabaseAdmin
+        .from('gift_cards')
+        .select('id, code_last4, currency, initial_amount, balance, status, expires_at, redeemed_at, created_at')
+        .eq('code_hash', this.hashCode(code))
+        .maybeSingle();
+
+      if (error) {
+        console.error('Gift card fetch error:', error);
+        throw new Error(`Failed to fetch gift card: ${error.message}`);
+      }
+
+      if (!giftCard) {
+        throw new Error('Gift card not found');
+      }
+
+      return this.formatGiftCard(giftCard);
+    } catch (error) {
+      console.error('Error in getGiftCard:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Redeem a gift card into the user's store credit
+   * @param {string} userId - User UUID
+   * @param {string} code - Gift card code
+   * @returns {Promise<Object>} - { giftCard, credited, balance }
+   */
+  async redeemGiftCard(userId, code) {
+    try {
+      if (!this.normalizeCode(code)) {
+        throw new Error('Gift card code is required');
+      }
+
+      const { data: result, error } = await supabaseAdmin.rpc('redeem_gift_card', {
+        p_code_hash: this.hashCode(code),
+        p_user_id: userId
+      });
+
+      if (error) {
+        throw this.mapWalletError(error);
+      }
+
+      const { transaction } = result;
+
+      return {
+        giftCard: this.formatGiftCard(result.gift_card),
+        credited: Number(transaction.amount),
+        balance: Number(transaction.balance_after),
+        currency: transaction.currency,
+        formattedBalance: formatMoney(transaction.balance_after, transaction.currency)
+      };
+    } catch (error) {
+      console.error('Error in redeemGiftCard:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Shape a gift card for responses
+   * @param {Object} giftCard - gift_cards row (without its hash)
+   * @returns {Object} - Gift card summary
+   */
+  formatGiftCard(giftCard) {
+    return {
+      id: giftCard.id,
+      last4: giftCard.code_last4,
+      currency: giftCard.currency,
+      initialAmount: Number(giftCard.initial_amount),
+      balance: Number(giftCard.balance),
+      formattedBalance: formatMoney(giftCard.balance, giftCard.currency),
+      status: giftCard.status,
+      expiresAt: giftCard.expires_at,
+      redeemedAt: giftCard.redeemed_at || null
+    };
+  }
+
+  /**
+   * Translate errors raised by the wallet functions
+   * @param {Object} error - Supabase RPC error
+   * @param {string} currency - Wallet currency
+   * @returns {Error} - Error with a shopper-facing message
+   */
+  mapWalletError(error, currency = BASE_CURRENCY) {
+    const [code, balance] = (error.message || '').split(':');
+
+    switch (code) {
+      case 'GIFT_CARD_NOT_FOUND':
+        return new Error('Gift card not found');
+      case 'GIFT_CARD_DISABLED':
+        return new Error('Gift card has been disabled');
+      case 'GIFT_CARD_REDEEMED':
+        return new Error('Gift card has already been redeemed');
+      case 'GIFT_CARD_EXPIRED':
+        return new Error('Gift card has expired');
+      case 'INSUFFICIENT_STORE_CREDIT':
+        return new Error(`Insufficient store credit. Available: ${formatMoney(balance, currency)}`);
+      default:
+        return new Error(`Failed to update store credit: ${error.message}`);
+    }
+  }
+}
+
+module.exports = VRWalletService;
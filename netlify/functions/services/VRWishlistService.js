@@ -0,0 +1,681 @@
+/**
+ * VR Wishlist Service for named product lists, sharing them and their alerts
+ * Prices are kept in the base currency; price drops and restocks are picked up by the
+ * queue_*_wishlist_alerts triggers and surface here as alerts
+ * Following the existing codebase patterns and conventions
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const crypto = require('crypto');
+const { storeUrl } = require('../config/store');
+const { VARIANT_SELECT, getVariantLabel, getUnitPrice } = require('../utils/variants');
+const { BASE_CURRENCY, roundMoney, formatMoney } = require('../utils/currency');
+const { isValidUUID } = require('../utils/validation');
+const VRShoppingService = require('./VRShoppingService');
+
+// Wishlist items embed enough of the product to price it and check it can still be bought
+const WISHLIST_ITEM_SELECT = `
+  *,
+  product:products(
+    id,
+    name,
+    price,
+    discount_price,
+    product_images,
+    brand,
+    stock_quantity,
+    is_active
+  ),
+  variant:product_variants(${VARIANT_SELECT})
+`;
+
+class VRWishlistService {
+  constructor() {
+    this.shoppingService = new VRShoppingService();
+  }
+
+  /**
+   * List the user's wishlists with their item counts
+   * @param {string} userId - User UUID
+   * @returns {Promise<Object>} - { wishlists, unseenAlerts }
+   */
+  async listWishlists(userId) {
+    try {
+      const { data: wishlists, error } = await supabaseAdmin
+        .from('wishlists')
+        .select('id, name, description, share_token, shared_at, created_at, updated_at, wishlist_items(count)')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        console.error('Wishlists fetch error:', error);
+        throw new Error(`Failed to fetch wishlists: ${error.message}`);
+      }
+
+      const { count: unseenAlerts, error: alertsError } = await supabaseAdmin
+        .from('wishlist_alerts')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', userId)
+        .is('seen_at', null);
+
+      if (alertsError) {
+        console.error('Wishlist alerts count error:', alertsError);
+        throw new Error(`Failed to count wishlist alerts: ${alertsError.message}`);
+      }
+
+      return {
+        wishlists: (wishlists || []).map(({ wishlist_items: items, ...wishlist }) => ({
+          ...wishlist,
+          share_url: this.getShareUrl(wishlist.share_token),
+          itemCount: items && items[0] ? items[0].count : 0
+        })),
+        unseenAlerts: unseenAlerts || 0
+      };
+    } catch (error) {
+      console.error('Error in listWishlists:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a wishlist
+   * @param {string} userId - User UUID
+   * @param {Object} wishlistData - { name, description }
+   * @returns {Promise<Object>} - Created wishlist
+   */
+  async createWishlist(userId, wishlistData) {
+    try {
+      const { data: wishlist, error } = await supabaseAdmin
+        .from('wishlists')
+        .insert([{
+          user_id: userId,
+          name: wishlistData.name,
+          description: wishlistData.description || null
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === '23505') {
+          throw new Error('A wishlist with this name already exists');
+        }
+        console.error('Wishlist creation error:', error);
+        throw new Error(`Failed to create wishlist: ${error.message}`);
+      }
+
+      return { ...wishlist, share_url: null, items: [] };
+    } catch (error) {
+      console.error('Error in createWishlist:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get one of the user's wishlists with its items
+   * @param {string} wishlistId - Wishlist UUID
+   * @param {string} userId - User UUID
+   * @returns {Promise<Object>} - Wishlist with priced items
+   */
+  async getWishlist(wishlistId, userId) {
+    try {
+      const wishlist = await this.getOwnedWishlist(wishlistId, userId);
+      const items = await this.getItems(wishlist.id);
+
+      return {
+        ...wishlist,
+        share_url: this.getShareUrl(wishlist.share_token),
+        items
+      };
+    } catch (error) {
+      console.error('Error in getWishlist:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rename a wishlist or change its description
+   * @param {string} wishlistId - Wishlist UUID
+   * @param {string} userId - User UUID
+   * @param {Object} updates - { name, description }
+   * @returns {Promise<Object>} - Updated wishlist
+   */
+  async updateWishlist(wishlistId, userId, updates) {
+    try {
+      await this.getOwnedWishlist(wishlistId, userId);
+
+      const { data: wishlist, error } = await supabaseAdmin
+        .from('wishlists')
+        .update(updates)
+        .eq('id', wishlistId)
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === '23505') {
+          throw new Error('A wishlist with this name already exists');
+        }
+        console.error('Wishlist update error:', error);
+        throw new Error(`Failed to update wishlist: ${error.message}`);
+      }
+
+      return { ...wishlist, share_url: this.getShareUrl(wishlist.share_token) };
+    } catch (error) {
+      console.error('Error in updateWishlist:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a wishlist and its items
+   * @param {string} wishlistId - Wishlist UUID
+   * @param {string} userId - User UUID
+   * @returns {Promise<Object>} - Deletion result
+   */
+  async deleteWishlist(wishlistId, userId) {
+    try {
+      await this.getOwnedWishlist(wishlistId, userId);
+
+      const { error } = await supabaseAdmin
+        .from('wishlists')
+        .delete()
+        .eq('id', wishlistId);
+
+      if (error) {
+        console.error('Wishlist delete error:', error);
+        throw new Error(`Failed to delete wishlist: ${error.message}`);
+      }
+
+      return { success: true, message: 'Wishlist deleted successfully' };
+    } catch (error) {
+      console.error('Error in deleteWishlist:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a product (or one of its variants) to a wishlist at today's price
+   * @param {string} wishlistId - Wishlist UUID
+   * @param {string} userId - User UUID
+   * @param {Object} itemData - { product_id, variant_id, note }
+   * @returns {Promise<Object>} - Wishlist item
+   */
+  async addItem(wishlistId, userId, itemData) {
+    try {
+      await this.getOwnedWishlist(wishlistId, userId);
+
+      const variantId = itemData.variant_id || null;
+      const { product, variant } = await this.shoppingService.getPurchasableItem(itemData.product_id, variantId);
+
+      const { data: existingItem } = await this.shoppingService.scopeToVariant(
+        supabaseAdmin
+          .from('wishlist_items')
+          .select('id')
+          .eq('wishlist_id', wishlistId)
+          .eq('product_id', itemData.product_id),
+        variantId
+      ).maybeSingle();
+
+      if (existingItem) {
+        throw new Error('Product is already in this wishlist');
+      }
+
+      const { data: item, error } = await supabaseAdmin
+        .from('wishlist_items')
+        .insert([{
+          wishlist_id: wishlistId,
+          product_id: itemData.product_id,
+          variant_id: variant ? variant.id : null,
+          note: itemData.note || null,
+          price_at_add: getUnitPrice(product, variant)
+        }])
+        .select(WISHLIST_ITEM_SELECT)
+        .single();
+
+      if (error) {
+        if (error.code === '23505') {
+          throw new Error('Product is already in this wishlist');
+        }
+        console.error('Wishlist item insert error:', error);
+        throw new Error(`Failed to add to wishlist: ${error.message}`);
+      }
+
+      return this.describeItem(item);
+    } catch (error) {
+      console.error('Error in addItem:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change the note of a wishlist item
+   * @param {string} wishlistId - Wishlist UUID
+   * @param {string} userId - User UUID
+   * @param {string} itemId - Wishlist item UUID
+   * @param {Object} updates - { note }
+   * @returns {Promise<Object>} - Wishlist item
+   */
+  async updateItem(wishlistId, userId, itemId, updates) {
+    try {
+      await this.getOwnedWishlist(wishlistId, userId);
+
+      const { data: item, error } = await supabaseAdmin
+        .from('wishlist_items')
+        .update({ note: updates.note })
+        .eq('id', itemId)
+        .eq('wishlist_id', wishlistId)
+        .select(WISHLIST_ITEM_SELECT)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Wishlist item update error:', error);
+        throw new Error(`Failed to update wishlist item: ${error.message}`);
+      }
+
+      if (!item) {
+        throw new Error('Wishlist item not found');
+      }
+
+      return this.describeItem(item);
+    } catch (error) {
+      console.error('Error in updateItem:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove an item from a wishlist
+   * @param {string} wishlistId - Wishlist UUID
+   * @param {string} userId - User UUID
+   * @param {string} itemId - Wishlist item UUID
+   * @returns {Promise<Object>} - Removal result
+   */
+  async removeItem(wishlistId, userId, itemId) {
+    try {
+      await this.getOwnedWishlist(wishlistId, userId);
+
+      const { data: removedItem, error } = await supabaseAdmin
+        .from('wishlist_items')
+        .delete()
+        .eq('id', itemId)
+        .eq('wishlist_id', wishlistId)
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        console.error('Wishlist item removal error:', error);
+        throw new Error(`Failed to remove wishlist item: ${error.message}`);
+      }
+
+      if (!removedItem) {
+        throw new Error('Wishlist item not found');
+      }
+
+      return { success: true, removedItem, message: 'Product removed from wishlist successfully' };
+    } catch (error) {
+      console.error('Error in removeItem:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Put a wishlist item into the shopper's current session cart
+   * The owner's item leaves the list unless keepInList is set; items of shared lists stay
+   * @param {string} itemId - Wishlist item UUID
+   * @param {string} userId - User UUID of the shopper
+   * @param {Object} options - { sessionId, quantity, wishlistId, shareToken, keepInList }
+   * @returns {Promise<Object>} - { cartItem, removedFromWishlist }
+   */
+  async addItemToCart(itemId, userId, options = {}) {
+    try {
+      const { sessionId, quantity = 1, wishlistId = null, shareToken = null, keepInList = false } = options;
+
+      const wishlist = shareToken
+        ? await this.getWishlistByToken(shareToken)
+        : await this.getOwnedWishlist(wishlistId, userId);
+
+      if (!isValidUUID(itemId)) {
+        throw new Error('Wishlist item not found');
+      }
+
+      const { data: item, error } = await supabaseAdmin
+        .from('wishlist_items')
+        .select('*')
+        .eq('id', itemId)
+        .eq('wishlist_id', wishlist.id)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Wishlist item fetch error:', error);
+        throw new Error(`Failed to fetch wishlist item: ${error.message}`);
+      }
+
+      if (!item) {
+        throw new Error('Wishlist item not found');
+      }
+
+      const cartItem = await this.shoppingService.addToCart(sessionId, item.product_id, quantity, userId, item.variant_id);
+
+      const removeFromList = wishlist.user_id === userId && !keepInList;
+      if (removeFromList) {
+        const { error: deleteError } = await supabaseAdmin
+          .from('wishlist_items')
+          .delete()
+          .eq('id', item.id);
+
+        if (deleteError) {
+          console.error('Wishlist item removal error:', deleteError);
+          throw new Error(`Failed to remove wishlist item: ${deleteError.message}`);
+        }
+      }
+
+      return { cartItem, removedFromWishlist: removeFromList };
+    } catch (error) {
+      console.error('Error in addItemToCart:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Share a wishlist, keeping its link if it is already shared
+   * @param {string} wishlistId - Wishlist UUID
+   * @param {string} userId - User UUID
+   * @returns {Promise<Object>} - { share_token, share_url, shared_at }
+   */
+  async shareWishlist(wishlistId, userId) {
+    try {
+      const wishlist = await this.getOwnedWishlist(wishlistId, userId);
+
+      if (wishlist.share_token) {
+        return {
+          share_token: wishlist.share_token,
+          share_url: this.getShareUrl(wishlist.share_token),
+          shared_at: wishlist.shared_at
+        };
+      }
+
+      const { data: shared, error } = await supabaseAdmin
+        .from('wishlists')
+        .update({
+          share_token: crypto.randomBytes(24).toString('base64url'),
+          shared_at: new Date().toISOString()
+        })
+        .eq('id', wishlistId)
+        .select('share_token, shared_at')
+        .single();
+
+      if (error) {
+        console.error('Wishlist share error:', error);
+        throw new Error(`Failed to share wishlist: ${error.message}`);
+      }
+
+      return { ...shared, share_url: this.getShareUrl(shared.share_token) };
+    } catch (error) {
+      console.error('Error in shareWishlist:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop sharing a wishlist; its old link stops working
+   * @param {string} wishlistId - Wishlist UUID
+   * @param {string} userId - User UUID
+   * @returns {Promise<Object>} - Updated wishlist
+   */
+  async unshareWishlist(wishlistId, userId) {
+    try {
+      await this.getOwnedWishlist(wishlistId, userId);
+
+      const { data: wishlist, error } = await supabaseAdmin
+        .from('wishlists')
+        .update({ share_token: null, shared_at: null })
+        .eq('id', wishlistId)
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Wishlist unshare error:', error);
+        throw new Error(`Failed to stop sharing wishlist: ${error.message}`);
+      }
+
+      return { ...wishlist, share_url: null };
+    } catch (error) {
+      console.error('Error in unshareWishlist:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * View a wishlist someone shared
+   * @param {string} shareToken - Share token from the link
+   * @returns {Promise<Object>} - Wishlist with its owner's name and priced items
+   */
+  async getSharedWishlist(shareToken) {
+    try {
+      const wishlist = await this.getWishlistByToken(shareToken);
+      const items = await this.getItems(wishlist.id);
+
+      return {
+        id: wishlist.id,
+        name: wishlist.name,
+        description: wishlist.description,
+        owner: wishlist.owner ? wishlist.owner.name : null,
+        shared_at: wishlist.shared_at,
+        items
+      };
+    } catch (error) {
+      console.error('Error in getSharedWishlist:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the user's wishlist alerts, newest first
+   * @param {string} userId - User UUID
+   * @param {Object} options - { includeSeen }
+   * @returns {Promise<Array>} - Alerts with a message for the shopper
+   */
+  async getAlerts(userId, options = {}) {
+    try {
+      let query = supabaseAdmin
+        .from('wishlist_alerts')
+        .select(`
+          *,
+          item:wishlist_items(
+            id, wishlist_id, product_id, variant_id, price_at_add,
+            product:products(name, product_images),
+            variant:product_variants(${VARIANT_SELECT})
+          )
+        `)
+        .eq('user_id', userId);
+
+      if (!options.includeSeen) {
+        query = query.is('seen_at', null);
+      }
+
+      const { data: alerts, error } = await query
+        .order('created_at', { ascending: false })
+        .limit(100);
+
+      if (error) {
+        console.error('Wishlist alerts fetch error:', error);
+        throw new Error(`Failed to fetch wishlist alerts: ${error.message}`);
+      }
+
+      return (alerts || []).map(alert => ({
+        ...alert,
+        message: this.describeAlert(alert)
+      }));
+    } catch (error) {
+      console.error('Error in getAlerts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark wishlist alerts as seen
+   * @param {string} userId - User UUID
+   * @param {Array<string>|null} alertIds - Alerts to mark (all unseen alerts when omitted)
+   * @returns {Promise<Object>} - { marked }
+   */
+  async markAlertsSeen(userId, alertIds = null) {
+    try {
+      let query = supabaseAdmin
+        .from('wishlist_alerts')
+        .update({ seen_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .is('seen_at', null);
+
+      if (Array.isArray(alertIds) && alertIds.length > 0) {
+        query = query.in('id', alertIds.filter(isValidUUID));
+      }
+
+      const { data: marked, error } = await query.select('id');
+
+      if (error) {
+        console.error('Wishlist alerts update error:', error);
+        throw new Error(`Failed to update wishlist alerts: ${error.message}`);
+      }
+
+      return { marked: (marked || []).length };
+    } catch (error) {
+      console.error('Error in markAlertsSeen:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load a wishlist the user owns
+   * @param {string} wishlistId - Wishlist UUID
+   * @param {string} userId - User UUID
+   * @returns {Promise<Object>} - Wishlist row
+   */
+  async getOwnedWishlist(wishlistId, userId) {
+    if (!isValidUUID(wishlistId)) {
+      throw new Error('Wishlist not found');
+    }
+
+    const { data: wishlist, error } = await supabaseAdmin
+      .from('wishlists')
+      .select('*')
+      .eq('id', wishlistId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Wishlist fetch error:', error);
+      throw new Error(`Failed to fetch wishlist: ${error.message}`);
+    }
+
+    if (!wishlist) {
+      throw new Error('Wishlist not found');
+    }
+
+    return wishlist;
+  }
+
+  /**
+   * Load a shared wishlist by its token
+   * @param {string} shareToken - Share token
+   * @returns {Promise<Object>} - Wishlist row with its owner
+   */
+  async getWishlistByToken(shareToken) {
+    if (!shareToken || typeof shareToken !== 'string') {
+      throw new Error('Wishlist not found');
+    }
+
+    const { data: wishlist, error } = await supabaseAdmin
+      .from('wishlists')
+      .select('*, owner:users(name)')
+      .eq('share_token', shareToken)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Shared wishlist fetch error:', error);
+      throw new Error(`Failed to fetch wishlist: ${error.message}`);
+    }
+
+    if (!wishlist) {
+      throw new Error('Wishlist not found');
+    }
+
+    return wishlist;
+  }
+
+  /**
+   * Items of a wishlist, oldest first, with current price and availability
+   * @param {string} wishlistId - Wishlist UUID
+   * @returns {Promise<Array>} - Priced items
+   */
+  async getItems(wishlistId) {
+    const { data: items, error } = await supabaseAdmin
+      .from('wishlist_items')
+      .select(WISHLIST_ITEM_SELECT)
+      .eq('wishlist_id', wishlistId)
+      .order('added_at', { ascending: true });
+
+    if (error) {
+      console.error('Wishlist items fetch error:', error);
+      throw new Error(`Failed to fetch wishlist items: ${error.message}`);
+    }
+
+    return (items || []).map(item => this.describeItem(item));
+  }
+
+  /**
+   * Add the current price, the change since the item was listed and availability
+   * @param {Object} item - Wishlist item with product and variant
+   * @returns {Object} - Described item
+   */
+  describeItem(item) {
+    const { product, variant } = item;
+    const currentPrice = product ? getUnitPrice(product, variant) : null;
+    const priceAtAdd = Number(item.price_at_add);
+    const stock = variant ? variant.stock_quantity : (product ? product.stock_quantity : 0);
+    const purchasable = Boolean(product && product.is_active && (!item.variant_id || (variant && variant.is_active)));
+
+    return {
+      ...item,
+      variant_label: getVariantLabel(variant),
+      current_price: currentPrice,
+      price_change: currentPrice !== null ? roundMoney(currentPrice - priceAtAdd, BASE_CURRENCY) : null,
+      price_dropped: currentPrice !== null && currentPrice < priceAtAdd,
+      in_stock: purchasable && stock > 0,
+      available: purchasable,
+      currency: BASE_CURRENCY,
+      formatted_price_at_add: formatMoney(priceAtAdd, BASE_CURRENCY),
+      formatted_current_price: currentPrice !== null ? formatMoney(currentPrice, BASE_CURRENCY) : null
+    };
+  }
+
+  /**
+   * Sentence telling the shopper what an alert is about
+   * @param {Object} alert - Alert with its item
+   * @returns {string}
+   */
+  describeAlert(alert) {
+    const item = alert.item || {};
+    const label = getVariantLabel(item.variant);
+    const name = `${item.product ? item.product.name : 'A product on your wishlist'}${label ? ` (${label})` : ''}`;
+
+    if (alert.alert_type === 'price_drop') {
+      return `${name} dropped to ${formatMoney(alert.current_price, BASE_CURRENCY)} from ${formatMoney(alert.previous_price, BASE_CURRENCY)} when you saved it`;
+    }
+
+    return `${name} is back in stock`;
+  }
+
+  /**
+   * Link to a shared wishlist
+   * @param {string|null} shareToken - Share token
+   * @returns {string|null}
+   */
+  getShareUrl(shareToken) {
+    if (!shareToken) {
+      return null;
+    }
+
+    return storeUrl(`/wishlists/shared/${shareToken}`);
+  }
+}
+
+module.exports = VRWishlistService;
@@ -5,6 +5,7 @@
 const { supabaseAdmin, supabaseClient } = require('../config/supabase');
 const bcrypt = require('bcryptjs');
 const { validatePaginationParams } = require('../utils/validation');
+const { ROLES } = require('../utils/auth');
 
 class UserService {
   constructor() {
@@ -210,7 +211,7 @@ class UserService {
    */
   async updateUser(userId, updateData, userInfo = {}) {
     try {
-      const allowedFields = ['name', 'email', 'phone_number', 'date_of_birth', 'profile_image_url'];
+      const allowedFields = ['name', 'email', 'phone_number', 'date_of_birth', 'profile_image_url', 'preferred_currency'];
       const filteredData = {};
       
       // Filter and prepare update data
@@ -218,6 +219,8 @@ class UserService {
         if (allowedFields.includes(key) && updateData[key] !== undefined) {
           if (key === 'email' && updateData[key]) {
             filteredData[key] = updateData[key].toLowerCase();
+          } else if (key === 'preferred_currency' && updateData[key]) {
+            filteredData[key] = updateData[key].trim().toUpperCase();
           } else if (typeof updateData[key] === 'string') {
             filteredData[key] = updateData[key].trim();
           } else {
@@ -419,6 +422,59 @@ class UserService {
     }
   }
   
+  /**
+   * Change a user's role (admin function)
+   * @param {string} userId - User ID
+   * @param {string} role - New role
+   * @param {string} changedBy - ID of the admin making the change
+   * @param {Object} userInfo - Additional user info for logging
+   * @returns {Promise<Object>} - Updated user object
+   */
+  async updateUserRole(userId, role, changedBy, userInfo = {}) {
+    try {
+      if (!Object.values(ROLES).includes(role)) {
+        throw new Error(`Invalid role. Must be one of: ${Object.values(ROLES).join(', ')}`);
+      }
+      
+      if (userId === changedBy) {
+        throw new Error('You cannot change your own role');
+      }
+      
+      const existingUser = await this.getUserById(userId);
+      
+      const { data: updatedUser, error } = await supabaseAdmin
+        .from('users')
+        .update({ 
+          role,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', userId)
+        .select()
+        .single();
+      
+      if (error) {
+        console.error('Role update error:', error);
+        throw new Error(`Role update failed: ${error.message}`);
+      }
+      
+      // Log on both accounts so the change shows up in either audit trail
+      const details = {
+        userId,
+        previousRole: existingUser.role || ROLES.SHOPPER,
+        newRole: role,
+        changedBy
+      };
+      await this.logActivity(userId, 'role_changed', details, userInfo);
+      await this.logActivity(changedBy, 'role_assigned', details, userInfo);
+      
+      return this.sanitizeUser(updatedUser);
+      
+    } catch (error) {
+      console.error('Update user role error:', error);
+      throw error;
+    }
+  }
+  
   /**
    * Get users with pagination and filtering
    * @param {Object} options - Query options
@@ -433,6 +489,7 @@ class UserService {
         sortOrder = 'desc',
         isActive,
         emailVerified,
+        role,
         search
       } = options;
       
@@ -440,7 +497,7 @@ class UserService {
       
       let query = supabaseAdmin
         .from('users')
-        .select('id, email, name, phone_number, created_at, updated_at, last_login, is_active, email_verified', { count: 'exact' });
+        .select('id, email, name, phone_number, role, created_at, updated_at, last_login, is_active, email_verified', { count: 'exact' });
       
       // Apply filters
       if (isActive !== undefined) {
@@ -451,6 +508,10 @@ class UserService {
         query = query.eq('email_verified', emailVerified);
       }
       
+      if (role) {
+        query = query.eq('role', role);
+      }
+      
       if (search && search.trim()) {
         const searchTerm = `%${search.trim().toLowerCase()}%`;
         query = query.or(`name.ilike.${searchTerm},email.ilike.${searchTerm}`);
@@ -0,0 +1,74 @@
+const { parseCSV, toCSV, escapeCSVValue } = require('../csv');
+
+describe('parseCSV', () => {
+  it('keys rows by the lower-cased header row and keeps line numbers', () => {
+    const { headers, rows } = parseCSV('Name,Price\nApple,1.20\nPear,0.80\n');
+
+    expect(headers).toEqual(['name', 'price']);
+    expect(rows).toEqual([
+      { _line: 2, name: 'Apple', price: '1.20' },
+      { _line: 3, name: 'Pear', price: '0.80' }
+    ]);
+  });
+
+  it('handles quoted fields with commas, escaped quotes and line breaks', () => {
+    const { rows } = parseCSV('name,description\r\n"Milk, whole","The ""best""\nmilk"\r\nEggs,Free range\r\n');
+
+    expect(rows[0]).toMatchObject({ name: 'Milk, whole', description: 'The "best"\nmilk' });
+    // The quoted line break moves the next record down a line
+    expect(rows[1]).toMatchObject({ _line: 4, name: 'Eggs' });
+  });
+
+  it('strips a UTF-8 BOM and skips blank lines', () => {
+    const { headers, rows } = parseCSV('\uFEFFsku\n\nA1\n\n');
+
+    expect(headers).toEqual(['sku']);
+    expect(rows).toEqual([{ _line: 3, sku: 'A1' }]);
+  });
+
+  it('fills missing trailing fields with empty strings', () => {
+    const { rows } = parseCSV('a,b,c\n1');
+
+    expect(rows[0]).toEqual({ _line: 2, a: '1', b: '', c: '' });
+  });
+
+  it('returns no headers or rows for empty input', () => {
+    expect(parseCSV('')).toEqual({ headers: [], rows: [] });
+  });
+
+  it('rejects an unterminated quoted field', () => {
+    expect(() => parseCSV('name\n"open')).toThrow('Unterminated quoted field starting on line 2');
+  });
+
+  it('rejects non-string input', () => {
+    expect(() => parseCSV(null)).toThrow('CSV input must be a string');
+  });
+});
+
+describe('escapeCSVValue', () => {
+  it('quotes values with separators, quotes or surrounding spaces', () => {
+    expect(escapeCSVValue('plain')).toBe('plain');
+    expect(escapeCSVValue('a,b')).toBe('"a,b"');
+    expect(escapeCSVValue('say "hi"')).toBe('"say ""hi"""');
+    expect(escapeCSVValue(' padded')).toBe('" padded"');
+  });
+
+  it('writes null as empty and objects as JSON', () => {
+    expect(escapeCSVValue(null)).toBe('');
+    expect(escapeCSVValue(undefined)).toBe('');
+    expect(escapeCSVValue({ a: 1 })).toBe('"{""a"":1}"');
+  });
+});
+
+describe('toCSV', () => {
+  it('writes a header row and CRLF line endings', () => {
+    expect(toCSV([{ name: 'Apple', price: 1.2 }], ['name', 'price'])).toBe('name,price\r\nApple,1.2\r\n');
+  });
+
+  it('round-trips through parseCSV', () => {
+    const rows = [{ name: 'Milk, whole', notes: 'line1\nline2' }];
+    const { rows: parsed } = parseCSV(toCSV(rows, ['name', 'notes']));
+
+    expect(parsed[0]).toMatchObject(rows[0]);
+  });
+});
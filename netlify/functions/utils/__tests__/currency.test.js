@@ -0,0 +1,91 @@
+const {
+  normalizeCurrency,
+  isValidCurrency,
+  getMinorUnits,
+  roundMoney,
+  toMinorUnits,
+  fromMinorUnits,
+  convertFromBase,
+  convertRuleAmounts,
+  formatMoney
+} = require('../currency');
+
+describe('normalizeCurrency', () => {
+  it('trims and upper-cases codes', () => {
+    expect(normalizeCurrency(' eur ')).toBe('EUR');
+  });
+
+  it('falls back to the base currency', () => {
+    expect(normalizeCurrency('')).toBe((process.env.BASE_CURRENCY || 'USD').toUpperCase());
+  });
+});
+
+describe('isValidCurrency', () => {
+  it('accepts three-letter codes the runtime can format', () => {
+    expect(isValidCurrency('USD')).toBe(true);
+    expect(isValidCurrency('jpy')).toBe(true);
+  });
+
+  it('rejects malformed codes', () => {
+    expect(isValidCurrency('US')).toBe(false);
+    expect(isValidCurrency('US1')).toBe(false);
+    expect(isValidCurrency(null)).toBe(false);
+  });
+});
+
+describe('minor units', () => {
+  it('knows zero, two and three decimal currencies', () => {
+    expect(getMinorUnits('JPY')).toBe(0);
+    expect(getMinorUnits('usd')).toBe(2);
+    expect(getMinorUnits('KWD')).toBe(3);
+  });
+
+  it('rounds to the precision of the currency', () => {
+    expect(roundMoney(10.005, 'USD')).toBe(10.01);
+    expect(roundMoney(1249.6, 'JPY')).toBe(1250);
+    expect(roundMoney(1.23456, 'BHD')).toBe(1.235);
+  });
+
+  it('converts to and from Stripe amounts', () => {
+    expect(toMinorUnits(12.5, 'USD')).toBe(1250);
+    expect(toMinorUnits(1250, 'JPY')).toBe(1250);
+    expect(fromMinorUnits(1250, 'USD')).toBe(12.5);
+    expect(fromMinorUnits(1250, 'JPY')).toBe(1250);
+  });
+
+  it('keeps three-decimal Stripe amounts a multiple of ten', () => {
+    expect(toMinorUnits(1.234, 'KWD')).toBe(1230);
+    expect(toMinorUnits(1.235, 'KWD')).toBe(1240);
+  });
+});
+
+describe('conversion', () => {
+  it('converts from the base currency and rounds to the target', () => {
+    expect(convertFromBase(10, 'JPY', 151.237)).toBe(1512);
+    expect(convertFromBase(10, 'EUR', 0.9213)).toBe(9.21);
+  });
+
+  it('converts only the listed, present amount fields', () => {
+    const rule = { discount_value: 10, min_subtotal: null, bundle_price: 5, discount_type: 'fixed_amount' };
+    const converted = convertRuleAmounts(rule, ['discount_value', 'min_subtotal', 'bundle_price'], 'EUR', 0.5);
+
+    expect(converted).toEqual({ discount_value: 5, min_subtotal: null, bundle_price: 2.5, discount_type: 'fixed_amount' });
+    expect(rule.discount_value).toBe(10);
+  });
+
+  it('returns the rule untouched at a rate of one', () => {
+    const rule = { discount_value: 10 };
+    expect(convertRuleAmounts(rule, ['discount_value'], 'USD', 1)).toBe(rule);
+  });
+});
+
+describe('formatMoney', () => {
+  it('formats with the decimals of the currency', () => {
+    expect(formatMoney(12.5, 'USD')).toBe('$12.50');
+    expect(formatMoney(1250, 'JPY')).toBe('¥1,250');
+  });
+
+  it('treats missing amounts as zero', () => {
+    expect(formatMoney(undefined, 'USD')).toBe('$0.00');
+  });
+});
@@ -0,0 +1,112 @@
+const { normalizeFacetFilters, getEffectivePrice, matchesFacetFilters, computeFacets } = require('../facets');
+
+const products = [
+  { id: 'p1', brand: 'Acme', price: 4, discount_price: null, category_id: 'fruit', subcategory_id: 'apples', rating: 4.5, stock_quantity: 10 },
+  { id: 'p2', brand: 'Acme', price: 12, discount_price: 8, category_id: 'fruit', subcategory_id: 'pears', rating: 3.2, stock_quantity: 0 },
+  { id: 'p3', brand: 'Globex', price: 30, discount_price: null, category_id: 'dairy', subcategory_id: null, rating: 2, stock_quantity: 5 },
+  { id: 'p4', brand: 'Globex', price: 3, discount_price: null, category_id: 'fruit', subcategory_id: 'apples', rating: null, stock_quantity: 2, available_quantity: 0 }
+];
+
+const categories = [
+  { id: 'fruit', name: 'Fruit', parent_id: null },
+  { id: 'apples', name: 'Apples', parent_id: 'fruit' },
+  { id: 'pears', name: 'Pears', parent_id: 'fruit' },
+  { id: 'dairy', name: 'Dairy', parent_id: null }
+];
+
+describe('normalizeFacetFilters', () => {
+  it('splits comma-separated brands and parses numbers and flags', () => {
+    expect(normalizeFacetFilters({ brand: 'Acme, Globex,', min_price: '5', max_price: 'x', in_stock: 'true', min_rating: '4' })).toEqual({
+      category_id: undefined,
+      subcategory_id: undefined,
+      brands: ['Acme', 'Globex'],
+      min_price: 5,
+      max_price: undefined,
+      in_stock: true,
+      min_rating: 4
+    });
+  });
+
+  it('defaults to no filters', () => {
+    expect(normalizeFacetFilters()).toMatchObject({ brands: [], in_stock: false, min_price: undefined });
+  });
+});
+
+describe('getEffectivePrice', () => {
+  it('prefers effective_price, then the discount price, then the list price', () => {
+    expect(getEffectivePrice({ effective_price: '2.50', discount_price: 3, price: 4 })).toBe(2.5);
+    expect(getEffectivePrice({ discount_price: 3, price: 4 })).toBe(3);
+    expect(getEffectivePrice({ price: 4 })).toBe(4);
+  });
+});
+
+describe('matchesFacetFilters', () => {
+  it('ignores the excluded facets', () => {
+    const filters = normalizeFacetFilters({ brand: 'Globex', max_price: '10' });
+
+    expect(matchesFacetFilters(products[0], filters)).toBe(false);
+    expect(matchesFacetFilters(products[0], filters, ['brand'])).toBe(true);
+    expect(matchesFacetFilters(products[2], filters, ['brand'])).toBe(false);
+  });
+
+  it('treats stock held by carts as unavailable', () => {
+    const filters = normalizeFacetFilters({ in_stock: 'true' });
+
+    expect(matchesFacetFilters(products[0], filters)).toBe(true);
+    expect(matchesFacetFilters(products[3], filters)).toBe(false);
+  });
+});
+
+describe('computeFacets', () => {
+  it('counts every facet under the other active filters only (disjunctive)', () => {
+    const facets = computeFacets(products, normalizeFacetFilters({ brand: 'Acme' }), categories);
+
+    expect(facets.total).toBe(2);
+    // Brand counts ignore the brand filter, so the other brand still shows what it would return
+    expect(facets.brands).toEqual([
+      { value: 'Acme', count: 2, selected: true },
+      { value: 'Globex', count: 2, selected: false }
+    ]);
+    // The other facets are narrowed to the selected brand
+    expect(facets.prices).toEqual({
+      min: 4,
+      max: 8,
+      buckets: [
+        { min: 0, max: 5, count: 1 },
+        { min: 5, max: 10, count: 1 }
+      ]
+    });
+    expect(facets.availability).toEqual({ in_stock: 1, out_of_stock: 1, selected: false });
+  });
+
+  it('nests subcategories under their category with names', () => {
+    const facets = computeFacets(products, normalizeFacetFilters({}), categories);
+    const fruit = facets.categories.find(category => category.id === 'fruit');
+
+    expect(fruit).toMatchObject({ name: 'Fruit', count: 3, selected: false });
+    expect(fruit.subcategories).toEqual([
+      { id: 'apples', name: 'Apples', count: 2, selected: false },
+      { id: 'pears', name: 'Pears', count: 1, selected: false }
+    ]);
+    expect(facets.categories.find(category => category.id === 'dairy').subcategories).toEqual([]);
+  });
+
+  it('counts rating bands as "N stars and up"', () => {
+    const facets = computeFacets(products, normalizeFacetFilters({ min_rating: '3' }), categories);
+
+    expect(facets.ratings).toEqual([
+      { min_rating: 4, count: 1, selected: false },
+      { min_rating: 3, count: 2, selected: true },
+      { min_rating: 2, count: 3, selected: false },
+      { min_rating: 1, count: 3, selected: false }
+    ]);
+  });
+
+  it('keeps a selected brand with no results at zero', () => {
+    const facets = computeFacets([], normalizeFacetFilters({ brand: 'Initech' }));
+
+    expect(facets.total).toBe(0);
+    expect(facets.brands).toEqual([{ value: 'Initech', count: 0, selected: true }]);
+    expect(facets.prices).toEqual({ min: null, max: null, buckets: [] });
+  });
+});
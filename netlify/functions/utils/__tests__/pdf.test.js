@@ -0,0 +1,92 @@
+const { createPdf, measureText, wrapText, canEncode } = require('../pdf');
+
+const pdfText = (doc) => doc.toBuffer().toString('latin1');
+
+describe('measureText', () => {
+  it('uses the Helvetica widths', () => {
+    expect(measureText('A', 10)).toBeCloseTo(6.67);
+    expect(measureText('il', 10)).toBeCloseTo(4.44);
+    expect(measureText('', 10)).toBe(0);
+  });
+});
+
+describe('wrapText', () => {
+  it('breaks between words to fit the width', () => {
+    const lines = wrapText('one two three four', measureText('one two', 10), 10);
+    expect(lines).toEqual(['one two', 'three', 'four']);
+  });
+
+  it('cuts words longer than a line', () => {
+    const lines = wrapText('abcdefghij', measureText('abcd', 10), 10);
+    expect(lines.join('')).toBe('abcdefghij');
+    lines.forEach(line => expect(measureText(line, 10)).toBeLessThanOrEqual(measureText('abcd', 10)));
+  });
+
+  it('returns one empty line for empty text', () => {
+    expect(wrapText('   ', 100, 10)).toEqual(['']);
+  });
+});
+
+describe('canEncode', () => {
+  it('accepts Latin-1 and WinAnsi characters', () => {
+    expect(canEncode('Café €12,50 – “ok”')).toBe(true);
+    expect(canEncode('12 500 €')).toBe(true);
+  });
+
+  it('rejects characters the standard fonts cannot show', () => {
+    expect(canEncode('₹100')).toBe(false);
+    expect(canEncode('日本')).toBe(false);
+  });
+});
+
+describe('createPdf', () => {
+  it('writes a PDF with a valid cross-reference table', () => {
+    const output = pdfText(createPdf({ title: 'Receipt' }).text('Hello', 50, 50));
+
+    expect(output.startsWith('%PDF-1.4\n')).toBe(true);
+    expect(output.endsWith('%%EOF\n')).toBe(true);
+
+    const startxref = Number(/startxref\n(\d+)\n/.exec(output)[1]);
+    expect(output.slice(startxref, startxref + 4)).toBe('xref');
+
+    const offsets = output.slice(startxref).match(/^\d{10} 00000 n $/gm).map(entry => Number(entry.slice(0, 10)));
+    offsets.forEach((offset, index) => {
+      expect(output.slice(offset, offset + `${index + 1} 0 obj`.length)).toBe(`${index + 1} 0 obj`);
+    });
+  });
+
+  it('adds a page object per page', () => {
+    const doc = createPdf();
+    doc.text('one', 50, 50).addPage().text('two', 50, 50);
+    const output = pdfText(doc);
+
+    expect(output).toContain('/Count 2');
+    expect(output.match(/\/Type \/Page /g)).toHaveLength(2);
+  });
+
+  it('writes a blank page when nothing is drawn', () => {
+    expect(pdfText(createPdf())).toContain('/Count 1');
+  });
+
+  it('uses the A4 media box when asked', () => {
+    expect(pdfText(createPdf({ size: 'a4' }))).toContain('/MediaBox [0 0 595.28 841.89]');
+  });
+
+  it('escapes string delimiters and replaces unsupported characters', () => {
+    const output = pdfText(createPdf().text('(a\\b) ₹5', 50, 50));
+    expect(output).toContain('(\\(a\\\\b\\) ?5) Tj');
+  });
+
+  it('flips coordinates and right-aligns text', () => {
+    const doc = createPdf();
+    doc.text('AA', 100, 50, { align: 'right', size: 10 });
+    const output = pdfText(doc);
+
+    expect(output).toContain(`${(100 - measureText('AA', 10)).toFixed(2)} ${(doc.height - 50).toFixed(2)} Td`);
+  });
+
+  it('draws bold text in the bold font and colours from hex', () => {
+    const output = pdfText(createPdf().text('Total', 50, 50, { bold: true, color: '#ff0000' }));
+    expect(output).toContain('/F2 10 Tf\n1 0 0 rg');
+  });
+});
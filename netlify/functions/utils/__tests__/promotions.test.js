@@ -0,0 +1,135 @@
+const { isPromotionLive, evaluatePromotions } = require('../promotions');
+
+const line = (id, productId, quantity, unitPrice, categoryId = 'grocery') => ({
+  id,
+  product_id: productId,
+  quantity,
+  unit_price: unitPrice,
+  product: { category_id: categoryId, subcategory_id: null }
+});
+
+const promotion = (fields) => ({
+  id: fields.id || 'promo',
+  name: fields.name || 'Promo',
+  is_active: true,
+  stackable: false,
+  priority: 0,
+  ...fields
+});
+
+describe('isPromotionLive', () => {
+  const now = new Date('2026-06-15T12:00:00Z');
+
+  it('needs the promotion to be active and inside its schedule', () => {
+    expect(isPromotionLive(promotion({}), now)).toBe(true);
+    expect(isPromotionLive(promotion({ is_active: false }), now)).toBe(false);
+    expect(isPromotionLive(promotion({ starts_at: '2026-06-16T00:00:00Z' }), now)).toBe(false);
+    expect(isPromotionLive(promotion({ ends_at: '2026-06-15T12:00:00Z' }), now)).toBe(false);
+    expect(isPromotionLive(promotion({ starts_at: '2026-06-01T00:00:00Z', ends_at: '2026-07-01T00:00:00Z' }), now)).toBe(true);
+  });
+});
+
+describe('evaluatePromotions', () => {
+  it('applies a percentage discount to every unit in scope', () => {
+    const result = evaluatePromotions(
+      [line('l1', 'apple', 2, 1.5), line('l2', 'milk', 1, 3, 'dairy')],
+      [promotion({ promotion_type: 'percentage', discount_value: 10, category_ids: ['grocery'] })]
+    );
+
+    expect(result.lineDiscounts).toEqual({ l1: 0.3 });
+    expect(result.discountAmount).toBe(0.3);
+    expect(result.appliedPromotions[0]).toMatchObject({ type: 'percentage', discountAmount: 0.3, lineItemIds: ['l1'] });
+  });
+
+  it('spreads a fixed amount over units by price and never below zero', () => {
+    const result = evaluatePromotions(
+      [line('l1', 'a', 1, 3), line('l2', 'b', 1, 1)],
+      [promotion({ promotion_type: 'fixed_amount', discount_value: 10 })]
+    );
+
+    expect(result.lineDiscounts).toEqual({ l1: 3, l2: 1 });
+    expect(result.discountAmount).toBe(4);
+  });
+
+  it('gives the cheapest unit free in each buy-one-get-one pair', () => {
+    const result = evaluatePromotions(
+      [line('l1', 'a', 2, 5), line('l2', 'b', 1, 2)],
+      [promotion({ promotion_type: 'bogo' })]
+    );
+
+    // Three units make one pair; the cheapest unit (2.00) is the free one
+    expect(result.lineDiscounts).toEqual({ l2: 2 });
+  });
+
+  it('discounts the "get" units of buy X get Y by its percentage', () => {
+    const result = evaluatePromotions(
+      [line('l1', 'a', 3, 4)],
+      [promotion({ promotion_type: 'buy_x_get_y', buy_quantity: 2, get_quantity: 1, discount_value: 50 })]
+    );
+
+    expect(result.lineDiscounts).toEqual({ l1: 2 });
+  });
+
+  it('sells each complete bundle set for the bundle price', () => {
+    const result = evaluatePromotions(
+      [line('l1', 'chips', 2, 3), line('l2', 'dip', 1, 2)],
+      [promotion({ promotion_type: 'bundle', product_ids: ['chips', 'dip'], bundle_price: 4 })]
+    );
+
+    // One set (3 + 2) sells for 4: the 1.00 saving is split by price
+    expect(result.lineDiscounts).toEqual({ l1: 0.6, l2: 0.4 });
+    expect(result.discountAmount).toBe(1);
+  });
+
+  it('only applies category sales to units in the listed categories', () => {
+    const result = evaluatePromotions(
+      [line('l1', 'a', 1, 10)],
+      [promotion({ promotion_type: 'category_sale', discount_value: 20 })]
+    );
+
+    expect(result.appliedPromotions).toEqual([]);
+  });
+
+  it('skips promotions below their minimum subtotal', () => {
+    const result = evaluatePromotions(
+      [line('l1', 'a', 1, 10)],
+      [promotion({ promotion_type: 'percentage', discount_value: 10, min_subtotal: 20 })]
+    );
+
+    expect(result.discountAmount).toBe(0);
+  });
+
+  it('runs by priority and lets only stackable promotions touch discounted units', () => {
+    const cart = [line('l1', 'a', 1, 10)];
+    const first = promotion({ id: 'first', promotion_type: 'percentage', discount_value: 50, priority: 10 });
+    const second = promotion({ id: 'second', promotion_type: 'percentage', discount_value: 10, priority: 1 });
+
+    expect(evaluatePromotions(cart, [second, first]).appliedPromotions.map(applied => applied.id)).toEqual(['first']);
+
+    const stacked = evaluatePromotions(cart, [second, { ...first }, { ...second, id: 'stacked', stackable: true }]);
+    expect(stacked.appliedPromotions.map(applied => applied.id)).toEqual(['first', 'stacked']);
+    expect(stacked.lineDiscounts).toEqual({ l1: 5.5 });
+  });
+
+  it('ignores inactive and unknown promotion types', () => {
+    const result = evaluatePromotions(
+      [line('l1', 'a', 1, 10)],
+      [
+        promotion({ promotion_type: 'percentage', discount_value: 10, is_active: false }),
+        promotion({ promotion_type: 'mystery', discount_value: 10 })
+      ]
+    );
+
+    expect(result).toEqual({ appliedPromotions: [], lineDiscounts: {}, discountAmount: 0 });
+  });
+
+  it('rounds to the currency minor unit', () => {
+    const result = evaluatePromotions(
+      [line('l1', 'a', 1, 999)],
+      [promotion({ promotion_type: 'percentage', discount_value: 33 })],
+      { currency: 'JPY' }
+    );
+
+    expect(result.discountAmount).toBe(330);
+  });
+});
@@ -0,0 +1,140 @@
+const { escapeHtml, renderReceiptHtml, renderReceiptText, renderReceiptPdf } = require('../receipts');
+
+const buildReceipt = (overrides = {}) => ({
+  receiptNumber: 'R-1001',
+  orderNumber: 'VR-1001',
+  date: '2026-03-01T15:30:00Z',
+  currency: 'USD',
+  store: { name: 'Corner Market', location: 'Downtown', address: '1 Main St', phone: '555-0100', website: null, email: 'hi@corner.test' },
+  customer: { name: 'Sam Lee', email: 'sam@example.com' },
+  items: [
+    { name: 'Apples', variant: '1 kg', quantity: 2, unitPrice: 3, discount: 0.6, returnedQuantity: 0, totalPrice: 5.4 },
+    { name: 'Milk', variant: null, quantity: 1, unitPrice: 2.5, discount: 0, returnedQuantity: 1, totalPrice: 2.5 }
+  ],
+  promotions: [{ name: 'Fruit week', discountAmount: 0.6 }],
+  coupon: { code: 'WELCOME', discountAmount: 1 },
+  totals: {
+    subtotal: 8.5,
+    taxBreakdown: [{ name: 'Sales tax', rate: 0.0825, taxAmount: 0.58 }],
+    taxAmount: 0.58,
+    totalAmount: 7.48,
+    refundedAmount: 2.5,
+    netAmount: 4.98
+  },
+  payment: {
+    method: 'split',
+    status: 'paid',
+    processedAt: '2026-03-01T15:31:00Z',
+    balanceDue: 0,
+    tenders: [
+      { method: 'cash', amount: 5, cashReceived: 10, changeGiven: 5 },
+      { method: 'stripe', amount: 2.48, transactionId: 'pi_123' }
+    ]
+  },
+  refunds: [
+    {
+      refundedAt: '2026-03-02T10:00:00Z',
+      reason: 'Spoiled',
+      amount: 2.5,
+      storeCredit: 0,
+      items: [{ quantity: 1, name: 'Milk' }],
+      tenders: [{ method: 'cash', amount: 2.5 }]
+    }
+  ],
+  ...overrides
+});
+
+describe('escapeHtml', () => {
+  it('escapes markup characters and treats null as empty', () => {
+    expect(escapeHtml('<a href="x">Tom & Jerry\'s</a>')).toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;');
+    expect(escapeHtml(null)).toBe('');
+  });
+});
+
+describe('renderReceiptText', () => {
+  const text = renderReceiptText(buildReceipt(), { notice: 'Your refund has been processed' });
+
+  it('lists the items with their details', () => {
+    expect(text).toContain('Apples (1 kg): $5.40\n  2 x $3.00 · discount -$0.60');
+    expect(text).toContain('Milk: $2.50\n  1 x $2.50 · 1 returned');
+  });
+
+  it('lists discounts, tax by rate and the refunded totals', () => {
+    expect(text).toContain('Fruit week: -$0.60');
+    expect(text).toContain('Coupon WELCOME: -$1.00');
+    expect(text).toContain('Sales tax (8.25%): $0.58');
+    expect(text).toContain('Total: $7.48');
+    expect(text).toContain('Refunded: -$2.50');
+    expect(text).toContain('Net total: $4.98');
+  });
+
+  it('lists tenders and refunds', () => {
+    expect(text).toContain('Cash · received $10.00, change $5.00: $5.00');
+    expect(text).toContain('Card · pi_123: $2.48');
+    expect(text).toContain('REFUNDS');
+    expect(text).toContain('1 x Milk · Cash $2.50');
+  });
+
+  it('shows the notice and dates in UTC', () => {
+    expect(text).toContain('Your refund has been processed');
+    expect(text).toContain('Mar 1, 2026');
+    expect(text).toContain('UTC');
+  });
+
+  it('shows the payment status and a single tax line when there are no tenders or rates', () => {
+    const receipt = buildReceipt({ refunds: [] });
+    receipt.payment = { ...receipt.payment, method: 'cash', status: 'pending', tenders: [], balanceDue: 7.48 };
+    receipt.totals = { ...receipt.totals, taxBreakdown: [], refundedAmount: 0 };
+    const output = renderReceiptText(receipt);
+
+    expect(output).toContain('Tax: $0.58');
+    expect(output).toContain('Balance due: $7.48');
+    expect(output).not.toContain('Net total');
+    expect(output).not.toContain('REFUNDS');
+  });
+});
+
+describe('renderReceiptHtml', () => {
+  it('escapes receipt values', () => {
+    const receipt = buildReceipt();
+    receipt.items[0].name = '<script>alert(1)</script>';
+    receipt.store.name = 'Bob & Sons';
+    const html = renderReceiptHtml(receipt);
+
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt; (1 kg)');
+    expect(html).toContain('<h1>Bob &amp; Sons</h1>');
+  });
+
+  it('uses the brand colour and shows the notice', () => {
+    const html = renderReceiptHtml(buildReceipt(), { brandColor: '#123456', notice: 'Refunded' });
+
+    expect(html).toContain('background: #123456');
+    expect(html).toContain('<div class="notice">Refunded</div>');
+    expect(html).toContain('<tr class="strong">');
+  });
+});
+
+describe('renderReceiptPdf', () => {
+  it('renders a PDF', () => {
+    const pdf = renderReceiptPdf(buildReceipt()).toString('latin1');
+
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf).toContain('(Receipt R-1001) Tj');
+    expect(pdf).toContain('($7.48) Tj');
+  });
+
+  it('falls back to the currency code when the symbol cannot be drawn', () => {
+    const pdf = renderReceiptPdf(buildReceipt({ currency: 'INR' })).toString('latin1');
+    expect(pdf).toContain('(7.48 INR) Tj');
+  });
+
+  it('moves to a new page when the items do not fit', () => {
+    const items = Array.from({ length: 80 }, (_, index) => ({
+      name: `Item ${index}`, variant: null, quantity: 1, unitPrice: 1, discount: 0, returnedQuantity: 0, totalPrice: 1
+    }));
+    const pdf = renderReceiptPdf(buildReceipt({ items })).toString('latin1');
+
+    expect(Number(/\/Count (\d+)/.exec(pdf)[1])).toBeGreaterThan(1);
+  });
+});
@@ -0,0 +1,101 @@
+const { tokenize, stem, editDistance, allowedTypos, matchQuality, highlight } = require('../textSearch');
+
+describe('tokenize', () => {
+  it('lowercases, strips accents, splits on punctuation and drops stop words', () => {
+    expect(tokenize('Crème Brûlée for the kids, 2-pack')).toEqual(['creme', 'brulee', 'kids', '2', 'pack']);
+  });
+
+  it('keeps stop words when asked', () => {
+    expect(tokenize('the best tea', { keepStopWords: true })).toEqual(['the', 'best', 'tea']);
+  });
+
+  it('returns nothing for empty or non-string input', () => {
+    expect(tokenize('')).toEqual([]);
+    expect(tokenize(null)).toEqual([]);
+    expect(tokenize(42)).toEqual([]);
+  });
+});
+
+describe('stem', () => {
+  it.each([
+    ['apples', 'apple'],
+    ['berries', 'berry'],
+    ['boxes', 'box'],
+    ['dishes', 'dish'],
+    ['glasses', 'glass'],
+    ['running', 'run'],
+    ['hopped', 'hop'],
+    ['freshly', 'fresh']
+  ])('stems %s to %s', (word, expected) => {
+    expect(stem(word)).toBe(expected);
+  });
+
+  it('leaves short words, numbers and -us/-is endings alone', () => {
+    expect(stem('tea')).toBe('tea');
+    expect(stem('1000')).toBe('1000');
+    expect(stem('bus')).toBe('bus');
+    expect(stem('iris')).toBe('iris');
+  });
+});
+
+describe('editDistance', () => {
+  it('counts insertions, deletions and substitutions', () => {
+    expect(editDistance('kitten', 'sitting', 5)).toBe(3);
+    expect(editDistance('banana', 'bandana')).toBe(1);
+    expect(editDistance('same', 'same')).toBe(0);
+  });
+
+  it('counts an adjacent transposition as one edit', () => {
+    expect(editDistance('haedphones', 'headphones')).toBe(1);
+  });
+
+  it('stops at maxDistance + 1', () => {
+    expect(editDistance('abc', 'abcdef', 2)).toBe(3);
+    expect(editDistance('kitten', 'sitting', 1)).toBe(2);
+  });
+});
+
+describe('allowedTypos', () => {
+  it('tolerates more typos in longer terms', () => {
+    expect([3, 4, 6, 7, 12].map(allowedTypos)).toEqual([0, 1, 1, 2, 2]);
+  });
+});
+
+describe('matchQuality', () => {
+  it('ranks exact, prefix and typo matches', () => {
+    expect(matchQuality({ raw: 'apples', stem: 'apple' }, 'apple')).toBe(1);
+    expect(matchQuality({ raw: 'headph', stem: 'headph' }, 'headphone')).toBe(0.8);
+    expect(matchQuality({ raw: 'chocolate', stem: 'chocolate' }, 'chocolte')).toBe(0.7);
+  });
+
+  it('does not fuzzy-match short terms', () => {
+    expect(matchQuality({ raw: 'tea', stem: 'tea' }, 'pea')).toBe(0);
+  });
+});
+
+describe('highlight', () => {
+  it('wraps matching words, whatever their inflection', () => {
+    expect(highlight('Fresh Apples from the farm', new Set(['apple']))).toBe('Fresh <mark>Apples</mark> from the farm');
+  });
+
+  it('HTML-escapes the text so catalog content cannot inject markup', () => {
+    expect(highlight('Apple <script>x</script> juice & more', new Set(['apple', 'script'])))
+      .toBe('<mark>Apple</mark> <mark>&lt;script&gt;x&lt;/script&gt;</mark> juice &amp; more');
+  });
+
+  it('uses custom tags', () => {
+    expect(highlight('Apple <b>juice</b>', new Set(['apple']), { preTag: '<em>', postTag: '</em>' }))
+      .toBe('<em>Apple</em> &lt;b&gt;juice&lt;/b&gt;');
+  });
+
+  it('trims long text to a snippet around the first match', () => {
+    const text = 'one two three four five six seven apple eight nine ten eleven';
+    expect(highlight(text, new Set(['apple']), { maxWords: 4 })).toBe('…six seven <mark>apple</mark> eight…');
+  });
+
+  it('returns null when nothing matched', () => {
+    expect(highlight('Pears', new Set(['apple']))).toBeNull();
+    expect(highlight('Pears', new Set())).toBeNull();
+    expect(highlight('', new Set(['apple']))).toBeNull();
+  });
+});
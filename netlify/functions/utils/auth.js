@@ -15,6 +15,52 @@ const JWT_SECRET = process.env.JWT_SECRET;
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '1h';
 const REFRESH_TOKEN_EXPIRES_IN = process.env.REFRESH_TOKEN_EXPIRES_IN || '7d';
 
+// User roles stored on users.role
+const ROLES = {
+  SHOPPER: 'shopper',
+  CASHIER: 'cashier',
+  STORE_MANAGER: 'store_manager',
+  ADMIN: 'admin'
+};
+
+// Permissions checked by route guards
+const PERMISSIONS = {
+  READ_PROFILE: 'read:profile',
+  UPDATE_PROFILE: 'update:profile',
+  PROCESS_REFUNDS: 'process:refunds',
+  ISSUE_GIFT_CARDS: 'issue:gift_cards',
+  FULFILL_ORDERS: 'fulfill:orders',
+  READ_INVENTORY: 'read:inventory',
+  MANAGE_CATALOG: 'manage:catalog',
+  READ_USERS: 'read:users',
+  READ_USER_STATS: 'read:user_stats',
+  MANAGE_ROLES: 'manage:roles'
+};
+
+// Each role inherits the permissions of the role before it
+const SHOPPER_PERMISSIONS = [PERMISSIONS.READ_PROFILE, PERMISSIONS.UPDATE_PROFILE];
+const CASHIER_PERMISSIONS = [
+  ...SHOPPER_PERMISSIONS,
+  PERMISSIONS.PROCESS_REFUNDS,
+  PERMISSIONS.ISSUE_GIFT_CARDS,
+  PERMISSIONS.FULFILL_ORDERS,
+  PERMISSIONS.READ_INVENTORY
+];
+const STORE_MANAGER_PERMISSIONS = [
+  ...CASHIER_PERMISSIONS,
+  PERMISSIONS.MANAGE_CATALOG,
+  PERMISSIONS.READ_USERS,
+  PERMISSIONS.READ_USER_STATS
+];
+const ADMIN_PERMISSIONS = [...STORE_MANAGER_PERMISSIONS, PERMISSIONS.MANAGE_ROLES];
+
+const ROLE_PERMISSIONS = {
+  [ROLES.SHOPPER]: SHOPPER_PERMISSIONS,
+  [ROLES.CASHIER]: CASHIER_PERMISSIONS,
+  [ROLES.STORE_MANAGER]: STORE_MANAGER_PERMISSIONS,
+  [ROLES.ADMIN]: ADMIN_PERMISSIONS
+};
+
 /**
  * Generate access and refresh tokens
  * @param {string} userId - User ID
@@ -411,7 +457,16 @@ const logUserActivity = async (userId, action, details = {}, userInfo = {}) => {
 };
 
 /**
- * Check if user has specific permissions (for future role-based access)
+ * Get the permissions granted to a role
+ * @param {string} role - User role (defaults to shopper)
+ * @returns {Array} - Permissions for the role
+ */
+const getRolePermissions = (role) => {
+  return ROLE_PERMISSIONS[role] || ROLE_PERMISSIONS[ROLES.SHOPPER];
+};
+
+/**
+ * Check if user has specific permissions
  * @param {Object} user - User object
  * @param {Array} requiredPermissions - Array of required permissions
  * @returns {boolean} - True if user has all required permissions
@@ -419,15 +474,39 @@ const logUserActivity = async (userId, action, details = {}, userInfo = {}) => {
 const hasPermissions = (user, requiredPermissions = []) => {
   if (!user || !user.is_active) return false;
   
-  // For now, all active users have basic permissions
-  // This can be extended to support role-based permissions
-  const userPermissions = user.permissions || ['read:profile', 'update:profile'];
+  // Permissions come from users.role only; there are no per-user grants
+  const userPermissions = getRolePermissions(user.role);
   
   return requiredPermissions.every(permission => 
     userPermissions.includes(permission)
   );
 };
 
+/**
+ * Authenticate a request and enforce route permissions
+ * @param {string} authHeader - Authorization header
+ * @param {Array} requiredPermissions - Permissions the route requires
+ * @returns {Promise<Object>} - Authentication result with statusCode for failures
+ */
+const authorizeUser = async (authHeader, requiredPermissions = []) => {
+  const auth = await authenticateUser(authHeader);
+  
+  if (!auth.success) {
+    return { ...auth, statusCode: 401 };
+  }
+  
+  if (!hasPermissions(auth.user, requiredPermissions)) {
+    return {
+      success: false,
+      error: 'You do not have permission to perform this action',
+      code: 'INSUFFICIENT_PERMISSIONS',
+      statusCode: 403
+    };
+  }
+  
+  return auth;
+};
+
 module.exports = {
   generateTokens,
   verifyToken,
@@ -441,5 +520,9 @@ module.exports = {
   markResetTokenAsUsed,
   extractUserInfo,
   logUserActivity,
-  hasPermissions
+  ROLES,
+  PERMISSIONS,
+  getRolePermissions,
+  hasPermissions,
+  authorizeUser
 };
\ No newline at end of file
@@ -0,0 +1,127 @@
+/**
+ * CSV parsing and serialization utilities (RFC 4180 style)
+ */
+
+/**
+ * Parse CSV text into row objects keyed by the header row
+ * @param {string} text - CSV text
+ * @returns {Object} - { headers, rows } where each row keeps its 1-based line number in `_line`
+ */
+const parseCSV = (text) => {
+  if (typeof text !== 'string') {
+    throw new Error('CSV input must be a string');
+  }
+
+  // Strip UTF-8 BOM added by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push({ values: record, line: recordLine });
+      record = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push({ values: record, line: recordLine });
+  }
+
+  // Skip blank lines
+  const nonEmpty = records.filter(r => !(r.values.length === 1 && r.values[0].trim() === ''));
+
+  if (nonEmpty.length === 0) {
+    return { headers: [], rows: [] };
+  }
+
+  const headers = nonEmpty[0].values.map(header => header.trim().toLowerCase());
+
+  const rows = nonEmpty.slice(1).map(({ values, line: rowLine }) => {
+    const row = { _line: rowLine };
+    headers.forEach((header, index) => {
+      row[header] = values[index] !== undefined ? values[index].trim() : '';
+    });
+    return row;
+  });
+
+  return { headers, rows };
+};
+
+/**
+ * Escape a single CSV value
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped CSV field
+ */
+const escapeCSVValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  const stringValue = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  if (/[",\r\n]/.test(stringValue) || stringValue !== stringValue.trim()) {
+    return `"${stringValue.replace(/"/g, '""')}"`;
+  }
+
+  return stringValue;
+};
+
+/**
+ * Serialize row objects to CSV text
+ * @param {Array} rows - Row objects
+ * @param {Array} columns - Column names, in output order
+ * @returns {string} - CSV text with a header row
+ */
+const toCSV = (rows, columns) => {
+  const lines = [columns.map(escapeCSVValue).join(',')];
+
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCSVValue(row[column])).join(','));
+  });
+
+  return lines.join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  parseCSV,
+  toCSV,
+  escapeCSVValue
+};
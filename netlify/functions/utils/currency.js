@@ -0,0 +1,146 @@
+/**
+ * Currency helpers: minor units, rounding and display formatting.
+ * Amounts are stored in major units (e.g. 12.50 USD, 1250 JPY). Stripe takes minor units,
+ * and currencies differ in how many decimals they have: JPY and KRW have none, KWD and BHD have three.
+ */
+
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+
+// Stripe's zero-decimal currencies
+const ZERO_DECIMAL_CURRENCIES = [
+  'BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA',
+  'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'
+];
+
+const THREE_DECIMAL_CURRENCIES = ['BHD', 'JOD', 'KWD', 'OMR', 'TND'];
+
+/**
+ * Normalize a currency code
+ * @param {string} currency - ISO 4217 code in any case
+ * @returns {string} - Upper-case code (base currency when empty)
+ */
+const normalizeCurrency = (currency) => (currency ? String(currency).trim().toUpperCase() : BASE_CURRENCY);
+
+/**
+ * Check that a code is a currency this runtime can format
+ * @param {string} currency - ISO 4217 code
+ * @returns {boolean} - True when valid
+ */
+const isValidCurrency = (currency) => {
+  if (!/^[A-Za-z]{3}$/.test(currency || '')) return false;
+  try {
+    new Intl.NumberFormat('en-US', { style: 'currency', currency });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Number of decimals of a currency
+ * @param {string} currency - ISO 4217 code
+ * @returns {number} - 0, 2 or 3
+ */
+const getMinorUnits = (currency) => {
+  const code = normalizeCurrency(currency);
+  if (ZERO_DECIMAL_CURRENCIES.includes(code)) return 0;
+  if (THREE_DECIMAL_CURRENCIES.includes(code)) return 3;
+  return 2;
+};
+
+/**
+ * Round an amount to the precision of its currency
+ * @param {number} amount - Amount in major units
+ * @param {string} currency - ISO 4217 code
+ * @returns {number} - Rounded amount
+ */
+const roundMoney = (amount, currency) => {
+  const factor = Math.pow(10, getMinorUnits(currency));
+  return Math.round(Number(amount) * factor) / factor;
+};
+
+/**
+ * Convert a major-unit amount to the integer Stripe expects
+ * @param {number} amount - Amount in major units
+ * @param {string} currency - ISO 4217 code
+ * @returns {number} - Amount in minor units
+ */
+const toMinorUnits = (amount, currency) => {
+  const units = Math.round(Number(amount) * Math.pow(10, getMinorUnits(currency)));
+  // Stripe only accepts three-decimal amounts that are a multiple of 10
+  return getMinorUnits(currency) === 3 ? Math.round(units / 10) * 10 : units;
+};
+
+/**
+ * Convert a Stripe minor-unit amount back to major units
+ * @param {number} units - Amount in minor units
+ * @param {string} currency - ISO 4217 code
+ * @returns {number} - Amount in major units
+ */
+const fromMinorUnits = (units, currency) => Number(units) / Math.pow(10, getMinorUnits(currency));
+
+/**
+ * Convert a base-currency amount at an exchange rate
+ * @param {number} amount - Amount in the base currency
+ * @param {string} currency - Target currency
+ * @param {number} rate - Units of target currency per unit of base currency
+ * @returns {number} - Converted amount, rounded to the target currency
+ */
+const convertFromBase = (amount, currency, rate) => roundMoney(Number(amount) * rate, currency);
+
+/**
+ * Convert the fixed amounts of a promotion or coupon (percentages are left alone)
+ * @param {Object} rule - Promotion or coupon record
+ * @param {Array} fields - Amount fields of the record
+ * @param {string} currency - Target currency
+ * @param {number} rate - Exchange rate
+ * @returns {Object} - Record with converted amounts
+ */
+const convertRuleAmounts = (rule, fields, currency, rate) => {
+  if (!rate || rate === 1) {
+    return rule;
+  }
+
+  return fields.reduce((converted, field) => {
+    if (converted[field] !== null && converted[field] !== undefined) {
+      converted[field] = convertFromBase(converted[field], currency, rate);
+    }
+    return converted;
+  }, { ...rule });
+};
+
+/**
+ * Format an amount for display (and for the support assistant to read out)
+ * @param {number} amount - Amount in major units
+ * @param {string} currency - ISO 4217 code
+ * @param {string} locale - BCP 47 locale
+ * @returns {string} - e.g. "$12.50", "¥1,250", "12,50 €"
+ */
+const formatMoney = (amount, currency, locale = 'en-US') => {
+  const code = normalizeCurrency(currency);
+  const digits = getMinorUnits(code);
+
+  try {
+    return new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency: code,
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits
+    }).format(Number(amount) || 0);
+  } catch (error) {
+    return `${(Number(amount) || 0).toFixed(digits)} ${code}`;
+  }
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  normalizeCurrency,
+  isValidCurrency,
+  getMinorUnits,
+  roundMoney,
+  toMinorUnits,
+  fromMinorUnits,
+  convertFromBase,
+  convertRuleAmounts,
+  formatMoney
+};
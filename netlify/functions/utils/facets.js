@@ -0,0 +1,218 @@
+/**
+ * Facet helpers for product listing and search responses
+ * Counts are disjunctive: each facet is counted under every active filter except its own,
+ * so selecting a brand still shows how many results the other brands would give.
+ */
+
+// Upper bounds are exclusive; the last bucket is open-ended
+const PRICE_BUCKETS = [
+  { min: 0, max: 5 },
+  { min: 5, max: 10 },
+  { min: 10, max: 25 },
+  { min: 25, max: 50 },
+  { min: 50, max: 100 },
+  { min: 100, max: 250 },
+  { min: 250, max: 500 },
+  { min: 500, max: 1000 },
+  { min: 1000, max: null }
+];
+
+// "N stars & up" bands
+const RATING_BANDS = [4, 3, 2, 1];
+
+/**
+ * Normalize listing/search query filters into facet filters
+ * @param {Object} filters - Raw filters (brand may be a comma-separated list)
+ * @returns {Object} - Normalized filters
+ */
+const normalizeFacetFilters = (filters = {}) => {
+  const brands = Array.isArray(filters.brand)
+    ? filters.brand
+    : typeof filters.brand === 'string'
+      ? filters.brand.split(',')
+      : [];
+
+  const toNumber = (value) => {
+    if (value === undefined || value === null || value === '') return undefined;
+    const number = parseFloat(value);
+    return isNaN(number) ? undefined : number;
+  };
+
+  return {
+    category_id: filters.category_id || undefined,
+    subcategory_id: filters.subcategory_id || undefined,
+    brands: brands.map(brand => brand.trim()).filter(Boolean),
+    min_price: toNumber(filters.min_price),
+    max_price: toNumber(filters.max_price),
+    in_stock: filters.in_stock === true || filters.in_stock === 'true',
+    min_rating: toNumber(filters.min_rating)
+  };
+};
+
+/**
+ * Whether a product can still be bought (stock held by carts does not count when known)
+ * @param {Object} product - Product row
+ * @returns {boolean} - True when in stock
+ */
+const isInStock = (product) => {
+  const quantity = product.available_quantity !== undefined ? product.available_quantity : product.stock_quantity;
+  return quantity > 0;
+};
+
+/**
+ * Price the shopper actually pays
+ * @param {Object} product - Product row
+ * @returns {number} - Effective price
+ */
+const getEffectivePrice = (product) => {
+  if (product.effective_price !== undefined && product.effective_price !== null) {
+    return Number(product.effective_price);
+  }
+  return Number(product.discount_price || product.price || 0);
+};
+
+/**
+ * Check a product against normalized facet filters
+ * @param {Object} product - Product row
+ * @param {Object} filters - Normalized filters
+ * @param {Array} exclude - Facets to ignore ('category', 'subcategory', 'brand', 'price', 'availability', 'rating')
+ * @returns {boolean} - True when the product passes
+ */
+const matchesFacetFilters = (product, filters, exclude = []) => {
+  const skip = (facet) => exclude.includes(facet);
+
+  if (!skip('category') && filters.category_id && product.category_id !== filters.category_id) return false;
+  if (!skip('subcategory') && filters.subcategory_id && product.subcategory_id !== filters.subcategory_id) return false;
+  if (!skip('brand') && filters.brands.length > 0 && !filters.brands.includes(product.brand)) return false;
+
+  if (!skip('price')) {
+    const price = getEffectivePrice(product);
+    if (filters.min_price !== undefined && price < filters.min_price) return false;
+    if (filters.max_price !== undefined && price > filters.max_price) return false;
+  }
+
+  if (!skip('availability') && filters.in_stock && !isInStock(product)) return false;
+  if (!skip('rating') && filters.min_rating !== undefined && (Number(product.rating) || 0) < filters.min_rating) return false;
+
+  return true;
+};
+
+/**
+ * Count occurrences of a key across products
+ * @param {Array} products - Products
+ * @param {Function} getKey - Key accessor
+ * @returns {Map} - Counts keyed by value
+ */
+const countBy = (products, getKey) => {
+  const counts = new Map();
+  products.forEach(product => {
+    const key = getKey(product);
+    if (key === null || key === undefined || key === '') return;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return counts;
+};
+
+/**
+ * Compute facets for a candidate product set
+ * @param {Array} products - Candidates (already narrowed by non-facet criteria such as search text)
+ * @param {Object} filters - Normalized filters from normalizeFacetFilters
+ * @param {Array} categories - Category rows ({ id, name, parent_id }) for labels
+ * @returns {Object} - Facets with counts
+ */
+const computeFacets = (products, filters, categories = []) => {
+  const except = (...facets) => products.filter(product => matchesFacetFilters(product, filters, facets));
+  const categoryNames = new Map(categories.map(category => [category.id, category.name]));
+
+  // Brands
+  const brandCounts = countBy(except('brand'), product => product.brand);
+  filters.brands.forEach(brand => {
+    if (!brandCounts.has(brand)) brandCounts.set(brand, 0);
+  });
+  const brands = [...brandCounts.entries()]
+    .map(([value, count]) => ({ value, count, selected: filters.brands.includes(value) }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+
+  // Price buckets
+  const pricedProducts = except('price');
+  const priceRange = pricedProducts.reduce((range, product) => {
+    const price = getEffectivePrice(product);
+    return {
+      min: range.min === null ? price : Math.min(range.min, price),
+      max: range.max === null ? price : Math.max(range.max, price)
+    };
+  }, { min: null, max: null });
+  const prices = PRICE_BUCKETS
+    .map(bucket => ({
+      ...bucket,
+      count: pricedProducts.filter(product => {
+        const price = getEffectivePrice(product);
+        return price >= bucket.min && (bucket.max === null || price < bucket.max);
+      }).length
+    }))
+    .filter(bucket => bucket.count > 0);
+
+  // Categories and subcategories
+  const categoryCounts = countBy(except('category', 'subcategory'), product => product.category_id);
+  const subcategoryProducts = except('subcategory');
+  const subcategoryCounts = countBy(subcategoryProducts, product => product.subcategory_id);
+  const subcategoryParents = new Map();
+  subcategoryProducts.forEach(product => {
+    if (product.subcategory_id) subcategoryParents.set(product.subcategory_id, product.category_id);
+  });
+  const categoryFacets = [...categoryCounts.entries()]
+    .map(([id, count]) => ({
+      id,
+      name: categoryNames.get(id) || null,
+      count,
+      selected: filters.category_id === id,
+      subcategories: [...subcategoryCounts.entries()]
+        .filter(([subcategoryId]) => subcategoryParents.get(subcategoryId) === id)
+        .map(([subcategoryId, subcategoryCount]) => ({
+          id: subcategoryId,
+          name: categoryNames.get(subcategoryId) || null,
+          count: subcategoryCount,
+          selected: filters.subcategory_id === subcategoryId
+        }))
+        .sort((a, b) => b.count - a.count)
+    }))
+    .sort((a, b) => b.count - a.count);
+
+  // Rating bands
+  const ratedProducts = except('rating');
+  const ratings = RATING_BANDS.map(minRating => ({
+    min_rating: minRating,
+    count: ratedProducts.filter(product => (Number(product.rating) || 0) >= minRating).length,
+    selected: filters.min_rating === minRating
+  }));
+
+  // Availability
+  const availabilityProducts = except('availability');
+  const inStockCount = availabilityProducts.filter(isInStock).length;
+
+  return {
+    total: except().length,
+    brands,
+    prices: {
+      min: priceRange.min,
+      max: priceRange.max,
+      buckets: prices
+    },
+    categories: categoryFacets,
+    ratings,
+    availability: {
+      in_stock: inStockCount,
+      out_of_stock: availabilityProducts.length - inStockCount,
+      selected: filters.in_stock
+    }
+  };
+};
+
+module.exports = {
+  PRICE_BUCKETS,
+  RATING_BANDS,
+  normalizeFacetFilters,
+  getEffectivePrice,
+  matchesFacetFilters,
+  computeFacets
+};
@@ -0,0 +1,260 @@
+/**
+ * Idempotency-Key support for mutating endpoints.
+ * The first request with a key runs and its response is stored; retries with the same key
+ * and the same request get that response replayed instead of running again. Reusing a key
+ * for a different request is rejected. A claim holds a short lease while the request runs, so
+ * a retry can take the key over when the first attempt died without releasing it.
+ */
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+const { createErrorResponse } = require('./response');
+
+const IDEMPOTENT_METHODS = ['POST', 'PUT', 'DELETE'];
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+const KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+// Must outlast the function timeout, or a slow first attempt could be taken over while it still runs
+const LOCK_SECONDS = parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS) || 60;
+
+/**
+ * End of a new processing lease
+ * @returns {string} - ISO timestamp
+ */
+const leaseUntil = () => new Date(Date.now() + LOCK_SECONDS * 1000).toISOString();
+
+/**
+ * Read the Idempotency-Key header
+ * @param {Object} headers - Request headers
+ * @returns {string|null} - Key, or null when absent
+ */
+const getIdempotencyKey = (headers = {}) => {
+  const name = Object.keys(headers).find(header => header.toLowerCase() === 'idempotency-key');
+  return name ? String(headers[name]).trim() : null;
+};
+
+/**
+ * Sort object keys recursively so equivalent JSON bodies hash the same
+ * @param {*} value - Parsed JSON value
+ * @returns {*} - Canonical value
+ */
+const canonicalize = (value) => {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((result, key) => {
+      result[key] = canonicalize(value[key]);
+      return result;
+    }, {});
+  }
+  return value;
+};
+
+/**
+ * Fingerprint a request so a reused key can be matched to the request it was first used for
+ * @param {Object} event - Netlify function event
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashRequest = (event) => {
+  let body = event.body || '';
+  try {
+    body = body ? JSON.stringify(canonicalize(JSON.parse(body))) : '';
+  } catch (error) {
+    // Not JSON; hash it as sent
+  }
+
+  return crypto
+    .createHash('sha256')
+    .update(`${event.httpMethod}\n${event.path}\n${body}`)
+    .digest('hex');
+};
+
+/**
+ * Return a stored response, marked as a replay
+ * @param {Object} record - idempotency_keys row
+ * @returns {Object} - Netlify function response
+ */
+const replayResponse = (record) => ({
+  statusCode: record.response_status,
+  headers: {
+    ...(record.response_headers || {}),
+    'Idempotent-Replayed': 'true'
+  },
+  body: record.response_body
+});
+
+/**
+ * Claim a key for this request
+ * @param {string} userId - User UUID
+ * @param {string} key - Idempotency key
+ * @param {Object} event - Netlify function event
+ * @param {string} requestHash - Request fingerprint
+ * @returns {Promise<Object>} - { claimed: true, id, lockedUntil } or { claimed: false, record }
+ */
+const claimKey = async (userId, key, event, requestHash) => {
+  const lockedUntil = leaseUntil();
+  const { data: claimed, error } = await supabaseAdmin
+    .from('idempotency_keys')
+    .insert([{
+      user_id: userId,
+      idempotency_key: key,
+      request_method: event.httpMethod,
+      request_path: event.path,
+      request_hash: requestHash,
+      status: 'processing',
+      locked_until: lockedUntil,
+      expires_at: new Date(Date.now() + KEY_TTL_HOURS * 60 * 60 * 1000).toISOString()
+    }])
+    .select('id')
+    .single();
+
+  if (!error) {
+    return { claimed: true, id: claimed.id, lockedUntil };
+  }
+
+  // 23505: the key is already taken
+  if (error.code !== '23505') {
+    throw new Error(`Failed to store idempotency key: ${error.message}`);
+  }
+
+  const { data: record, error: fetchError } = await supabaseAdmin
+    .from('idempotency_keys')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('idempotency_key', key)
+    .single();
+
+  if (fetchError) {
+    throw new Error(`Failed to fetch idempotency key: ${fetchError.message}`);
+  }
+
+  // An expired key is free to be used again
+  if (new Date(record.expires_at) <= new Date()) {
+    await supabaseAdmin.from('idempotency_keys').delete().eq('id', record.id);
+    return claimKey(userId, key, event, requestHash);
+  }
+
+  // The first attempt died mid-request (timeout, crash); the same request may take its lease over
+  if (record.status === 'processing' && record.request_hash === requestHash &&
+    new Date(record.locked_until) <= new Date()) {
+    const takeover = await takeOverKey(record);
+    if (takeover) return takeover;
+    return claimKey(userId, key, event, requestHash);
+  }
+
+  return { claimed: false, record };
+};
+
+/**
+ * Take over a processing key whose lease has run out
+ * @param {Object} record - Stale idempotency_keys row
+ * @returns {Promise<Object|null>} - Claim, or null when another retry got there first
+ */
+const takeOverKey = async (record) => {
+  const lockedUntil = leaseUntil();
+  const { data: taken, error } = await supabaseAdmin
+    .from('idempotency_keys')
+    .update({ locked_until: lockedUntil })
+    .eq('id', record.id)
+    .eq('status', 'processing')
+    .eq('locked_until', record.locked_until)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to take over idempotency key: ${error.message}`);
+  }
+
+  return taken && taken.length > 0 ? { claimed: true, id: record.id, lockedUntil } : null;
+};
+
+/**
+ * Give a key back so the request can be retried (used when it failed with a server error)
+ * @param {Object} claim - Claim from claimKey (only released while its lease is still ours)
+ * @returns {Promise<void>}
+ */
+const releaseKey = async (claim) => {
+  const { error } = await supabaseAdmin
+    .from('idempotency_keys')
+    .delete()
+    .eq('id', claim.id)
+    .eq('locked_until', claim.lockedUntil);
+
+  if (error) {
+    console.error('Idempotency key release failed:', error);
+  }
+};
+
+/**
+ * Run a mutating request at most once per Idempotency-Key.
+ * Requests without the header, and non-mutating methods, run as usual.
+ * @param {Object} event - Netlify function event
+ * @param {string} userId - Authenticated user UUID (keys are scoped per user)
+ * @param {Function} handler - Async function producing the response
+ * @param {Object} options - { redactBody } maps the response body to the body that is stored
+ *   and replayed, for responses holding secrets that must not be kept
+ * @returns {Promise<Object>} - Netlify function response
+ */
+const withIdempotency = async (event, userId, handler, options = {}) => {
+  const key = getIdempotencyKey(event.headers);
+
+  if (!key || !IDEMPOTENT_METHODS.includes(event.httpMethod)) {
+    return handler();
+  }
+
+  if (!KEY_PATTERN.test(key)) {
+    return createErrorResponse(400, 'Idempotency-Key must be 1-255 printable ASCII characters');
+  }
+
+  const requestHash = hashRequest(event);
+  const claim = await claimKey(userId, key, event, requestHash);
+
+  if (!claim.claimed) {
+    const { record } = claim;
+
+    if (record.request_hash !== requestHash) {
+      return createErrorResponse(422, 'Idempotency-Key was already used for a different request');
+    }
+
+    if (record.status !== 'completed') {
+      return createErrorResponse(409, 'A request with this Idempotency-Key is still being processed');
+    }
+
+    return replayResponse(record);
+  }
+
+  let response;
+  try {
+    response = await handler();
+  } catch (error) {
+    await releaseKey(claim);
+    throw error;
+  }
+
+  // Server errors are not stored, so the retry runs the request again
+  if (response.statusCode >= 500) {
+    await releaseKey(claim);
+    return response;
+  }
+
+  const { error } = await supabaseAdmin
+    .from('idempotency_keys')
+    .update({
+      status: 'completed',
+      response_status: response.statusCode,
+      response_headers: response.headers || {},
+      response_body: options.redactBody ? options.redactBody(response.body) : response.body,
+      completed_at: new Date().toISOString()
+    })
+    .eq('id', claim.id)
+    .eq('locked_until', claim.lockedUntil);
+
+  if (error) {
+    console.error('Idempotency response store failed:', error);
+  }
+
+  return response;
+};
+
+module.exports = {
+  getIdempotencyKey,
+  hashRequest,
+  withIdempotency
+};
@@ -0,0 +1,239 @@
+/**
+ * Minimal PDF writer for generated documents (receipts)
+ * Draws text in the standard Helvetica fonts, lines and filled rectangles; no external dependencies.
+ * Coordinates are in points from the top-left corner of the page.
+ */
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126, from the standard font metrics.
+// Helvetica-Bold is measured with the same table; digits and punctuation have the same widths.
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const DEFAULT_WIDTH = 556;
+
+// Characters outside Latin-1 that WinAnsiEncoding places in 0x80-0x9F
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85,
+  '†': 0x86, '‡': 0x87, 'ˆ': 0x88, '‰': 0x89, 'Š': 0x8A,
+  '‹': 0x8B, 'Œ': 0x8C, 'Ž': 0x8E, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97,
+  '˜': 0x98, '™': 0x99, 'š': 0x9A, '›': 0x9B, 'œ': 0x9C,
+  'ž': 0x9E, 'Ÿ': 0x9F
+};
+
+// Narrow and thin spaces used by Intl number formats
+const SPACES = /[\u00A0\u2009\u202F]/g;
+
+const PAGE_SIZES = {
+  letter: [612, 792],
+  a4: [595.28, 841.89]
+};
+
+/**
+ * Byte of a character in WinAnsiEncoding
+ * @param {string} char - Single character
+ * @returns {number|null} - Byte, or null when the standard fonts cannot show it
+ */
+const toWinAnsi = (char) => {
+  const code = char.charCodeAt(0);
+
+  if ((code >= 0x20 && code <= 0x7E) || (code >= 0xA0 && code <= 0xFF)) {
+    return code;
+  }
+
+  return WIN_ANSI_EXTRAS[char] ?? null;
+};
+
+/**
+ * Whether text can be drawn with the standard fonts
+ * @param {string} text - Text
+ * @returns {boolean}
+ */
+const canEncode = (text) => {
+  return Array.from(String(text).replace(SPACES, ' ')).every(char => toWinAnsi(char) !== null);
+};
+
+/**
+ * Encode text as a PDF string literal; characters the fonts cannot show become '?'
+ * @param {string} text - Text
+ * @returns {string} - Literal including its parentheses, as a binary string
+ */
+const encodeText = (text) => {
+  const bytes = Array.from(String(text).replace(SPACES, ' ').replace(/[\r\n\t]/g, ' '), char => {
+    const byte = toWinAnsi(char) ?? 0x3F;
+    return [0x28, 0x29, 0x5C].includes(byte) ? `\\${String.fromCharCode(byte)}` : String.fromCharCode(byte);
+  });
+
+  return `(${bytes.join('')})`;
+};
+
+/**
+ * Width of text in points
+ * @param {string} text - Text
+ * @param {number} size - Font size
+ * @returns {number}
+ */
+const measureText = (text, size) => {
+  const units = Array.from(String(text)).reduce((sum, char) => {
+    const code = char.charCodeAt(0);
+    return sum + (code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : DEFAULT_WIDTH);
+  }, 0);
+
+  return (units * size) / 1000;
+};
+
+/**
+ * Break text into lines that fit a width (words longer than a line are cut)
+ * @param {string} text - Text
+ * @param {number} maxWidth - Line width in points
+ * @param {number} size - Font size
+ * @returns {Array<string>} - Lines
+ */
+const wrapText = (text, maxWidth, size) => {
+  const lines = [];
+  let line = '';
+
+  String(text).split(/\s+/).filter(Boolean).forEach(word => {
+    const candidate = line ? `${line} ${word}` : word;
+
+    if (measureText(candidate, size) <= maxWidth) {
+      line = candidate;
+      return;
+    }
+
+    if (line) {
+      lines.push(line);
+    }
+
+    line = word;
+    while (measureText(line, size) > maxWidth && line.length > 1) {
+      let cut = line.length - 1;
+      while (cut > 1 && measureText(line.slice(0, cut), size) > maxWidth) {
+        cut--;
+      }
+      lines.push(line.slice(0, cut));
+      line = line.slice(cut);
+    }
+  });
+
+  if (line || lines.length === 0) {
+    lines.push(line);
+  }
+
+  return lines;
+};
+
+/**
+ * PDF colour operands from a #RRGGBB colour
+ * @param {string|null} hex - Colour (black when omitted)
+ * @returns {string} - "r g b"
+ */
+const toRGB = (hex) => {
+  const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+  const channels = match ? match.slice(1).map(channel => parseInt(channel, 16) / 255) : [0, 0, 0];
+  return channels.map(channel => Number(channel.toFixed(3))).join(' ');
+};
+
+/**
+ * Start a PDF document
+ * @param {Object} options - { size: 'letter' | 'a4', title }
+ * @returns {Object} - Document with addPage, text, line, rect and toBuffer
+ */
+const createPdf = (options = {}) => {
+  const [width, height] = PAGE_SIZES[options.size] || PAGE_SIZES.letter;
+  const pages = [];
+  let operations = null;
+
+  const draw = (operation) => {
+    if (!operations) {
+      doc.addPage();
+    }
+    operations.push(`q\n${operation}\nQ`);
+    return doc;
+  };
+
+  const doc = {
+    width,
+    height,
+
+    addPage() {
+      operations = [];
+      pages.push(operations);
+      return doc;
+    },
+
+    /**
+     * @param {string} text - Text (one line)
+     * @param {number} x - Left edge, or right edge when align is 'right'
+     * @param {number} y - Baseline
+     * @param {Object} style - { size, bold, color, align }
+     */
+    text(text, x, y, style = {}) {
+      const size = style.size || 10;
+      const left = style.align === 'right' ? x - measureText(text, size) : x;
+      const font = style.bold ? 'F2' : 'F1';
+      return draw(`BT\n/${font} ${size} Tf\n${toRGB(style.color)} rg\n${left.toFixed(2)} ${(height - y).toFixed(2)} Td\n${encodeText(text)} Tj\nET`);
+    },
+
+    line(x1, y1, x2, y2, style = {}) {
+      return draw(`${toRGB(style.color)} RG\n${style.width || 0.5} w\n${x1.toFixed(2)} ${(height - y1).toFixed(2)} m\n${x2.toFixed(2)} ${(height - y2).toFixed(2)} l\nS`);
+    },
+
+    rect(x, y, rectWidth, rectHeight, style = {}) {
+      return draw(`${toRGB(style.color)} rg\n${x.toFixed(2)} ${(height - y - rectHeight).toFixed(2)} ${rectWidth.toFixed(2)} ${rectHeight.toFixed(2)} re\nf`);
+    },
+
+    /**
+     * Serialize the document
+     * @returns {Buffer} - PDF file
+     */
+    toBuffer() {
+      if (pages.length === 0) {
+        doc.addPage();
+      }
+
+      // Objects 1-5 are fixed; each page adds a page object and its content stream
+      const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pages.map((page, index) => `${6 + index * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+        `<< /Title ${encodeText(options.title || 'Document')} /Producer (VR Marketplace) >>`
+      ];
+
+      pages.forEach((page, index) => {
+        const content = page.join('\n');
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${7 + index * 2} 0 R >>`);
+        objects.push(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+      });
+
+      let output = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+      const offsets = objects.map((object, index) => {
+        const offset = Buffer.byteLength(output, 'latin1');
+        output += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+      });
+
+      const xrefOffset = Buffer.byteLength(output, 'latin1');
+      output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+      output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+      return Buffer.from(output, 'latin1');
+    }
+  };
+
+  return doc;
+};
+
+module.exports = {
+  createPdf,
+  measureText,
+  wrapText,
+  canEncode
+};
@@ -0,0 +1,206 @@
+/**
+ * Promotion rules engine for cart and checkout pricing.
+ * Cart lines are expanded into single units so every rule type (percentage, BOGO,
+ * bundles...) can discount individual units, and a unit is never discounted below zero.
+ * Promotions run in priority order; a non-stackable promotion only touches units
+ * no earlier promotion has discounted.
+ */
+
+const { roundMoney } = require('./currency');
+
+const PROMOTION_TYPES = ['percentage', 'fixed_amount', 'bogo', 'buy_x_get_y', 'category_sale', 'bundle'];
+
+/**
+ * Check whether a promotion is running at a given time
+ * @param {Object} promotion - Promotion row
+ * @param {Date} now - Evaluation time
+ * @returns {boolean} - True when active and inside its schedule
+ */
+const isPromotionLive = (promotion, now = new Date()) => {
+  if (!promotion.is_active) return false;
+  if (promotion.starts_at && new Date(promotion.starts_at) > now) return false;
+  if (promotion.ends_at && new Date(promotion.ends_at) <= now) return false;
+  return true;
+};
+
+/**
+ * Check whether a unit falls inside a promotion's product/category scope
+ * @param {Object} promotion - Promotion row
+ * @param {Object} unit - Expanded cart unit
+ * @returns {boolean} - True when eligible
+ */
+const isUnitInScope = (promotion, unit) => {
+  const productIds = promotion.product_ids || [];
+  const categoryIds = promotion.category_ids || [];
+
+  if (productIds.length === 0 && categoryIds.length === 0) {
+    return promotion.promotion_type !== 'category_sale';
+  }
+
+  return productIds.includes(unit.productId) ||
+    categoryIds.includes(unit.categoryId) ||
+    (unit.subcategoryId !== null && categoryIds.includes(unit.subcategoryId));
+};
+
+/**
+ * Expand cart lines into single units
+ * @param {Array} cartItems - Cart lines with embedded product
+ * @returns {Array} - Units with their remaining (discountable) price
+ */
+const expandUnits = (cartItems) => {
+  const units = [];
+
+  cartItems.forEach(item => {
+    for (let i = 0; i < item.quantity; i++) {
+      units.push({
+        lineId: item.id,
+        productId: item.product_id,
+        categoryId: item.product?.category_id || null,
+        subcategoryId: item.product?.subcategory_id || null,
+        price: Number(item.unit_price),
+        remaining: Number(item.unit_price),
+        discounted: false
+      });
+    }
+  });
+
+  return units;
+};
+
+/**
+ * Work out the per-unit discounts one promotion gives
+ * @param {Object} promotion - Promotion row
+ * @param {Array} units - Units the promotion may touch
+ * @returns {Array} - [unit, amount] pairs
+ */
+const computePromotionDiscounts = (promotion, units) => {
+  const value = Number(promotion.discount_value) || 0;
+  const byPriceDesc = [...units].sort((a, b) => b.remaining - a.remaining);
+
+  switch (promotion.promotion_type) {
+    case 'percentage':
+    case 'category_sale':
+      return units.map(unit => [unit, unit.remaining * Math.min(value, 100) / 100]);
+
+    case 'fixed_amount': {
+      // Spread the amount across eligible units in proportion to their price
+      const pool = units.reduce((sum, unit) => sum + unit.remaining, 0);
+      if (pool <= 0) return [];
+      const amount = Math.min(value, pool);
+      return units.map(unit => [unit, amount * unit.remaining / pool]);
+    }
+
+    case 'bogo':
+    case 'buy_x_get_y': {
+      // In each group of (buy + get) units, the cheapest "get" units are discounted
+      const buyQuantity = promotion.promotion_type === 'bogo' ? 1 : promotion.buy_quantity;
+      const getQuantity = promotion.promotion_type === 'bogo' ? 1 : promotion.get_quantity;
+      const getPercent = promotion.promotion_type === 'bogo' ? 100 : Number(promotion.discount_value ?? 100);
+      const groupSize = buyQuantity + getQuantity;
+      const groups = Math.floor(byPriceDesc.length / groupSize);
+      if (groups === 0) return [];
+
+      // The most expensive units are paid for; the cheapest ones are the "get" units
+      return byPriceDesc
+        .slice(byPriceDesc.length - groups * getQuantity)
+        .map(unit => [unit, unit.remaining * Math.min(getPercent, 100) / 100]);
+    }
+
+    case 'bundle': {
+      // Each complete set of the bundle products sells for the bundle price
+      const bundleProducts = promotion.product_ids || [];
+      const bundlePrice = Number(promotion.bundle_price);
+      if (bundleProducts.length < 2 || !(bundlePrice >= 0)) return [];
+
+      const pools = bundleProducts.map(productId => byPriceDesc.filter(unit => unit.productId === productId));
+      const sets = Math.min(...pools.map(pool => pool.length));
+      const discounts = [];
+
+      for (let set = 0; set < sets; set++) {
+        const setUnits = pools.map(pool => pool[set]);
+        const setPrice = setUnits.reduce((sum, unit) => sum + unit.remaining, 0);
+        if (setPrice <= bundlePrice) continue;
+
+        const saving = setPrice - bundlePrice;
+        setUnits.forEach(unit => discounts.push([unit, saving * unit.remaining / setPrice]));
+      }
+
+      return discounts;
+    }
+
+    default:
+      return [];
+  }
+};
+
+/**
+ * Evaluate live promotions against cart lines
+ * @param {Array} cartItems - Cart lines ({ id, product_id, quantity, unit_price, product: { category_id, subcategory_id } })
+ * @param {Array} promotions - Promotion rows
+ * @param {Object} options - Evaluation options
+ * @param {Date} options.now - Evaluation time (defaults to now)
+ * @param {string} options.currency - Currency of the cart prices (base currency when omitted)
+ * @returns {Object} - { appliedPromotions, lineDiscounts, discountAmount }
+ */
+const evaluatePromotions = (cartItems, promotions, options = {}) => {
+  const now = options.now || new Date();
+  const roundCurrency = (amount) => roundMoney(amount, options.currency);
+  const units = expandUnits(cartItems);
+  const subtotal = units.reduce((sum, unit) => sum + unit.price, 0);
+  const lineDiscounts = {};
+  const appliedPromotions = [];
+
+  const livePromotions = promotions
+    .filter(promotion => PROMOTION_TYPES.includes(promotion.promotion_type) && isPromotionLive(promotion, now))
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+
+  livePromotions.forEach(promotion => {
+    if (promotion.min_subtotal && subtotal < Number(promotion.min_subtotal)) return;
+
+    const candidates = units.filter(unit =>
+      unit.remaining > 0 &&
+      (promotion.stackable || !unit.discounted) &&
+      (promotion.promotion_type === 'bundle' || isUnitInScope(promotion, unit))
+    );
+
+    let promotionTotal = 0;
+    const lineIds = new Set();
+
+    computePromotionDiscounts(promotion, candidates).forEach(([unit, amount]) => {
+      const applied = Math.min(unit.remaining, amount);
+      if (applied <= 0) return;
+
+      unit.remaining -= applied;
+      unit.discounted = true;
+      promotionTotal += applied;
+      lineDiscounts[unit.lineId] = (lineDiscounts[unit.lineId] || 0) + applied;
+      lineIds.add(unit.lineId);
+    });
+
+    if (promotionTotal > 0) {
+      appliedPromotions.push({
+        id: promotion.id,
+        name: promotion.name,
+        type: promotion.promotion_type,
+        discountAmount: roundCurrency(promotionTotal),
+        lineItemIds: [...lineIds]
+      });
+    }
+  });
+
+  Object.keys(lineDiscounts).forEach(lineId => {
+    lineDiscounts[lineId] = roundCurrency(lineDiscounts[lineId]);
+  });
+
+  return {
+    appliedPromotions,
+    lineDiscounts,
+    discountAmount: roundCurrency(appliedPromotions.reduce((sum, promotion) => sum + promotion.discountAmount, 0))
+  };
+};
+
+module.exports = {
+  PROMOTION_TYPES,
+  isPromotionLive,
+  evaluatePromotions
+};
@@ -0,0 +1,362 @@
+/**
+ * Receipt rendering: branded HTML page, plain text (email fallback) and PDF
+ * All three take the receipt object built by VRPaymentService.generateReceipt.
+ */
+
+const { formatMoney, getMinorUnits } = require('./currency');
+const { createPdf, wrapText, canEncode } = require('./pdf');
+
+const PAYMENT_METHOD_LABELS = {
+  cash: 'Cash',
+  stripe: 'Card',
+  split: 'Split payment',
+  store_credit: 'Store credit'
+};
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Value
+ * @returns {string}
+ */
+const escapeHtml = (value) => {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Format a receipt date
+ * @param {string|null} date - ISO date
+ * @returns {string}
+ */
+const formatDate = (date) => {
+  if (!date) {
+    return '';
+  }
+
+  return new Date(date).toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone: 'UTC',
+    timeZoneName: 'short'
+  });
+};
+
+/**
+ * Label of a payment method
+ * @param {string} method - Payment method
+ * @returns {string}
+ */
+const methodLabel = (method) => PAYMENT_METHOD_LABELS[method] || method;
+
+/**
+ * Lines shared by every format, in print order
+ * @param {Object} receipt - Receipt
+ * @param {Function} money - Formats an amount in the receipt currency
+ * @returns {Object} - { items, totals, tenders, refunds }
+ */
+const buildSections = (receipt, money) => {
+  const items = receipt.items.map(item => ({
+    name: item.variant ? `${item.name} (${item.variant})` : item.name,
+    detail: [
+      `${item.quantity} x ${money(item.unitPrice)}`,
+      item.discount > 0 ? `discount -${money(item.discount)}` : null,
+      item.returnedQuantity > 0 ? `${item.returnedQuantity} returned` : null
+    ].filter(Boolean).join(' · '),
+    amount: money(item.totalPrice)
+  }));
+
+  const totals = [
+    { label: 'Subtotal', amount: money(receipt.totals.subtotal) },
+    ...receipt.promotions.map(promotion => ({ label: promotion.name, amount: `-${money(promotion.discountAmount)}` })),
+    ...(receipt.coupon ? [{ label: `Coupon ${receipt.coupon.code}`, amount: `-${money(receipt.coupon.discountAmount)}` }] : []),
+    ...(receipt.totals.taxBreakdown.length > 0
+      ? receipt.totals.taxBreakdown.map(entry => ({ label: `${entry.name} (${Number((entry.rate * 100).toFixed(3))}%)`, amount: money(entry.taxAmount) }))
+      : [{ label: 'Tax', amount: money(receipt.totals.taxAmount) }]),
+    { label: 'Total', amount: money(receipt.totals.totalAmount), strong: true },
+    ...(receipt.totals.refundedAmount > 0
+      ? [
+        { label: 'Refunded', amount: `-${money(receipt.totals.refundedAmount)}` },
+        { label: 'Net total', amount: money(receipt.totals.netAmount), strong: true }
+      ]
+      : [])
+  ];
+
+  const tenders = receipt.payment.tenders.map(tender => ({
+    label: [
+      methodLabel(tender.method),
+      tender.method === 'cash' && tender.cashReceived ? `received ${money(tender.cashReceived)}, change ${money(tender.changeGiven || 0)}` : null,
+      tender.transactionId ? tender.transactionId : null
+    ].filter(Boolean).join(' · '),
+    amount: money(tender.amount)
+  }));
+
+  if (receipt.payment.balanceDue > 0) {
+    tenders.push({ label: 'Balance due', amount: money(receipt.payment.balanceDue), strong: true });
+  }
+
+  const refunds = receipt.refunds.map(refund => ({
+    label: `${formatDate(refund.refundedAt)} · ${refund.reason || 'Refund'}`,
+    detail: [
+      ...refund.items.map(item => `${item.quantity} x ${item.name}`),
+      ...refund.tenders.map(tender => `${methodLabel(tender.method)} ${money(tender.amount)}`),
+      refund.storeCredit > 0 ? `Store credit ${money(refund.storeCredit)}` : null
+    ].filter(Boolean).join(' · '),
+    amount: `-${money(refund.amount)}`
+  }));
+
+  return { items, totals, tenders, refunds };
+};
+
+/**
+ * Render a receipt as a standalone HTML page
+ * @param {Object} receipt - Receipt
+ * @param {Object} options - { brandColor, notice } (notice is a line shown above the items, e.g. for refunds)
+ * @returns {string} - HTML document
+ */
+const renderReceiptHtml = (receipt, options = {}) => {
+  const brandColor = options.brandColor || '#667eea';
+  const money = (amount) => escapeHtml(formatMoney(amount, receipt.currency));
+  const { items, totals, tenders, refunds } = buildSections(receipt, money);
+  const { store } = receipt;
+
+  const row = (entry) => `
+          <tr${entry.strong ? ' class="strong"' : ''}>
+            <td>${escapeHtml(entry.label)}</td>
+            <td class="amount">${entry.amount}</td>
+          </tr>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(store.name)} receipt ${escapeHtml(receipt.receiptNumber)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.5; color: #333; background: #f4f4f7; margin: 0; padding: 20px; }
+    .receipt { max-width: 600px; margin: 0 auto; background: #fff; border-radius: 10px; overflow: hidden; }
+    .header { background: ${brandColor}; color: #fff; padding: 24px 30px; }
+    .header h1 { margin: 0; font-size: 24px; }
+    .header p { margin: 4px 0 0; font-size: 14px; opacity: 0.9; }
+    .content { padding: 24px 30px; }
+    .meta { font-size: 14px; color: #666; margin-bottom: 20px; }
+    .notice { background: #fff3cd; color: #856404; padding: 12px 15px; border-radius: 5px; margin-bottom: 20px; }
+    h2 { font-size: 16px; border-bottom: 2px solid ${brandColor}; padding-bottom: 4px; margin: 24px 0 8px; }
+    table { width: 100%; border-collapse: collapse; font-size: 14px; }
+    td { padding: 6px 0; vertical-align: top; }
+    td.amount { text-align: right; white-space: nowrap; padding-left: 12px; }
+    .detail { font-size: 12px; color: #666; }
+    tr.strong td { font-weight: bold; border-top: 1px solid #ddd; }
+    .footer { padding: 20px 30px; font-size: 12px; color: #666; text-align: center; border-top: 1px solid #eee; }
+  </style>
+</head>
+<body>
+  <div class="receipt">
+    <div class="header">
+      <h1>${escapeHtml(store.name)}</h1>
+      <p>${escapeHtml([store.location, store.address].filter(Boolean).join(' · '))}</p>
+    </div>
+    <div class="content">
+      <div class="meta">
+        Receipt <strong>${escapeHtml(receipt.receiptNumber)}</strong> · Order ${escapeHtml(receipt.orderNumber)}<br>
+        ${escapeHtml(formatDate(receipt.payment.processedAt || receipt.date))}<br>
+        ${escapeHtml(receipt.customer.name)} · ${escapeHtml(receipt.customer.email)}
+      </div>
+      ${options.notice ? `<div class="notice">${escapeHtml(options.notice)}</div>` : ''}
+      <h2>Items</h2>
+      <table>${items.map(item => `
+          <tr>
+            <td>${escapeHtml(item.name)}<div class="detail">${escapeHtml(item.detail)}</div></td>
+            <td class="amount">${item.amount}</td>
+          </tr>`).join('')}
+      </table>
+      <table>${totals.map(row).join('')}
+      </table>
+      <h2>Payment</h2>
+      <table>${tenders.length > 0 ? tenders.map(row).join('') : row({ label: methodLabel(receipt.payment.method), amount: escapeHtml(receipt.payment.status) })}
+      </table>${refunds.length > 0 ? `
+      <h2>Refunds</h2>
+      <table>${refunds.map(refund => `
+          <tr>
+            <td>${escapeHtml(refund.label)}<div class="detail">${escapeHtml(refund.detail)}</div></td>
+            <td class="amount">${refund.amount}</td>
+          </tr>`).join('')}
+      </table>` : ''}
+    </div>
+    <div class="footer">
+      ${escapeHtml([store.phone, store.website, store.email].filter(Boolean).join(' · '))}<br>
+      Thank you for shopping with ${escapeHtml(store.name)}!
+    </div>
+  </div>
+</body>
+</html>
+`;
+};
+
+/**
+ * Render a receipt as plain text (for email clients without HTML)
+ * @param {Object} receipt - Receipt
+ * @param {Object} options - { notice }
+ * @returns {string}
+ */
+const renderReceiptText = (receipt, options = {}) => {
+  const money = (amount) => formatMoney(amount, receipt.currency);
+  const { items, totals, tenders, refunds } = buildSections(receipt, money);
+  const { store } = receipt;
+  const line = (label, amount) => `${label}: ${amount}`;
+
+  return [
+    store.name,
+    [store.location, store.address].filter(Boolean).join(', '),
+    '',
+    `Receipt ${receipt.receiptNumber} (order ${receipt.orderNumber})`,
+    formatDate(receipt.payment.processedAt || receipt.date),
+    ...(options.notice ? ['', options.notice] : []),
+    '',
+    'ITEMS',
+    ...items.map(item => `${line(item.name, item.amount)}\n  ${item.detail}`),
+    '',
+    ...totals.map(entry => line(entry.label, entry.amount)),
+    '',
+    'PAYMENT',
+    ...(tenders.length > 0 ? tenders.map(entry => line(entry.label, entry.amount)) : [line(methodLabel(receipt.payment.method), receipt.payment.status)]),
+    ...(refunds.length > 0 ? ['', 'REFUNDS', ...refunds.map(refund => `${line(refund.label, refund.amount)}\n  ${refund.detail}`)] : []),
+    '',
+    [store.phone, store.website, store.email].filter(Boolean).join(' | '),
+    `Thank you for shopping with ${store.name}!`
+  ].join('\n');
+};
+
+/**
+ * Render a receipt as a PDF
+ * @param {Object} receipt - Receipt
+ * @param {Object} options - { brandColor, notice }
+ * @returns {Buffer} - PDF file
+ */
+const renderReceiptPdf = (receipt, options = {}) => {
+  const brandColor = options.brandColor || '#667eea';
+  // The standard PDF fonts have no glyph for some currency symbols; use the code instead
+  const money = (amount) => {
+    const formatted = formatMoney(amount, receipt.currency);
+    return canEncode(formatted)
+      ? formatted
+      : `${(Number(amount) || 0).toFixed(getMinorUnits(receipt.currency))} ${receipt.currency}`;
+  };
+  const { items, totals, tenders, refunds } = buildSections(receipt, money);
+  const { store } = receipt;
+
+  const doc = createPdf({ title: `${store.name} receipt ${receipt.receiptNumber}` });
+  const margin = 50;
+  const right = doc.width - margin;
+  const labelWidth = right - margin - 110;
+  const bottom = doc.height - margin;
+  let y = 0;
+
+  const newPage = () => {
+    doc.addPage();
+    doc.rect(0, 0, doc.width, 6, { color: brandColor });
+    y = margin;
+  };
+
+  const ensureSpace = (needed) => {
+    if (y + needed > bottom) {
+      newPage();
+    }
+  };
+
+  const heading = (title) => {
+    ensureSpace(40);
+    y += 18;
+    doc.text(title, margin, y, { size: 12, bold: true, color: brandColor });
+    y += 6;
+    doc.line(margin, y, right, y, { color: brandColor, width: 1 });
+    y += 16;
+  };
+
+  const entry = (label, amount, detail = null, strong = false) => {
+    const labelLines = wrapText(label, labelWidth, 10);
+    const detailLines = detail ? wrapText(detail, labelWidth, 8) : [];
+    ensureSpace(labelLines.length * 13 + detailLines.length * 11 + 4);
+
+    if (strong) {
+      doc.line(margin, y - 10, right, y - 10, { color: '#dddddd' });
+    }
+
+    doc.text(amount, right, y, { align: 'right', bold: strong });
+    labelLines.forEach(text => {
+      doc.text(text, margin, y, { bold: strong });
+      y += 13;
+    });
+    detailLines.forEach(text => {
+      doc.text(text, margin, y - 2, { size: 8, color: '#666666' });
+      y += 11;
+    });
+    y += 4;
+  };
+
+  // Header band
+  doc.addPage();
+  doc.rect(0, 0, doc.width, 90, { color: brandColor });
+  doc.text(store.name, margin, 45, { size: 22, bold: true, color: '#ffffff' });
+  doc.text([store.location, store.address].filter(Boolean).join(' · '), margin, 68, { size: 10, color: '#ffffff' });
+  y = 120;
+
+  doc.text(`Receipt ${receipt.receiptNumber}`, margin, y, { size: 11, bold: true });
+  doc.text(`Order ${receipt.orderNumber}`, right, y, { align: 'right' });
+  y += 15;
+  doc.text(formatDate(receipt.payment.processedAt || receipt.date), margin, y, { color: '#666666' });
+  y += 15;
+  doc.text(`${receipt.customer.name} · ${receipt.customer.email}`, margin, y, { color: '#666666' });
+  y += 10;
+
+  if (options.notice) {
+    const noticeLines = wrapText(options.notice, right - margin - 20, 10);
+    y += 10;
+    doc.rect(margin, y, right - margin, noticeLines.length * 13 + 12, { color: '#fff3cd' });
+    noticeLines.forEach(text => {
+      y += 13;
+      doc.text(text, margin + 10, y + 2, { color: '#856404' });
+    });
+    y += 12;
+  }
+
+  heading('Items');
+  items.forEach(item => entry(item.name, item.amount, item.detail));
+  y += 6;
+  totals.forEach(total => entry(total.label, total.amount, null, total.strong));
+
+  heading('Payment');
+  if (tenders.length > 0) {
+    tenders.forEach(tender => entry(tender.label, tender.amount, null, tender.strong));
+  } else {
+    entry(methodLabel(receipt.payment.method), receipt.payment.status);
+  }
+
+  if (refunds.length > 0) {
+    heading('Refunds');
+    refunds.forEach(refund => entry(refund.label, refund.amount, refund.detail));
+  }
+
+  ensureSpace(40);
+  y += 20;
+  doc.line(margin, y, right, y, { color: '#eeeeee' });
+  y += 16;
+  doc.text([store.phone, store.website, store.email].filter(Boolean).join(' · '), margin, y, { size: 9, color: '#666666' });
+  y += 13;
+  doc.text(`Thank you for shopping with ${store.name}!`, margin, y, { size: 9, color: '#666666' });
+
+  return doc.toBuffer();
+};
+
+module.exports = {
+  escapeHtml,
+  renderReceiptHtml,
+  renderReceiptText,
+  renderReceiptPdf
+};
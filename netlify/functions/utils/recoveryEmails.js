@@ -0,0 +1,116 @@
+/**
+ * Abandoned-cart recovery email: branded HTML and plain text
+ * Both take the cart from VRShoppingService.getShoppingCart and a link that restores it.
+ */
+
+const { formatMoney } = require('./currency');
+const { escapeHtml } = require('./receipts');
+const { getVariantLabel } = require('./variants');
+
+/**
+ * Cart lines as shown in the email
+ * @param {Object} cart - Cart
+ * @returns {Array<Object>} - { name, detail, amount }
+ */
+const buildLines = (cart) => {
+  return (cart.items || []).map(item => {
+    const variant = getVariantLabel(item.variant);
+    const name = item.product ? item.product.name : 'Product';
+
+    return {
+      name: variant ? `${name} (${variant})` : name,
+      detail: `${item.quantity} × ${formatMoney(item.unit_price, cart.currency)}`,
+      amount: formatMoney(item.total_price, cart.currency)
+    };
+  });
+};
+
+/**
+ * Render the recovery email as HTML
+ * @param {Object} cart - Cart
+ * @param {Object} options - { storeName, brandColor, customerName, restoreUrl }
+ * @returns {string} - HTML document
+ */
+const renderRecoveryEmailHtml = (cart, options) => {
+  const brandColor = options.brandColor || '#667eea';
+  const lines = buildLines(cart);
+  const total = formatMoney(cart.totalAfterDiscounts, cart.currency);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(options.storeName)} - Your cart is waiting</title>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.5; color: #333; background: #f4f4f7; margin: 0; padding: 20px; }
+    .email { max-width: 600px; margin: 0 auto; background: #fff; border-radius: 10px; overflow: hidden; }
+    .header { background: ${brandColor}; color: #fff; padding: 24px 30px; }
+    .header h1 { margin: 0; font-size: 24px; }
+    .content { padding: 24px 30px; }
+    table { width: 100%; border-collapse: collapse; font-size: 14px; margin: 16px 0; }
+    td { padding: 6px 0; vertical-align: top; border-bottom: 1px solid #eee; }
+    td.amount { text-align: right; white-space: nowrap; padding-left: 12px; }
+    .detail { font-size: 12px; color: #666; }
+    tr.strong td { font-weight: bold; border-bottom: none; }
+    .button { display: inline-block; background: ${brandColor}; color: #fff !important; text-decoration: none; padding: 12px 24px; border-radius: 5px; font-weight: bold; }
+    .footer { padding: 20px 30px; font-size: 12px; color: #666; text-align: center; border-top: 1px solid #eee; }
+  </style>
+</head>
+<body>
+  <div class="email">
+    <div class="header">
+      <h1>${escapeHtml(options.storeName)}</h1>
+    </div>
+    <div class="content">
+      <p>Hi ${escapeHtml(options.customerName || 'there')},</p>
+      <p>You left some items in your cart. We've kept them for you:</p>
+      <table>${lines.map(line => `
+          <tr>
+            <td>${escapeHtml(line.name)}<div class="detail">${escapeHtml(line.detail)}</div></td>
+            <td class="amount">${escapeHtml(line.amount)}</td>
+          </tr>`).join('')}
+          <tr class="strong">
+            <td>Total</td>
+            <td class="amount">${escapeHtml(total)}</td>
+          </tr>
+      </table>
+      <p><a class="button" href="${escapeHtml(options.restoreUrl)}">Return to your cart</a></p>
+      <p class="detail">Prices and stock are checked again when you come back.</p>
+    </div>
+    <div class="footer">
+      You are receiving this because you left items in your cart at ${escapeHtml(options.storeName)}.
+    </div>
+  </div>
+</body>
+</html>
+`;
+};
+
+/**
+ * Render the recovery email as plain text (for email clients without HTML)
+ * @param {Object} cart - Cart
+ * @param {Object} options - { storeName, customerName, restoreUrl }
+ * @returns {string}
+ */
+const renderRecoveryEmailText = (cart, options) => {
+  return [
+    `Hi ${options.customerName || 'there'},`,
+    '',
+    'You left some items in your cart. We\'ve kept them for you:',
+    '',
+    ...buildLines(cart).map(line => `${line.name}: ${line.amount}\n  ${line.detail}`),
+    '',
+    `Total: ${formatMoney(cart.totalAfterDiscounts, cart.currency)}`,
+    '',
+    `Return to your cart: ${options.restoreUrl}`,
+    'Prices and stock are checked again when you come back.',
+    '',
+    options.storeName
+  ].join('\n');
+};
+
+module.exports = {
+  renderRecoveryEmailHtml,
+  renderRecoveryEmailText
+};
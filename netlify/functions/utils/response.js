@@ -17,9 +17,10 @@ const createResponse = (statusCode, data, message = null) => {
     headers: {
       'Content-Type': 'application/json',
       'Access-Control-Allow-Origin': process.env.ALLOWED_ORIGINS || '*',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With, Idempotency-Key',
       'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
       'Access-Control-Allow-Credentials': 'true',
+      'Access-Control-Expose-Headers': 'Idempotent-Replayed',
       'Cache-Control': 'no-cache, no-store, must-revalidate',
       'Pragma': 'no-cache',
       'Expires': '0'
@@ -150,7 +151,7 @@ const createCorsResponse = () => {
     statusCode: 200,
     headers: {
       'Access-Control-Allow-Origin': process.env.ALLOWED_ORIGINS || '*',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With, Idempotency-Key',
       'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
       'Access-Control-Allow-Credentials': 'true',
       'Access-Control-Max-Age': '86400' // 24 hours
@@ -159,6 +160,31 @@ const createCorsResponse = () => {
   };
 };
 
+/**
+ * Create a file download response (CSV exports, PDFs, etc.)
+ * @param {string|Buffer} content - File content (Buffers are sent base64 encoded)
+ * @param {string} contentType - MIME type of the file
+ * @param {string} filename - Suggested download filename
+ * @returns {Object} Netlify function response object
+ */
+const createFileResponse = (content, contentType, filename) => {
+  return {
+    statusCode: 200,
+    headers: {
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Access-Control-Allow-Origin': process.env.ALLOWED_ORIGINS || '*',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With, Idempotency-Key',
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+      'Access-Control-Allow-Credentials': 'true',
+      'Access-Control-Expose-Headers': 'Content-Disposition',
+      'Cache-Control': 'no-cache, no-store, must-revalidate'
+    },
+    body: Buffer.isBuffer(content) ? content.toString('base64') : content,
+    isBase64Encoded: Buffer.isBuffer(content)
+  };
+};
+
 module.exports = {
   createResponse,
   createErrorResponse,
@@ -171,5 +197,6 @@ module.exports = {
   createMethodNotAllowedResponse,
   createRateLimitResponse,
   createInternalServerErrorResponse,
-  createCorsResponse
+  createCorsResponse,
+  createFileResponse
 };
\ No newline at end of file
@@ -0,0 +1,168 @@
+/**
+ * Sales tax calculation for cart and checkout pricing.
+ * Rates belong to a store region and apply to a product category, or to the whole region
+ * when they have no category. A line uses the most specific rates that match it
+ * (subcategory, then category, then region default); rates at the same level stack,
+ * e.g. state and city tax. An exempt rate at the matching level makes the line tax-free.
+ * Tax is charged on what the shopper pays: line price minus promotions and its share of the coupon.
+ */
+
+const { roundMoney } = require('./currency');
+
+/**
+ * Check whether a rate is in effect at a given time
+ * @param {Object} rate - tax_rates row
+ * @param {Date} now - Evaluation time
+ * @returns {boolean} - True when active and inside its effective dates
+ */
+const isRateEffective = (rate, now = new Date()) => {
+  if (rate.is_active === false) return false;
+  if (rate.effective_from && new Date(rate.effective_from) > now) return false;
+  if (rate.effective_until && new Date(rate.effective_until) <= now) return false;
+  return true;
+};
+
+/**
+ * Pick the rates that apply to a product
+ * @param {Array} rates - Effective rates of the store region
+ * @param {Object} product - Product with category_id and subcategory_id
+ * @returns {Object} - { rates, exempt }
+ */
+const resolveLineRates = (rates, product = {}) => {
+  const levels = [product.subcategory_id, product.category_id].filter(Boolean).concat([null]);
+
+  for (const categoryId of levels) {
+    const matched = rates.filter(rate => (rate.category_id || null) === categoryId);
+
+    if (matched.length > 0) {
+      const exempt = matched.some(rate => rate.is_exempt);
+      return { rates: exempt ? [] : matched, exempt };
+    }
+  }
+
+  return { rates: [], exempt: false };
+};
+
+/**
+ * Spread an order-level discount over lines in proportion to their price
+ * @param {Array} lines - [{ id, amount, eligible }]
+ * @param {number} discount - Amount to spread
+ * @param {Function} roundCurrency - Rounds to the cart currency
+ * @returns {Object} - lineId => share
+ */
+const allocateDiscount = (lines, discount, roundCurrency) => {
+  const shares = {};
+  const eligible = lines.filter(line => line.eligible && line.amount > 0);
+  const eligibleTotal = eligible.reduce((sum, line) => sum + line.amount, 0);
+
+  if (!discount || eligibleTotal <= 0) {
+    return shares;
+  }
+
+  let allocated = 0;
+  eligible.forEach((line, index) => {
+    // The last line takes the rounding remainder so the shares add up to the discount
+    const share = index === eligible.length - 1
+      ? roundCurrency(Math.min(discount, eligibleTotal) - allocated)
+      : roundCurrency(Math.min(discount, eligibleTotal) * line.amount / eligibleTotal);
+    shares[line.id] = share;
+    allocated = roundCurrency(allocated + share);
+  });
+
+  return shares;
+};
+
+/**
+ * Calculate tax for cart lines
+ * @param {Array} cartItems - Cart lines ({ id, total_price, promotion_discount, product: { category_id, subcategory_id } })
+ * @param {Array} rates - Rates of the store region
+ * @param {Object} options - Calculation options
+ * @param {Object} options.coupon - Applied coupon ({ discountAmount, categoryIds })
+ * @param {Date} options.now - Evaluation time (defaults to now)
+ * @param {string} options.currency - Currency of the cart prices (base currency when omitted)
+ * @returns {Object} - { lines, breakdown, taxAmount }
+ */
+const calculateTax = (cartItems, rates, options = {}) => {
+  const { coupon = null, now = new Date(), currency } = options;
+  const roundCurrency = (amount) => roundMoney(amount, currency);
+  const effectiveRates = (rates || []).filter(rate => isRateEffective(rate, now));
+  const couponCategories = coupon?.categoryIds || [];
+
+  const lineAmounts = cartItems.map(item => ({
+    id: item.id,
+    amount: Math.max(0, item.total_price - (item.promotion_discount || 0)),
+    eligible: couponCategories.length === 0 ||
+      couponCategories.includes(item.product?.category_id) ||
+      couponCategories.includes(item.product?.subcategory_id)
+  }));
+
+  const couponShares = allocateDiscount(lineAmounts, coupon?.discountAmount || 0, roundCurrency);
+  const byRate = new Map();
+  const lines = {};
+
+  lineAmounts.forEach((line, index) => {
+    const { rates: lineRates, exempt } = resolveLineRates(effectiveRates, cartItems[index].product);
+    const taxableAmount = roundCurrency(Math.max(0, line.amount - (couponShares[line.id] || 0)));
+
+    const breakdown = lineRates.map(rate => ({
+      taxRateId: rate.id || null,
+      name: rate.name,
+      rate: Number(rate.rate),
+      taxableAmount,
+      taxAmount: roundCurrency(taxableAmount * Number(rate.rate))
+    }));
+
+    breakdown.forEach(entry => {
+      const key = entry.taxRateId || entry.name;
+      const total = byRate.get(key) || { ...entry, taxableAmount: 0, taxAmount: 0 };
+      total.taxableAmount = roundCurrency(total.taxableAmount + entry.taxableAmount);
+      total.taxAmount = roundCurrency(total.taxAmount + entry.taxAmount);
+      byRate.set(key, total);
+    });
+
+    lines[line.id] = {
+      taxableAmount,
+      taxAmount: roundCurrency(breakdown.reduce((sum, entry) => sum + entry.taxAmount, 0)),
+      exempt,
+      breakdown
+    };
+  });
+
+  return {
+    lines,
+    breakdown: Array.from(byRate.values()),
+    taxAmount: roundCurrency(Object.values(lines).reduce((sum, line) => sum + line.taxAmount, 0))
+  };
+};
+
+/**
+ * Add one line's tax breakdown to another's, per rate (for cart lines merged into one order line)
+ * @param {Array} breakdown - Breakdown so far
+ * @param {Array} entries - Breakdown to add
+ * @param {string} currency - Currency of the amounts
+ * @returns {Array} - Merged breakdown
+ */
+const mergeTaxBreakdown = (breakdown, entries, currency) => {
+  const merged = breakdown.map(entry => ({ ...entry }));
+
+  entries.forEach(entry => {
+    const key = entry.taxRateId || entry.name;
+    const existing = merged.find(candidate => (candidate.taxRateId || candidate.name) === key);
+
+    if (existing) {
+      existing.taxableAmount = roundMoney(existing.taxableAmount + entry.taxableAmount, currency);
+      existing.taxAmount = roundMoney(existing.taxAmount + entry.taxAmount, currency);
+    } else {
+      merged.push({ ...entry });
+    }
+  });
+
+  return merged;
+};
+
+module.exports = {
+  isRateEffective,
+  resolveLineRates,
+  calculateTax,
+  mergeTaxBreakdown
+};
@@ -0,0 +1,193 @@
+/**
+ * Text analysis helpers for product search: tokenizing, stemming,
+ * typo-tolerant term matching and match highlighting
+ */
+
+const { escapeHtml } = require('./receipts');
+
+// Words that carry no product meaning in shopper queries
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'buy', 'by', 'can', 'do', 'find', 'for', 'from',
+  'get', 'have', 'i', 'in', 'is', 'it', 'looking', 'me', 'my', 'need', 'of', 'on', 'or',
+  'please', 'show', 'some', 'the', 'to', 'want', 'with', 'you'
+]);
+
+/**
+ * Lowercase, strip accents and split text into word tokens
+ * @param {string} text - Input text
+ * @param {Object} options - Tokenizer options
+ * @param {boolean} options.keepStopWords - Keep stop words (used for highlighting)
+ * @returns {Array} - Tokens
+ */
+const tokenize = (text, options = {}) => {
+  if (!text || typeof text !== 'string') return [];
+
+  const tokens = text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+  return options.keepStopWords ? tokens : tokens.filter(token => !STOP_WORDS.has(token));
+};
+
+/**
+ * Light English suffix stemmer so "apples", "berries" and "boxes" match "apple", "berry" and "box"
+ * @param {string} token - Lowercase token
+ * @returns {string} - Stem
+ */
+const stem = (token) => {
+  if (!token || token.length <= 3 || /^\d+$/.test(token)) return token;
+
+  let word = token;
+
+  if (word.endsWith('ies') && word.length > 4) {
+    word = `${word.slice(0, -3)}y`;
+  } else if (word.endsWith('sses')) {
+    word = word.slice(0, -2);
+  } else if (/(s|x|z|ch|sh)es$/.test(word)) {
+    word = word.slice(0, -2);
+  } else if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) {
+    word = word.slice(0, -1);
+  }
+
+  if (word.endsWith('ing') && word.length > 5) {
+    word = word.slice(0, -3);
+    if (/([^aeiouslz])\1$/.test(word)) word = word.slice(0, -1);
+  } else if (word.endsWith('ed') && word.length > 4) {
+    word = word.slice(0, -2);
+    if (/([^aeiouslz])\1$/.test(word)) word = word.slice(0, -1);
+  } else if (word.endsWith('ly') && word.length > 4) {
+    word = word.slice(0, -2);
+  }
+
+  return word;
+};
+
+/**
+ * Optimal string alignment (restricted Damerau-Levenshtein) distance with early exit
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} maxDistance - Stop once the distance is known to exceed this
+ * @returns {number} - Edit distance, or maxDistance + 1 when exceeded
+ */
+const editDistance = (a, b, maxDistance = 2) => {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+
+      // Adjacent transposition ("haedphones")
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > maxDistance) return maxDistance + 1;
+
+    prevPrev = prev;
+    prev = current;
+  }
+
+  return prev[b.length];
+};
+
+/**
+ * Number of typos tolerated for a query term of the given length
+ * @param {number} length - Term length
+ * @returns {number} - Allowed edit distance
+ */
+const allowedTypos = (length) => {
+  if (length < 4) return 0;
+  if (length < 7) return 1;
+  return 2;
+};
+
+/**
+ * Score how well a query term matches an index term
+ * @param {Object} queryTerm - { raw, stem } of the query token
+ * @param {string} indexTerm - Stemmed index term
+ * @returns {number} - Match quality between 0 and 1
+ */
+const matchQuality = (queryTerm, indexTerm) => {
+  if (queryTerm.stem === indexTerm || queryTerm.raw === indexTerm) return 1;
+
+  // Prefix matches support type-ahead ("headph")
+  if (queryTerm.raw.length >= 3 && indexTerm.startsWith(queryTerm.raw)) return 0.8;
+
+  const maxDistance = allowedTypos(queryTerm.raw.length);
+  if (maxDistance === 0) return 0;
+
+  const distance = Math.min(
+    editDistance(queryTerm.stem, indexTerm, maxDistance),
+    editDistance(queryTerm.raw, indexTerm, maxDistance)
+  );
+
+  if (distance > maxDistance) return 0;
+  return distance === 1 ? 0.7 : 0.5;
+};
+
+/**
+ * Wrap words whose stems are in matchedStems with highlight tags
+ * The result is HTML: the text itself is escaped, so catalog content can't inject markup,
+ * and only the highlight tags are left as tags.
+ * @param {string} text - Original (plain) text
+ * @param {Set} matchedStems - Stems that matched the query
+ * @param {Object} options - Highlight options
+ * @param {number} options.maxWords - Trim to a snippet of about this many words around the first match
+ * @param {string} options.preTag - Opening tag
+ * @param {string} options.postTag - Closing tag
+ * @returns {string|null} - Highlighted HTML, or null when nothing matched
+ */
+const highlight = (text, matchedStems, options = {}) => {
+  if (!text || matchedStems.size === 0) return null;
+
+  const { maxWords = null, preTag = '<mark>', postTag = '</mark>' } = options;
+  const parts = text.split(/(\s+)/);
+  let firstMatch = -1;
+
+  const highlighted = parts.map((part, index) => {
+    if (!part.trim()) return part;
+
+    const isMatch = tokenize(part, { keepStopWords: true }).some(token => matchedStems.has(stem(token)));
+    if (!isMatch) return escapeHtml(part);
+
+    if (firstMatch === -1) firstMatch = index;
+    return `${preTag}${escapeHtml(part)}${postTag}`;
+  });
+
+  if (firstMatch === -1) return null;
+
+  if (!maxWords || parts.length <= maxWords * 2) {
+    return highlighted.join('');
+  }
+
+  // parts alternate word/whitespace, so word counts are doubled
+  const start = Math.max(0, firstMatch - Math.floor(maxWords / 2) * 2);
+  const end = Math.min(parts.length, start + maxWords * 2);
+
+  return `${start > 0 ? '…' : ''}${highlighted.slice(start, end).join('').trim()}${end < parts.length ? '…' : ''}`;
+};
+
+module.exports = {
+  STOP_WORDS,
+  tokenize,
+  stem,
+  editDistance,
+  allowedTypos,
+  matchQuality,
+  highlight
+};
@@ -4,6 +4,8 @@
  * Includes OTP validation, product validation, cart validation, and more
  */
 
+const { isValidCurrency } = require('./currency');
+
 /**
  * Validate email format with comprehensive checks
  * @param {string} email - Email to validate
@@ -436,7 +438,7 @@ const validateProfileUpdateData = (data) => {
   }
   
   // Check if at least one field is provided for update
-  const allowedFields = ['name', 'email', 'phoneNumber', 'dateOfBirth', 'profileImageUrl'];
+  const allowedFields = ['name', 'email', 'phoneNumber', 'dateOfBirth', 'profileImageUrl', 'preferred_currency'];
   const providedFields = Object.keys(data).filter(key => 
     allowedFields.includes(key) && data[key] !== undefined && data[key] !== null
   );
@@ -499,6 +501,14 @@ const validateProfileUpdateData = (data) => {
     }
   }
   
+  if (data.preferred_currency !== undefined && data.preferred_currency !== null) {
+    if (!isValidCurrency(data.preferred_currency)) {
+      errors.push('Preferred currency must be a 3-letter ISO 4217 code (e.g. USD, EUR, JPY)');
+    } else {
+      cleanData.preferred_currency = data.preferred_currency.trim().toUpperCase();
+    }
+  }
+  
   return {
     isValid: errors.length === 0,
     errors,
@@ -725,7 +735,16 @@ const validateCartItem = (itemData) => {
   } else {
     validated.product_id = itemData.product_id;
   }
-  
+
+  // Variant ID validation (optional, required by the service for variant products)
+  if (itemData.variant_id !== undefined && itemData.variant_id !== null) {
+    if (!isValidUUID(itemData.variant_id)) {
+      errors.push('Invalid variant ID format');
+    } else {
+      validated.variant_id = itemData.variant_id;
+    }
+  }
+
   // Quantity validation
   if (itemData.quantity !== undefined) {
     const quantity = parseInt(itemData.quantity);
@@ -747,6 +766,1218 @@ const validateCartItem = (itemData) => {
   };
 };
 
+/**
+ * Validate product review data
+ * @param {Object} reviewData - Review data (rating, title, review_text)
+ * @param {Object} options - Validation options
+ * @param {boolean} options.partial - Allow partial data for review edits
+ * @returns {Object} - Validation result
+ */
+const validateReviewData = (reviewData, options = {}) => {
+  const errors = [];
+  const validated = {};
+  const { partial = false } = options;
+
+  if (!reviewData || typeof reviewData !== 'object') {
+    errors.push('Invalid review data');
+    return { isValid: false, errors };
+  }
+
+  // Rating validation (whole stars only)
+  if (reviewData.rating === undefined || reviewData.rating === null) {
+    if (!partial) {
+      errors.push('Rating is required');
+    }
+  } else {
+    const rating = Number(reviewData.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      errors.push('Rating must be a whole number between 1 and 5');
+    } else {
+      validated.rating = rating;
+    }
+  }
+
+  // Title validation (optional)
+  if (reviewData.title !== undefined && reviewData.title !== null) {
+    if (typeof reviewData.title !== 'string') {
+      errors.push('Review title must be a string');
+    } else if (reviewData.title.trim().length > 100) {
+      errors.push('Review title is too long (maximum 100 characters)');
+    } else {
+      validated.title = sanitizeString(reviewData.title) || null;
+    }
+  }
+
+  // Review text validation
+  if (reviewData.review_text === undefined || reviewData.review_text === null) {
+    if (!partial) {
+      errors.push('Review text is required');
+    }
+  } else if (typeof reviewData.review_text !== 'string') {
+    errors.push('Review text must be a string');
+  } else if (reviewData.review_text.trim().length < 10) {
+    errors.push('Review text must be at least 10 characters long');
+  } else if (reviewData.review_text.trim().length > 2000) {
+    errors.push('Review text is too long (maximum 2000 characters)');
+  } else {
+    validated.review_text = sanitizeString(reviewData.review_text);
+  }
+
+  if (partial && errors.length === 0 && Object.keys(validated).length === 0) {
+    errors.push('At least one of rating, title or review_text must be provided');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    validated
+  };
+};
+
+/**
+ * Validate product shelf position (shelf, compartment and slot)
+ * @param {Object} shelfPosition - Shelf position object
+ * @returns {Object} - Validation result
+ */
+const validateShelfPosition = (shelfPosition) => {
+  const errors = [];
+  const validated = {};
+
+  if (!shelfPosition || typeof shelfPosition !== 'object' || Array.isArray(shelfPosition)) {
+    errors.push('Shelf position must be an object with shelf_id, compartment and position');
+    return { isValid: false, errors, validated: null };
+  }
+
+  const shelfId = Number(shelfPosition.shelf_id);
+  if (!Number.isInteger(shelfId) || shelfId < 1) {
+    errors.push('Shelf ID must be a positive whole number');
+  } else {
+    validated.shelf_id = shelfId;
+  }
+
+  const validCompartments = ['top', 'middle', 'bottom'];
+  if (!validCompartments.includes(shelfPosition.compartment)) {
+    errors.push(`Shelf compartment must be one of: ${validCompartments.join(', ')}`);
+  } else {
+    validated.compartment = shelfPosition.compartment;
+  }
+
+  if (shelfPosition.position !== undefined) {
+    const position = Number(shelfPosition.position);
+    if (!Number.isInteger(position) || position < 0) {
+      errors.push('Shelf slot position must be a non-negative whole number');
+    } else {
+      validated.position = position;
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    validated
+  };
+};
+
+/**
+ * Validate catalog product data for admin create/update
+ * @param {Object} productData - Product data
+ * @param {Object} options - Validation options
+ * @param {boolean} options.partial - Only validate provided fields (updates)
+ * @returns {Object} - Validation result
+ */
+const validateProductData = (productData, options = {}) => {
+  const errors = [];
+  const validated = {};
+  const { partial = false } = options;
+
+  if (!productData || typeof productData !== 'object') {
+    errors.push('Invalid product data');
+    return { isValid: false, errors };
+  }
+
+  const isProvided = (field) => productData[field] !== undefined;
+
+  // Name validation
+  if (!isProvided('name')) {
+    if (!partial) errors.push('Product name is required');
+  } else if (typeof productData.name !== 'string' || productData.name.trim().length < 2) {
+    errors.push('Product name must be at least 2 characters long');
+  } else if (productData.name.trim().length > 200) {
+    errors.push('Product name is too long (maximum 200 characters)');
+  } else {
+    validated.name = sanitizeString(productData.name);
+  }
+
+  // Description validation (optional)
+  if (isProvided('description')) {
+    if (productData.description === null || productData.description === '') {
+      validated.description = null;
+    } else if (typeof productData.description !== 'string') {
+      errors.push('Description must be a string');
+    } else if (productData.description.length > 5000) {
+      errors.push('Description is too long (maximum 5000 characters)');
+    } else {
+      validated.description = productData.description.trim().replace(/[<>]/g, '');
+    }
+  }
+
+  // Brand validation (optional)
+  if (isProvided('brand')) {
+    if (productData.brand === null || productData.brand === '') {
+      validated.brand = null;
+    } else if (typeof productData.brand !== 'string') {
+      errors.push('Brand must be a string');
+    } else if (productData.brand.trim().length > 100) {
+      errors.push('Brand name is too long (maximum 100 characters)');
+    } else {
+      validated.brand = sanitizeString(productData.brand);
+    }
+  }
+
+  // SKU validation
+  if (!isProvided('sku')) {
+    if (!partial) errors.push('SKU is required');
+  } else if (typeof productData.sku !== 'string' || !/^[A-Za-z0-9][A-Za-z0-9._-]{1,63}$/.test(productData.sku.trim())) {
+    errors.push('SKU must be 2-64 characters of letters, numbers, dots, dashes or underscores');
+  } else {
+    validated.sku = productData.sku.trim().toUpperCase();
+  }
+
+  // Price validation
+  if (!isProvided('price')) {
+    if (!partial) errors.push('Price is required');
+  } else {
+    const price = Number(productData.price);
+    if (!isFinite(price) || price <= 0) {
+      errors.push('Price must be a positive number');
+    } else if (price > 999999) {
+      errors.push('Price is too high');
+    } else {
+      validated.price = parseFloat(price.toFixed(2));
+    }
+  }
+
+  // Discount price validation (optional, null clears the discount)
+  if (isProvided('discount_price')) {
+    if (productData.discount_price === null || productData.discount_price === '') {
+      validated.discount_price = null;
+    } else {
+      const discountPrice = Number(productData.discount_price);
+      if (!isFinite(discountPrice) || discountPrice <= 0) {
+        errors.push('Discount price must be a positive number');
+      } else if (validated.price !== undefined && discountPrice >= validated.price) {
+        errors.push('Discount price must be lower than the regular price');
+      } else {
+        validated.discount_price = parseFloat(discountPrice.toFixed(2));
+      }
+    }
+  }
+
+  // Stock quantity validation
+  if (isProvided('stock_quantity')) {
+    const stockQuantity = Number(productData.stock_quantity);
+    if (!Number.isInteger(stockQuantity) || stockQuantity < 0) {
+      errors.push('Stock quantity must be a non-negative whole number');
+    } else {
+      validated.stock_quantity = stockQuantity;
+    }
+  } else if (!partial) {
+    validated.stock_quantity = 0;
+  }
+
+  // Category validation
+  if (!isProvided('category_id')) {
+    if (!partial) errors.push('Category ID is required');
+  } else if (!isValidUUID(productData.category_id)) {
+    errors.push('Invalid category ID format');
+  } else {
+    validated.category_id = productData.category_id;
+  }
+
+  if (isProvided('subcategory_id')) {
+    if (productData.subcategory_id === null || productData.subcategory_id === '') {
+      validated.subcategory_id = null;
+    } else if (!isValidUUID(productData.subcategory_id)) {
+      errors.push('Invalid subcategory ID format');
+    } else {
+      validated.subcategory_id = productData.subcategory_id;
+    }
+  }
+
+  // Shelf position validation (optional)
+  if (isProvided('shelf_position')) {
+    if (productData.shelf_position === null) {
+      validated.shelf_position = null;
+    } else {
+      const shelfValidation = validateShelfPosition(productData.shelf_position);
+      if (!shelfValidation.isValid) {
+        errors.push(...shelfValidation.errors);
+      } else {
+        validated.shelf_position = shelfValidation.validated;
+      }
+    }
+  }
+
+  // Product images validation (optional)
+  if (isProvided('product_images')) {
+    if (!Array.isArray(productData.product_images)) {
+      errors.push('Product images must be an array of URLs');
+    } else if (productData.product_images.length > 10) {
+      errors.push('A product can have at most 10 images');
+    } else if (!productData.product_images.every(url => validateUrl(url))) {
+      errors.push('All product images must be valid HTTP/HTTPS URLs');
+    } else {
+      validated.product_images = productData.product_images.map(url => url.trim());
+    }
+  }
+
+  // Merchandising flags
+  ['is_sponsored', 'is_featured'].forEach(flag => {
+    if (isProvided(flag)) {
+      if (typeof productData[flag] !== 'boolean') {
+        errors.push(`${flag} must be true or false`);
+      } else {
+        validated[flag] = productData[flag];
+      }
+    }
+  });
+
+  if (partial && errors.length === 0 && Object.keys(validated).length === 0) {
+    errors.push('At least one product field must be provided for update');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    validated
+  };
+};
+
+/**
+ * Validate category data for admin create/update
+ * @param {Object} categoryData - Category data
+ * @param {Object} options - Validation options
+ * @param {boolean} options.partial - Only validate provided fields (updates)
+ * @returns {Object} - Validation result
+ */
+const validateCategoryData = (categoryData, options = {}) => {
+  const errors = [];
+  const validated = {};
+  const { partial = false } = options;
+
+  if (!categoryData || typeof categoryData !== 'object') {
+    errors.push('Invalid category data');
+    return { isValid: false, errors };
+  }
+
+  if (categoryData.name === undefined) {
+    if (!partial) errors.push('Category name is required');
+  } else if (typeof categoryData.name !== 'string' || categoryData.name.trim().length < 2) {
+    errors.push('Category name must be at least 2 characters long');
+  } else if (categoryData.name.trim().length > 100) {
+    errors.push('Category name is too long (maximum 100 characters)');
+  } else {
+    validated.name = sanitizeString(categoryData.name);
+  }
+
+  if (categoryData.description !== undefined) {
+    if (categoryData.description === null || categoryData.description === '') {
+      validated.description = null;
+    } else if (typeof categoryData.description !== 'string' || categoryData.description.length > 1000) {
+      errors.push('Category description must be a string of at most 1000 characters');
+    } else {
+      validated.description = sanitizeString(categoryData.description);
+    }
+  }
+
+  // parent_id null moves the category to the top level
+  if (categoryData.parent_id !== undefined) {
+    if (categoryData.parent_id === null) {
+      validated.parent_id = null;
+    } else if (!isValidUUID(categoryData.parent_id)) {
+      errors.push('Invalid parent category ID format');
+    } else {
+      validated.parent_id = categoryData.parent_id;
+    }
+  }
+
+  if (categoryData.display_order !== undefined) {
+    const displayOrder = Number(categoryData.display_order);
+    if (!Number.isInteger(displayOrder) || displayOrder < 0) {
+      errors.push('Display order must be a non-negative whole number');
+    } else {
+      validated.display_order = displayOrder;
+    }
+  }
+
+  if (categoryData.icon_url !== undefined) {
+    if (categoryData.icon_url === null || categoryData.icon_url === '') {
+      validated.icon_url = null;
+    } else if (!validateUrl(categoryData.icon_url)) {
+      errors.push('Icon URL must be a valid HTTP/HTTPS URL');
+    } else {
+      validated.icon_url = categoryData.icon_url.trim();
+    }
+  }
+
+  if (partial && errors.length === 0 && Object.keys(validated).length === 0) {
+    errors.push('At least one category field must be provided for update');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    validated
+  };
+};
+
+/**
+ * Validate VR shelf layout data for admin create/update
+ * @param {Object} shelfData - Shelf layout data
+ * @param {Object} options - Validation options
+ * @param {boolean} options.partial - Only validate provided fields (updates)
+ * @returns {Object} - Validation result
+ */
+const validateShelfLayoutData = (shelfData, options = {}) => {
+  const errors = [];
+  const validated = {};
+  const { partial = false } = options;
+
+  if (!shelfData || typeof shelfData !== 'object') {
+    errors.push('Invalid shelf layout data');
+    return { isValid: false, errors };
+  }
+
+  if (shelfData.shelf_number === undefined) {
+    if (!partial) errors.push('Shelf number is required');
+  } else {
+    const shelfNumber = Number(shelfData.shelf_number);
+    if (!Number.isInteger(shelfNumber) || shelfNumber < 1) {
+      errors.push('Shelf number must be a positive whole number');
+    } else {
+      validated.shelf_number = shelfNumber;
+    }
+  }
+
+  if (shelfData.category_id === undefined) {
+    if (!partial) errors.push('Category ID is required');
+  } else if (!isValidUUID(shelfData.category_id)) {
+    errors.push('Invalid category ID format');
+  } else {
+    validated.category_id = shelfData.category_id;
+  }
+
+  if (shelfData.subcategory_id !== undefined) {
+    if (shelfData.subcategory_id === null) {
+      validated.subcategory_id = null;
+    } else if (!isValidUUID(shelfData.subcategory_id)) {
+      errors.push('Invalid subcategory ID format');
+    } else {
+      validated.subcategory_id = shelfData.subcategory_id;
+    }
+  }
+
+  if (shelfData.label !== undefined) {
+    if (shelfData.label === null || shelfData.label === '') {
+      validated.label = null;
+    } else if (typeof shelfData.label !== 'string' || shelfData.label.length > 100) {
+      errors.push('Shelf label must be a string of at most 100 characters');
+    } else {
+      validated.label = sanitizeString(shelfData.label);
+    }
+  }
+
+  // 3D placement of the shelf in the store
+  if (shelfData.location_data !== undefined) {
+    const locationValidation = validateVRLocation(shelfData.location_data);
+    if (!locationValidation.isValid) {
+      errors.push(...locationValidation.errors);
+    } else {
+      validated.location_data = locationValidation.validated;
+    }
+  }
+
+  if (shelfData.compartments !== undefined) {
+    const validCompartments = ['top', 'middle', 'bottom'];
+    if (!Array.isArray(shelfData.compartments) || shelfData.compartments.length === 0) {
+      errors.push('Compartments must be a non-empty array');
+    } else if (!shelfData.compartments.every(compartment => validCompartments.includes(compartment))) {
+      errors.push(`Compartments must only contain: ${validCompartments.join(', ')}`);
+    } else {
+      validated.compartments = [...new Set(shelfData.compartments)];
+    }
+  }
+
+  if (partial && errors.length === 0 && Object.keys(validated).length === 0) {
+    errors.push('At least one shelf layout field must be provided for update');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    validated
+  };
+};
+
+/**
+ * Validate product variant data for admin create/update
+ * @param {Object} variantData - Variant data
+ * @param {Object} options - Validation options
+ * @param {boolean} options.partial - Only validate provided fields (updates)
+ * @returns {Object} - Validation result
+ */
+const validateVariantData = (variantData, options = {}) => {
+  const errors = [];
+  const validated = {};
+  const { partial = false } = options;
+
+  if (!variantData || typeof variantData !== 'object') {
+    errors.push('Invalid variant data');
+    return { isValid: false, errors };
+  }
+
+  const isProvided = (field) => variantData[field] !== undefined;
+
+  // SKU validation
+  if (!isProvided('sku')) {
+    if (!partial) errors.push('SKU is required');
+  } else if (typeof variantData.sku !== 'string' || !/^[A-Za-z0-9][A-Za-z0-9._-]{1,63}$/.test(variantData.sku.trim())) {
+    errors.push('SKU must be 2-64 characters of letters, numbers, dots, dashes or underscores');
+  } else {
+    validated.sku = variantData.sku.trim().toUpperCase();
+  }
+
+  // Option attributes (at least one is needed to tell variants apart)
+  ['size', 'color', 'finish', 'storage_capacity'].forEach(attribute => {
+    if (!isProvided(attribute)) return;
+
+    if (variantData[attribute] === null || variantData[attribute] === '') {
+      validated[attribute] = null;
+    } else if (typeof variantData[attribute] !== 'string' || variantData[attribute].trim().length > 50) {
+      errors.push(`${attribute} must be a string of at most 50 characters`);
+    } else {
+      validated[attribute] = sanitizeString(variantData[attribute]);
+    }
+  });
+
+  if (!partial && !['size', 'color', 'finish', 'storage_capacity'].some(attribute => validated[attribute])) {
+    errors.push('At least one of size, color, finish or storage_capacity is required');
+  }
+
+  // Price validation (optional, null inherits the product price)
+  if (isProvided('price')) {
+    if (variantData.price === null || variantData.price === '') {
+      validated.price = null;
+    } else {
+      const price = Number(variantData.price);
+      if (!isFinite(price) || price <= 0) {
+        errors.push('Price must be a positive number');
+      } else if (price > 999999) {
+        errors.push('Price is too high');
+      } else {
+        validated.price = parseFloat(price.toFixed(2));
+      }
+    }
+  }
+
+  if (isProvided('discount_price')) {
+    if (variantData.discount_price === null || variantData.discount_price === '') {
+      validated.discount_price = null;
+    } else {
+      const discountPrice = Number(variantData.discount_price);
+      if (!isFinite(discountPrice) || discountPrice <= 0) {
+        errors.push('Discount price must be a positive number');
+      } else if (validated.price && discountPrice >= validated.price) {
+        errors.push('Discount price must be lower than the regular price');
+      } else {
+        validated.discount_price = parseFloat(discountPrice.toFixed(2));
+      }
+    }
+  }
+
+  // Stock quantity validation
+  if (isProvided('stock_quantity')) {
+    const stockQuantity = Number(variantData.stock_quantity);
+    if (!Number.isInteger(stockQuantity) || stockQuantity < 0) {
+      errors.push('Stock quantity must be a non-negative whole number');
+    } else {
+      validated.stock_quantity = stockQuantity;
+    }
+  } else if (!partial) {
+    validated.stock_quantity = 0;
+  }
+
+  // Variant images validation (optional)
+  if (isProvided('variant_images')) {
+    if (!Array.isArray(variantData.variant_images)) {
+      errors.push('Variant images must be an array of URLs');
+    } else if (variantData.variant_images.length > 10) {
+      errors.push('A variant can have at most 10 images');
+    } else if (!variantData.variant_images.every(url => validateUrl(url))) {
+      errors.push('All variant images must be valid HTTP/HTTPS URLs');
+    } else {
+      validated.variant_images = variantData.variant_images.map(url => url.trim());
+    }
+  }
+
+  if (isProvided('sort_order')) {
+    const sortOrder = Number(variantData.sort_order);
+    if (!Number.isInteger(sortOrder) || sortOrder < 0) {
+      errors.push('Sort order must be a non-negative whole number');
+    } else {
+      validated.sort_order = sortOrder;
+    }
+  }
+
+  if (partial && errors.length === 0 && Object.keys(validated).length === 0) {
+    errors.push('At least one variant field must be provided for update');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    validated
+  };
+};
+
+/**
+ * Check the type-specific rules of a promotion (used on create and on merged updates)
+ * @param {Object} promotion - Promotion data
+ * @returns {Array} - Error messages
+ */
+const getPromotionRuleErrors = (promotion) => {
+  const errors = [];
+  const productIds = promotion.product_ids || [];
+  const categoryIds = promotion.category_ids || [];
+  const discountValue = promotion.discount_value === null || promotion.discount_value === undefined
+    ? null
+    : Number(promotion.discount_value);
+
+  switch (promotion.promotion_type) {
+    case 'percentage':
+    case 'category_sale':
+      if (discountValue === null || discountValue <= 0 || discountValue > 100) {
+        errors.push('Discount value must be a percentage between 0 and 100');
+      }
+      if (promotion.promotion_type === 'category_sale' && categoryIds.length === 0) {
+        errors.push('A category sale needs at least one category');
+      }
+      break;
+
+    case 'fixed_amount':
+      if (discountValue === null || discountValue <= 0) {
+        errors.push('Discount value must be a positive amount');
+      }
+      break;
+
+    case 'buy_x_get_y':
+      if (!Number.isInteger(promotion.buy_quantity) || promotion.buy_quantity < 1) {
+        errors.push('Buy quantity must be a positive whole number');
+      }
+      if (!Number.isInteger(promotion.get_quantity) || promotion.get_quantity < 1) {
+        errors.push('Get quantity must be a positive whole number');
+      }
+      if (discountValue !== null && (discountValue <= 0 || discountValue > 100)) {
+        errors.push('Discount value must be a percentage between 0 and 100');
+      }
+      break;
+
+    case 'bundle':
+      if (productIds.length < 2) {
+        errors.push('A bundle needs at least two products');
+      }
+      if (promotion.bundle_price === null || promotion.bundle_price === undefined || Number(promotion.bundle_price) < 0) {
+        errors.push('Bundle price must be zero or more');
+      }
+      break;
+
+    default:
+      break;
+  }
+
+  return errors;
+};
+
+/**
+ * Validate promotion data for admin create/update
+ * @param {Object} promotionData - Promotion data
+ * @param {Object} options - Validation options
+ * @param {boolean} options.partial - Only validate provided fields (updates)
+ * @returns {Object} - Validation result
+ */
+const validatePromotionData = (promotionData, options = {}) => {
+  const errors = [];
+  const validated = {};
+  const { partial = false } = options;
+  const validTypes = ['percentage', 'fixed_amount', 'bogo', 'buy_x_get_y', 'category_sale', 'bundle'];
+
+  if (!promotionData || typeof promotionData !== 'object') {
+    errors.push('Invalid promotion data');
+    return { isValid: false, errors };
+  }
+
+  const isProvided = (field) => promotionData[field] !== undefined;
+
+  if (!isProvided('name')) {
+    if (!partial) errors.push('Promotion name is required');
+  } else if (typeof promotionData.name !== 'string' || promotionData.name.trim().length < 2 || promotionData.name.trim().length > 120) {
+    errors.push('Promotion name must be 2-120 characters long');
+  } else {
+    validated.name = sanitizeString(promotionData.name);
+  }
+
+  if (isProvided('description')) {
+    if (promotionData.description === null || promotionData.description === '') {
+      validated.description = null;
+    } else if (typeof promotionData.description !== 'string' || promotionData.description.length > 1000) {
+      errors.push('Description must be a string of at most 1000 characters');
+    } else {
+      validated.description = sanitizeString(promotionData.description);
+    }
+  }
+
+  if (!isProvided('promotion_type')) {
+    if (!partial) errors.push('Promotion type is required');
+  } else if (!validTypes.includes(promotionData.promotion_type)) {
+    errors.push(`Promotion type must be one of: ${validTypes.join(', ')}`);
+  } else {
+    validated.promotion_type = promotionData.promotion_type;
+  }
+
+  // Numeric rule fields
+  ['discount_value', 'bundle_price', 'min_subtotal'].forEach(field => {
+    if (!isProvided(field)) return;
+
+    if (promotionData[field] === null || promotionData[field] === '') {
+      validated[field] = null;
+      return;
+    }
+
+    const amount = Number(promotionData[field]);
+    if (!isFinite(amount) || amount < 0 || amount > 999999) {
+      errors.push(`${field} must be a non-negative number`);
+    } else {
+      validated[field] = parseFloat(amount.toFixed(2));
+    }
+  });
+
+  ['buy_quantity', 'get_quantity', 'priority'].forEach(field => {
+    if (!isProvided(field)) return;
+
+    const number = Number(promotionData[field]);
+    if (!Number.isInteger(number) || number < 0 || number > 1000) {
+      errors.push(`${field} must be a whole number between 0 and 1000`);
+    } else {
+      validated[field] = number;
+    }
+  });
+
+  // Scope: products and/or categories the promotion applies to
+  ['product_ids', 'category_ids'].forEach(field => {
+    if (!isProvided(field)) return;
+
+    if (!Array.isArray(promotionData[field]) || promotionData[field].length > 100) {
+      errors.push(`${field} must be an array of at most 100 IDs`);
+    } else if (!promotionData[field].every(id => isValidUUID(id))) {
+      errors.push(`${field} must only contain valid UUIDs`);
+    } else {
+      validated[field] = [...new Set(promotionData[field])];
+    }
+  });
+
+  if (isProvided('stackable')) {
+    if (typeof promotionData.stackable !== 'boolean') {
+      errors.push('stackable must be true or false');
+    } else {
+      validated.stackable = promotionData.stackable;
+    }
+  }
+
+  // Schedule
+  if (isProvided('starts_at')) {
+    const startsAt = new Date(promotionData.starts_at);
+    if (typeof promotionData.starts_at !== 'string' || isNaN(startsAt.getTime())) {
+      errors.push('starts_at must be an ISO date-time');
+    } else {
+      validated.starts_at = startsAt.toISOString();
+    }
+  } else if (!partial) {
+    validated.starts_at = new Date().toISOString();
+  }
+
+  if (isProvided('ends_at')) {
+    if (promotionData.ends_at === null || promotionData.ends_at === '') {
+      validated.ends_at = null;
+    } else {
+      const endsAt = new Date(promotionData.ends_at);
+      if (typeof promotionData.ends_at !== 'string' || isNaN(endsAt.getTime())) {
+        errors.push('ends_at must be an ISO date-time');
+      } else {
+        validated.ends_at = endsAt.toISOString();
+      }
+    }
+  }
+
+  if (!partial && errors.length === 0) {
+    errors.push(...getPromotionRuleErrors(validated));
+  }
+
+  if (partial && errors.length === 0 && Object.keys(validated).length === 0) {
+    errors.push('At least one promotion field must be provided for update');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    validated
+  };
+};
+
+/**
+ * Validate coupon data for admin create/update
+ * @param {Object} couponData - Coupon data
+ * @param {Object} options - Validation options
+ * @param {boolean} options.partial - Only validate provided fields (updates)
+ * @returns {Object} - Validation result
+ */
+const validateCouponData = (couponData, options = {}) => {
+  const errors = [];
+  const validated = {};
+  const { partial = false } = options;
+
+  if (!couponData || typeof couponData !== 'object') {
+    errors.push('Invalid coupon data');
+    return { isValid: false, errors };
+  }
+
+  const isProvided = (field) => couponData[field] !== undefined;
+  const codePattern = /^[A-Za-z0-9][A-Za-z0-9_-]{2,31}$/;
+
+  // Batch generation of single-use codes (create only)
+  if (!partial && isProvided('generate_count')) {
+    const generateCount = Number(couponData.generate_count);
+    if (!Number.isInteger(generateCount) || generateCount < 1 || generateCount > 500) {
+      errors.push('generate_count must be a whole number between 1 and 500');
+    } else {
+      validated.generate_count = generateCount;
+    }
+
+    if (isProvided('code_prefix') && couponData.code_prefix !== '') {
+      if (typeof couponData.code_prefix !== 'string' || !/^[A-Za-z0-9]{1,12}$/.test(couponData.code_prefix)) {
+        errors.push('code_prefix must be 1-12 letters or numbers');
+      } else {
+        validated.code_prefix = couponData.code_prefix.toUpperCase();
+      }
+    }
+  }
+
+  if (!isProvided('code')) {
+    if (!partial && !isProvided('generate_count')) errors.push('Coupon code is required');
+  } else if (typeof couponData.code !== 'string' || !codePattern.test(couponData.code.trim())) {
+    errors.push('Coupon code must be 3-32 letters, numbers, dashes or underscores');
+  } else {
+    validated.code = couponData.code.trim().toUpperCase();
+  }
+
+  if (isProvided('description')) {
+    if (couponData.description === null || couponData.description === '') {
+      validated.description = null;
+    } else if (typeof couponData.description !== 'string' || couponData.description.length > 500) {
+      errors.push('Description must be a string of at most 500 characters');
+    } else {
+      validated.description = sanitizeString(couponData.description);
+    }
+  }
+
+  const validTypes = ['percentage', 'fixed_amount'];
+  if (!isProvided('discount_type')) {
+    if (!partial) errors.push('Discount type is required');
+  } else if (!validTypes.includes(couponData.discount_type)) {
+    errors.push(`Discount type must be one of: ${validTypes.join(', ')}`);
+  } else {
+    validated.discount_type = couponData.discount_type;
+  }
+
+  if (!isProvided('discount_value')) {
+    if (!partial) errors.push('Discount value is required');
+  } else {
+    const discountValue = Number(couponData.discount_value);
+    if (!isFinite(discountValue) || discountValue <= 0 || discountValue > 999999) {
+      errors.push('Discount value must be a positive number');
+    } else if (validated.discount_type === 'percentage' && discountValue > 100) {
+      errors.push('Percentage discounts cannot exceed 100');
+    } else {
+      validated.discount_value = parseFloat(discountValue.toFixed(2));
+    }
+  }
+
+  ['max_discount_amount', 'min_subtotal'].forEach(field => {
+    if (!isProvided(field)) return;
+
+    if (couponData[field] === null || couponData[field] === '') {
+      validated[field] = null;
+      return;
+    }
+
+    const amount = Number(couponData[field]);
+    if (!isFinite(amount) || amount < 0 || amount > 999999) {
+      errors.push(`${field} must be a non-negative number`);
+    } else {
+      validated[field] = parseFloat(amount.toFixed(2));
+    }
+  });
+
+  // Usage limits (null means unlimited)
+  ['usage_limit', 'per_user_limit'].forEach(field => {
+    if (!isProvided(field)) return;
+
+    if (couponData[field] === null) {
+      validated[field] = null;
+      return;
+    }
+
+    const limit = Number(couponData[field]);
+    if (!Number.isInteger(limit) || limit < 1) {
+      errors.push(`${field} must be a positive whole number or null`);
+    } else {
+      validated[field] = limit;
+    }
+  });
+
+  if (!partial && validated.per_user_limit === undefined) {
+    validated.per_user_limit = 1;
+  }
+
+  if (isProvided('is_single_use')) {
+    if (typeof couponData.is_single_use !== 'boolean') {
+      errors.push('is_single_use must be true or false');
+    } else {
+      validated.is_single_use = couponData.is_single_use;
+    }
+  }
+
+  if (isProvided('category_ids')) {
+    if (!Array.isArray(couponData.category_ids) || couponData.category_ids.length > 100) {
+      errors.push('category_ids must be an array of at most 100 IDs');
+    } else if (!couponData.category_ids.every(id => isValidUUID(id))) {
+      errors.push('category_ids must only contain valid UUIDs');
+    } else {
+      validated.category_ids = [...new Set(couponData.category_ids)];
+    }
+  }
+
+  // Schedule
+  ['starts_at', 'expires_at'].forEach(field => {
+    if (!isProvided(field)) return;
+
+    if (couponData[field] === null || couponData[field] === '') {
+      validated[field] = null;
+      return;
+    }
+
+    const date = new Date(couponData[field]);
+    if (typeof couponData[field] !== 'string' || isNaN(date.getTime())) {
+      errors.push(`${field} must be an ISO date-time`);
+    } else {
+      validated[field] = date.toISOString();
+    }
+  });
+
+  if (partial && errors.length === 0 && Object.keys(validated).length === 0) {
+    errors.push('At least one coupon field must be provided for update');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    validated
+  };
+};
+
+/**
+ * Validate gift card issue data
+ * @param {Object} cardData - Gift card data ({ amount, currency, expires_at, note })
+ * @returns {Object} - Validation result
+ */
+const validateGiftCardData = (cardData) => {
+  const errors = [];
+  const validated = {};
+
+  if (!cardData || typeof cardData !== 'object') {
+    errors.push('Invalid gift card data');
+    return { isValid: false, errors };
+  }
+
+  const amount = Number(cardData.amount);
+  if (cardData.amount === undefined || cardData.amount === null) {
+    errors.push('Amount is required');
+  } else if (!isFinite(amount) || amount <= 0 || amount > 10000) {
+    errors.push('Amount must be a positive number of at most 10000');
+  } else {
+    validated.amount = amount;
+  }
+
+  if (cardData.currency !== undefined && cardData.currency !== null) {
+    if (!isValidCurrency(cardData.currency)) {
+      errors.push('Currency must be a 3-letter ISO 4217 code (e.g. USD, EUR, JPY)');
+    } else {
+      validated.currency = cardData.currency.trim().toUpperCase();
+    }
+  }
+
+  if (cardData.expires_at !== undefined && cardData.expires_at !== null && cardData.expires_at !== '') {
+    const date = new Date(cardData.expires_at);
+    if (typeof cardData.expires_at !== 'string' || isNaN(date.getTime())) {
+      errors.push('expires_at must be an ISO date-time');
+    } else if (date <= new Date()) {
+      errors.push('expires_at must be in the future');
+    } else {
+      validated.expires_at = date.toISOString();
+    }
+  }
+
+  if (cardData.note !== undefined && cardData.note !== null && cardData.note !== '') {
+    if (typeof cardData.note !== 'string' || cardData.note.length > 500) {
+      errors.push('Note must be a string of at most 500 characters');
+    } else {
+      validated.note = sanitizeString(cardData.note);
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    validated
+  };
+};
+
+/**
+ * Validate a fulfillment update from store staff
+ * @param {Object} fulfillmentData - Fulfillment data ({ status, note, carrier, tracking_number })
+ * @returns {Object} - Validation result
+ */
+const validateFulfillmentData = (fulfillmentData) => {
+  const errors = [];
+  const validated = {};
+  const fulfillmentStatuses = ['picking', 'ready_for_pickup', 'shipped', 'delivered'];
+
+  if (!fulfillmentData || typeof fulfillmentData !== 'object') {
+    errors.push('Invalid fulfillment data');
+    return { isValid: false, errors };
+  }
+
+  if (!fulfillmentData.status) {
+    errors.push('Status is required');
+  } else if (!fulfillmentStatuses.includes(fulfillmentData.status)) {
+    errors.push(`Status must be one of: ${fulfillmentStatuses.join(', ')}`);
+  } else {
+    validated.status = fulfillmentData.status;
+  }
+
+  ['carrier', 'tracking_number'].forEach(field => {
+    const value = fulfillmentData[field];
+    if (value === undefined || value === null || value === '') {
+      return;
+    }
+    if (typeof value !== 'string' || value.trim().length === 0 || value.length > 100) {
+      errors.push(`${field} must be a string of at most 100 characters`);
+    } else {
+      validated[field] = sanitizeString(value);
+    }
+  });
+
+  if ((validated.carrier || validated.tracking_number) && validated.status && validated.status !== 'shipped') {
+    errors.push('carrier and tracking_number can only be set when the order is shipped');
+  }
+
+  if (fulfillmentData.note !== undefined && fulfillmentData.note !== null && fulfillmentData.note !== '') {
+    if (typeof fulfillmentData.note !== 'string' || fulfillmentData.note.length > 500) {
+      errors.push('Note must be a string of at most 500 characters');
+    } else {
+      validated.note = sanitizeString(fulfillmentData.note);
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    validated
+  };
+};
+
+/**
+ * Validate wishlist data (name and description)
+ * @param {Object} wishlistData - Wishlist data
+ * @param {Object} options - Validation options
+ * @param {boolean} options.partial - Allow partial data for wishlist edits
+ * @returns {Object} - Validation result
+ */
+const validateWishlistData = (wishlistData, options = {}) => {
+  const errors = [];
+  const validated = {};
+  const { partial = false } = options;
+
+  if (!wishlistData || typeof wishlistData !== 'object') {
+    errors.push('Invalid wishlist data');
+    return { isValid: false, errors };
+  }
+
+  if (wishlistData.name === undefined || wishlistData.name === null) {
+    if (!partial) {
+      errors.push('Wishlist name is required');
+    }
+  } else if (typeof wishlistData.name !== 'string' || wishlistData.name.trim().length === 0) {
+    errors.push('Wishlist name must be a non-empty string');
+  } else if (wishlistData.name.trim().length > 100) {
+    errors.push('Wishlist name is too long (maximum 100 characters)');
+  } else {
+    validated.name = sanitizeString(wishlistData.name);
+  }
+
+  if (wishlistData.description !== undefined && wishlistData.description !== null) {
+    if (typeof wishlistData.description !== 'string' || wishlistData.description.length > 500) {
+      errors.push('Description must be a string of at most 500 characters');
+    } else {
+      validated.description = sanitizeString(wishlistData.description) || null;
+    }
+  }
+
+  if (partial && errors.length === 0 && Object.keys(validated).length === 0) {
+    errors.push('At least one of name or description must be provided');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    validated
+  };
+};
+
+/**
+ * Validate a wishlist item (product, optional variant and note)
+ * @param {Object} itemData - Wishlist item data
+ * @param {Object} options - Validation options
+ * @param {boolean} options.partial - Only the note can be changed on an existing item
+ * @returns {Object} - Validation result
+ */
+const validateWishlistItemData = (itemData, options = {}) => {
+  const errors = [];
+  const validated = {};
+  const { partial = false } = options;
+
+  if (!itemData || typeof itemData !== 'object') {
+    errors.push('Invalid wishlist item data');
+    return { isValid: false, errors };
+  }
+
+  if (!partial) {
+    if (!itemData.product_id) {
+      errors.push('Product ID is required');
+    } else if (!isValidUUID(itemData.product_id)) {
+      errors.push('Invalid product ID format');
+    } else {
+      validated.product_id = itemData.product_id;
+    }
+
+    if (itemData.variant_id !== undefined && itemData.variant_id !== null) {
+      if (!isValidUUID(itemData.variant_id)) {
+        errors.push('Invalid variant ID format');
+      } else {
+        validated.variant_id = itemData.variant_id;
+      }
+    }
+  }
+
+  if (itemData.note === undefined) {
+    if (partial) {
+      errors.push('Note is required');
+    }
+  } else if (itemData.note !== null && (typeof itemData.note !== 'string' || itemData.note.length > 500)) {
+    errors.push('Note must be a string of at most 500 characters');
+  } else {
+    validated.note = itemData.note ? sanitizeString(itemData.note) : null;
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    validated
+  };
+};
+
+/**
+ * Validate a new shopping group (the host's session and an optional name)
+ * @param {Object} groupData - Shopping group data
+ * @returns {Object} - Validation result
+ */
+const validateShoppingGroupData = (groupData) => {
+  const errors = [];
+  const validated = {};
+
+  if (!groupData || typeof groupData !== 'object') {
+    errors.push('Invalid shopping group data');
+    return { isValid: false, errors };
+  }
+
+  if (!groupData.session_id) {
+    errors.push('Session ID is required');
+  } else if (!isValidUUID(groupData.session_id)) {
+    errors.push('Invalid session ID format');
+  } else {
+    validated.session_id = groupData.session_id;
+  }
+
+  if (groupData.name !== undefined && groupData.name !== null) {
+    if (typeof groupData.name !== 'string' || groupData.name.trim().length > 100) {
+      errors.push('Group name must be a string of at most 100 characters');
+    } else {
+      validated.name = sanitizeString(groupData.name) || null;
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    validated
+  };
+};
+
+/**
+ * Validate a change to a group member's permissions
+ * @param {Object} permissionData - { can_add, can_remove, can_checkout }, any of them
+ * @returns {Object} - Validation result
+ */
+const validateGroupPermissionData = (permissionData) => {
+  const errors = [];
+  const validated = {};
+
+  if (!permissionData || typeof permissionData !== 'object') {
+    errors.push('Invalid permission data');
+    return { isValid: false, errors };
+  }
+
+  ['can_add', 'can_remove', 'can_checkout'].forEach(permission => {
+    if (permissionData[permission] === undefined) {
+      return;
+    }
+    if (typeof permissionData[permission] !== 'boolean') {
+      errors.push(`${permission} must be true or false`);
+    } else {
+      validated[permission] = permissionData[permission];
+    }
+  });
+
+  if (errors.length === 0 && Object.keys(validated).length === 0) {
+    errors.push('At least one of can_add, can_remove or can_checkout must be provided');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    validated
+  };
+};
+
 /**
  * Validate payment data for checkout
  * @param {Object} paymentData - Payment data
@@ -771,7 +2002,7 @@ const validatePaymentData = (paymentData) => {
   }
   
   // Payment method validation
-  const validPaymentMethods = ['cash', 'stripe', 'paypal'];
+  const validPaymentMethods = ['cash', 'stripe', 'split', 'store_credit', 'paypal'];
   if (!paymentData.payment_method) {
     errors.push('Payment method is required');
   } else if (!validPaymentMethods.includes(paymentData.payment_method)) {
@@ -1354,6 +2585,21 @@ module.exports = {
   // VR-specific validation
   validateProductFilters,
   validateCartItem,
+  validateReviewData,
+  validateShelfPosition,
+  validateProductData,
+  validateCategoryData,
+  validateShelfLayoutData,
+  validateVariantData,
+  validatePromotionData,
+  getPromotionRuleErrors,
+  validateCouponData,
+  validateGiftCardData,
+  validateFulfillmentData,
+  validateWishlistData,
+  validateWishlistItemData,
+  validateShoppingGroupData,
+  validateGroupPermissionData,
   validatePaymentData,
   validateSupportConversation,
   validateVRLocation,
@@ -0,0 +1,62 @@
+/**
+ * Product variant helpers shared by the catalog, cart and checkout
+ */
+
+// Attributes a variant can differ on, in display order
+const VARIANT_ATTRIBUTES = ['size', 'color', 'finish', 'storage_capacity'];
+
+// Columns embedded with cart and order lines
+const VARIANT_SELECT = 'id, sku, size, color, finish, storage_capacity, price, discount_price, stock_quantity, variant_images, is_active';
+
+/**
+ * Human readable variant label, e.g. "M / Black"
+ * @param {Object|null} variant - Variant row
+ * @returns {string|null} - Label, or null for the base product
+ */
+const getVariantLabel = (variant) => {
+  if (!variant) return null;
+
+  const values = VARIANT_ATTRIBUTES
+    .map(attribute => variant[attribute])
+    .filter(value => value !== null && value !== undefined && value !== '');
+
+  return values.length > 0 ? values.join(' / ') : variant.sku || null;
+};
+
+/**
+ * Pick only the variant attributes that are set
+ * @param {Object|null} variant - Variant row
+ * @returns {Object|null} - Attribute map
+ */
+const getVariantAttributes = (variant) => {
+  if (!variant) return null;
+
+  return VARIANT_ATTRIBUTES.reduce((attributes, attribute) => {
+    if (variant[attribute] !== null && variant[attribute] !== undefined && variant[attribute] !== '') {
+      attributes[attribute] = variant[attribute];
+    }
+    return attributes;
+  }, {});
+};
+
+/**
+ * Price the shopper pays for a product or one of its variants.
+ * A variant without its own price inherits the product price and discount.
+ * @param {Object} product - Product row
+ * @param {Object|null} variant - Variant row
+ * @returns {number} - Unit price
+ */
+const getUnitPrice = (product, variant = null) => {
+  if (variant && variant.price !== null && variant.price !== undefined) {
+    return Number(variant.discount_price || variant.price);
+  }
+  return Number(product.discount_price || product.price);
+};
+
+module.exports = {
+  VARIANT_ATTRIBUTES,
+  VARIANT_SELECT,
+  getVariantLabel,
+  getVariantAttributes,
+  getUnitPrice
+};
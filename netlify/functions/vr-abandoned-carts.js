@@ -0,0 +1,21 @@
+/**
+ * VR Abandoned Carts scheduled function
+ * Runs on the schedule in netlify.toml: closes sessions whose cart has been idle for
+ * ABANDONED_CART_IDLE_MINUTES and emails each shopper a link back to their cart.
+ * Scheduled functions can't be called over HTTP in production.
+ */
+const { createSuccessResponse, createErrorResponse } = require('./utils/response');
+const VRCartRecoveryService = require('./services/VRCartRecoveryService');
+
+const cartRecoveryService = new VRCartRecoveryService();
+
+exports.handler = async (event, context) => {
+  try {
+    const summary = await cartRecoveryService.processAbandonedCarts();
+
+    return createSuccessResponse(summary, `Processed ${summary.abandoned} abandoned carts`);
+  } catch (error) {
+    console.error('VR Abandoned Carts job error:', error);
+    return createErrorResponse(500, 'Abandoned cart job failed', error.message);
+  }
+};
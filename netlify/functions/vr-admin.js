@@ -0,0 +1,439 @@
+/**
+ * VR Admin API endpoint
+ * Handles catalog management for products, variants, categories, shelf layouts, promotions and coupons
+ */
+const { createResponse, createErrorResponse, createSuccessResponse, createValidationErrorResponse, createFileResponse } = require('./utils/response');
+const { authorizeUser, extractUserInfo, PERMISSIONS } = require('./utils/auth');
+const { validateProductData, validateVariantData, validateCategoryData, validateShelfLayoutData, validatePromotionData, validateCouponData } = require('./utils/validation');
+const { parseCSV, toCSV } = require('./utils/csv');
+const VRCatalogAdminService = require('./services/VRCatalogAdminService');
+const VRPromotionsService = require('./services/VRPromotionsService');
+const VRCouponService = require('./services/VRCouponService');
+
+const catalogService = new VRCatalogAdminService();
+const promotionsService = new VRPromotionsService();
+const couponService = new VRCouponService();
+
+exports.handler = async (event, context) => {
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return createResponse(200, null, 'CORS preflight successful');
+  }
+
+  try {
+    const { httpMethod, path, body, queryStringParameters = {} } = event;
+    const authHeader = event.headers.authorization || event.headers.Authorization;
+
+    // Authenticate user and require catalog management permission
+    const auth = await authorizeUser(authHeader, [PERMISSIONS.MANAGE_CATALOG]);
+    if (!auth.success) {
+      return createErrorResponse(auth.statusCode, auth.error);
+    }
+
+    // Parse body if present (CSV imports are passed through as text)
+    const headers = event.headers || {};
+    const contentType = (headers['content-type'] || headers['Content-Type'] || '').toLowerCase();
+    const rawBody = body && event.isBase64Encoded ? Buffer.from(body, 'base64').toString('utf8') : body;
+
+    let requestBody = {};
+    if (rawBody && (contentType.includes('text/csv') || queryStringParameters.format === 'csv')) {
+      requestBody = rawBody;
+    } else if (rawBody) {
+      try {
+        requestBody = JSON.parse(rawBody);
+      } catch (error) {
+        return createErrorResponse(400, 'Invalid JSON in request body');
+      }
+    }
+
+    // Find the actual route after 'vr-admin'
+    const pathSegments = path.split('/').filter(segment => segment);
+    const routeIndex = pathSegments.indexOf('vr-admin') + 1;
+    const actualPathSegments = pathSegments.slice(routeIndex);
+
+    const admin = {
+      user: auth.user,
+      userInfo: extractUserInfo(event)
+    };
+
+    // products/{productId}/variants[/{variantId}]
+    if (actualPathSegments[0] === 'products' && actualPathSegments[2] === 'variants') {
+      return await handleVariantRequests(httpMethod, actualPathSegments, requestBody, admin, queryStringParameters);
+    }
+
+    switch (httpMethod) {
+      case 'GET':
+        return await handleAdminGetRequests(actualPathSegments, queryStringParameters);
+
+      case 'POST':
+        return await handleAdminPostRequests(actualPathSegments, requestBody, admin, queryStringParameters);
+
+      case 'PUT':
+        return await handleAdminPutRequests(actualPathSegments, requestBody, admin);
+
+      case 'DELETE':
+        return await handleAdminDeleteRequests(actualPathSegments, admin);
+
+      default:
+        return createErrorResponse(405, `Method ${httpMethod} not allowed`);
+    }
+  } catch (error) {
+    console.error('VR Admin API error:', error);
+    return createErrorResponse(500, 'Internal server error', error.message);
+  }
+};
+
+async function handleAdminGetRequests(pathSegments, queryParams) {
+  try {
+    switch (pathSegments[0]) {
+      case 'products':
+        if (pathSegments[1] === 'export') {
+          return await handleProductExport(queryParams);
+        }
+        if (pathSegments[1]) {
+          const product = await catalogService.getProduct(pathSegments[1]);
+          return createSuccessResponse(product, 'Product retrieved successfully');
+        }
+        const products = await catalogService.listProducts(queryParams, {
+          page: queryParams.page,
+          limit: queryParams.limit
+        });
+        return createSuccessResponse(products, 'Products retrieved successfully');
+
+      case 'categories':
+        const categories = await catalogService.getCategoryTree();
+        return createSuccessResponse(categories, 'Category tree retrieved successfully');
+
+      case 'shelves':
+        if (pathSegments[1]) {
+          const shelf = await catalogService.getShelfLayout(pathSegments[1]);
+          return createSuccessResponse(shelf, 'Shelf layout retrieved successfully');
+        }
+        const shelves = await catalogService.listShelfLayouts(queryParams);
+        return createSuccessResponse(shelves, 'Shelf layouts retrieved successfully');
+
+      case 'promotions':
+        if (pathSegments[1]) {
+          const promotion = await promotionsService.getPromotion(pathSegments[1]);
+          return createSuccessResponse(promotion, 'Promotion retrieved successfully');
+        }
+        const promotions = await promotionsService.listPromotions(queryParams);
+        return createSuccessResponse(promotions, 'Promotions retrieved successfully');
+
+      case 'coupons':
+        if (pathSegments[1]) {
+          const coupon = await couponService.getCoupon(pathSegments[1]);
+          return createSuccessResponse(coupon, 'Coupon retrieved successfully');
+        }
+        const coupons = await couponService.listCoupons(queryParams);
+        return createSuccessResponse(coupons, 'Coupons retrieved successfully');
+
+      default:
+        return createErrorResponse(404, 'Endpoint not found');
+    }
+  } catch (error) {
+    console.error('Admin GET request error:', error);
+    return createCatalogErrorResponse(error);
+  }
+}
+
+async function handleAdminPostRequests(pathSegments, requestBody, admin, queryParams = {}) {
+  try {
+    if (pathSegments[0] === 'products' && pathSegments[1] === 'import') {
+      return await handleProductImport(requestBody, admin, queryParams);
+    }
+
+    switch (pathSegments[0]) {
+      case 'products': {
+        const validation = validateProductData(requestBody);
+        if (!validation.isValid) {
+          return createValidationErrorResponse(validation.errors);
+        }
+        const product = await catalogService.createProduct(validation.validated, admin.user.id, admin.userInfo);
+        return createSuccessResponse(product, 'Product created successfully');
+      }
+
+      case 'categories': {
+        const validation = validateCategoryData(requestBody);
+        if (!validation.isValid) {
+          return createValidationErrorResponse(validation.errors);
+        }
+        const category = await catalogService.createCategory(validation.validated, admin.user.id, admin.userInfo);
+        return createSuccessResponse(category, 'Category created successfully');
+      }
+
+      case 'shelves': {
+        const validation = validateShelfLayoutData(requestBody);
+        if (!validation.isValid) {
+          return createValidationErrorResponse(validation.errors);
+        }
+        const shelf = await catalogService.createShelfLayout(validation.validated, admin.user.id, admin.userInfo);
+        return createSuccessResponse(shelf, 'Shelf layout created successfully');
+      }
+
+      case 'promotions': {
+        const validation = validatePromotionData(requestBody);
+        if (!validation.isValid) {
+          return createValidationErrorResponse(validation.errors);
+        }
+        const promotion = await promotionsService.createPromotion(validation.validated, admin.user.id, admin.userInfo);
+        return createSuccessResponse(promotion, 'Promotion created successfully');
+      }
+
+      case 'coupons': {
+        const validation = validateCouponData(requestBody);
+        if (!validation.isValid) {
+          return createValidationErrorResponse(validation.errors);
+        }
+        const created = await couponService.createCoupon(validation.validated, admin.user.id, admin.userInfo);
+        return createSuccessResponse(created, Array.isArray(created)
+          ? `Generated ${created.length} single-use coupon(s)`
+          : 'Coupon created successfully');
+      }
+
+      default:
+        return createErrorResponse(404, 'Endpoint not found');
+    }
+  } catch (error) {
+    console.error('Admin POST request error:', error);
+    return createCatalogErrorResponse(error);
+  }
+}
+
+async function handleAdminPutRequests(pathSegments, requestBody, admin) {
+  try {
+    const [resource, resourceId] = pathSegments;
+
+    if (['products', 'categories', 'shelves', 'promotions', 'coupons'].includes(resource) && !resourceId) {
+      return createErrorResponse(400, 'Resource ID is required');
+    }
+
+    switch (resource) {
+      case 'products': {
+        const validation = validateProductData(requestBody, { partial: true });
+        if (!validation.isValid) {
+          return createValidationErrorResponse(validation.errors);
+        }
+        const product = await catalogService.updateProduct(resourceId, validation.validated, admin.user.id, admin.userInfo);
+        return createSuccessResponse(product, 'Product updated successfully');
+      }
+
+      case 'categories': {
+        const validation = validateCategoryData(requestBody, { partial: true });
+        if (!validation.isValid) {
+          return createValidationErrorResponse(validation.errors);
+        }
+        const category = await catalogService.updateCategory(resourceId, validation.validated, admin.user.id, admin.userInfo);
+        return createSuccessResponse(category, 'Category updated successfully');
+      }
+
+      case 'shelves': {
+        const validation = validateShelfLayoutData(requestBody, { partial: true });
+        if (!validation.isValid) {
+          return createValidationErrorResponse(validation.errors);
+        }
+        const shelf = await catalogService.updateShelfLayout(resourceId, validation.validated, admin.user.id, admin.userInfo);
+        return createSuccessResponse(shelf, 'Shelf layout updated successfully');
+      }
+
+      case 'promotions': {
+        const validation = validatePromotionData(requestBody, { partial: true });
+        if (!validation.isValid) {
+          return createValidationErrorResponse(validation.errors);
+        }
+        const promotion = await promotionsService.updatePromotion(resourceId, validation.validated, admin.user.id, admin.userInfo);
+        return createSuccessResponse(promotion, 'Promotion updated successfully');
+      }
+
+      case 'coupons': {
+        const validation = validateCouponData(requestBody, { partial: true });
+        if (!validation.isValid) {
+          return createValidationErrorResponse(validation.errors);
+        }
+        const coupon = await couponService.updateCoupon(resourceId, validation.validated, admin.user.id, admin.userInfo);
+        return createSuccessResponse(coupon, 'Coupon updated successfully');
+      }
+
+      default:
+        return createErrorResponse(404, 'Endpoint not found');
+    }
+  } catch (error) {
+    console.error('Admin PUT request error:', error);
+    return createCatalogErrorResponse(error);
+  }
+}
+
+async function handleAdminDeleteRequests(pathSegments, admin) {
+  try {
+    const [resource, resourceId] = pathSegments;
+
+    if (['products', 'categories', 'shelves', 'promotions', 'coupons'].includes(resource) && !resourceId) {
+      return createErrorResponse(400, 'Resource ID is required');
+    }
+
+    // Catalog records are archived rather than deleted so order history stays intact
+    switch (resource) {
+      case 'products':
+        const product = await catalogService.archiveProduct(resourceId, admin.user.id, admin.userInfo);
+        return createSuccessResponse(product, 'Product archived successfully');
+
+      case 'categories':
+        const category = await catalogService.archiveCategory(resourceId, admin.user.id, admin.userInfo);
+        return createSuccessResponse(category, 'Category archived successfully');
+
+      case 'shelves':
+        const shelf = await catalogService.archiveShelfLayout(resourceId, admin.user.id, admin.userInfo);
+        return createSuccessResponse(shelf, 'Shelf layout archived successfully');
+
+      case 'promotions':
+        const promotion = await promotionsService.archivePromotion(resourceId, admin.user.id, admin.userInfo);
+        return createSuccessResponse(promotion, 'Promotion archived successfully');
+
+      case 'coupons':
+        const coupon = await couponService.archiveCoupon(resourceId, admin.user.id, admin.userInfo);
+        return createSuccessResponse(coupon, 'Coupon archived successfully');
+
+      default:
+        return createErrorResponse(404, 'Endpoint not found');
+    }
+  } catch (error) {
+    console.error('Admin DELETE request error:', error);
+    return createCatalogErrorResponse(error);
+  }
+}
+
+/**
+ * Manage the variants of a single product
+ */
+async function handleVariantRequests(httpMethod, pathSegments, requestBody, admin, queryParams) {
+  try {
+    const productId = pathSegments[1];
+    const variantId = pathSegments[3];
+
+    if (['PUT', 'DELETE'].includes(httpMethod) && !variantId) {
+      return createErrorResponse(400, 'Variant ID is required');
+    }
+
+    switch (httpMethod) {
+      case 'GET': {
+        if (variantId) {
+          const variant = await catalogService.getVariant(productId, variantId);
+          return createSuccessResponse(variant, 'Variant retrieved successfully');
+        }
+        const variants = await catalogService.listVariants(productId, queryParams);
+        return createSuccessResponse(variants, 'Variants retrieved successfully');
+      }
+
+      case 'POST': {
+        const validation = validateVariantData(requestBody);
+        if (!validation.isValid) {
+          return createValidationErrorResponse(validation.errors);
+        }
+        const variant = await catalogService.createVariant(productId, validation.validated, admin.user.id, admin.userInfo);
+        return createSuccessResponse(variant, 'Variant created successfully');
+      }
+
+      case 'PUT': {
+        const validation = validateVariantData(requestBody, { partial: true });
+        if (!validation.isValid) {
+          return createValidationErrorResponse(validation.errors);
+        }
+        const variant = await catalogService.updateVariant(productId, variantId, validation.validated, admin.user.id, admin.userInfo);
+        return createSuccessResponse(variant, 'Variant updated successfully');
+      }
+
+      case 'DELETE': {
+        const variant = await catalogService.archiveVariant(productId, variantId, admin.user.id, admin.userInfo);
+        return createSuccessResponse(variant, 'Variant archived successfully');
+      }
+
+      default:
+        return createErrorResponse(405, `Method ${httpMethod} not allowed`);
+    }
+  } catch (error) {
+    console.error('Admin variant request error:', error);
+    return createCatalogErrorResponse(error);
+  }
+}
+
+/**
+ * Validate (dry run) or apply a CSV/JSON product import
+ */
+async function handleProductImport(requestBody, admin, queryParams) {
+  const format = typeof requestBody === 'string' ? 'csv' : 'json';
+  const dryRun = queryParams.dry_run === 'true';
+
+  let rows;
+  if (format === 'csv') {
+    try {
+      rows = parseCSV(requestBody).rows;
+    } catch (error) {
+      return createErrorResponse(400, `Invalid CSV: ${error.message}`);
+    }
+  } else {
+    rows = Array.isArray(requestBody) ? requestBody : requestBody.products;
+    if (!Array.isArray(rows)) {
+      return createErrorResponse(400, 'JSON imports must be an array of products or { "products": [...] }');
+    }
+  }
+
+  const report = await catalogService.importProducts(rows, { format, dryRun }, admin.user.id, admin.userInfo);
+
+  if (dryRun) {
+    return createSuccessResponse(report, report.invalidRows > 0
+      ? `Dry run found ${report.invalidRows} invalid row(s)`
+      : 'Dry run passed, no changes were made');
+  }
+
+  if (report.invalidRows > 0) {
+    return createErrorResponse(400, report, 'Import rejected, no products were changed. Fix the row errors and retry');
+  }
+
+  return createSuccessResponse(report, `Imported ${report.imported} product(s)`);
+}
+
+/**
+ * Export the active catalog as CSV or JSON
+ */
+async function handleProductExport(queryParams) {
+  const format = queryParams.format === 'csv' ? 'csv' : 'json';
+  const rows = await catalogService.exportProducts(format);
+  const dateStamp = new Date().toISOString().slice(0, 10);
+
+  if (format === 'csv') {
+    return createFileResponse(
+      toCSV(rows, VRCatalogAdminService.CATALOG_CSV_COLUMNS),
+      'text/csv; charset=utf-8',
+      `catalog-${dateStamp}.csv`
+    );
+  }
+
+  return createFileResponse(
+    JSON.stringify({ products: rows }, null, 2),
+    'application/json',
+    `catalog-${dateStamp}.json`
+  );
+}
+
+/**
+ * Map catalog service errors to HTTP responses
+ */
+function createCatalogErrorResponse(error) {
+  const message = error.message || '';
+
+  if (message.endsWith('not found')) {
+    return createErrorResponse(404, message);
+  }
+
+  if (message.includes('already exists')) {
+    return createErrorResponse(409, message);
+  }
+
+  if (message.startsWith('Invalid') || message.startsWith('Cannot') || message.startsWith('Import') ||
+      message.includes('cannot') || message.includes('must be') ||
+      message.includes('does not belong') || message.includes('is archived') || message.includes('requires')) {
+    return createErrorResponse(400, message);
+  }
+
+  return createErrorResponse(500, message);
+}
@@ -3,8 +3,9 @@
  * Handles activity tracking and analytics
  */
 const { createResponse, createErrorResponse, createSuccessResponse } = require('./utils/response');
-const { authenticateUser } = require('./utils/auth');
+const { authenticateUser, authorizeUser, PERMISSIONS } = require('./utils/auth');
 const { supabaseAdmin } = require('./config/supabase');
+const userService = require('./services/userService');
 
 exports.handler = async (event, context) => {
   // Handle CORS preflight
@@ -32,11 +33,13 @@ exports.handler = async (event, context) => {
       }
     }
 
-    const pathSegments = path.split('/').filter(segment => segment);
+    // Find the actual route after 'vr-analytics'
+    const allSegments = path.split('/').filter(segment => segment);
+    const pathSegments = allSegments.slice(allSegments.indexOf('vr-analytics') + 1);
 
     switch (httpMethod) {
       case 'GET':
-        return await handleAnalyticsGetRequests(pathSegments, auth.user, event.queryStringParameters);
+        return await handleAnalyticsGetRequests(pathSegments, auth.user, event.queryStringParameters, authHeader);
       
       case 'POST':
         return await handleAnalyticsPostRequests(pathSegments, requestBody, auth.user);
@@ -50,7 +53,7 @@ exports.handler = async (event, context) => {
   }
 };
 
-async function handleAnalyticsGetRequests(pathSegments, user, queryParams = {}) {
+async function handleAnalyticsGetRequests(pathSegments, user, queryParams = {}, authHeader = null) {
   try {
     switch (pathSegments[0]) {
       case 'user':
@@ -85,7 +88,37 @@ async function handleAnalyticsGetRequests(pathSegments, user, queryParams = {})
           
           return createSuccessResponse(sessions, 'User sessions retrieved successfully');
         }
-        break;
+        return createErrorResponse(404, 'Endpoint not found');
+      
+      case 'users':
+        if (pathSegments[1] === 'stats') {
+          // Store-wide user statistics (managers and admins)
+          const staffAuth = await authorizeUser(authHeader, [PERMISSIONS.READ_USER_STATS]);
+          if (!staffAuth.success) {
+            return createErrorResponse(staffAuth.statusCode, staffAuth.error);
+          }
+          
+          const stats = await userService.getUserStats();
+          return createSuccessResponse(stats, 'User statistics retrieved successfully');
+        }
+        
+        // Paginated user directory (managers and admins)
+        const staffAuth = await authorizeUser(authHeader, [PERMISSIONS.READ_USERS]);
+        if (!staffAuth.success) {
+          return createErrorResponse(staffAuth.statusCode, staffAuth.error);
+        }
+        
+        const users = await userService.getUsers({
+          page: parseInt(queryParams.page) || 1,
+          limit: parseInt(queryParams.limit) || 10,
+          sortBy: queryParams.sort_by,
+          sortOrder: queryParams.sort_order,
+          isActive: queryParams.is_active !== undefined ? queryParams.is_active === 'true' : undefined,
+          emailVerified: queryParams.email_verified !== undefined ? queryParams.email_verified === 'true' : undefined,
+          role: queryParams.role,
+          search: queryParams.search
+        });
+        return createSuccessResponse(users, 'Users retrieved successfully');
       
       default:
         return createErrorResponse(404, 'Endpoint not found');
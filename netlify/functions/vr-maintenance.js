@@ -0,0 +1,21 @@
+/**
+ * VR Maintenance scheduled function
+ * Runs on the schedule in netlify.toml: purges expired OTPs, sessions, rate limits and tokens,
+ * ends stale shopping sessions, cancels long-unpaid orders and records the run in maintenance_runs.
+ * Scheduled functions can't be called over HTTP in production.
+ */
+const { createSuccessResponse, createErrorResponse } = require('./utils/response');
+const VRMaintenanceService = require('./services/VRMaintenanceService');
+
+const maintenanceService = new VRMaintenanceService();
+
+exports.handler = async (event, context) => {
+  try {
+    const run = await maintenanceService.runMaintenance();
+
+    return createSuccessResponse(run, `Maintenance ${run.status}`);
+  } catch (error) {
+    console.error('VR Maintenance job error:', error);
+    return createErrorResponse(500, 'Maintenance job failed', error.message);
+  }
+};
@@ -0,0 +1,129 @@
+/**
+ * VR Orders API endpoint (store staff)
+ * Handles the fulfillment queue and moves orders through picking, pickup, shipping and delivery
+ */
+const { createResponse, createErrorResponse, createSuccessResponse, createValidationErrorResponse } = require('./utils/response');
+const { authorizeUser, PERMISSIONS } = require('./utils/auth');
+const { validateFulfillmentData } = require('./utils/validation');
+const { withIdempotency } = require('./utils/idempotency');
+const VROrderService = require('./services/VROrderService');
+
+const orderService = new VROrderService();
+
+exports.handler = async (event, context) => {
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return createResponse(200, null, 'CORS preflight successful');
+  }
+
+  try {
+    const { httpMethod, path, body, queryStringParameters = {} } = event;
+    const authHeader = event.headers.authorization || event.headers.Authorization;
+
+    // Authenticate user and require fulfillment permission
+    const auth = await authorizeUser(authHeader, [PERMISSIONS.FULFILL_ORDERS]);
+    if (!auth.success) {
+      return createErrorResponse(auth.statusCode, auth.error);
+    }
+
+    // Parse body if present
+    let requestBody = {};
+    if (body) {
+      try {
+        requestBody = JSON.parse(body);
+      } catch (error) {
+        return createErrorResponse(400, 'Invalid JSON in request body');
+      }
+    }
+
+    // Find the actual route after 'vr-orders'
+    const pathSegments = path.split('/').filter(segment => segment);
+    const routeIndex = pathSegments.indexOf('vr-orders') + 1;
+    const actualPathSegments = pathSegments.slice(routeIndex);
+
+    switch (httpMethod) {
+      case 'GET':
+        return await handleOrdersGetRequests(actualPathSegments, queryStringParameters);
+
+      case 'PUT':
+        return await withIdempotency(event, auth.user.id, () => handleOrdersPutRequests(actualPathSegments, requestBody, auth.user));
+
+      default:
+        return createErrorResponse(405, `Method ${httpMethod} not allowed`);
+    }
+  } catch (error) {
+    console.error('VR Orders API error:', error);
+    return createErrorResponse(500, 'Internal server error', error.message);
+  }
+};
+
+async function handleOrdersGetRequests(pathSegments, queryParams) {
+  try {
+    const [orderId, subresource] = pathSegments;
+
+    if (!orderId) {
+      const orders = await orderService.listOrders(
+        { status: queryParams.status, store_id: queryParams.store_id },
+        { page: queryParams.page, limit: queryParams.limit }
+      );
+      return createSuccessResponse(orders, 'Orders retrieved successfully');
+    }
+
+    if (!subresource) {
+      const order = await orderService.getOrder(orderId);
+      return createSuccessResponse(order, 'Order retrieved successfully');
+    }
+
+    if (subresource === 'history') {
+      const history = await orderService.getHistory(orderId);
+      return createSuccessResponse({ history }, 'Order history retrieved successfully');
+    }
+
+    return createErrorResponse(404, 'Endpoint not found. Available GET routes: /, {orderId}, {orderId}/history');
+  } catch (error) {
+    console.error('Orders GET error:', error);
+    return createOrderErrorResponse(error);
+  }
+}
+
+async function handleOrdersPutRequests(pathSegments, body, user) {
+  try {
+    const [orderId, subresource] = pathSegments;
+
+    if (!orderId || subresource !== 'status') {
+      return createErrorResponse(404, 'Endpoint not found. Available PUT routes: {orderId}/status');
+    }
+
+    const validation = validateFulfillmentData(body);
+    if (!validation.isValid) {
+      return createValidationErrorResponse(validation.errors, 'Please correct the following errors');
+    }
+
+    const result = await orderService.advanceFulfillment(orderId, user.id, validation.validated);
+    return createSuccessResponse(result, `Order moved to ${result.order.status}`);
+  } catch (error) {
+    console.error('Orders PUT error:', error);
+    return createOrderErrorResponse(error);
+  }
+}
+
+/**
+ * Map order lifecycle errors to HTTP responses
+ */
+function createOrderErrorResponse(error) {
+  const message = error.message || '';
+
+  if (message === 'Order not found') {
+    return createErrorResponse(404, message);
+  }
+
+  if (message.startsWith('Invalid order status') || message === 'Invalid order ID format') {
+    return createErrorResponse(400, message);
+  }
+
+  if (message.startsWith('Cannot move order')) {
+    return createErrorResponse(409, message);
+  }
+
+  return createErrorResponse(500, message);
+}
@@ -2,11 +2,19 @@
  * VR Payment API endpoint - FIXED VARIABLE CONFLICTS
  * Handles checkout, payment processing, and order management
  */
-const { createResponse, createErrorResponse, createSuccessResponse } = require('./utils/response');
-const { authenticateUser } = require('./utils/auth');
+const { createResponse, createErrorResponse, createSuccessResponse, createForbiddenResponse, createFileResponse } = require('./utils/response');
+const { authenticateUser, authorizeUser, hasPermissions, PERMISSIONS } = require('./utils/auth');
+const { withIdempotency } = require('./utils/idempotency');
 const VRPaymentService = require('./services/VRPaymentService');
+const VRStripeWebhookService = require('./services/VRStripeWebhookService');
+const VRReceiptService = require('./services/VRReceiptService');
+const VRShoppingGroupService = require('./services/VRShoppingGroupService');
 
 const paymentService = new VRPaymentService();
+const webhookService = new VRStripeWebhookService();
+
+// split orders are paid with several tenders: cash and store credit, then the rest by card
+const PAYMENT_METHODS = ['cash', 'stripe', 'split', 'store_credit'];
 
 exports.handler = async (event, context) => {
   // Handle CORS preflight
@@ -18,6 +26,11 @@ exports.handler = async (event, context) => {
     const { httpMethod, path, body, queryStringParameters = {} } = event;
     const authHeader = event.headers.authorization || event.headers.Authorization;
 
+    // Stripe calls the webhook itself; it is authenticated by its signature, not a user token
+    if (httpMethod === 'POST' && /\/vr-payment\/webhook\/stripe\/?$/.test(path)) {
+      return await handleStripeWebhook(event);
+    }
+
     // Authenticate user
     const auth = await authenticateUser(authHeader);
     if (!auth.success) {
@@ -45,15 +58,19 @@ exports.handler = async (event, context) => {
     console.log('Path segments:', pathSegments);
     console.log('Actual route segments:', actualPathSegments);
 
+    // Retried POST/PUT/DELETE calls with the same Idempotency-Key get the first response back
     switch (httpMethod) {
       case 'GET':
         return await handlePaymentGetRequests(actualPathSegments, auth.user, queryStringParameters);
       
       case 'POST':
-        return await handlePaymentPostRequests(actualPathSegments, requestBody, auth.user);
+        return await withIdempotency(event, auth.user.id, () => handlePaymentPostRequests(actualPathSegments, requestBody, auth.user, authHeader));
       
       case 'PUT':
-        return await handlePaymentPutRequests(actualPathSegments, requestBody, auth.user);
+        return await withIdempotency(event, auth.user.id, () => handlePaymentPutRequests(actualPathSegments, requestBody, auth.user));
+      
+      case 'DELETE':
+        return await withIdempotency(event, auth.user.id, () => handlePaymentDeleteRequests(actualPathSegments, auth.user));
       
       default:
         return createErrorResponse(405, `Method ${httpMethod} not allowed`);
@@ -73,7 +90,13 @@ async function handlePaymentGetRequests(pathSegments, user, queryParams) {
         if (!pathSegments[1]) {
           return createErrorResponse(400, 'Session ID is required');
         }
-        const checkoutDetails = await paymentService.initializeCheckout(pathSegments[1], user.id);
+        // Group members preview paying for the whole group cart (combined) or their own part (split)
+        if (queryParams.group_checkout && !VRShoppingGroupService.CHECKOUT_MODES.includes(queryParams.group_checkout)) {
+          return createErrorResponse(400, 'Invalid group checkout. Must be "combined" or "split"');
+        }
+        const checkoutDetails = await paymentService.initializeCheckout(pathSegments[1], user.id, {
+          groupCheckout: queryParams.group_checkout
+        });
         return createSuccessResponse(checkoutDetails, 'Checkout initialized successfully');
       
       case 'order':
@@ -97,19 +120,18 @@ async function handlePaymentGetRequests(pathSegments, user, queryParams) {
         if (!pathSegments[1]) {
           return createErrorResponse(400, 'Order ID is required');
         }
-        const receipt = await paymentService.generateReceipt(pathSegments[1]);
-        return createSuccessResponse(receipt, 'Receipt generated successfully');
+        return await handleReceiptRequest(pathSegments[1], pathSegments[2] || 'json', user);
       
       default:
-        return createErrorResponse(404, `Endpoint not found. Available GET routes: checkout/{sessionId}, order/{orderId}, orders, receipt/{orderId}`);
+        return createErrorResponse(404, `Endpoint not found. Available GET routes: checkout/{sessionId}, order/{orderId}, orders, receipt/{orderId}[/html|/pdf]`);
     }
   } catch (error) {
     console.error('Payment GET error:', error);
-    return createErrorResponse(500, error.message);
+    return createCheckoutErrorResponse(error);
   }
 }
 
-async function handlePaymentPostRequests(pathSegments, body, user) {
+async function handlePaymentPostRequests(pathSegments, body, user, authHeader) {
   try {
     console.log('POST - Processing path segments:', pathSegments);
     
@@ -120,46 +142,60 @@ async function handlePaymentPostRequests(pathSegments, body, user) {
           return createErrorResponse(400, 'Session ID is required in path');
         }
         
-        const { payment_method: checkoutPaymentMethod = 'stripe' } = body;
+        const { payment_method: checkoutPaymentMethod = 'stripe', group_checkout: checkoutGroupMode } = body;
         
-        if (!['cash', 'stripe'].includes(checkoutPaymentMethod)) {
-          return createErrorResponse(400, 'Invalid payment method. Must be "cash" or "stripe"');
+        if (!PAYMENT_METHODS.includes(checkoutPaymentMethod)) {
+          return createErrorResponse(400, 'Invalid payment method. Must be "cash", "stripe", "split" or "store_credit"');
         }
         
-        // Initialize checkout first
-        const checkoutData = await paymentService.initializeCheckout(pathSegments[1], user.id);
+        if (checkoutGroupMode && !VRShoppingGroupService.CHECKOUT_MODES.includes(checkoutGroupMode)) {
+          return createErrorResponse(400, 'Invalid group checkout. Must be "combined" or "split"');
+        }
+        
+        // Initialize checkout first (a combined group checkout prices the whole group cart)
+        const checkoutData = await paymentService.initializeCheckout(pathSegments[1], user.id, {
+          groupCheckout: checkoutGroupMode
+        });
         
         // Create order
         const checkoutOrder = await paymentService.createOrder(
           pathSegments[1],
           user.id,
           checkoutPaymentMethod,
-          checkoutData.totals
+          checkoutData.totals,
+          checkoutData.group
         );
         
         return createSuccessResponse(checkoutOrder, 'Checkout completed and order created successfully');
       
       case 'order':
         // Create new order (original endpoint)
-        const { session_id, payment_method } = body;
+        const { session_id, payment_method, group_checkout } = body;
         
         if (!session_id || !payment_method) {
           return createErrorResponse(400, 'Session ID and payment method are required');
         }
         
-        if (!['cash', 'stripe'].includes(payment_method)) {
-          return createErrorResponse(400, 'Invalid payment method. Must be "cash" or "stripe"');
+        if (!PAYMENT_METHODS.includes(payment_method)) {
+          return createErrorResponse(400, 'Invalid payment method. Must be "cash", "stripe", "split" or "store_credit"');
+        }
+        
+        if (group_checkout && !VRShoppingGroupService.CHECKOUT_MODES.includes(group_checkout)) {
+          return createErrorResponse(400, 'Invalid group checkout. Must be "combined" or "split"');
         }
         
         // Initialize checkout first
-        const orderCheckoutDetails = await paymentService.initializeCheckout(session_id, user.id);
+        const orderCheckoutDetails = await paymentService.initializeCheckout(session_id, user.id, {
+          groupCheckout: group_checkout
+        });
         
         // Create order
         const createdOrder = await paymentService.createOrder(
           session_id,
           user.id,
           payment_method,
-          orderCheckoutDetails.totals
+          orderCheckoutDetails.totals,
+          orderCheckoutDetails.group
         );
         
         return createSuccessResponse(createdOrder, 'Order created successfully');
@@ -173,13 +209,54 @@ async function handlePaymentPostRequests(pathSegments, body, user) {
             return createErrorResponse(400, 'Order ID and cash received amount are required');
           }
           
-          const paymentResult = await paymentService.processCashPayment(
-            order_id,
-            user.id,
-            parseFloat(cash_received)
-          );
+          if (!(parseFloat(cash_received) > 0)) {
+            return createErrorResponse(400, 'Cash received must be a positive number');
+          }
           
-          return createSuccessResponse(paymentResult, 'Cash payment processed successfully');
+          try {
+            const paymentResult = await paymentService.processCashPayment(
+              order_id,
+              user.id,
+              parseFloat(cash_received)
+            );
+            
+            return createSuccessResponse(
+              paymentResult,
+              paymentResult.balanceDue > 0
+                ? `Cash payment recorded. Balance due: ${paymentResult.formattedBalanceDue}`
+                : 'Cash payment processed successfully'
+            );
+          } catch (paymentError) {
+            return createPaymentErrorResponse(paymentError);
+          }
+        } else if (pathSegments[1] === 'store-credit') {
+          // Pay from the shopper's store credit wallet
+          const { order_id: creditOrderId, amount: creditAmount } = body;
+          
+          if (!creditOrderId) {
+            return createErrorResponse(400, 'Order ID is required');
+          }
+          
+          if (creditAmount !== undefined && creditAmount !== null && !(parseFloat(creditAmount) > 0)) {
+            return createErrorResponse(400, 'Amount must be a positive number');
+          }
+          
+          try {
+            const creditResult = await paymentService.processStoreCreditPayment(
+              creditOrderId,
+              user.id,
+              creditAmount ? parseFloat(creditAmount) : null
+            );
+            
+            return createSuccessResponse(
+              creditResult,
+              creditResult.balanceDue > 0
+                ? `Store credit applied. Balance due: ${creditResult.formattedBalanceDue}`
+                : 'Store credit payment processed successfully'
+            );
+          } catch (paymentError) {
+            return createPaymentErrorResponse(paymentError);
+          }
         } else if (pathSegments[1] === 'stripe') {
           if (pathSegments[2] === 'intent') {
             // Create Stripe payment intent
@@ -189,8 +266,12 @@ async function handlePaymentPostRequests(pathSegments, body, user) {
               return createErrorResponse(400, 'Order ID is required');
             }
             
-            const paymentIntent = await paymentService.createStripePaymentIntent(order_id, user.id);
-            return createSuccessResponse(paymentIntent, 'Payment intent created successfully');
+            try {
+              const paymentIntent = await paymentService.createStripePaymentIntent(order_id, user.id);
+              return createSuccessResponse(paymentIntent, 'Payment intent created successfully');
+            } catch (paymentError) {
+              return createPaymentErrorResponse(paymentError);
+            }
           } else if (pathSegments[2] === 'confirm') {
             // Confirm Stripe payment
             const { order_id, payment_intent_id } = body;
@@ -210,33 +291,74 @@ async function handlePaymentPostRequests(pathSegments, body, user) {
             return createErrorResponse(404, `Invalid Stripe endpoint. Use: payment/stripe/intent or payment/stripe/confirm`);
           }
         } else {
-          return createErrorResponse(404, `Invalid payment method. Use: payment/cash or payment/stripe/*`);
+          return createErrorResponse(404, `Invalid payment method. Use: payment/cash, payment/store-credit or payment/stripe/*`);
         }
         break;
       
+      case 'coupon':
+        if (pathSegments[1] !== 'apply') {
+          return createErrorResponse(404, 'Endpoint not found. Use: coupon/apply');
+        }
+        
+        const { session_id: couponSessionId, code } = body;
+        
+        if (!couponSessionId || !code) {
+          return createErrorResponse(400, 'Session ID and coupon code are required');
+        }
+        
+        try {
+          const couponResult = await paymentService.applyCoupon(couponSessionId, user.id, code);
+          return createSuccessResponse(couponResult, `Coupon ${couponResult.coupon.code} applied successfully`);
+        } catch (couponError) {
+          return createCouponErrorResponse(couponError);
+        }
+      
       case 'refund':
-        // Process refund
-        const { order_id, refund_amount, reason } = body;
+        // Process refund (cashiers and above, for any customer's order)
+        const staffAuth = await authorizeUser(authHeader, [PERMISSIONS.PROCESS_REFUNDS]);
+        if (!staffAuth.success) {
+          return createErrorResponse(staffAuth.statusCode, staffAuth.error);
+        }
+        
+        const { order_id, refund_amount, reason, items: refundItems = [], refund_to: refundTo = 'original' } = body;
         
-        if (!order_id || !refund_amount || !reason) {
-          return createErrorResponse(400, 'Order ID, refund amount, and reason are required');
+        if (!order_id || !reason || (!refund_amount && !refundItems.length)) {
+          return createErrorResponse(400, 'Order ID, reason, and a refund amount or returned items are required');
         }
         
-        const refundResult = await paymentService.processRefund(
-          order_id,
-          user.id,
-          parseFloat(refund_amount),
-          reason
-        );
+        if (refund_amount !== undefined && refund_amount !== null && !(parseFloat(refund_amount) > 0)) {
+          return createErrorResponse(400, 'Refund amount must be a positive number');
+        }
+        
+        if (!Array.isArray(refundItems) || refundItems.some(item => !item.order_item_id || !(parseInt(item.quantity) > 0))) {
+          return createErrorResponse(400, 'Each returned item needs an order_item_id and a positive quantity');
+        }
+        
+        if (!['original', 'store_credit'].includes(refundTo)) {
+          return createErrorResponse(400, 'refund_to must be "original" or "store_credit"');
+        }
         
-        return createSuccessResponse(refundResult, 'Refund processed successfully');
+        try {
+          const refundResult = await paymentService.processRefund(
+            order_id,
+            user.id,
+            refund_amount ? parseFloat(refund_amount) : null,
+            reason,
+            refundItems,
+            refundTo
+          );
+          
+          return createSuccessResponse(refundResult, 'Refund processed successfully');
+        } catch (refundError) {
+          return createRefundErrorResponse(refundError);
+        }
       
       default:
-        return createErrorResponse(404, `Endpoint not found. Available POST routes: checkout/{sessionId}, order, payment/cash, payment/stripe/intent, payment/stripe/confirm, refund`);
+        return createErrorResponse(404, `Endpoint not found. Available POST routes: checkout/{sessionId}, order, payment/cash, payment/store-credit, payment/stripe/intent, payment/stripe/confirm, coupon/apply, refund`);
     }
   } catch (error) {
     console.error('Payment POST error:', error);
-    return createErrorResponse(500, error.message);
+    return createCheckoutErrorResponse(error);
   }
 }
 
@@ -264,6 +386,196 @@ async function handlePaymentPutRequests(pathSegments, body, user) {
     return createErrorResponse(404, `Endpoint not found. Available PUT routes: order/cancel`);
   } catch (error) {
     console.error('Payment PUT error:', error);
-    return createErrorResponse(500, error.message);
+    return createCancellationErrorResponse(error);
+  }
+}
+async function handlePaymentDeleteRequests(pathSegments, user) {
+  try {
+    console.log('DELETE - Processing path segments:', pathSegments);
+    
+    if (pathSegments[0] === 'coupon' && pathSegments[1]) {
+      // Remove coupon from session
+      const result = await paymentService.removeCoupon(pathSegments[1], user.id);
+      return createSuccessResponse(result, 'Coupon removed successfully');
+    }
+    
+    return createErrorResponse(404, `Endpoint not found. Available DELETE routes: coupon/{sessionId}`);
+  } catch (error) {
+    console.error('Payment DELETE error:', error);
+    return createCouponErrorResponse(error);
+  }
+}
+
+/**
+ * Verify and process a Stripe webhook delivery. Signature failures return 400;
+ * processing failures return 500 so Stripe retries the event.
+ */
+async function handleStripeWebhook(event) {
+  const signature = event.headers['stripe-signature'] || event.headers['Stripe-Signature'];
+  const rawBody = event.isBase64Encoded
+    ? Buffer.from(event.body || '', 'base64')
+    : event.body || '';
+
+  let stripeEvent;
+  try {
+    stripeEvent = webhookService.constructEvent(rawBody, signature);
+  } catch (error) {
+    return createErrorResponse(400, error.message);
   }
-}
\ No newline at end of file
+
+  try {
+    const result = await webhookService.handleEvent(stripeEvent);
+    return createSuccessResponse(result, result.duplicate ? 'Webhook event already processed' : 'Webhook event processed');
+  } catch (error) {
+    console.error('Stripe webhook error:', error);
+    return createErrorResponse(500, 'Webhook processing failed', error.message);
+  }
+}
+
+/**
+ * Map checkout errors to HTTP responses. Stock conflicts return 409 with the lines
+ * that are short; the message is written to be read aloud by the VR cashier.
+ */
+function createCheckoutErrorResponse(error) {
+  const message = error.message || '';
+
+  if (error.code === 'STOCK_CONFLICT') {
+    return createErrorResponse(409, { code: 'STOCK_CONFLICT', conflicts: error.conflicts }, message);
+  }
+
+  if (message.startsWith('Cart changed')) {
+    return createErrorResponse(409, message);
+  }
+
+  if (message === 'Cart is empty') {
+    return createErrorResponse(400, message);
+  }
+
+  if (message === 'You are not allowed to check out for this group' || message === 'You can only check out from your own session' ||
+      message === 'You are not a member of this shopping group') {
+    return createForbiddenResponse(message);
+  }
+
+  if (message === 'Shopping group not found') {
+    return createErrorResponse(404, message);
+  }
+
+  if (message.startsWith('Coupon')) {
+    return createCouponErrorResponse(error);
+  }
+
+  return createErrorResponse(500, message);
+}
+
+/**
+ * Return an order's receipt as JSON or as an HTML or PDF download.
+ * Shoppers get their own receipts; staff who process refunds can get any order's.
+ */
+async function handleReceiptRequest(orderId, format, user) {
+  if (!VRReceiptService.RECEIPT_FORMATS.includes(format)) {
+    return createErrorResponse(404, `Unknown receipt format. Use one of: ${VRReceiptService.RECEIPT_FORMATS.join(', ')}`);
+  }
+
+  const ownerId = hasPermissions(user, [PERMISSIONS.PROCESS_REFUNDS]) ? null : user.id;
+
+  let receipt;
+  try {
+    receipt = await paymentService.generateReceipt(orderId, ownerId);
+  } catch (error) {
+    if (error.message === 'Order not found for receipt generation') {
+      return createErrorResponse(404, 'Order not found');
+    }
+    throw error;
+  }
+
+  if (format === 'json') {
+    return createSuccessResponse(receipt, 'Receipt generated successfully');
+  }
+
+  const file = paymentService.receiptService.render(receipt, format);
+  return createFileResponse(file.content, file.contentType, file.filename);
+}
+
+/**
+ * Map cancellation errors to HTTP responses (orders past payment can only be refunded)
+ */
+function createCancellationErrorResponse(error) {
+  const message = error.message || '';
+
+  if (message === 'Order not found') {
+    return createErrorResponse(404, message);
+  }
+
+  if (message.startsWith('Cannot') || message === 'Order is already cancelled' || message.startsWith('A card payment')) {
+    return createErrorResponse(409, message);
+  }
+
+  return createErrorResponse(500, message);
+}
+
+/**
+ * Map tender errors to HTTP responses (the shopper can pay a different amount or retry)
+ */
+function createPaymentErrorResponse(error) {
+  const message = error.message || '';
+
+  if (message === 'Order not found') {
+    return createErrorResponse(404, message);
+  }
+
+  if (message.startsWith('Insufficient') || message === 'Invalid payment amount' || message === 'No store credit available') {
+    return createErrorResponse(400, message);
+  }
+
+  if (message === 'Order payment already processed' || message.startsWith('Payment amount exceeds') ||
+      message.startsWith('A card payment')) {
+    return createErrorResponse(409, message);
+  }
+
+  return createCheckoutErrorResponse(error);
+}
+
+/**
+ * Map refund errors to HTTP responses (amount and quantity problems are the cashier's to fix)
+ */
+function createRefundErrorResponse(error) {
+  const message = error.message || '';
+
+  if (message === 'Order not found' || message === 'Order item not found on this order') {
+    return createErrorResponse(404, message);
+  }
+
+  if (message === 'Invalid refund amount') {
+    return createErrorResponse(400, message);
+  }
+
+  if (message.startsWith('Refund amount') || message.startsWith('Return quantity') ||
+      message.startsWith('Order is already') || message.startsWith('Cannot refund') ||
+      message === 'Order payment not completed') {
+    return createErrorResponse(409, message);
+  }
+
+  if (message.startsWith('Stripe refund failed')) {
+    return createErrorResponse(502, message);
+  }
+
+  return createErrorResponse(500, message);
+}
+
+/**
+ * Map coupon errors to HTTP responses (shoppers see why a code was rejected)
+ */
+function createCouponErrorResponse(error) {
+  const message = error.message || '';
+
+  if (message === 'Session not found' || message === 'Coupon code not found') {
+    return createErrorResponse(404, message);
+  }
+
+  if (message.startsWith('Coupon') || message.startsWith('Invalid') || message.startsWith('Cannot') ||
+      message.startsWith('You have already') || message.startsWith('No coupon')) {
+    return createErrorResponse(400, message);
+  }
+
+  return createErrorResponse(500, message);
+}
@@ -2,8 +2,9 @@
  * VR Products API endpoint
  * Handles product browsing, search, and recommendations
  */
-const { createResponse, createErrorResponse, createSuccessResponse } = require('./utils/response');
-const { authenticateUser } = require('./utils/auth');
+const { createResponse, createErrorResponse, createSuccessResponse, createValidationErrorResponse } = require('./utils/response');
+const { authenticateUser, authorizeUser, PERMISSIONS } = require('./utils/auth');
+const { validateReviewData } = require('./utils/validation');
 const VRProductsService = require('./services/VRProductsService');
 
 const productsService = new VRProductsService();
@@ -35,6 +36,12 @@ exports.handler = async (event, context) => {
       case 'POST':
         return await handlePostRequests(path, requestBody, authHeader);
       
+      case 'PUT':
+        return await handlePutRequests(path, requestBody, authHeader);
+      
+      case 'DELETE':
+        return await handleDeleteRequests(path, authHeader);
+      
       default:
         return createErrorResponse(405, `Method ${httpMethod} not allowed`);
     }
@@ -84,6 +91,7 @@ async function handleGetRequests(path, params, authHeader) {
             max_price: params.max_price ? parseFloat(params.max_price) : undefined,
             in_stock: params.in_stock === 'true',
             brand: params.brand,
+            min_rating: params.min_rating ? parseFloat(params.min_rating) : undefined,
             sort_by: params.sort_by,
             sort_order: params.sort_order
           };
@@ -119,6 +127,12 @@ async function handleGetRequests(path, params, authHeader) {
         }
         const searchResults = await productsService.searchProducts(params.q, {
           category_id: params.category_id,
+          subcategory_id: params.subcategory_id,
+          brand: params.brand,
+          min_price: params.min_price ? parseFloat(params.min_price) : undefined,
+          max_price: params.max_price ? parseFloat(params.max_price) : undefined,
+          in_stock: params.in_stock === 'true',
+          min_rating: params.min_rating ? parseFloat(params.min_rating) : undefined,
           limit: params.limit ? parseInt(params.limit) : 50
         });
         return createSuccessResponse(searchResults, 'Search completed successfully');
@@ -132,15 +146,26 @@ async function handleGetRequests(path, params, authHeader) {
         return createSuccessResponse(shelfProducts, 'Shelf products retrieved successfully');
       
       case 'reviews':
-        if (!pathSegments[1]) {
+        if (!routeParam) {
           return createErrorResponse(400, 'Product ID is required');
         }
-        const reviews = await productsService.getProductReviews(pathSegments[1], {
+        const reviews = await productsService.getProductReviews(routeParam, {
           page: params.page ? parseInt(params.page) : 1,
           limit: params.limit ? parseInt(params.limit) : 10
         });
         return createSuccessResponse(reviews, 'Product reviews retrieved successfully');
       
+      case 'low-stock':
+        // Inventory report for store staff
+        const staffAuth = await authorizeUser(authHeader, [PERMISSIONS.READ_INVENTORY]);
+        if (!staffAuth.success) {
+          return createErrorResponse(staffAuth.statusCode, staffAuth.error);
+        }
+        const lowStockProducts = await productsService.getLowStockProducts(
+          params.limit ? parseInt(params.limit) : 20
+        );
+        return createSuccessResponse(lowStockProducts, 'Low stock products retrieved successfully');
+      
       default:
         return createErrorResponse(404, 'Endpoint not found');
     }
@@ -157,7 +182,7 @@ async function handlePostRequests(path, body, authHeader) {
     return createErrorResponse(401, auth.error);
   }
 
-  const pathSegments = path.split('/').filter(segment => segment);
+  const pathSegments = getRouteSegments(path);
   
   try {
     switch (pathSegments[0]) {
@@ -165,15 +190,115 @@ async function handlePostRequests(path, body, authHeader) {
         if (!pathSegments[1]) {
           return createErrorResponse(400, 'Product ID is required');
         }
-        // Handle product review submission
-        // Implementation would go here
-        return createSuccessResponse({}, 'Review submitted successfully');
+        
+        const reviewValidation = validateReviewData(body);
+        if (!reviewValidation.isValid) {
+          return createValidationErrorResponse(reviewValidation.errors);
+        }
+        
+        const createdReview = await productsService.createProductReview(
+          pathSegments[1],
+          auth.user.id,
+          reviewValidation.validated
+        );
+        return createSuccessResponse(createdReview, 'Review submitted successfully');
       
       default:
         return createErrorResponse(404, 'Endpoint not found');
     }
   } catch (error) {
     console.error('Products POST error:', error);
-    return createErrorResponse(500, error.message);
+    return createReviewErrorResponse(error);
+  }
+}
+
+async function handlePutRequests(path, body, authHeader) {
+  const auth = await authenticateUser(authHeader);
+  if (!auth.success) {
+    return createErrorResponse(401, auth.error);
   }
+
+  const pathSegments = getRouteSegments(path);
+  
+  try {
+    if (pathSegments[0] === 'reviews') {
+      if (!pathSegments[1]) {
+        return createErrorResponse(400, 'Product ID is required');
+      }
+      
+      const reviewValidation = validateReviewData(body, { partial: true });
+      if (!reviewValidation.isValid) {
+        return createValidationErrorResponse(reviewValidation.errors);
+      }
+      
+      const updatedReview = await productsService.updateProductReview(
+        pathSegments[1],
+        auth.user.id,
+        reviewValidation.validated
+      );
+      return createSuccessResponse(updatedReview, 'Review updated successfully');
+    }
+    
+    return createErrorResponse(404, 'Endpoint not found');
+  } catch (error) {
+    console.error('Products PUT error:', error);
+    return createReviewErrorResponse(error);
+  }
+}
+
+async function handleDeleteRequests(path, authHeader) {
+  const auth = await authenticateUser(authHeader);
+  if (!auth.success) {
+    return createErrorResponse(401, auth.error);
+  }
+
+  const pathSegments = getRouteSegments(path);
+  
+  try {
+    if (pathSegments[0] === 'reviews') {
+      if (!pathSegments[1]) {
+        return createErrorResponse(400, 'Product ID is required');
+      }
+      
+      const result = await productsService.deleteProductReview(pathSegments[1], auth.user.id);
+      return createSuccessResponse(result, 'Review deleted successfully');
+    }
+    
+    return createErrorResponse(404, 'Endpoint not found');
+  } catch (error) {
+    console.error('Products DELETE error:', error);
+    return createReviewErrorResponse(error);
+  }
+}
+
+/**
+ * Get the route segments that follow 'vr-products' in the request path
+ */
+function getRouteSegments(path) {
+  const pathSegments = path.split('/').filter(segment => segment);
+  const routeIndex = pathSegments.indexOf('vr-products') + 1;
+  return pathSegments.slice(routeIndex);
+}
+
+/**
+ * Map review service errors to HTTP responses
+ */
+function createReviewErrorResponse(error) {
+  if (error.message.includes('Only customers who purchased')) {
+    return createErrorResponse(403, error.message);
+  }
+  
+  if (error.message.includes('already reviewed')) {
+    return createErrorResponse(409, error.message);
+  }
+  
+  if (error.message === 'Review not found' || error.message === 'Product not found') {
+    return createErrorResponse(404, error.message);
+  }
+  
+  if (error.message.includes('Invalid product ID')) {
+    return createErrorResponse(400, error.message);
+  }
+  
+  return createErrorResponse(500, error.message);
 }
\ No newline at end of file
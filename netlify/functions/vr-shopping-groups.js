@@ -0,0 +1,213 @@
+/**
+ * VR Shopping Groups API endpoint
+ * Handles shopping together: opening and joining groups by invite code, the shared cart and
+ * member permissions. Checking out a group cart goes through vr-payment with group_checkout.
+ */
+const { createResponse, createErrorResponse, createSuccessResponse, createValidationErrorResponse, createForbiddenResponse } = require('./utils/response');
+const { authenticateUser } = require('./utils/auth');
+const { validateShoppingGroupData, validateGroupPermissionData } = require('./utils/validation');
+const { withIdempotency } = require('./utils/idempotency');
+const VRShoppingGroupService = require('./services/VRShoppingGroupService');
+
+const groupService = new VRShoppingGroupService();
+
+exports.handler = async (event, context) => {
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return createResponse(200, null, 'CORS preflight successful');
+  }
+
+  try {
+    const { httpMethod, path, body } = event;
+    const authHeader = event.headers.authorization || event.headers.Authorization;
+
+    // Authenticate user
+    const auth = await authenticateUser(authHeader);
+    if (!auth.success) {
+      return createErrorResponse(401, auth.error);
+    }
+
+    // Parse body if present
+    let requestBody = {};
+    if (body) {
+      try {
+        requestBody = JSON.parse(body);
+      } catch (error) {
+        return createErrorResponse(400, 'Invalid JSON in request body');
+      }
+    }
+
+    // Find the actual route after 'vr-shopping-groups'
+    const pathSegments = path.split('/').filter(segment => segment);
+    const routeIndex = pathSegments.indexOf('vr-shopping-groups') + 1;
+    const actualPathSegments = pathSegments.slice(routeIndex);
+
+    switch (httpMethod) {
+      case 'GET':
+        return await handleGroupGetRequests(actualPathSegments, auth.user);
+
+      case 'POST':
+        return await withIdempotency(event, auth.user.id, () => handleGroupPostRequests(actualPathSegments, requestBody, auth.user));
+
+      case 'PUT':
+        return await withIdempotency(event, auth.user.id, () => handleGroupPutRequests(actualPathSegments, requestBody, auth.user));
+
+      case 'DELETE':
+        return await withIdempotency(event, auth.user.id, () => handleGroupDeleteRequests(actualPathSegments, auth.user));
+
+      default:
+        return createErrorResponse(405, `Method ${httpMethod} not allowed`);
+    }
+  } catch (error) {
+    console.error('VR Shopping Groups API error:', error);
+    return createErrorResponse(500, 'Internal server error', error.message);
+  }
+};
+
+async function handleGroupGetRequests(pathSegments, user) {
+  try {
+    const [first, second] = pathSegments;
+
+    if (!first) {
+      // The group the user is in right now
+      const group = await groupService.getCurrentGroup(user.id);
+      return createSuccessResponse({ group }, group ? 'Shopping group retrieved successfully' : 'You are not in a shopping group');
+    }
+
+    if (!second) {
+      const group = await groupService.getGroup(first, user.id);
+      return createSuccessResponse(group, 'Shopping group retrieved successfully');
+    }
+
+    return createErrorResponse(404, 'Endpoint not found. Available GET routes: /, {groupId}');
+  } catch (error) {
+    console.error('Shopping group GET error:', error);
+    return createGroupErrorResponse(error);
+  }
+}
+
+async function handleGroupPostRequests(pathSegments, body, user) {
+  try {
+    const [first, second] = pathSegments;
+
+    // Open a group from the host's session
+    if (!first) {
+      const validation = validateShoppingGroupData(body);
+      if (!validation.isValid) {
+        return createValidationErrorResponse(validation.errors, 'Please correct the following errors');
+      }
+
+      const group = await groupService.createGroup(user.id, validation.validated);
+      return createSuccessResponse(group, 'Shopping group created successfully');
+    }
+
+    if (first === 'join' && !second) {
+      const { invite_code, session_id } = body;
+
+      if (!invite_code || !session_id) {
+        return createErrorResponse(400, 'Invite code and Session ID are required');
+      }
+
+      const group = await groupService.joinGroup(user.id, invite_code, session_id);
+      return createSuccessResponse(group, 'Joined shopping group successfully');
+    }
+
+    if (second === 'cart' && !pathSegments[2]) {
+      const { product_id, variant_id = null, quantity = 1 } = body;
+
+      if (!product_id) {
+        return createErrorResponse(400, 'Product ID is required');
+      }
+
+      const cartItem = await groupService.addToGroupCart(first, user.id, product_id, quantity, variant_id);
+      return createSuccessResponse(cartItem, 'Product added to group cart successfully');
+    }
+
+    if (second === 'leave' && !pathSegments[2]) {
+      const result = await groupService.leaveGroup(first, user.id);
+      return createSuccessResponse(result, result.message);
+    }
+
+    return createErrorResponse(404, 'Endpoint not found. Available POST routes: /, join, {groupId}/cart, {groupId}/leave');
+  } catch (error) {
+    console.error('Shopping group POST error:', error);
+    return createGroupErrorResponse(error);
+  }
+}
+
+async function handleGroupPutRequests(pathSegments, body, user) {
+  try {
+    const [first, second, third] = pathSegments;
+
+    if (first && second === 'members' && third) {
+      const validation = validateGroupPermissionData(body);
+      if (!validation.isValid) {
+        return createValidationErrorResponse(validation.errors, 'Please correct the following errors');
+      }
+
+      const member = await groupService.updateMember(first, user.id, third, validation.validated);
+      return createSuccessResponse(member, 'Member permissions updated successfully');
+    }
+
+    return createErrorResponse(404, 'Endpoint not found. Available PUT routes: {groupId}/members/{userId}');
+  } catch (error) {
+    console.error('Shopping group PUT error:', error);
+    return createGroupErrorResponse(error);
+  }
+}
+
+async function handleGroupDeleteRequests(pathSegments, user) {
+  try {
+    const [first, second, third, fourth, fifth] = pathSegments;
+
+    if (first && !second) {
+      const result = await groupService.closeGroup(first, user.id);
+      return createSuccessResponse(result, result.message);
+    }
+
+    if (first && second === 'members' && third) {
+      const result = await groupService.removeMember(first, user.id, third);
+      return createSuccessResponse(result, result.message);
+    }
+
+    // Remove an item (or one variant of it) from a member's part of the cart
+    if (first && second === 'cart' && third && fourth) {
+      const result = await groupService.removeFromGroupCart(first, user.id, third, fourth, fifth || null);
+      return createSuccessResponse(result, 'Product removed from group cart successfully');
+    }
+
+    return createErrorResponse(404, 'Endpoint not found. Available DELETE routes: {groupId}, {groupId}/members/{userId}, {groupId}/cart/{userId}/{productId}[/{variantId}]');
+  } catch (error) {
+    console.error('Shopping group DELETE error:', error);
+    return createGroupErrorResponse(error);
+  }
+}
+
+/**
+ * Map shopping group errors to HTTP responses
+ */
+function createGroupErrorResponse(error) {
+  const message = error.message || '';
+
+  if (['Shopping group not found', 'Group member not found', 'Session not found', 'Product not found in cart', 'Product not found or unavailable', 'Variant not found or unavailable'].includes(message)) {
+    return createErrorResponse(404, message);
+  }
+
+  if (message.startsWith('You are not allowed') || message.startsWith('Only the host') || message.startsWith('Items can only be added')) {
+    return createForbiddenResponse(message);
+  }
+
+  if (message === 'A variant must be selected for this product' || message.startsWith('Invalid') || message.startsWith('Quantity')) {
+    return createErrorResponse(400, message);
+  }
+
+  if (message === 'You are already in a shopping group' ||
+    message === 'Your session is in a different store than the group' ||
+    message === 'Shopping session is no longer active' ||
+    message.startsWith('The host') ||
+    message.startsWith('Insufficient stock')) {
+    return createErrorResponse(409, message);
+  }
+
+  return createErrorResponse(500, message);
+}
@@ -4,9 +4,12 @@
  */
 const { createResponse, createErrorResponse, createSuccessResponse } = require('./utils/response');
 const { authenticateUser } = require('./utils/auth');
+const { withIdempotency } = require('./utils/idempotency');
 const VRShoppingService = require('./services/VRShoppingService');
+const VRCartRecoveryService = require('./services/VRCartRecoveryService');
 
 const shoppingService = new VRShoppingService();
+const cartRecoveryService = new VRCartRecoveryService();
 
 exports.handler = async (event, context) => {
   // Handle CORS preflight
@@ -45,18 +48,19 @@ exports.handler = async (event, context) => {
     console.log('Path segments:', pathSegments);
     console.log('Actual route segments:', actualPathSegments);
 
+    // Retried POST/PUT/DELETE calls with the same Idempotency-Key get the first response back
     switch (httpMethod) {
       case 'GET':
         return await handleShoppingGetRequests(actualPathSegments, auth.user);
       
       case 'POST':
-        return await handleShoppingPostRequests(actualPathSegments, requestBody, auth.user);
+        return await withIdempotency(event, auth.user.id, () => handleShoppingPostRequests(actualPathSegments, requestBody, auth.user));
       
       case 'PUT':
-        return await handleShoppingPutRequests(actualPathSegments, requestBody, auth.user);
+        return await withIdempotency(event, auth.user.id, () => handleShoppingPutRequests(actualPathSegments, requestBody, auth.user));
       
       case 'DELETE':
-        return await handleShoppingDeleteRequests(actualPathSegments, auth.user);
+        return await withIdempotency(event, auth.user.id, () => handleShoppingDeleteRequests(actualPathSegments, auth.user));
       
       default:
         return createErrorResponse(405, `Method ${httpMethod} not allowed`);
@@ -88,8 +92,13 @@ async function handleShoppingGetRequests(pathSegments, user) {
         const cart = await shoppingService.getShoppingCart(pathSegments[1]);
         return createSuccessResponse(cart, 'Shopping cart retrieved successfully');
       
+      case 'saved':
+        // Save-for-later list, kept across sessions
+        const saved = await shoppingService.getSavedForLater(user.id);
+        return createSuccessResponse(saved, 'Saved items retrieved successfully');
+      
       default:
-        return createErrorResponse(404, `Endpoint not found. Available GET routes: session/{id}, cart/{sessionId}`);
+        return createErrorResponse(404, `Endpoint not found. Available GET routes: session/{id}, cart/{sessionId}, saved`);
     }
   } catch (error) {
     console.error('Shopping GET error:', error);
@@ -105,25 +114,56 @@ async function handleShoppingPostRequests(pathSegments, body, user) {
       case 'session':
         // Create new shopping session
         const vrData = body.vr_data || {};
-        const sessionResult = await shoppingService.createShoppingSession(user.id, vrData);
+        const sessionResult = await shoppingService.createShoppingSession(user.id, vrData, body.store_code || null);
+        
+        // Shopper followed the link in an abandoned-cart email
+        if (body.recovery_token) {
+          sessionResult.recovery = await cartRecoveryService.recordRecovery(user.id, body.recovery_token, sessionResult.session.id);
+        }
         return createSuccessResponse(sessionResult, 'Shopping session created successfully');
       
       case 'cart':
         if (pathSegments[1] === 'add') {
           // Add item to cart
-          const { session_id, product_id, quantity = 1 } = body;
+          const { session_id, product_id, variant_id = null, quantity = 1 } = body;
           
           if (!session_id || !product_id) {
             return createErrorResponse(400, 'Session ID and Product ID are required');
           }
           
-          const cartItem = await shoppingService.addToCart(session_id, product_id, quantity, user.id);
+          const cartItem = await shoppingService.addToCart(session_id, product_id, quantity, user.id, variant_id);
           return createSuccessResponse(cartItem, 'Product added to cart successfully');
         }
-        return createErrorResponse(404, `Endpoint not found. Available POST routes: session, cart/add`);
+        
+        if (pathSegments[1] === 'save-for-later') {
+          // Move a cart line to the save-for-later list
+          const { session_id, product_id, variant_id = null } = body;
+          
+          if (!session_id || !product_id) {
+            return createErrorResponse(400, 'Session ID and Product ID are required');
+          }
+          
+          const savedItem = await shoppingService.saveForLater(session_id, user.id, product_id, variant_id);
+          return createSuccessResponse(savedItem, 'Product saved for later successfully');
+        }
+        return createErrorResponse(404, `Endpoint not found. Available POST routes: session, cart/add, cart/save-for-later, saved/move-to-cart`);
+      
+      case 'saved':
+        if (pathSegments[1] === 'move-to-cart') {
+          // Move a saved line back into the cart
+          const { session_id, product_id, variant_id = null } = body;
+          
+          if (!session_id || !product_id) {
+            return createErrorResponse(400, 'Session ID and Product ID are required');
+          }
+          
+          const cartItem = await shoppingService.moveToCart(session_id, user.id, product_id, variant_id);
+          return createSuccessResponse(cartItem, 'Product moved to cart successfully');
+        }
+        return createErrorResponse(404, `Endpoint not found. Available POST routes: session, cart/add, cart/save-for-later, saved/move-to-cart`);
       
       default:
-        return createErrorResponse(404, `Endpoint not found. Available POST routes: session, cart/add`);
+        return createErrorResponse(404, `Endpoint not found. Available POST routes: session, cart/add, cart/save-for-later, saved/move-to-cart`);
     }
   } catch (error) {
     console.error('Shopping POST error:', error);
@@ -137,13 +177,13 @@ async function handleShoppingPutRequests(pathSegments, body, user) {
     
     if (pathSegments[0] === 'cart' && pathSegments[1] === 'quantity') {
       // Update cart item quantity
-      const { session_id, product_id, quantity } = body;
+      const { session_id, product_id, variant_id = null, quantity } = body;
       
       if (!session_id || !product_id || !quantity) {
         return createErrorResponse(400, 'Session ID, Product ID, and quantity are required');
       }
       
-      const updatedItem = await shoppingService.updateCartQuantity(session_id, product_id, quantity, user.id);
+      const updatedItem = await shoppingService.updateCartQuantity(session_id, product_id, quantity, user.id, variant_id);
       return createSuccessResponse(updatedItem, 'Cart quantity updated successfully');
     }
     
@@ -181,16 +221,23 @@ async function handleShoppingDeleteRequests(pathSegments, user) {
         const result = await shoppingService.clearCart(sessionId, user.id);
         return createSuccessResponse(result, 'Cart cleared successfully');
       } else if (pathSegments[1] && pathSegments[2]) {
-        // Remove specific item from cart
+        // Remove specific item (or one variant of it) from cart
         const sessionId = pathSegments[1];
         const productId = pathSegments[2];
+        const variantId = pathSegments[3] || null;
         
-        const result = await shoppingService.removeFromCart(sessionId, productId, user.id);
+        const result = await shoppingService.removeFromCart(sessionId, productId, user.id, variantId);
         return createSuccessResponse(result, 'Product removed from cart successfully');
       }
     }
     
-    return createErrorResponse(404, `Endpoint not found. Available DELETE routes: cart/clear/{sessionId}, cart/{sessionId}/{productId}`);
+    if (pathSegments[0] === 'saved' && pathSegments[1]) {
+      // Remove a line from the save-for-later list
+      const result = await shoppingService.removeSavedItem(user.id, pathSegments[1], pathSegments[2] || null);
+      return createSuccessResponse(result, 'Product removed from saved items successfully');
+    }
+    
+    return createErrorResponse(404, `Endpoint not found. Available DELETE routes: cart/clear/{sessionId}, cart/{sessionId}/{productId}[/{variantId}], saved/{productId}[/{variantId}]`);
   } catch (error) {
     console.error('Shopping DELETE error:', error);
     return createErrorResponse(500, error.message);
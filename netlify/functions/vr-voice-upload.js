@@ -6,8 +6,11 @@
 
 const { supabaseAdmin } = require('./config/supabase');
 const { createSuccessResponse, createErrorResponse } = require('./utils/response');
+const VRCurrencyService = require('./services/VRCurrencyService');
 const crypto = require('crypto');
 
+const currencyService = new VRCurrencyService();
+
 /**
  * Enhanced VR Store Assistant Handler with Guaranteed Audio Response
  * Flow: Voice Input → Transcription → AI Analysis → Product Search → Text + Audio Response
@@ -217,12 +220,14 @@ async function processEnhancedCustomerRequest(customerRequest, conversationHisto
       nextAction = 'show_products';
       requiresFollowup = false;
 
-      // Generate product suggestion response
+      // Generate product suggestion response, with prices in the shopper's currency
+      const pricing = await currencyService.getDisplayPricing(userId);
       responseText = generateEnhancedProductResponse(
         customerRequest,
         suggestedProducts,
         analysisResult.product_criteria,
-        analysisResult.categories
+        analysisResult.categories,
+        pricing
       );
 
     } else {
@@ -462,9 +467,10 @@ async function searchProductsEnhanced(criteria) {
  * @param {Array} products - Suggested products
  * @param {Object} criteria - Search criteria used
  * @param {Array} categories - Detected categories
+ * @param {Object} pricing - Display currency and rate ({ currency, rate })
  * @returns {string} - Enhanced response text
  */
-function generateEnhancedProductResponse(originalRequest, products, criteria, categories) {
+function generateEnhancedProductResponse(originalRequest, products, criteria, categories, pricing) {
   if (products.length === 0) {
     const categoryText = categories.includes('musical_instruments') ? 'musical instrument' : categories.join(' or ');
     return `I understand you're looking for ${originalRequest}. Unfortunately, I don't have any ${categoryText} products matching your exact requirements in stock right now. However, I'd be happy to suggest some similar options or help you find alternatives that might work for you. Would you like me to show you some related products or check if we can special order what you're looking for?`;
@@ -478,7 +484,7 @@ function generateEnhancedProductResponse(originalRequest, products, criteria, ca
     const discount = product.discount_price ? ` (Save ${Math.round(((product.price - product.discount_price) / product.price) * 100)}%!)` : '';
     
     response += `${index + 1}. **${product.name}** by ${product.brand}\n`;
-    response += `   Price: $${price}${discount}\n`;
+    response += `   Price: ${currencyService.formatForDisplay(price, pricing)}${discount}\n`;
     response += `   Rating: ${product.rating}/5 stars\n`;
     
     if (isMusicalInstrument) {
@@ -0,0 +1,168 @@
+/**
+ * VR Wallet API endpoint
+ * Handles store credit balances, the wallet ledger and gift cards
+ */
+const { createResponse, createErrorResponse, createSuccessResponse, createValidationErrorResponse } = require('./utils/response');
+const { authenticateUser, authorizeUser, PERMISSIONS } = require('./utils/auth');
+const { validateGiftCardData } = require('./utils/validation');
+const { withIdempotency } = require('./utils/idempotency');
+const VRWalletService = require('./services/VRWalletService');
+
+const walletService = new VRWalletService();
+
+exports.handler = async (event, context) => {
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return createResponse(200, null, 'CORS preflight successful');
+  }
+
+  try {
+    const { httpMethod, path, body, queryStringParameters = {} } = event;
+    const authHeader = event.headers.authorization || event.headers.Authorization;
+
+    // Authenticate user
+    const auth = await authenticateUser(authHeader);
+    if (!auth.success) {
+      return createErrorResponse(401, auth.error);
+    }
+
+    // Parse body if present
+    let requestBody = {};
+    if (body) {
+      try {
+        requestBody = JSON.parse(body);
+      } catch (error) {
+        return createErrorResponse(400, 'Invalid JSON in request body');
+      }
+    }
+
+    // Find the actual route after 'vr-wallet'
+    const pathSegments = path.split('/').filter(segment => segment);
+    const routeIndex = pathSegments.indexOf('vr-wallet') + 1;
+    const actualPathSegments = pathSegments.slice(routeIndex);
+
+    switch (httpMethod) {
+      case 'GET':
+        return await handleWalletGetRequests(actualPathSegments, auth.user, queryStringParameters);
+
+      case 'POST':
+        // A retried issue with the same Idempotency-Key returns the first card instead of a second one
+        return await withIdempotency(event, auth.user.id, () => handleWalletPostRequests(actualPathSegments, requestBody, auth.user, authHeader), {
+          redactBody: redactGiftCardCode
+        });
+
+      default:
+        return createErrorResponse(405, `Method ${httpMethod} not allowed`);
+    }
+  } catch (error) {
+    console.error('VR Wallet API error:', error);
+    return createErrorResponse(500, 'Internal server error', error.message);
+  }
+};
+
+async function handleWalletGetRequests(pathSegments, user, queryParams) {
+  try {
+    switch (pathSegments[0]) {
+      case undefined:
+        const wallet = await walletService.getWallet(user.id);
+        return createSuccessResponse(wallet, 'Wallet retrieved successfully');
+
+      case 'transactions':
+        const transactions = await walletService.getTransactions(user.id, {
+          page: queryParams.page,
+          limit: queryParams.limit
+        });
+        return createSuccessResponse(transactions, 'Store credit transactions retrieved successfully');
+
+      case 'gift-cards':
+        if (!pathSegments[1]) {
+          return createErrorResponse(400, 'Gift card code is required');
+        }
+        const giftCard = await walletService.getGiftCard(decodeURIComponent(pathSegments[1]));
+        return createSuccessResponse(giftCard, 'Gift card retrieved successfully');
+
+      default:
+        return createErrorResponse(404, 'Endpoint not found. Available GET routes: /, transactions, gift-cards/{code}');
+    }
+  } catch (error) {
+    console.error('Wallet GET error:', error);
+    return createWalletErrorResponse(error);
+  }
+}
+
+async function handleWalletPostRequests(pathSegments, body, user, authHeader) {
+  try {
+    if (pathSegments[0] !== 'gift-cards') {
+      return createErrorResponse(404, 'Endpoint not found. Available POST routes: gift-cards, gift-cards/redeem');
+    }
+
+    if (pathSegments[1] === 'redeem') {
+      if (!body.code) {
+        return createErrorResponse(400, 'Gift card code is required');
+      }
+
+      const redemption = await walletService.redeemGiftCard(user.id, body.code);
+      return createSuccessResponse(redemption, `Gift card redeemed. Store credit balance: ${redemption.formattedBalance}`);
+    }
+
+    if (pathSegments[1]) {
+      return createErrorResponse(404, 'Endpoint not found. Available POST routes: gift-cards, gift-cards/redeem');
+    }
+
+    // Issue a gift card (cashiers and above)
+    const staffAuth = await authorizeUser(authHeader, [PERMISSIONS.ISSUE_GIFT_CARDS]);
+    if (!staffAuth.success) {
+      return createErrorResponse(staffAuth.statusCode, staffAuth.error);
+    }
+
+    const validation = validateGiftCardData(body);
+    if (!validation.isValid) {
+      return createValidationErrorResponse(validation.errors, 'Please correct the following errors');
+    }
+
+    const issued = await walletService.issueGiftCard(user.id, validation.validated);
+    return createSuccessResponse(issued, 'Gift card issued successfully');
+  } catch (error) {
+    console.error('Wallet POST error:', error);
+    return createWalletErrorResponse(error);
+  }
+}
+
+/**
+ * Remove the code from a stored gift card issue response. Only the code's hash is kept, so a
+ * replayed issue shows the card without it.
+ */
+function redactGiftCardCode(body) {
+  try {
+    const parsed = JSON.parse(body);
+    if (parsed.data && parsed.data.code) {
+      parsed.data.code = null;
+      return JSON.stringify(parsed);
+    }
+  } catch (error) {
+    // Not JSON; nothing to redact
+  }
+
+  return body;
+}
+
+/**
+ * Map wallet errors to HTTP responses (shoppers see why a card was rejected)
+ */
+function createWalletErrorResponse(error) {
+  const message = error.message || '';
+
+  if (message === 'Gift card not found') {
+    return createErrorResponse(404, message);
+  }
+
+  if (message === 'Gift card code is required') {
+    return createErrorResponse(400, message);
+  }
+
+  if (message.startsWith('Gift card has')) {
+    return createErrorResponse(409, message);
+  }
+
+  return createErrorResponse(500, message);
+}
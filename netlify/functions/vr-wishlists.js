@@ -0,0 +1,248 @@
+/**
+ * VR Wishlists API endpoint
+ * Handles named wishlists, sharing them by link, moving items into the cart and wishlist alerts
+ */
+const { createResponse, createErrorResponse, createSuccessResponse, createValidationErrorResponse } = require('./utils/response');
+const { authenticateUser } = require('./utils/auth');
+const { validateWishlistData, validateWishlistItemData } = require('./utils/validation');
+const { withIdempotency } = require('./utils/idempotency');
+const VRWishlistService = require('./services/VRWishlistService');
+
+const wishlistService = new VRWishlistService();
+
+exports.handler = async (event, context) => {
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return createResponse(200, null, 'CORS preflight successful');
+  }
+
+  try {
+    const { httpMethod, path, body, queryStringParameters = {} } = event;
+    const authHeader = event.headers.authorization || event.headers.Authorization;
+
+    // Authenticate user (shared lists are also only visible to signed-in shoppers)
+    const auth = await authenticateUser(authHeader);
+    if (!auth.success) {
+      return createErrorResponse(401, auth.error);
+    }
+
+    // Parse body if present
+    let requestBody = {};
+    if (body) {
+      try {
+        requestBody = JSON.parse(body);
+      } catch (error) {
+        return createErrorResponse(400, 'Invalid JSON in request body');
+      }
+    }
+
+    // Find the actual route after 'vr-wishlists'
+    const pathSegments = path.split('/').filter(segment => segment);
+    const routeIndex = pathSegments.indexOf('vr-wishlists') + 1;
+    const actualPathSegments = pathSegments.slice(routeIndex);
+
+    switch (httpMethod) {
+      case 'GET':
+        return await handleWishlistGetRequests(actualPathSegments, auth.user, queryStringParameters);
+
+      case 'POST':
+        return await withIdempotency(event, auth.user.id, () => handleWishlistPostRequests(actualPathSegments, requestBody, auth.user));
+
+      case 'PUT':
+        return await withIdempotency(event, auth.user.id, () => handleWishlistPutRequests(actualPathSegments, requestBody, auth.user));
+
+      case 'DELETE':
+        return await withIdempotency(event, auth.user.id, () => handleWishlistDeleteRequests(actualPathSegments, auth.user));
+
+      default:
+        return createErrorResponse(405, `Method ${httpMethod} not allowed`);
+    }
+  } catch (error) {
+    console.error('VR Wishlists API error:', error);
+    return createErrorResponse(500, 'Internal server error', error.message);
+  }
+};
+
+async function handleWishlistGetRequests(pathSegments, user, queryParams) {
+  try {
+    const [first, second] = pathSegments;
+
+    if (!first) {
+      const result = await wishlistService.listWishlists(user.id);
+      return createSuccessResponse(result, 'Wishlists retrieved successfully');
+    }
+
+    if (first === 'alerts') {
+      const alerts = await wishlistService.getAlerts(user.id, { includeSeen: queryParams.include_seen === 'true' });
+      return createSuccessResponse({ alerts }, 'Wishlist alerts retrieved successfully');
+    }
+
+    if (first === 'shared') {
+      if (!second) {
+        return createErrorResponse(400, 'Share token is required');
+      }
+      const shared = await wishlistService.getSharedWishlist(second);
+      return createSuccessResponse(shared, 'Shared wishlist retrieved successfully');
+    }
+
+    if (!second) {
+      const wishlist = await wishlistService.getWishlist(first, user.id);
+      return createSuccessResponse(wishlist, 'Wishlist retrieved successfully');
+    }
+
+    return createErrorResponse(404, 'Endpoint not found. Available GET routes: /, {wishlistId}, alerts, shared/{token}');
+  } catch (error) {
+    console.error('Wishlist GET error:', error);
+    return createWishlistErrorResponse(error);
+  }
+}
+
+async function handleWishlistPostRequests(pathSegments, body, user) {
+  try {
+    const [first, second, third, fourth] = pathSegments;
+
+    // Create a wishlist
+    if (!first) {
+      const validation = validateWishlistData(body);
+      if (!validation.isValid) {
+        return createValidationErrorResponse(validation.errors, 'Please correct the following errors');
+      }
+
+      const wishlist = await wishlistService.createWishlist(user.id, validation.validated);
+      return createSuccessResponse(wishlist, 'Wishlist created successfully');
+    }
+
+    // Add an item of someone else's shared list to the cart: shared/{token}/items/{itemId}/add-to-cart
+    if (first === 'shared') {
+      if (pathSegments[2] !== 'items' || !pathSegments[3] || pathSegments[4] !== 'add-to-cart') {
+        return createErrorResponse(404, 'Endpoint not found. Available POST routes: shared/{token}/items/{itemId}/add-to-cart');
+      }
+      return await addItemToCart(pathSegments[3], body, user, { shareToken: second });
+    }
+
+    if (second === 'share' && !third) {
+      const shared = await wishlistService.shareWishlist(first, user.id);
+      return createSuccessResponse(shared, 'Wishlist shared successfully');
+    }
+
+    if (second === 'items' && !third) {
+      const validation = validateWishlistItemData(body);
+      if (!validation.isValid) {
+        return createValidationErrorResponse(validation.errors, 'Please correct the following errors');
+      }
+
+      const item = await wishlistService.addItem(first, user.id, validation.validated);
+      return createSuccessResponse(item, 'Product added to wishlist successfully');
+    }
+
+    if (second === 'items' && third && fourth === 'add-to-cart') {
+      return await addItemToCart(third, body, user, { wishlistId: first, keepInList: body.keep_in_list === true });
+    }
+
+    return createErrorResponse(404, 'Endpoint not found. Available POST routes: /, {wishlistId}/items, {wishlistId}/items/{itemId}/add-to-cart, {wishlistId}/share, shared/{token}/items/{itemId}/add-to-cart');
+  } catch (error) {
+    console.error('Wishlist POST error:', error);
+    return createWishlistErrorResponse(error);
+  }
+}
+
+async function handleWishlistPutRequests(pathSegments, body, user) {
+  try {
+    const [first, second, third] = pathSegments;
+
+    if (first === 'alerts' && second === 'seen') {
+      const result = await wishlistService.markAlertsSeen(user.id, body.alert_ids || null);
+      return createSuccessResponse(result, 'Wishlist alerts marked as seen');
+    }
+
+    if (first && !second) {
+      const validation = validateWishlistData(body, { partial: true });
+      if (!validation.isValid) {
+        return createValidationErrorResponse(validation.errors, 'Please correct the following errors');
+      }
+
+      const wishlist = await wishlistService.updateWishlist(first, user.id, validation.validated);
+      return createSuccessResponse(wishlist, 'Wishlist updated successfully');
+    }
+
+    if (first && second === 'items' && third) {
+      const validation = validateWishlistItemData(body, { partial: true });
+      if (!validation.isValid) {
+        return createValidationErrorResponse(validation.errors, 'Please correct the following errors');
+      }
+
+      const item = await wishlistService.updateItem(first, user.id, third, validation.validated);
+      return createSuccessResponse(item, 'Wishlist item updated successfully');
+    }
+
+    return createErrorResponse(404, 'Endpoint not found. Available PUT routes: {wishlistId}, {wishlistId}/items/{itemId}, alerts/seen');
+  } catch (error) {
+    console.error('Wishlist PUT error:', error);
+    return createWishlistErrorResponse(error);
+  }
+}
+
+async function handleWishlistDeleteRequests(pathSegments, user) {
+  try {
+    const [first, second, third] = pathSegments;
+
+    if (first && !second) {
+      const result = await wishlistService.deleteWishlist(first, user.id);
+      return createSuccessResponse(result, 'Wishlist deleted successfully');
+    }
+
+    if (first && second === 'share' && !third) {
+      const wishlist = await wishlistService.unshareWishlist(first, user.id);
+      return createSuccessResponse(wishlist, 'Wishlist is no longer shared');
+    }
+
+    if (first && second === 'items' && third) {
+      const result = await wishlistService.removeItem(first, user.id, third);
+      return createSuccessResponse(result, 'Product removed from wishlist successfully');
+    }
+
+    return createErrorResponse(404, 'Endpoint not found. Available DELETE routes: {wishlistId}, {wishlistId}/share, {wishlistId}/items/{itemId}');
+  } catch (error) {
+    console.error('Wishlist DELETE error:', error);
+    return createWishlistErrorResponse(error);
+  }
+}
+
+/**
+ * Move a wishlist item into the shopper's session cart
+ */
+async function addItemToCart(itemId, body, user, options) {
+  const { session_id, quantity = 1 } = body;
+
+  if (!session_id) {
+    return createErrorResponse(400, 'Session ID is required');
+  }
+
+  const result = await wishlistService.addItemToCart(itemId, user.id, {
+    ...options,
+    sessionId: session_id,
+    quantity
+  });
+  return createSuccessResponse(result, 'Product added to cart successfully');
+}
+
+/**
+ * Map wishlist errors to HTTP responses
+ */
+function createWishlistErrorResponse(error) {
+  const message = error.message || '';
+
+  if (['Wishlist not found', 'Wishlist item not found', 'Product not found or unavailable', 'Variant not found or unavailable'].includes(message)) {
+    return createErrorResponse(404, message);
+  }
+
+  if (message === 'A variant must be selected for this product' || message.startsWith('Invalid') || message.startsWith('Quantity')) {
+    return createErrorResponse(400, message);
+  }
+
+  if (message === 'A wishlist with this name already exists' || message === 'Product is already in this wishlist' || message.startsWith('Insufficient stock')) {
+    return createErrorResponse(409, message);
+  }
+
+  return createErrorResponse(500, message);
+}
@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+/**
+ * Replay a recorded Stripe webhook event against the vr-payment webhook route.
+ * The event is signed locally with STRIPE_WEBHOOK_SECRET, so no Stripe account or
+ * network access to Stripe is needed.
+ *
+ * Usage:
+ *   STRIPE_WEBHOOK_SECRET=whsec_... node scripts/replay-stripe-webhook.js <fixture> [options]
+ *
+ * <fixture> is a file in scripts/stripe-fixtures (with or without .json) or a path.
+ *
+ * Options:
+ *   --order-id <uuid>         Order to target (replaces the fixture's metadata.order_id)
+ *   --payment-intent <pi_id>  Payment intent to target (replaces the fixture's intent ID)
+ *   --charge <ch_id>          Charge to target (replaces the fixture's charge ID)
+ *   --new-id                  Send under a fresh event ID instead of the recorded one
+ *   --url <url>               Webhook URL (default http://localhost:8888/api/vr-payment/webhook/stripe)
+ *   --print                   Print the signed body and header instead of sending them
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Stripe = require('stripe');
+
+const FIXTURE_DIR = path.join(__dirname, 'stripe-fixtures');
+const DEFAULT_URL = 'http://localhost:8888/api/vr-payment/webhook/stripe';
+
+// IDs used throughout the recorded fixtures
+const PLACEHOLDERS = {
+  orderId: '00000000-0000-4000-8000-000000000000',
+  paymentIntent: 'pi_3QxFixturePayment',
+  charge: 'ch_3QxFixtureCharge'
+};
+
+/**
+ * Parse command line arguments
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} - { fixture, options }
+ */
+const parseArgs = (argv) => {
+  const options = { url: DEFAULT_URL, newId: false, print: false };
+  let fixture = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    switch (arg) {
+      case '--order-id':
+        options.orderId = argv[++i];
+        break;
+      case '--payment-intent':
+        options.paymentIntent = argv[++i];
+        break;
+      case '--charge':
+        options.charge = argv[++i];
+        break;
+      case '--url':
+        options.url = argv[++i];
+        break;
+      case '--new-id':
+        options.newId = true;
+        break;
+      case '--print':
+        options.print = true;
+        break;
+      default:
+        if (arg.startsWith('--')) {
+          throw new Error(`Unknown option ${arg}`);
+        }
+        fixture = arg;
+    }
+  }
+
+  return { fixture, options };
+};
+
+/**
+ * Resolve a fixture name or path to a file
+ * @param {string} fixture - Fixture name or path
+ * @returns {string} - Absolute file path
+ */
+const resolveFixture = (fixture) => {
+  const candidates = [
+    fixture,
+    path.join(FIXTURE_DIR, fixture),
+    path.join(FIXTURE_DIR, `${fixture}.json`)
+  ];
+
+  const found = candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+
+  if (!found) {
+    const available = fs.readdirSync(FIXTURE_DIR).map(file => file.replace(/\.json$/, ''));
+    throw new Error(`Fixture "${fixture}" not found. Available: ${available.join(', ')}`);
+  }
+
+  return found;
+};
+
+/**
+ * Load a fixture and point it at the requested order, intent and charge
+ * @param {string} file - Fixture path
+ * @param {Object} options - Parsed options
+ * @returns {string} - Event JSON to send
+ */
+const buildPayload = (file, options) => {
+  let payload = fs.readFileSync(file, 'utf8');
+
+  if (options.orderId) payload = payload.split(PLACEHOLDERS.orderId).join(options.orderId);
+  if (options.paymentIntent) payload = payload.split(PLACEHOLDERS.paymentIntent).join(options.paymentIntent);
+  if (options.charge) payload = payload.split(PLACEHOLDERS.charge).join(options.charge);
+
+  const event = JSON.parse(payload);
+
+  if (options.newId) {
+    event.id = `evt_replay_${crypto.randomBytes(8).toString('hex')}`;
+  }
+
+  event.created = Math.floor(Date.now() / 1000);
+
+  return JSON.stringify(event, null, 2);
+};
+
+const main = async () => {
+  const { fixture, options } = parseArgs(process.argv.slice(2));
+
+  if (!fixture) {
+    throw new Error('Usage: node scripts/replay-stripe-webhook.js <fixture> [--order-id <uuid>] [--payment-intent <pi_id>] [--charge <ch_id>] [--new-id] [--url <url>] [--print]');
+  }
+
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+  if (!secret) {
+    throw new Error('STRIPE_WEBHOOK_SECRET must be set to the same value the functions use');
+  }
+
+  const payload = buildPayload(resolveFixture(fixture), options);
+  const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret });
+
+  if (options.print) {
+    console.log(`Stripe-Signature: ${signature}\n`);
+    console.log(payload);
+    return;
+  }
+
+  const response = await fetch(options.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Stripe-Signature': signature
+    },
+    body: payload
+  });
+
+  const text = await response.text();
+  console.log(`${response.status} ${response.statusText}`);
+  console.log(text);
+
+  if (!response.ok) {
+    process.exitCode = 1;
+  }
+};
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});